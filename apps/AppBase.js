@@ -28,6 +28,7 @@
 import EventBus, { Events } from '../core/SemanticEventBus.js';
 import StateManager from '../core/StateManager.js';
 import WindowManager from '../core/WindowManager.js';
+import FileSystemManager from '../core/FileSystemManager.js';
 
 class AppBase {
     /**
@@ -47,6 +48,12 @@ class AppBase {
         this.category = config.category || 'accessories';
         this.showInMenu = config.showInMenu !== false;
 
+        // File types this app opens (registered with FileAssociations by AppRegistry)
+        this.fileTypes = config.fileTypes || [];
+
+        // Terminal commands this app adds (registered with CommandRegistry by AppRegistry)
+        this.commands = config.commands || [];
+
         // Runtime state - track all open instances
         this.openWindows = new Map(); // windowId -> { state, boundHandlers, eventUnsubscribers }
         this.instanceCounter = 0;
@@ -531,6 +538,29 @@ class AppBase {
         return unsubscribe;
     }
 
+    /**
+     * Watch a file or folder with automatic cleanup
+     * @param {string|string[]} path - File or folder path
+     * @param {Object} options - { recursive }
+     * @param {Function} handler - Called with { type, path, oldPath, itemType }
+     * @returns {Function} Stop watching
+     */
+    watchPath(path, options, handler) {
+        const windowId = this._currentWindowId;
+        const instanceData = this.openWindows.get(windowId);
+        if (!instanceData) return () => {};
+
+        const capturedWindowId = windowId;
+        const boundHandler = (change) => {
+            this._currentWindowId = capturedWindowId;
+            return handler.call(this, change);
+        };
+
+        const unwatch = FileSystemManager.watch(path, options, boundHandler);
+        instanceData.eventUnsubscribers.push(unwatch);
+        return unwatch;
+    }
+
     /**
      * Emit an event through the event bus
      * @param {string} event - Event name
@@ -19,6 +19,8 @@
 import EventBus, { Events } from '../core/EventBus.js';
 import { CATEGORIES } from '../core/Constants.js';
 import WindowManager from '../core/WindowManager.js';
+import FileAssociations from '../core/FileAssociations.js';
+import CommandRegistry from '../core/shell/CommandRegistry.js';
 
 // --- App Imports ---
 import Calculator from './Calculator.js';
@@ -53,6 +55,8 @@ import Zork from './Zork.js';
 import HyperCard from './HyperCard.js';
 import FeaturesSettings from './FeaturesSettings.js';
 import ScriptRunner from './ScriptRunner.js';
+import FileTypes from './FileTypes.js';
+import OpenWith from './OpenWith.js';
 // --- System App Placeholders (Simple implementations for completeness) ---
 import AppBase from './AppBase.js';
 
@@ -70,6 +74,9 @@ class AppRegistryClass {
     constructor() {
         this.apps = new Map();
         this.metadata = new Map();
+
+        // File associations launch apps through the registry
+        FileAssociations.launchApp = (appId, params) => this.launch(appId, params);
     }
 
     /**
@@ -104,6 +111,12 @@ class AppRegistryClass {
             ...meta
         });
 
+        // Apps that list fileTypes in their config can open those files
+        FileAssociations.registerApp(app);
+
+        // ...and those with commands add them to the Terminal
+        CommandRegistry.registerApp(app);
+
         console.log(`[AppRegistry] Registered: ${app.name} (${app.id}) [${this.metadata.get(app.id).category}]`);
     }
 
@@ -195,10 +208,14 @@ class AppRegistryClass {
             console.error('[AppRegistry] FeaturesSettings error stack:', e.stack);
         }
 
+        try { this.register(new FileTypes()); }
+        catch (e) { console.error('[AppRegistry] FAILED: FileTypes:', e); }
+
         // --- Hidden System Apps ---
         this.registerAll([
             new FindFiles(),
             new HelpSystem(),
+            new OpenWith(),
             new SimpleApp('run', 'Run', '▶️', 'Run command dialog.'),
             new SimpleApp('shutdown', 'Shut Down', '⏻', 'It is now safe to turn off your computer.'),
         ]);
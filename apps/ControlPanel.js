@@ -7,6 +7,7 @@ import AppBase from './AppBase.js';
 import AppRegistry from './AppRegistry.js';
 import StateManager from '../core/StateManager.js';
 import StorageManager from '../core/StorageManager.js';
+import FileSystemManager from '../core/FileSystemManager.js';
 import EventBus from '../core/EventBus.js';
 
 class ControlPanel extends AppBase {
@@ -335,6 +336,15 @@ class ControlPanel extends AppBase {
                         </div>
                         <span style="color: #666;">▶</span>
                     </div>
+
+                    <div class="control-item control-link" data-app="filetypes">
+                        <div class="control-item-icon">📑</div>
+                        <div class="control-item-info">
+                            <div class="control-item-label">File Types</div>
+                            <div class="control-item-desc">Which program opens, edits and prints each kind of file</div>
+                        </div>
+                        <span style="color: #666;">▶</span>
+                    </div>
                 </div>
 
                 <div class="control-section">
@@ -501,7 +511,7 @@ class ControlPanel extends AppBase {
                     if (!file) return;
 
                     const reader = new FileReader();
-                    reader.onload = (event) => {
+                    reader.onload = async (event) => {
                         try {
                             const data = JSON.parse(event.target.result);
                             const result = StateManager.importCompleteState(data);
@@ -517,6 +527,8 @@ class ControlPanel extends AppBase {
                                     message += '\n\nWarnings:\n• ' + result.warnings.join('\n• ');
                                 }
                                 this.alert(message + '\n\nReloading...');
+                                // File system writes are batched; persist them before reloading
+                                await FileSystemManager.flush();
                                 window.location.reload();
                             } else {
                                 this.alert('Failed to import snapshot: ' + result.error);
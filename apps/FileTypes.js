@@ -0,0 +1,322 @@
+/**
+ * File Types - Control Panel page for file type associations
+ * Lists every type FileAssociations knows and lets the user change its
+ * description, icon and the program behind each verb (open, run, edit,
+ * print), add new types and restore the registered defaults.
+ */
+
+import AppBase from './AppBase.js';
+import { Events } from '../core/SemanticEventBus.js';
+import FileAssociations from '../core/FileAssociations.js';
+
+class FileTypes extends AppBase {
+    constructor() {
+        super({
+            id: 'filetypes',
+            name: 'File Types',
+            icon: '📑',
+            width: 560,
+            height: 460,
+            resizable: true,
+            singleton: true,
+            category: 'settings'
+        });
+    }
+
+    onOpen() {
+        return `
+            <style>
+                .filetypes-app {
+                    display: flex;
+                    flex-direction: column;
+                    height: 100%;
+                    background: #c0c0c0;
+                    font-size: 11px;
+                    padding: 8px;
+                    box-sizing: border-box;
+                    gap: 8px;
+                }
+                .filetypes-main {
+                    flex: 1;
+                    display: flex;
+                    gap: 8px;
+                    min-height: 0;
+                }
+                .filetypes-list {
+                    width: 200px;
+                    background: white;
+                    border: 2px inset #fff;
+                    overflow-y: auto;
+                }
+                .filetypes-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 3px 6px;
+                    cursor: pointer;
+                }
+                .filetypes-item:hover {
+                    background: #e0e0ff;
+                }
+                .filetypes-item.selected {
+                    background: #000080;
+                    color: white;
+                }
+                .filetypes-item-ext {
+                    margin-left: auto;
+                    color: #808080;
+                }
+                .filetypes-item.selected .filetypes-item-ext {
+                    color: #ccc;
+                }
+                .filetypes-details {
+                    flex: 1;
+                    border: 2px groove #fff;
+                    padding: 10px;
+                    overflow-y: auto;
+                }
+                .filetypes-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 8px;
+                }
+                .filetypes-row label {
+                    min-width: 70px;
+                }
+                .filetypes-row input[type="text"],
+                .filetypes-verb select {
+                    flex: 1;
+                    padding: 2px;
+                    border: 2px inset #fff;
+                }
+                .filetypes-title {
+                    font-weight: bold;
+                    color: #000080;
+                    margin: 12px 0 6px;
+                }
+                .filetypes-verb {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    margin-bottom: 4px;
+                }
+                .filetypes-verb span {
+                    min-width: 40px;
+                }
+                .filetypes-footer {
+                    display: flex;
+                    gap: 8px;
+                }
+                .filetypes-btn {
+                    padding: 4px 12px;
+                    background: #c0c0c0;
+                    border: 2px outset #fff;
+                    cursor: pointer;
+                    min-width: 70px;
+                }
+                .filetypes-btn:active:not(:disabled) {
+                    border-style: inset;
+                }
+                .filetypes-btn:disabled {
+                    color: #808080;
+                    cursor: not-allowed;
+                }
+                .filetypes-hint {
+                    color: #404040;
+                    margin-top: 10px;
+                }
+            </style>
+            <div class="filetypes-app">
+                <div class="filetypes-main">
+                    <div class="filetypes-list" id="filetypes-list"></div>
+                    <div class="filetypes-details" id="filetypes-details"></div>
+                </div>
+                <div class="filetypes-footer">
+                    <button class="filetypes-btn" id="filetypes-new">New Type...</button>
+                    <span style="flex: 1;"></span>
+                    <button class="filetypes-btn" id="filetypes-close">Close</button>
+                </div>
+            </div>
+        `;
+    }
+
+    onMount() {
+        this.renderList();
+
+        this.addHandler(this.getElement('#filetypes-new'), 'click', () => this.newType());
+        this.addHandler(this.getElement('#filetypes-close'), 'click', () => this.close());
+
+        // Apps and plugins registering types, or this page in another tab
+        this.onEvent(Events.FILETYPE_CHANGE, () => this.renderList());
+    }
+
+    /**
+     * Show the list of types and the selected one
+     */
+    renderList() {
+        const list = this.getElement('#filetypes-list');
+        if (!list) return;
+
+        const types = FileAssociations.getTypes();
+        let selected = this.getInstanceState('selected');
+        if (!types.some(type => type.extension === selected)) {
+            selected = types[0]?.extension || null;
+            this.setInstanceState('selected', selected);
+        }
+
+        list.innerHTML = types.map(type => `
+            <div class="filetypes-item ${type.extension === selected ? 'selected' : ''}" data-extension="${this.escapeHtml(type.extension)}">
+                <span>${this.escapeHtml(type.icon || '📄')}</span>
+                <span>${this.escapeHtml(FileAssociations.getDescription(type.extension))}</span>
+                <span class="filetypes-item-ext">.${this.escapeHtml(type.extension)}</span>
+            </div>
+        `).join('');
+
+        this.getElements('.filetypes-item').forEach(item => {
+            this.addHandler(item, 'click', () => {
+                this.setInstanceState('selected', item.dataset.extension);
+                this.renderList();
+            });
+        });
+
+        this.renderDetails();
+    }
+
+    /**
+     * Show the settings of the selected type
+     */
+    renderDetails() {
+        const details = this.getElement('#filetypes-details');
+        if (!details) return;
+
+        const type = FileAssociations.getType(this.getInstanceState('selected'));
+        if (!type) {
+            details.innerHTML = '<div class="filetypes-hint">No file types are registered.</div>';
+            return;
+        }
+
+        const { recommended, other } = FileAssociations.getPrograms();
+        const programs = [...recommended, ...other];
+        const verbs = [
+            ...FileAssociations.getStandardVerbs(),
+            ...Object.keys(type.verbs).filter(verb => !FileAssociations.getStandardVerbs().includes(verb))
+        ];
+
+        const verbRow = (verb) => `
+            <div class="filetypes-verb">
+                <input type="radio" name="filetypes-default" value="${verb}" title="Used when the file is double-clicked"
+                    ${verb === type.defaultVerb ? 'checked' : ''}>
+                <span>${FileAssociations.getVerbLabel(verb)}</span>
+                <select data-verb="${verb}">
+                    <option value="">(none)</option>
+                    ${programs.map(program => `
+                        <option value="${program.id}" ${type.verbs[verb] === program.id ? 'selected' : ''}>
+                            ${program.icon} ${this.escapeHtml(program.name)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+
+        details.innerHTML = `
+            <div class="filetypes-row">
+                <label>Extension:</label>
+                <b>.${this.escapeHtml(type.extension)}</b>
+            </div>
+            <div class="filetypes-row">
+                <label for="filetypes-description">Description:</label>
+                <input type="text" id="filetypes-description" value="${this.escapeHtml(type.description)}">
+            </div>
+            <div class="filetypes-row">
+                <label for="filetypes-icon">Icon:</label>
+                <input type="text" id="filetypes-icon" value="${this.escapeHtml(type.icon)}" maxlength="8">
+            </div>
+            <div class="filetypes-title">Actions</div>
+            ${verbs.map(verbRow).join('')}
+            <div class="filetypes-hint">The selected action is used when the file is double-clicked.</div>
+            <div class="filetypes-footer" style="margin-top: 12px;">
+                <button class="filetypes-btn" id="filetypes-apply">Apply</button>
+                <button class="filetypes-btn" id="filetypes-reset" ${type.custom ? '' : 'disabled'}>
+                    ${type.registered ? 'Restore Defaults' : 'Remove'}
+                </button>
+            </div>
+        `;
+
+        this.addHandler(this.getElement('#filetypes-apply'), 'click', () => this.apply(type));
+        this.addHandler(this.getElement('#filetypes-reset'), 'click', () => this.reset(type));
+    }
+
+    /**
+     * Save the changes made to a type
+     * @param {object} type - The type as shown (from FileAssociations.getType)
+     */
+    apply(type) {
+        try {
+            const description = this.getElement('#filetypes-description').value;
+            const icon = this.getElement('#filetypes-icon').value;
+            if (description.trim() !== type.description || icon.trim() !== type.icon) {
+                FileAssociations.setTypeInfo(type.extension, { description, icon });
+            }
+
+            this.getElements('select[data-verb]').forEach(select => {
+                const verb = select.dataset.verb;
+                if (select.value !== (type.verbs[verb] || '')) {
+                    FileAssociations.setProgram(type.extension, verb, select.value || null);
+                }
+            });
+
+            const defaultVerb = this.getElement('input[name="filetypes-default"]:checked')?.value;
+            if (defaultVerb && defaultVerb !== type.defaultVerb) {
+                FileAssociations.setDefaultVerb(type.extension, defaultVerb);
+            }
+        } catch (e) {
+            this.alert(e.message);
+        }
+    }
+
+    /**
+     * Drop the user's changes to a type (or the type, if the user added it)
+     * @param {object} type - The type as shown
+     */
+    async reset(type) {
+        const message = type.registered
+            ? `Restore the default settings for .${type.extension} files?`
+            : `Remove the .${type.extension} file type?`;
+        if (await this.confirm(message, 'File Types')) {
+            FileAssociations.resetType(type.extension);
+        }
+    }
+
+    /**
+     * Ask for an extension and add a type for it
+     */
+    async newType() {
+        const answer = await this.prompt('Extension of the new file type:', '', 'New File Type');
+        if (!answer) return;
+
+        const extension = FileAssociations.normalize(answer);
+        if (FileAssociations.getType(extension)) {
+            this.setInstanceState('selected', extension);
+            this.renderList();
+            return;
+        }
+
+        try {
+            this.setInstanceState('selected', extension);
+            FileAssociations.setTypeInfo(extension, { description: `${extension.toUpperCase()} File` });
+        } catch (e) {
+            this.alert(e.message);
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default FileTypes;
@@ -1,11 +1,13 @@
 /**
  * Find Files - Windows 95 Style File Search Utility
  * Search for files and folders in the virtual file system
+ * "Containing" takes the search index query syntax (see core/SearchIndex.js)
  */
 
 import AppBase from './AppBase.js';
-import FileSystemManager from '../core/FileSystemManager.js';
+import SearchIndex from '../core/SearchIndex.js';
 import AppRegistry from './AppRegistry.js';
+import FileAssociations from '../core/FileAssociations.js';
 import EventBus from '../core/SemanticEventBus.js';
 
 class FindFiles extends AppBase {
@@ -206,7 +208,7 @@ class FindFiles extends AppBase {
                             </div>
                             <div class="find-row">
                                 <label>Containing:</label>
-                                <input type="text" id="search-content" placeholder="text to find">
+                                <input type="text" id="search-content" placeholder="words, &quot;a phrase&quot;, ext:txt, size:<10KB, modified:>2024-01-01">
                             </div>
                             <div class="find-row">
                                 <label>Look in:</label>
@@ -267,13 +269,15 @@ class FindFiles extends AppBase {
         // New Search button
         this.addHandler(this.getElement('#btn-new-search'), 'click', () => this.newSearch());
 
-        // Enter key in search field
-        const searchInput = this.getElement('#search-name');
-        if (searchInput) {
-            this.addHandler(searchInput, 'keydown', (e) => {
-                if (e.key === 'Enter') this.startSearch();
-            });
-        }
+        // Enter key in search fields
+        ['#search-name', '#search-content'].forEach(selector => {
+            const searchInput = this.getElement(selector);
+            if (searchInput) {
+                this.addHandler(searchInput, 'keydown', (e) => {
+                    if (e.key === 'Enter') this.startSearch();
+                });
+            }
+        });
 
         // Sort headers
         const headers = this.getElements('.results-header div');
@@ -312,14 +316,20 @@ class FindFiles extends AppBase {
             ? [['C:']]
             : [location.split('/')];
 
-        // Search the virtual file system
+        // Look the query up in the search index
         for (const startPath of startPaths) {
             if (!this.isSearching) break;
-            await this.searchDirectory(startPath, pattern, searchContent, includeSubfolders, caseSensitive);
+            try {
+                this.searchIndex(startPath, pattern, searchContent, includeSubfolders, caseSensitive);
+            } catch (e) {
+                this.updateStatus(e.message);
+                this.isSearching = false;
+            }
         }
 
-        // Display results
+        // Display results, and keep them current while the window is open
         this.displayResults();
+        this.watchResults(startPaths, includeSubfolders);
         this.isSearching = false;
         this.getElement('#btn-find-now').disabled = false;
         this.getElement('#btn-stop').disabled = true;
@@ -332,48 +342,80 @@ class FindFiles extends AppBase {
         });
     }
 
-    async searchDirectory(path, pattern, contentSearch, includeSubfolders, caseSensitive) {
-        if (!this.isSearching) return;
-
-        try {
-            const items = FileSystemManager.listDirectory(path);
-
-            for (const item of items) {
-                if (!this.isSearching) break;
-
-                const itemPath = [...path, item.name];
-
-                // Check if name matches pattern
-                const nameToMatch = caseSensitive ? item.name : item.name.toLowerCase();
-                if (pattern.test(nameToMatch)) {
-                    // If content search is specified, check file contents
-                    if (contentSearch && item.type === 'file') {
-                        try {
-                            const content = FileSystemManager.readFile(itemPath);
-                            const contentToSearch = caseSensitive ? content : content.toLowerCase();
-                            const searchTerm = caseSensitive ? contentSearch : contentSearch.toLowerCase();
-
-                            if (contentToSearch.includes(searchTerm)) {
-                                this.addResult(item, path);
-                            }
-                        } catch (e) {
-                            // Can't read file, skip
-                        }
-                    } else if (!contentSearch) {
-                        this.addResult(item, path);
-                    }
-                }
+    /**
+     * Add index matches under a folder whose names fit the "Named" pattern
+     * @param {string[]} path - Folder to search
+     * @param {RegExp} pattern - Name pattern
+     * @param {string} query - "Containing" query (words, phrases and filters)
+     * @param {boolean} includeSubfolders - Search below the folder too
+     * @param {boolean} caseSensitive - Words must match case exactly
+     */
+    searchIndex(path, pattern, query, includeSubfolders, caseSensitive) {
+        // The index ignores case, so case-sensitive words are checked afterwards
+        const words = caseSensitive
+            ? (query.match(/"[^"]*"?|\S+/g) || [])
+                .filter(word => !/^(ext|modified|size):/i.test(word))
+                .map(word => word.replace(/^"|"$/g, '').replace(/\*$/, ''))
+                .filter(Boolean)
+            : [];
+
+        for (const match of SearchIndex.search(query, { path, recursive: includeSubfolders })) {
+            if (!pattern.test(match.name)) continue;
+
+            if (words.length > 0) {
+                const text = `${match.name}\n${SearchIndex.getText(match)}`;
+                if (!words.every(word => text.includes(word))) continue;
+            }
 
-                // Recurse into directories
-                if (item.type === 'directory' && includeSubfolders) {
-                    await this.searchDirectory(itemPath, pattern, contentSearch, includeSubfolders, caseSensitive);
-                    // Small delay to prevent blocking
-                    await new Promise(resolve => setTimeout(resolve, 1));
-                }
+            this.addResult({
+                name: match.name,
+                type: match.type,
+                size: match.size,
+                extension: match.extension
+            }, match.folder.split('/'));
+        }
+    }
+
+    /**
+     * Drop deleted results and follow renamed ones without searching again
+     * @param {string[][]} startPaths - Folders that were searched
+     * @param {boolean} recursive - Whether subfolders were searched
+     */
+    watchResults(startPaths, recursive) {
+        if (this.unwatchResults) this.unwatchResults.forEach(unwatch => unwatch());
+
+        this.unwatchResults = startPaths.map(path =>
+            this.watchPath(path, { recursive }, (change) => this.updateResultsForChange(change))
+        );
+    }
+
+    /**
+     * Apply one file system change to the result list
+     * @param {Object} change - { type, path, oldPath } from FileSystemManager.watch
+     */
+    updateResultsForChange(change) {
+        const affects = (result, path) => {
+            const resultPath = result.path.join('/').toLowerCase();
+            const changed = path.toLowerCase();
+            return resultPath === changed || resultPath.startsWith(changed + '/');
+        };
+
+        let updated = false;
+        if (change.type === 'deleted') {
+            const before = this.searchResults.length;
+            this.searchResults = this.searchResults.filter(result => !affects(result, change.path));
+            updated = this.searchResults.length !== before;
+        } else if (change.type === 'renamed') {
+            for (const result of this.searchResults) {
+                if (!affects(result, change.oldPath)) continue;
+                result.path = (change.path + result.path.join('/').slice(change.oldPath.length)).split('/');
+                result.name = result.path[result.path.length - 1];
+                result.folder = result.path.slice(0, -1).join('/');
+                updated = true;
             }
-        } catch (e) {
-            // Directory doesn't exist or can't be read
         }
+
+        if (updated && !this.isSearching) this.displayResults();
     }
 
     addResult(item, folder) {
@@ -403,39 +445,12 @@ class FindFiles extends AppBase {
     }
 
     getFileType(extension) {
-        const types = {
-            'txt': 'Text Document',
-            'md': 'Markdown Document',
-            'png': 'PNG Image',
-            'jpg': 'JPEG Image',
-            'bmp': 'Bitmap Image',
-            'gif': 'GIF Image',
-            'exe': 'Application',
-            'lnk': 'Shortcut',
-            'mp3': 'MP3 Audio',
-            'wav': 'Wave Audio',
-            'log': 'Log File'
-        };
-        return types[extension] || 'File';
+        return FileAssociations.getDescription(extension);
     }
 
     getFileIcon(result) {
         if (result.isDirectory) return '📁';
-
-        const icons = {
-            'txt': '📝',
-            'md': '📝',
-            'png': '🖼️',
-            'jpg': '🖼️',
-            'bmp': '🖼️',
-            'gif': '🖼️',
-            'exe': '⚙️',
-            'lnk': '🔗',
-            'mp3': '🎵',
-            'wav': '🎵',
-            'log': '📋'
-        };
-        return icons[result.extension] || '📄';
+        return FileAssociations.getIcon(result.extension);
     }
 
     formatSize(bytes) {
@@ -496,16 +511,9 @@ class FindFiles extends AppBase {
         if (result.isDirectory) {
             // Open in My Computer
             AppRegistry.launch('mycomputer', { path: result.path });
-        } else {
-            // Open file based on type
-            if (result.extension === 'txt' || result.extension === 'md' || result.extension === 'log') {
-                AppRegistry.launch('notepad', { filePath: result.path });
-            } else if (['png', 'jpg', 'bmp', 'gif'].includes(result.extension)) {
-                AppRegistry.launch('paint', { filePath: result.path });
-            } else {
-                // Try to open parent folder
-                AppRegistry.launch('mycomputer', { path: result.path.slice(0, -1) });
-            }
+        } else if (!FileAssociations.open(result.path, { chooser: false })) {
+            // No program for this type: show the file's folder
+            AppRegistry.launch('mycomputer', { path: result.path.slice(0, -1) });
         }
     }
 
@@ -531,6 +539,10 @@ class FindFiles extends AppBase {
 
     newSearch() {
         this.searchResults = [];
+        if (this.unwatchResults) {
+            this.unwatchResults.forEach(unwatch => unwatch());
+            this.unwatchResults = null;
+        }
         this.getElement('#search-name').value = '';
         this.getElement('#search-content').value = '';
 
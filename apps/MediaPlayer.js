@@ -16,6 +16,7 @@ import EventBus, { Events } from '../core/EventBus.js';
 import SoundSystem from '../features/SoundSystem.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import StorageManager from '../core/StorageManager.js';
+import { FILE_TYPES } from '../core/Constants.js';
 
 class MediaPlayer extends AppBase {
     constructor() {
@@ -27,7 +28,12 @@ class MediaPlayer extends AppBase {
             height: 500,
             resizable: true,
             singleton: true,
-            category: 'multimedia'
+            category: 'multimedia',
+            fileTypes: [
+                { extensions: ['mp3'], description: 'MP3 Audio', icon: '🎵', verbs: ['open'] },
+                { extensions: ['wav'], description: 'Wave Audio', icon: '🎵', verbs: ['open'] },
+                { extensions: FILE_TYPES.AUDIO, description: 'Audio File', icon: '🎵', mimeTypes: ['audio/*'], verbs: ['open'] }
+            ]
         });
 
         // Default playlist with sample tracks (URLs to free audio)
@@ -200,12 +206,30 @@ class MediaPlayer extends AppBase {
         });
     }
 
-    onOpen() {
+    onOpen(params = {}) {
         // Load saved playlist or use default
         const savedPlaylist = StorageManager.get('mediaPlayerPlaylist');
-        const playlist = savedPlaylist || this.defaultPlaylist;
+        const playlist = [...(savedPlaylist || this.defaultPlaylist)];
+        let currentTrack = 0;
+
+        // Files opened from the virtual disk play straight from their bytes
+        if (params.filePath) {
+            const filePath = FileSystemManager.parsePath(params.filePath).join('/');
+            currentTrack = playlist.findIndex(t => t.filePath === filePath);
+            if (currentTrack === -1) {
+                playlist.push({
+                    name: filePath.split('/').pop().replace(/\.[^/.]+$/, ''),
+                    src: filePath,
+                    filePath,
+                    duration: null
+                });
+                currentTrack = playlist.length - 1;
+            }
+        }
+
         this.setInstanceState('playlist', playlist);
-        this.setInstanceState('currentTrack', 0);
+        this.setInstanceState('currentTrack', currentTrack);
+        this.setInstanceState('autoplay', !!params.filePath);
         this.setInstanceState('playing', false);
         this.setInstanceState('currentTime', 0);
         this.setInstanceState('duration', 0);
@@ -323,6 +347,10 @@ class MediaPlayer extends AppBase {
         // Update UI state
         this.updateShuffleButton();
         this.updateRepeatButton();
+
+        if (this.getInstanceState('autoplay')) {
+            this.loadAndPlay(this.getInstanceState('currentTrack'));
+        }
     }
 
     escapeHtml(text) {
@@ -371,7 +399,11 @@ class MediaPlayer extends AppBase {
         this.updatePlaylistHighlight(trackIndex);
 
         try {
-            const audio = new Audio(track.src);
+            const src = track.filePath ? FileSystemManager.getObjectURL(track.filePath) : track.src;
+            if (!src) {
+                throw new Error('File has no playable content');
+            }
+            const audio = new Audio(src);
             audio.volume = this.getInstanceState('volume');
 
             audio.addEventListener('loadedmetadata', () => {
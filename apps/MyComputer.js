@@ -8,6 +8,7 @@ import StateManager from '../core/StateManager.js';
 import AppRegistry from './AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import EventBus, { Events } from '../core/EventBus.js';
+import FileAssociations from '../core/FileAssociations.js';
 import { PATHS } from '../core/Constants.js';
 
 class MyComputer extends AppBase {
@@ -124,19 +125,14 @@ class MyComputer extends AppBase {
                     return { success: false, error: 'File not found' };
                 }
 
-                // Determine app to open file with based on extension
-                const fileName = parsedPath[parsedPath.length - 1];
-                const ext = fileName.split('.').pop()?.toLowerCase();
-
-                let appId = 'notepad'; // Default
-                if (['png', 'jpg', 'jpeg', 'gif', 'bmp'].includes(ext)) {
-                    appId = 'paint';
-                } else if (['mp3', 'wav', 'ogg'].includes(ext)) {
-                    appId = 'mediaplayer';
+                // Use the program associated with the file's type
+                const program = FileAssociations.getProgram(parsedPath);
+                if (!program) {
+                    return { success: false, error: 'No program is associated with this file type' };
                 }
 
-                AppRegistry.launch(appId, { filePath: parsedPath });
-                return { success: true, path: parsedPath, appId };
+                FileAssociations.open(parsedPath);
+                return { success: true, path: parsedPath, appId: program.id };
             } catch (error) {
                 return { success: false, error: error.message };
             }
@@ -507,8 +503,8 @@ class MyComputer extends AppBase {
         // Setup keyboard shortcuts
         this.setupKeyboardShortcuts();
 
-        // Subscribe to filesystem changes for real-time updates
-        this.fsChangeHandler = () => this.refreshView();
+        // Explicit refresh requests; changes to the shown folder arrive through watchCurrentFolder()
+        this.fsChangeHandler = () => this.scheduleRefresh();
         EventBus.on('filesystem:changed', this.fsChangeHandler);
         EventBus.on('filesystem:file:changed', this.fsChangeHandler);
         EventBus.on('filesystem:directory:changed', this.fsChangeHandler);
@@ -640,10 +636,10 @@ class MyComputer extends AppBase {
                 return;
             }
 
-            // Delete - Delete selected item
+            // Delete - Send selected item to the Recycle Bin (Shift+Delete: delete permanently)
             if (e.key === 'Delete' && selectedItem) {
                 e.preventDefault();
-                this.deleteSelectedItem(selectedItem);
+                this.deleteSelectedItem(selectedItem, e.shiftKey);
                 return;
             }
 
@@ -766,21 +762,18 @@ class MyComputer extends AppBase {
         }
     }
 
-    async deleteSelectedItem(item) {
+    async deleteSelectedItem(item, permanent = false) {
         if (!item?.path) return;
-        const { default: SystemDialogs } = await import('../core/SystemDialogs.js');
+        const { default: SystemDialogs } = await import('../features/SystemDialogs.js');
 
-        const confirmed = await SystemDialogs.confirm(
-            `Are you sure you want to send "${item.name}" to the Recycle Bin?`,
-            'Confirm Delete'
-        );
+        const confirmed = await SystemDialogs.confirmDelete(item.name, item.path, permanent);
         if (!confirmed) return;
 
         try {
             if (item.type === 'directory') {
-                FileSystemManager.deleteDirectory(item.path, true);
+                FileSystemManager.deleteDirectory(item.path, true, { permanent });
             } else {
-                FileSystemManager.deleteFile(item.path);
+                FileSystemManager.deleteFile(item.path, { permanent });
             }
             EventBus.emit('filesystem:changed');
             EventBus.emit(Events.SOUND_PLAY, { type: 'recycle' });
@@ -1052,26 +1045,7 @@ class MyComputer extends AppBase {
      * Get the appropriate icon for a file extension
      */
     getFileIcon(extension) {
-        const iconMap = {
-            'txt': '📝',
-            'md': '📝',
-            'log': '📋',
-            'json': '📋',
-            'js': '📜',
-            'css': '🎨',
-            'html': '🌐',
-            'png': '🖼️',
-            'jpg': '🖼️',
-            'jpeg': '🖼️',
-            'bmp': '🖼️',
-            'gif': '🖼️',
-            'mp3': '🎵',
-            'wav': '🎵',
-            'ogg': '🎵',
-            'lnk': '🔗',
-            'exe': '⚙️'
-        };
-        return iconMap[extension] || '📄';
+        return FileAssociations.getIcon(extension);
     }
 
     /**
@@ -1223,6 +1197,7 @@ class MyComputer extends AppBase {
             };
 
             FileSystemManager.saveFileSystem();
+            FileSystemManager.notifyWatchers('created', filePath, { itemType: 'file' });
             console.log(`Created shortcut ${fileName} in ${targetPath.join('/')}`);
         } catch (err) {
             console.error('Failed to create shortcut file:', err);
@@ -1276,18 +1251,21 @@ class MyComputer extends AppBase {
                 const totalGB = totalBytes / (1024 * 1024 * 1024);
 
                 // Check if drive is empty
-                const contents = FileSystemManager.listDirectory([item.name]);
-                const isEmpty = contents.length === 0;
+                const contents = FileSystemManager.listDirectory([item.name], false, { includeHidden: true });
+                const media = FileSystemManager.getMedia(item.name);
+                const isEmpty = contents.length === 0 && !media;
 
                 drives.push({
                     id: item.name.toLowerCase().replace(':', ''),
                     letter: item.name,
-                    label: item.label || 'Local Disk',
+                    // A mounted disk shows its volume label, like Windows does
+                    label: media?.label || item.label || 'Local Disk',
                     icon: icon,
                     type: type,
                     used: totalGB,
                     total: type === 'hard' ? 10 : 0.65,
-                    isEmpty: isEmpty
+                    isEmpty: isEmpty,
+                    media: media
                 });
             }
         }
@@ -1345,6 +1323,9 @@ class MyComputer extends AppBase {
                                 There is no disk in the drive.<br>
                                 Please insert a disk into drive ${drive.letter}
                             </div>
+                            <div style="font-size: 12px; color: #888; margin-top: 10px;">
+                                Right-click the drive in My Computer and choose Mount Image.
+                            </div>
                         </div>
                     `;
                 }
@@ -1360,6 +1341,7 @@ class MyComputer extends AppBase {
                                     <h3>${drive.label} (${drive.letter})</h3>
                                     <p>Type: ${drive.type === 'hard' ? 'Local Disk' : 'Removable Disk'}</p>
                                     <p>File System: FAT32</p>
+                                    ${drive.media ? `<p>Image: ${drive.media.image}${drive.media.readOnly ? ' (read-only)' : ''}</p>` : ''}
                                 </div>
                             </div>
                             <div style="margin-top: 15px;">
@@ -1438,6 +1420,8 @@ class MyComputer extends AppBase {
                         icon = '🎵';
                     } else if (item.extension === 'png' || item.extension === 'jpg' || item.extension === 'bmp') {
                         icon = '🖼️';
+                    } else if (item.extension === 'zip') {
+                        icon = '🗜️';
                     }
                 }
 
@@ -1975,18 +1959,15 @@ class MyComputer extends AppBase {
         const filePath = [...currentPath, fileName];
 
         try {
-            const fileInfo = FileSystemManager.getInfo(filePath);
-
-            // Determine which app to use based on file extension
-            if (fileInfo.extension === 'txt' || fileInfo.extension === 'md' || fileInfo.extension === 'log') {
-                // Open in Notepad
-                AppRegistry.launch('notepad', { filePath });
-            } else if (fileInfo.extension === 'png' || fileInfo.extension === 'jpg' || fileInfo.extension === 'bmp') {
-                // Open in Paint
-                AppRegistry.launch('paint', { filePath });
-            } else {
-                console.log('No app registered for this file type:', fileInfo.extension);
-            }
+            // Open with the program for the file's type; ZIP files browse in this window
+            const windowId = this.getCurrentWindowId();
+            FileAssociations.open(filePath, {
+                browse: (path) => {
+                    if (!this.openWindows.has(windowId)) return;
+                    this._currentWindowId = windowId;
+                    this.navigateToPath(path);
+                }
+            });
         } catch (e) {
             console.error('Error opening file:', e);
         }
@@ -2057,8 +2038,46 @@ class MyComputer extends AppBase {
         this.refreshView();
     }
 
+    /**
+     * Refresh once after the current batch of changes
+     */
+    scheduleRefresh() {
+        if (this.getInstanceState('refreshPending')) return;
+        this.setInstanceState('refreshPending', true, false);
+
+        const windowId = this.getCurrentWindowId();
+        setTimeout(() => {
+            if (!this.openWindows.has(windowId)) return;
+            this._currentWindowId = windowId;
+            this.setInstanceState('refreshPending', false, false);
+
+            // Step up if the folder being shown was deleted or renamed away
+            let currentPath = this.getInstanceState('currentPath') || [];
+            while (currentPath.length > 0 && !FileSystemManager.exists(currentPath)) {
+                currentPath = currentPath.slice(0, -1);
+            }
+            this.setInstanceState('currentPath', currentPath);
+
+            this.refreshView();
+        }, 0);
+    }
+
+    /**
+     * Watch the folder being shown so only its changes trigger a refresh
+     * @param {string[]} path - Folder path ([] for My Computer)
+     */
+    watchCurrentFolder(path) {
+        const key = path.join('/');
+        if (this.getInstanceState('watchedPath') === key) return;
+
+        this.getInstanceState('unwatchFolder')?.();
+        this.setInstanceState('watchedPath', key, false);
+        this.setInstanceState('unwatchFolder', this.watchPath(path, {}, () => this.scheduleRefresh()), false);
+    }
+
     refreshView() {
         const currentPath = this.getInstanceState('currentPath') || [];
+        this.watchCurrentFolder(currentPath);
         const content = this.getElement('#content');
         const addressBar = this.getElement('#address-bar');
         const backBtn = this.getElement('#back-btn');
@@ -17,7 +17,17 @@ class Notepad extends AppBase {
             icon: '📝',
             width: 600,
             height: 500,
-            category: 'accessories'
+            category: 'accessories',
+            fileTypes: [
+                { extensions: ['txt', 'log', 'ini', 'cfg'], description: 'Text Document', icon: '📝', mimeTypes: ['text/*'], verbs: ['open', 'edit'] },
+                { extensions: ['md'], description: 'Markdown Document', icon: '📝', verbs: ['open', 'edit'] },
+                { extensions: ['json'], description: 'JSON File', icon: '📋', verbs: ['open', 'edit'] },
+                { extensions: ['js'], description: 'JavaScript File', icon: '📜', verbs: ['open', 'edit'] },
+                { extensions: ['css'], description: 'Style Sheet', icon: '🎨', verbs: ['open', 'edit'] },
+                { extensions: ['html', 'htm'], description: 'HTML Document', icon: '🌐', verbs: ['open', 'edit'] },
+                // Scripts run in the Terminal; Notepad only edits them
+                { extensions: ['retro', 'bat'], verbs: ['edit'] }
+            ]
         });
 
         this.storageKey = 'notepadContent';
@@ -33,6 +43,7 @@ class Notepad extends AppBase {
             try {
                 content = FileSystemManager.readFile(filePath);
                 fileName = filePath[filePath.length - 1];
+                this.setInstanceState('savedContent', content, false);
                 this.setInstanceState('currentFile', filePath);
                 this.setInstanceState('fileName', fileName);
             } catch (e) {
@@ -130,11 +141,94 @@ class Notepad extends AppBase {
             this.getElement('#notepadText')?.focus();
         }, 100);
 
+        // Notice edits made to the open file from elsewhere
+        this.watchCurrentFile();
+
         // ===== SCRIPTING SUPPORT =====
         // Register command handlers for scripting automation
         this._registerScriptingCommands();
     }
 
+    /**
+     * (Re)start watching the open file, e.g. after Open or Save As
+     */
+    watchCurrentFile() {
+        this.getInstanceState('unwatchFile')?.();
+        this.setInstanceState('unwatchFile', null, false);
+
+        const currentFile = this.getInstanceState('currentFile');
+        if (!currentFile) return;
+
+        const unwatch = this.watchPath(currentFile, {}, (change) => this.handleExternalChange(change));
+        this.setInstanceState('unwatchFile', unwatch, false);
+    }
+
+    /**
+     * Write the editor content, remembering it so our own save isn't
+     * mistaken for an external edit
+     */
+    writeToFile(path, content, extension) {
+        this.setInstanceState('savedContent', content, false);
+        FileSystemManager.writeFile(path, content, extension);
+    }
+
+    /**
+     * React to the open file changing on disk
+     * @param {Object} change - { type, path, oldPath, remote } from FileSystemManager.watch
+     */
+    async handleExternalChange(change) {
+        const currentFile = this.getInstanceState('currentFile');
+        const textarea = this.getElement('#notepadText');
+        if (!currentFile || !textarea) return;
+
+        const currentPath = currentFile.join('/');
+
+        if (change.type === 'renamed') {
+            // Follow the file (or a folder above it) to its new name
+            if (!change.oldPath || !currentPath.toLowerCase().startsWith(change.oldPath.toLowerCase())) return;
+            const newPath = (change.path + currentPath.slice(change.oldPath.length)).split('/');
+            this.setInstanceState('currentFile', newPath);
+            this.setInstanceState('fileName', newPath[newPath.length - 1]);
+            this.updateTitle(newPath[newPath.length - 1]);
+            this.updateFilePathDisplay();
+            this.watchCurrentFile();
+            return;
+        }
+
+        const source = change.remote ? 'in another window' : 'by another program';
+
+        if (change.type === 'deleted') {
+            this.alert(`⚠️ ${currentFile[currentFile.length - 1]} was deleted${change.remote ? ' ' + source : ''}. Save to keep it.`);
+            return;
+        }
+
+        if (change.type !== 'modified' && change.type !== 'created') return;
+
+        let content;
+        try {
+            content = FileSystemManager.readFile(currentFile);
+        } catch (e) {
+            return;
+        }
+
+        const savedContent = this.getInstanceState('savedContent');
+        if (content === savedContent) return;
+
+        // Reload silently unless there are unsaved edits that would be lost
+        const hasEdits = textarea.value !== savedContent;
+        this.setInstanceState('savedContent', content, false);
+        if (hasEdits) {
+            const reload = await SystemDialogs.confirm(
+                `${currentFile[currentFile.length - 1]} has been changed ${source}.\n\nReload it and lose your changes?`,
+                'Notepad'
+            );
+            if (!reload) return;
+        }
+
+        textarea.value = content;
+        this.emitAppEvent('fileReloaded', { path: currentPath });
+    }
+
     /**
      * Register commands and queries for scripting support
      * Enables scripts to control Notepad via semantic events
@@ -180,11 +274,13 @@ class Notepad extends AppBase {
                 const textarea = this.getElement('#notepadText');
                 if (textarea) {
                     try {
-                        FileSystemManager.writeFile(payload.path, textarea.value);
-                        this.setInstanceState('currentFile', payload.path);
-                        this.setInstanceState('fileName', payload.path.split('/').pop());
+                        this.writeToFile(payload.path, textarea.value);
+                        const pathArray = Array.isArray(payload.path) ? payload.path : payload.path.split('/');
+                        this.setInstanceState('currentFile', pathArray);
+                        this.setInstanceState('fileName', pathArray[pathArray.length - 1]);
                         this.updateTitle(this.getInstanceState('fileName'));
                         this.updateFilePathDisplay();
+                        this.watchCurrentFile();
                         this.emitAppEvent('saved', { path: payload.path });
                         return { success: true, path: payload.path };
                     } catch (e) {
@@ -207,10 +303,12 @@ class Notepad extends AppBase {
                         textarea.value = content;
                         const pathArray = Array.isArray(payload.path) ? payload.path : payload.path.split('/');
                         const fileName = pathArray[pathArray.length - 1];
+                        this.setInstanceState('savedContent', content, false);
                         this.setInstanceState('currentFile', pathArray);
                         this.setInstanceState('fileName', fileName);
                         this.updateTitle(fileName);
                         this.updateFilePathDisplay();
+                        this.watchCurrentFile();
                         this.emitAppEvent('fileOpened', { path: payload.path, content });
                         return { success: true, path: payload.path, length: content.length };
                     }
@@ -286,10 +384,12 @@ class Notepad extends AppBase {
                 textarea.value = content;
             }
 
+            this.setInstanceState('savedContent', content, false);
             this.setInstanceState('currentFile', result.fullPath);
             this.setInstanceState('fileName', fileName);
             this.updateTitle(fileName);
             this.updateFilePathDisplay();
+            this.watchCurrentFile();
             this.alert('📂 File opened!');
         } catch (e) {
             await SystemDialogs.alert(`Error opening file: ${e.message}`, 'Error', 'error');
@@ -305,7 +405,7 @@ class Notepad extends AppBase {
         if (currentFile) {
             // Save to existing file
             try {
-                FileSystemManager.writeFile(currentFile, textarea.value);
+                this.writeToFile(currentFile, textarea.value);
                 this.alert('💾 File saved!');
                 // Emit saved event for script handlers
                 const pathString = Array.isArray(currentFile) ? currentFile.join('/') : currentFile;
@@ -360,12 +460,13 @@ class Notepad extends AppBase {
             const extension = fileName.substring(fileName.lastIndexOf('.') + 1);
 
             const fullPath = [...result.path, fileName];
-            FileSystemManager.writeFile(fullPath, textarea.value, extension);
+            this.writeToFile(fullPath, textarea.value, extension);
 
             this.setInstanceState('currentFile', fullPath);
             this.setInstanceState('fileName', fileName);
             this.updateTitle(fileName);
             this.updateFilePathDisplay();
+            this.watchCurrentFile();
             this.alert('💾 File saved to ' + fullPath.join('/'));
             // Emit saved event for script handlers
             this.emitAppEvent('saved', { path: fullPath.join('/') });
@@ -396,6 +497,7 @@ class Notepad extends AppBase {
         // Reset file state - this is now a NEW untitled document
         this.setInstanceState('currentFile', null);
         this.setInstanceState('fileName', 'Untitled');
+        this.watchCurrentFile();
 
         // Clear textarea
         if (textarea) {
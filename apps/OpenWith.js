@@ -0,0 +1,180 @@
+/**
+ * Open With - Choose the program that opens a file
+ * Shown by FileAssociations.openWith(), from the "Open With..." context menu
+ * item and for files whose type no program handles.
+ */
+
+import AppBase from './AppBase.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import FileAssociations from '../core/FileAssociations.js';
+import * as Path from '../core/fs/Path.js';
+
+class OpenWith extends AppBase {
+    constructor() {
+        super({
+            id: 'openwith',
+            name: 'Open With',
+            icon: '📂',
+            width: 360,
+            height: 420,
+            resizable: false,
+            singleton: false,
+            category: 'system',
+            showInMenu: false
+        });
+    }
+
+    onOpen(params = {}) {
+        const filePath = params.filePath ? FileSystemManager.parsePath(params.filePath) : [];
+        const fileName = filePath[filePath.length - 1] || '';
+        const extension = FileAssociations.normalize(Path.extname(fileName));
+        const { recommended, other } = FileAssociations.getPrograms(filePath);
+        const current = FileAssociations.getProgram(filePath);
+
+        // currentFile lets a second Open With for the same file focus this window
+        this.setInstanceState('currentFile', filePath);
+        this.setInstanceState('extension', extension);
+        this.setInstanceState('selected', current?.id || recommended[0]?.id || null);
+
+        const renderProgram = (program) => `
+            <div class="openwith-program ${program.id === this.getInstanceState('selected') ? 'selected' : ''}" data-program="${program.id}">
+                <span class="openwith-program-icon">${program.icon}</span>
+                <span>${this.escapeHtml(program.name)}</span>
+            </div>
+        `;
+
+        return `
+            <style>
+                .openwith-app {
+                    display: flex;
+                    flex-direction: column;
+                    height: 100%;
+                    background: #c0c0c0;
+                    font-size: 11px;
+                    padding: 10px;
+                    box-sizing: border-box;
+                    gap: 8px;
+                }
+                .openwith-header {
+                    display: flex;
+                    gap: 10px;
+                    align-items: center;
+                }
+                .openwith-header-icon {
+                    font-size: 32px;
+                }
+                .openwith-list {
+                    flex: 1;
+                    background: white;
+                    border: 2px inset #fff;
+                    overflow-y: auto;
+                }
+                .openwith-group {
+                    padding: 3px 6px;
+                    color: #808080;
+                    border-bottom: 1px solid #e0e0e0;
+                }
+                .openwith-program {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 3px 8px;
+                    cursor: pointer;
+                }
+                .openwith-program:hover {
+                    background: #e0e0ff;
+                }
+                .openwith-program.selected {
+                    background: #000080;
+                    color: white;
+                }
+                .openwith-program-icon {
+                    font-size: 16px;
+                }
+                .openwith-check {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                }
+                .openwith-footer {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                }
+                .openwith-btn {
+                    padding: 4px 16px;
+                    background: #c0c0c0;
+                    border: 2px outset #fff;
+                    cursor: pointer;
+                    min-width: 70px;
+                }
+                .openwith-btn:active {
+                    border-style: inset;
+                }
+            </style>
+            <div class="openwith-app">
+                <div class="openwith-header">
+                    <span class="openwith-header-icon">${FileAssociations.getIcon(extension)}</span>
+                    <span>Click the program you want to use to open the file '<b>${this.escapeHtml(fileName)}</b>'.</span>
+                </div>
+                <div class="openwith-list">
+                    ${recommended.length > 0 ? `<div class="openwith-group">Recommended Programs</div>${recommended.map(renderProgram).join('')}` : ''}
+                    ${other.length > 0 ? `<div class="openwith-group">Other Programs</div>${other.map(renderProgram).join('')}` : ''}
+                </div>
+                <label class="openwith-check">
+                    <input type="checkbox" id="openwith-always" ${extension ? '' : 'disabled'}>
+                    Always use this program to open ${extension ? `.${this.escapeHtml(extension)} files` : 'this kind of file'}
+                </label>
+                <div class="openwith-footer">
+                    <button class="openwith-btn" id="openwith-ok">OK</button>
+                    <button class="openwith-btn" id="openwith-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    onMount() {
+        const programs = this.getElements('.openwith-program');
+        programs.forEach(item => {
+            this.addHandler(item, 'click', () => {
+                programs.forEach(other => other.classList.remove('selected'));
+                item.classList.add('selected');
+                this.setInstanceState('selected', item.dataset.program);
+            });
+            this.addHandler(item, 'dblclick', () => this.openFile());
+        });
+
+        this.addHandler(this.getElement('#openwith-ok'), 'click', () => this.openFile());
+        this.addHandler(this.getElement('#openwith-cancel'), 'click', () => this.close());
+    }
+
+    /**
+     * Open the file with the selected program, remembering it if asked
+     */
+    openFile() {
+        const programId = this.getInstanceState('selected');
+        const filePath = this.getInstanceState('currentFile');
+        if (!programId) {
+            this.alert('Select a program to open the file with.');
+            return;
+        }
+
+        const extension = this.getInstanceState('extension');
+        if (extension && this.getElement('#openwith-always')?.checked) {
+            FileAssociations.setProgram(extension, 'open', programId);
+            FileAssociations.setDefaultVerb(extension, 'open');
+        }
+
+        this.close();
+        FileAssociations.open(filePath, { program: programId, chooser: false });
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+export default OpenWith;
@@ -16,7 +16,13 @@ class Paint extends AppBase {
             width: 830,
             height: 625,
             resizable: true,
-            singleton: false // Allow multiple Paint windows for working on multiple images
+            singleton: false, // Allow multiple Paint windows for working on multiple images
+            fileTypes: [
+                { extensions: ['png'], description: 'PNG Image', icon: '🖼️', verbs: ['open', 'edit'] },
+                { extensions: ['jpg', 'jpeg'], description: 'JPEG Image', icon: '🖼️', verbs: ['open', 'edit'] },
+                { extensions: ['bmp'], description: 'Bitmap Image', icon: '🖼️', mimeTypes: ['image/*'], verbs: ['open', 'edit'] },
+                { extensions: ['gif'], description: 'GIF Image', icon: '🖼️', verbs: ['open', 'edit'] }
+            ]
         });
 
         this.ctx = null;
@@ -517,17 +523,27 @@ class Paint extends AppBase {
 
     loadImageFromFile(filePath) {
         try {
-            const content = FileSystemManager.readFile(filePath);
             const canvas = this.getElement('#paintCanvas');
             if (!canvas) return;
 
-            // Validate content is a data URL
-            if (typeof content !== 'string') {
-                throw new Error('Invalid file content - expected image data');
-            }
+            let content;
+            if (FileSystemManager.isBinaryFile(filePath)) {
+                // Binary images load straight from their bytes
+                if (!FileSystemManager.getMimeType(filePath).startsWith('image/')) {
+                    throw new Error('Invalid image format - file is not a valid image');
+                }
+                content = FileSystemManager.getObjectURL(filePath);
+            } else {
+                // Older saves store the image as a data URL string
+                content = FileSystemManager.readFile(filePath);
+
+                if (typeof content !== 'string') {
+                    throw new Error('Invalid file content - expected image data');
+                }
 
-            if (!content.startsWith('data:image/')) {
-                throw new Error('Invalid image format - file is not a valid image');
+                if (!content.startsWith('data:image/')) {
+                    throw new Error('Invalid image format - file is not a valid image');
+                }
             }
 
             const img = new Image();
@@ -580,15 +596,32 @@ class Paint extends AppBase {
         }
     }
 
-    saveImage() {
+    /**
+     * Encode the canvas as PNG bytes
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<Blob>}
+     */
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode image'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    async saveImage() {
         const currentFile = this.getInstanceState('currentFile');
 
         if (currentFile) {
             // Save to existing file
             try {
                 const canvas = this.getElement('#paintCanvas');
-                const dataURL = canvas.toDataURL('image/png');
-                FileSystemManager.writeFile(currentFile, dataURL, 'png');
+                const blob = await this.canvasToBlob(canvas);
+                await FileSystemManager.writeFileBlob(currentFile, blob);
                 this.alert('💾 Image saved!');
             } catch (e) {
                 this.alert(`Error saving image: ${e.message}`);
@@ -624,8 +657,8 @@ class Paint extends AppBase {
             }
 
             const canvas = this.getElement('#paintCanvas');
-            const dataURL = canvas.toDataURL('image/png');
-            FileSystemManager.writeFile(parsedPath, dataURL, 'png');
+            const blob = await this.canvasToBlob(canvas);
+            await FileSystemManager.writeFileBlob(parsedPath, blob);
 
             this.setInstanceState('currentFile', parsedPath);
             this.setInstanceState('fileName', fileName);
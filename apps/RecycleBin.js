@@ -1,6 +1,7 @@
 /**
  * Recycle Bin - Deleted Items Manager
- * View and restore deleted desktop icons
+ * View and restore deleted desktop icons, and files and folders kept in
+ * C:/RECYCLED by FileSystemManager (see getRecycledItems)
  */
 
 import AppBase from './AppBase.js';
@@ -23,7 +24,7 @@ class RecycleBin extends AppBase {
     }
 
     onOpen() {
-        const recycledItems = StateManager.getState('recycledItems') || [];
+        const recycledItems = this.getItems();
 
         return `
             <style>
@@ -339,7 +340,8 @@ class RecycleBin extends AppBase {
         if (item.type === 'recycled_file' && item.originalPath) {
             const path = item.originalPath.join('\\');
             const date = item.deletedAt ? new Date(item.deletedAt).toLocaleDateString() : 'Unknown';
-            return `Original: ${path} • Deleted: ${date}`;
+            const size = item.size !== undefined ? ` • Size: ${FileSystemManager.formatSize(item.size)}` : '';
+            return `Original: ${path} • Deleted: ${date}${size}`;
         } else if (item.url) {
             return `Type: ${item.type || 'link'} • URL: ${item.url}`;
         } else {
@@ -386,7 +388,7 @@ class RecycleBin extends AppBase {
 
     setupItemHandlers() {
         const items = this.getElements('.recyclebin-item, .recyclebin-list-item');
-        const recycledItems = StateManager.getState('recycledItems') || [];
+        const recycledItems = this.getItems();
 
         items.forEach(item => {
             const index = parseInt(item.dataset.index);
@@ -430,6 +432,7 @@ class RecycleBin extends AppBase {
                 if (recycledItem.type === 'recycled_file') {
                     e.dataTransfer.setData('application/retros-restore-file', JSON.stringify({
                         index: index,
+                        recycleId: recycledItem.recycleId,
                         originalPath: recycledItem.originalPath,
                         content: recycledItem.content,
                         fileType: recycledItem.fileType,
@@ -530,38 +533,7 @@ class RecycleBin extends AppBase {
                 return;
             }
 
-            // Read file content before deleting
-            let content = '';
-            let extension = fileData.extension || '';
-
-            if (fileData.fileType !== 'directory') {
-                try {
-                    content = FileSystemManager.readFile(fileData.filePath);
-                    const info = FileSystemManager.getInfo(fileData.filePath);
-                    extension = info.extension || extension;
-                } catch (e) {
-                    // File might not be readable
-                }
-            }
-
-            // Add to recycled items
-            const recycledItem = {
-                id: `recycled_file_${Date.now()}`,
-                label: fileData.fileName,
-                emoji: this.getFileEmoji(fileData.fileType, extension),
-                type: 'recycled_file',
-                originalPath: fileData.filePath,
-                fileType: fileData.fileType,
-                extension: extension,
-                content: content,
-                deletedAt: Date.now()
-            };
-
-            const recycledItems = StateManager.getState('recycledItems') || [];
-            recycledItems.push(recycledItem);
-            StateManager.setState('recycledItems', recycledItems, true);
-
-            // Delete from filesystem
+            // FileSystemManager moves the item into C:/RECYCLED
             if (fileData.fileType === 'directory') {
                 try {
                     FileSystemManager.deleteDirectory(fileData.filePath, true);
@@ -635,13 +607,23 @@ class RecycleBin extends AppBase {
     }
 
     restoreItem(index) {
-        const recycledItems = StateManager.getState('recycledItems');
+        const recycledItems = this.getItems();
         if (index < 0 || index >= recycledItems.length) return;
 
         const item = recycledItems[index];
 
-        // Check if this is a recycled file (from filesystem)
-        if (item.type === 'recycled_file' && item.originalPath) {
+        if (item.recycleId !== undefined) {
+            // File or folder kept in C:/RECYCLED
+            try {
+                FileSystemManager.restoreRecycled(item.recycleId);
+                EventBus.emit('filesystem:changed');
+            } catch (err) {
+                console.error('[RecycleBin] Failed to restore file:', err);
+                this.alert(`Failed to restore "${item.label}": ${err.message}`);
+                return;
+            }
+        } else if (item.type === 'recycled_file' && item.originalPath) {
+            // Older entries that kept the file content in state
             this.restoreFileItem(item, index);
         } else {
             // Restore app/link icon to desktop
@@ -695,15 +677,19 @@ class RecycleBin extends AppBase {
     }
 
     async deleteItem(index) {
-        const recycledItems = StateManager.getState('recycledItems');
+        const recycledItems = this.getItems();
         if (index < 0 || index >= recycledItems.length) return;
 
         const item = recycledItems[index];
 
         if (await this.confirm(`Permanently delete "${item.label}"?\n\nThis cannot be undone.`, 'Confirm Delete')) {
             // Remove from recycle bin
-            const newRecycledItems = recycledItems.filter((_, i) => i !== index);
-            StateManager.setState('recycledItems', newRecycledItems, true);
+            if (item.recycleId !== undefined) {
+                FileSystemManager.deleteRecycled(item.recycleId);
+            } else {
+                const stateItems = StateManager.getState('recycledItems');
+                StateManager.setState('recycledItems', stateItems.filter((_, i) => i !== index), true);
+            }
 
             // Refresh view
             this.refreshView();
@@ -713,12 +699,13 @@ class RecycleBin extends AppBase {
     }
 
     async emptyRecycleBin() {
-        const recycledItems = StateManager.getState('recycledItems');
+        const recycledItems = this.getItems();
         if (recycledItems.length === 0) return;
 
         if (await this.confirm(`Empty the Recycle Bin?\n\nThis will permanently delete all ${recycledItems.length} item(s).\n\nThis cannot be undone.`, 'Empty Recycle Bin')) {
             // Clear recycle bin
             StateManager.setState('recycledItems', [], true);
+            FileSystemManager.emptyRecycleBin();
 
             // Refresh view
             this.refreshView();
@@ -727,8 +714,30 @@ class RecycleBin extends AppBase {
         }
     }
 
+    /**
+     * Everything in the bin: recycled desktop icons (StateManager) first,
+     * then files and folders from C:/RECYCLED, oldest first
+     * @returns {object[]}
+     */
+    getItems() {
+        const iconItems = StateManager.getState('recycledItems') || [];
+        const fileItems = FileSystemManager.getRecycledItems().map(entry => ({
+            id: `recycled_fs_${entry.id}`,
+            recycleId: entry.id,
+            label: entry.name,
+            emoji: this.getFileEmoji(entry.type, entry.extension),
+            type: 'recycled_file',
+            originalPath: FileSystemManager.parsePath(entry.originalPath),
+            fileType: entry.type,
+            extension: entry.extension,
+            size: entry.size,
+            deletedAt: Date.parse(entry.deletedAt)
+        }));
+        return [...iconItems, ...fileItems];
+    }
+
     refreshView() {
-        const recycledItems = StateManager.getState('recycledItems') || [];
+        const recycledItems = this.getItems();
         const content = this.getElement('#content');
         const statusText = this.getElement('#status-text');
         const emptyBtn = this.getElement('#empty-btn');
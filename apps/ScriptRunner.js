@@ -9,6 +9,7 @@
 import AppBase from './AppBase.js';
 import EventBus from '../core/EventBus.js';
 import ScriptEngine from '../core/script/ScriptEngine.js';
+import { isScriptFunction } from '../core/script/interpreter/ScriptFunction.js';
 import CommandBus from '../core/CommandBus.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 
@@ -30,9 +31,13 @@ class ScriptRunner extends AppBase {
         this.isRecording = false;
         this.maxLogEntries = 200;
         this.errorLine = null;
-        this.breakpoints = new Set();
+        // Debugger: line -> condition (null = always break), watch expressions,
+        // and what the engine reported at the last stop
+        this.breakpoints = new Map();
+        this.watches = [];
         this.isDebugging = false;
         this.currentDebugLine = null;
+        this.debugState = null;
         this.findVisible = false;
 
         // File management
@@ -2108,6 +2113,27 @@ notify RetroScript Test Suite Complete!`;
                     </button>
                     <span class="toolbar-divider"></span>
 
+                    <!-- Debugging -->
+                    <button class="script-btn debug-btn" id="debugBtn" title="Debug Script - stops at breakpoints (F6)">
+                        <span class="btn-icon">🐞</span> Debug
+                    </button>
+                    <button class="script-btn" id="continueBtn" title="Continue (F5)" disabled>
+                        <span class="btn-icon">⏵</span> Continue
+                    </button>
+                    <button class="script-btn" id="pauseBtn" title="Pause (F6)" disabled>
+                        <span class="btn-icon">⏸</span> Pause
+                    </button>
+                    <button class="script-btn" id="stepOverBtn" title="Step Over (F10)" disabled>
+                        <span class="btn-icon">↷</span> Over
+                    </button>
+                    <button class="script-btn" id="stepIntoBtn" title="Step Into (F11)" disabled>
+                        <span class="btn-icon">↓</span> Into
+                    </button>
+                    <button class="script-btn" id="stepOutBtn" title="Step Out (Shift+F11)" disabled>
+                        <span class="btn-icon">↑</span> Out
+                    </button>
+                    <span class="toolbar-divider"></span>
+
                     <!-- Recording -->
                     <button class="script-btn record-btn" id="recordBtn" title="Record Events as Code - Capture your actions!">
                         <span class="btn-icon">⏺</span> Record
@@ -2179,7 +2205,10 @@ environment for RetroOS automation and development.
   - Click "Tests" to load the comprehensive test suite
 
 <span class="success">Keyboard Shortcuts:</span>
-  F5          Run script
+  F5          Run script (Continue when paused)
+  F6          Debug script (Pause while debugging)
+  F9          Toggle breakpoint on the current line
+  F10 / F11   Step over / Step into (Shift+F11: Step out)
   Esc         Stop script / Close dialogs
   Ctrl+S      Save script
   Ctrl+O      Open script
@@ -2291,6 +2320,20 @@ Type your script or click "Help" for full reference.
                     background: #E6E6FA;
                 }
 
+                .script-btn.debug-btn {
+                    background: #FFFACD;
+                }
+
+                .script-btn.debug-btn:hover {
+                    background: #F0E68C;
+                }
+
+                .script-btn:disabled {
+                    color: #808080;
+                    cursor: default;
+                    border-style: outset;
+                }
+
                 .script-btn.test-btn:hover {
                     background: #D8BFD8;
                 }
@@ -2646,6 +2689,57 @@ Type your script or click "Help" for full reference.
                     font-weight: bold;
                 }
 
+                /* Breakpoints and the paused line in the gutter */
+                .line-numbers {
+                    cursor: pointer;
+                }
+
+                .gutter-line {
+                    display: block;
+                }
+
+                .gutter-line.bp {
+                    background: #a1260d;
+                    color: #fff;
+                }
+
+                .gutter-line.bp-conditional {
+                    background: #b5651d;
+                    color: #fff;
+                }
+
+                .gutter-line.debug-current {
+                    background: #ffcc00;
+                    color: #000;
+                }
+
+                .gutter-line.debug-current::before {
+                    content: '▶';
+                    float: left;
+                }
+
+                /* Debugger state in the Variables tab */
+                .debug-heading {
+                    color: #87ceeb;
+                    margin: 10px 0 4px;
+                }
+
+                .debug-frame.current {
+                    color: #ffcc00;
+                }
+
+                .watch-error {
+                    color: #f48771;
+                }
+
+                .watch-remove {
+                    background: none;
+                    border: none;
+                    color: #f48771;
+                    cursor: pointer;
+                    padding: 0 4px;
+                }
+
                 /* Copy button for recorded code */
                 .copy-btn {
                     float: right;
@@ -2683,6 +2777,27 @@ Type your script or click "Help" for full reference.
         // Stop script
         this.addHandler(stopBtn, 'click', () => this.stopScript());
 
+        // Debugger
+        this.addHandler(this.getElement('#debugBtn'), 'click', () => this.runScript({ debug: true }));
+        this.addHandler(this.getElement('#continueBtn'), 'click', () => this.debugCommand('continue'));
+        this.addHandler(this.getElement('#pauseBtn'), 'click', () => this.pauseDebugging());
+        this.addHandler(this.getElement('#stepOverBtn'), 'click', () => this.debugCommand('stepOver'));
+        this.addHandler(this.getElement('#stepIntoBtn'), 'click', () => this.debugCommand('stepInto'));
+        this.addHandler(this.getElement('#stepOutBtn'), 'click', () => this.debugCommand('stepOut'));
+
+        // Gutter: click toggles a breakpoint, right-click sets its condition
+        const lineNumbers = this.getElement('#lineNumbers');
+        this.addHandler(lineNumbers, 'click', (e) => {
+            const line = e.target.closest('[data-line]');
+            if (line) this.toggleBreakpoint(Number(line.dataset.line));
+        });
+        this.addHandler(lineNumbers, 'contextmenu', (e) => {
+            const line = e.target.closest('[data-line]');
+            if (!line) return;
+            e.preventDefault();
+            this.editBreakpointCondition(Number(line.dataset.line));
+        });
+
         // Clear output
         this.addHandler(clearBtn, 'click', () => this.clearOutput());
 
@@ -2749,10 +2864,29 @@ Type your script or click "Help" for full reference.
 
         // Keyboard shortcuts
         this.addHandler(editor, 'keydown', (e) => {
-            // F5 - Run
+            // F5 - Run, or Continue when paused in the debugger
             if (e.key === 'F5') {
                 e.preventDefault();
-                this.runScript();
+                this.debugState ? this.debugCommand('continue') : this.runScript();
+            }
+            // F6 - Debug, or Pause while debugging
+            if (e.key === 'F6') {
+                e.preventDefault();
+                this.isDebugging ? this.pauseDebugging() : this.runScript({ debug: true });
+            }
+            // F9 - Toggle breakpoint on the cursor's line
+            if (e.key === 'F9') {
+                e.preventDefault();
+                this.toggleBreakpoint(editor.value.substring(0, editor.selectionStart).split('\n').length);
+            }
+            // F10 / F11 / Shift+F11 - Step over / into / out
+            if (e.key === 'F10') {
+                e.preventDefault();
+                this.debugCommand('stepOver');
+            }
+            if (e.key === 'F11') {
+                e.preventDefault();
+                this.debugCommand(e.shiftKey ? 'stepOut' : 'stepInto');
             }
             // F1 - Help
             if (e.key === 'F1') {
@@ -2843,7 +2977,12 @@ Type your script or click "Help" for full reference.
         });
     }
 
-    async runScript() {
+    /**
+     * Run the script in the editor
+     * @param {Object} [options]
+     * @param {boolean} [options.debug] - Stop at breakpoints and allow stepping
+     */
+    async runScript({ debug = false } = {}) {
         console.log('[ScriptRunner] runScript called');
 
         try {
@@ -2861,11 +3000,15 @@ Type your script or click "Help" for full reference.
             this.clearErrorHighlight();
             this.variables = {};
 
-            this.setStatus('Running...');
-            this.appendOutput('\n--- Script Started ---', 'info');
+            this.isDebugging = debug;
+            this.updateDebugButtons();
+            this.setStatus(debug ? 'Debugging...' : 'Running...');
+            this.appendOutput(debug ? '\n--- Debugging Started ---' : '\n--- Script Started ---', 'info');
 
             console.log('[ScriptRunner] Calling ScriptEngine.run...');
             const result = await ScriptEngine.run(script, {
+                cwd: this.currentFilePath ? this.currentFilePath.slice(0, -1) : null,
+                file: this.currentFilePath,
                 onOutput: (msg) => this.appendOutput(msg, 'success'),
                 onError: (err, line) => {
                     this.appendOutput(`Error${line ? ` at line ${line}` : ''}: ${err}`, 'error');
@@ -2873,7 +3016,12 @@ Type your script or click "Help" for full reference.
                 },
                 onVariables: (vars) => {
                     this.variables = vars || {};
-                }
+                },
+                debug: debug ? {
+                    breakpoints: new Map(this.breakpoints),
+                    watches: [...this.watches],
+                    onPause: (state) => this.onDebugPause(state)
+                } : null
             });
             console.log('[ScriptRunner] ScriptEngine.run completed');
 
@@ -2899,6 +3047,105 @@ Type your script or click "Help" for full reference.
             console.error('[ScriptRunner] Error in runScript:', error);
             this.appendOutput(`--- Script Error: ${error.message} ---`, 'error');
             this.setStatus('Error');
+        } finally {
+            if (debug) {
+                this.isDebugging = false;
+                this.debugState = null;
+                this.currentDebugLine = null;
+                this.renderGutter();
+                this.updateDebugButtons();
+            }
+        }
+    }
+
+    /**
+     * The debugger stopped: mark the line, show the call stack, scopes and
+     * watches in the Variables tab
+     * @param {Object} state - From the engine's debugger
+     */
+    onDebugPause(state) {
+        this.debugState = state;
+        this.currentDebugLine = state.line;
+        this.renderGutter();
+        this.scrollToLine(state.line);
+        this.updateDebugButtons();
+
+        if (state.conditionError) {
+            this.appendOutput(`Breakpoint condition on line ${state.line} failed: ${state.conditionError}`, 'error');
+        }
+        this.setStatus(`Paused at line ${state.line}${state.reason === 'breakpoint' ? ' (breakpoint)' : ''}`);
+        this.switchTab('variables');
+    }
+
+    /**
+     * Continue or step a paused debug run
+     * @param {'continue'|'stepOver'|'stepInto'|'stepOut'} command
+     */
+    debugCommand(command) {
+        if (!this.debugState) return;
+        this.debugState = null;
+        this.currentDebugLine = null;
+        this.renderGutter();
+        this.updateDebugButtons();
+        this.setStatus('Debugging...');
+        ScriptEngine.debugger[command]();
+    }
+
+    pauseDebugging() {
+        if (this.isDebugging && !this.debugState) {
+            ScriptEngine.debugger.pause();
+        }
+    }
+
+    updateDebugButtons() {
+        const paused = !!this.debugState;
+        const set = (id, enabled) => {
+            const button = this.getElement(id);
+            if (button) button.disabled = !enabled;
+        };
+        set('#runBtn', !this.isDebugging);
+        set('#debugBtn', !this.isDebugging);
+        set('#pauseBtn', this.isDebugging && !paused);
+        for (const id of ['#continueBtn', '#stepOverBtn', '#stepIntoBtn', '#stepOutBtn']) {
+            set(id, paused);
+        }
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) {
+            this.breakpoints.delete(line);
+            if (this.isDebugging) ScriptEngine.debugger.removeBreakpoint(line);
+        } else {
+            this.breakpoints.set(line, null);
+            if (this.isDebugging) ScriptEngine.debugger.setBreakpoint(line);
+        }
+        this.renderGutter();
+    }
+
+    async editBreakpointCondition(line) {
+        const condition = await this.prompt(
+            `Break at line ${line} only when this is true (leave empty to always break):`,
+            this.breakpoints.get(line) || '',
+            'Breakpoint Condition'
+        );
+        if (condition === null) return;
+
+        this.breakpoints.set(line, condition.trim() || null);
+        if (this.isDebugging) ScriptEngine.debugger.setBreakpoint(line, condition);
+        this.renderGutter();
+    }
+
+    /**
+     * Scroll the editor so a line is in view
+     */
+    scrollToLine(line) {
+        const editor = this.getElement('#scriptEditor');
+        if (!editor) return;
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 18;
+        const top = (line - 1) * lineHeight;
+        if (top < editor.scrollTop || top > editor.scrollTop + editor.clientHeight - lineHeight) {
+            editor.scrollTop = Math.max(0, top - editor.clientHeight / 2);
+            this.syncScroll();
         }
     }
 
@@ -3343,12 +3590,32 @@ Type your script or click "Help" for full reference.
 
     highlightErrorLine(lineNum) {
         this.errorLine = lineNum;
+        this.renderGutter();
+    }
+
+    /**
+     * Line numbers, with breakpoints, the paused line and the error line marked
+     */
+    renderGutter() {
+        const editor = this.getElement('#scriptEditor');
         const lineNumbers = this.getElement('#lineNumbers');
-        if (lineNumbers) {
-            const lines = lineNumbers.innerHTML.split('\n');
-            lines[lineNum - 1] = `<span class="error-gutter">${lineNum}</span>`;
-            lineNumbers.innerHTML = lines.join('\n');
+        if (!editor || !lineNumbers) return;
+
+        const count = editor.value.split('\n').length;
+        let html = '';
+        for (let line = 1; line <= count; line++) {
+            const classes = ['gutter-line'];
+            let title = 'Click: breakpoint, right-click: condition';
+            if (this.breakpoints.has(line)) {
+                const condition = this.breakpoints.get(line);
+                classes.push(condition ? 'bp-conditional' : 'bp');
+                if (condition) title = `Breaks when ${this.escapeHtml(condition).replace(/"/g, '&quot;')}`;
+            }
+            if (line === this.currentDebugLine) classes.push('debug-current');
+            if (line === this.errorLine) classes.push('error-gutter');
+            html += `<span class="${classes.join(' ')}" data-line="${line}" title="${title}">${line}</span>`;
         }
+        lineNumbers.innerHTML = html;
     }
 
     clearErrorHighlight() {
@@ -3575,6 +3842,13 @@ SYSTEM FUNCTIONS:
   call getApps              List available apps
   call exec cmd payload     Execute CommandBus command
 
+DEBUGGING:
+  Click a line number       Toggle a breakpoint (F9 on the cursor's line)
+  Right-click line number   Break only when a condition is true ($i == 3)
+  Debug (F6)                Run, stopping at breakpoints
+  Over/Into/Out             Step (F10 / F11 / Shift+F11), Continue (F5)
+  Variables tab             Call stack, scopes and watches while paused
+
 QUICK EXAMPLES:
 
   # Interactive prompt
@@ -3653,6 +3927,7 @@ QUICK EXAMPLES:
                 break;
             case 'variables':
                 outputText.innerHTML = this.renderVariables();
+                setTimeout(() => this.setupVariablesTabButtons(), 0);
                 break;
             case 'recorded':
                 outputText.innerHTML = this.renderRecordedCode();
@@ -3669,6 +3944,10 @@ QUICK EXAMPLES:
     }
 
     renderVariables() {
+        if (this.debugState) {
+            return this.renderDebugState();
+        }
+
         const vars = Object.entries(this.variables);
         if (vars.length === 0) {
             return `<div class="recorded-header">Variables</div>
@@ -3677,36 +3956,138 @@ No variables captured yet.
 Variables are captured when a script runs.
 Run a script to see variable values here.
 
-<span class="info">Tip: Use the Output tab to see script output.</span>`;
+<span class="info">Tip: Use the Output tab to see script output.</span>
+${this.renderWatches()}`;
         }
 
-        let html = `<div class="recorded-header">Script Variables (${vars.length})</div>
+        return `<div class="recorded-header">Script Variables (${vars.length})</div>
 <table class="var-table">
-<tr><th>Name</th><th>Type</th><th>Value</th></tr>`;
+<tr><th>Name</th><th>Type</th><th>Value</th></tr>${this.renderVariableRows(vars)}</table>
+${this.renderWatches()}`;
+    }
 
+    renderVariableRows(vars) {
+        let html = '';
         for (const [name, value] of vars) {
-            const type = Array.isArray(value) ? 'array' : typeof value;
-            let displayValue = value;
-
-            if (typeof value === 'object' && value !== null) {
-                try {
-                    displayValue = JSON.stringify(value);
-                } catch (e) {
-                    displayValue = '[Object]';
-                }
-            }
-
+            const { type, text } = this.describeValue(value);
             html += `<tr>
 <td class="var-name">$${this.escapeHtml(name)}</td>
 <td class="var-type">${type}</td>
-<td class="var-value" title="${this.escapeHtml(String(displayValue))}">${this.escapeHtml(String(displayValue))}</td>
+<td class="var-value" title="${this.escapeHtml(text)}">${this.escapeHtml(text)}</td>
 </tr>`;
         }
+        return html;
+    }
 
-        html += '</table>';
+    /**
+     * Type name and display text of a script value
+     */
+    describeValue(value) {
+        if (isScriptFunction(value)) {
+            return { type: 'function', text: value.toString() };
+        }
+        const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        let text = value;
+        if (typeof value === 'object' && value !== null) {
+            try {
+                text = JSON.stringify(value);
+            } catch (e) {
+                text = '[Object]';
+            }
+        }
+        return { type, text: String(text) };
+    }
+
+    /**
+     * Where the debugger stopped: call stack, watches and every scope
+     */
+    renderDebugState() {
+        const state = this.debugState;
+        const reason = state.reason === 'breakpoint'
+            ? `breakpoint${state.condition ? ` (${state.condition})` : ''}`
+            : state.reason === 'step' ? 'step' : 'paused';
+
+        let html = `<div class="recorded-header">Paused at line ${state.line} - ${this.escapeHtml(reason)}</div>`;
+
+        html += '<div class="debug-heading">Call Stack</div>';
+        html += state.callStack.map((frame, i) => {
+            const where = frame.file && i > 0 ? `${frame.file}:${frame.line}` : `line ${frame.line}`;
+            return `<div class="debug-frame${i === 0 ? ' current' : ''}">${i === 0 ? '▶' : ' '} ${this.escapeHtml(frame.name)}  ${this.escapeHtml(where)}</div>`;
+        }).join('');
+
+        html += this.renderWatches();
+
+        for (const scope of state.scopes) {
+            const vars = Object.entries(scope.variables);
+            html += `<div class="debug-heading">${scope.name} (${vars.length})</div>`;
+            html += vars.length
+                ? `<table class="var-table">
+<tr><th>Name</th><th>Type</th><th>Value</th></tr>${this.renderVariableRows(vars)}</table>`
+                : '  (no variables)\n';
+        }
+        return html;
+    }
+
+    /**
+     * The watch list, with values from the last debugger stop
+     */
+    renderWatches() {
+        const values = this.debugState ? this.debugState.watches : [];
+        let html = `<div class="debug-heading">Watch</div>
+<table class="var-table">
+<tr><th>Expression</th><th>Value</th><th></th></tr>`;
+
+        this.watches.forEach((expression, i) => {
+            const result = values.find(w => w.expression === expression);
+            let cell;
+            if (!result) {
+                cell = '<span class="info">shown when the debugger stops</span>';
+            } else if (result.error) {
+                cell = `<span class="watch-error">${this.escapeHtml(result.error)}</span>`;
+            } else {
+                cell = this.escapeHtml(this.describeValue(result.value).text);
+            }
+            html += `<tr>
+<td class="var-name">${this.escapeHtml(expression)}</td>
+<td class="var-value">${cell}</td>
+<td><button class="watch-remove" data-watch="${i}" title="Remove watch">×</button></td>
+</tr>`;
+        });
+
+        html += `</table>
+<input type="text" id="watchInput" class="find-input" placeholder="Add watch: $total, call length $items" />`;
         return html;
     }
 
+    setupVariablesTabButtons() {
+        const input = this.getElement('#watchInput');
+        if (input) {
+            input.onkeydown = (e) => {
+                if (e.key !== 'Enter' || !input.value.trim()) return;
+                this.watches.push(input.value.trim());
+                this.updateWatches();
+            };
+        }
+
+        this.getElement('#outputText')?.querySelectorAll('.watch-remove').forEach(button => {
+            button.onclick = () => {
+                this.watches.splice(Number(button.dataset.watch), 1);
+                this.updateWatches();
+            };
+        });
+    }
+
+    /**
+     * Hand the watch list to a running debug session and redraw it
+     */
+    updateWatches() {
+        if (this.isDebugging) {
+            ScriptEngine.debugger.setWatches(this.watches);
+        }
+        this.switchTab('variables');
+        this.getElement('#watchInput')?.focus();
+    }
+
     renderRecordedCode() {
         if (this.recordedEvents.length === 0) {
             const isRecording = this.isRecording;
@@ -3889,8 +4270,7 @@ into the editor to modify and run it!
 
         // Update line numbers
         if (lineNumbers) {
-            const lines = code.split('\n');
-            lineNumbers.innerHTML = lines.map((_, i) => i + 1).join('\n');
+            this.renderGutter();
         }
     }
 
@@ -3991,6 +4371,10 @@ into the editor to modify and run it!
         if (this.isRecording) {
             EventBus.emit('macro:record:stop');
         }
+        // A script paused in the debugger would otherwise wait forever
+        if (this.isDebugging) {
+            ScriptEngine.stop();
+        }
     }
 }
 
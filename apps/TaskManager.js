@@ -10,6 +10,8 @@ import WindowManager from '../core/WindowManager.js';
 import StateManager from '../core/StateManager.js';
 import EventBus, { Events } from '../core/EventBus.js';
 import AppRegistry from './AppRegistry.js';
+import { JobState } from '../core/shell/Jobs.js';
+import ProcessTable from '../core/shell/Processes.js';
 
 class TaskManager extends AppBase {
     constructor() {
@@ -30,13 +32,6 @@ class TaskManager extends AppBase {
         this.maxHistoryPoints = 60;
         this.currentTab = 'applications';
 
-        // Store consistent memory values per window to avoid jitter
-        this.windowMemory = new Map();
-
-        // PID counter for processes
-        this.nextPid = 3000;
-        this.windowPids = new Map();
-
         // Event unsubscribers
         this.eventUnsubscribers = [];
     }
@@ -416,45 +411,17 @@ class TaskManager extends AppBase {
         this.updateFooter();
     }
 
-    /**
-     * Get consistent memory value for a window
-     */
-    getWindowMemory(windowId) {
-        if (!this.windowMemory.has(windowId)) {
-            // Generate a stable memory value based on window ID hash
-            let hash = 0;
-            for (let i = 0; i < windowId.length; i++) {
-                hash = ((hash << 5) - hash) + windowId.charCodeAt(i);
-                hash = hash & hash;
-            }
-            // Base memory between 500K and 6000K
-            const baseMem = 500 + Math.abs(hash % 5500);
-            this.windowMemory.set(windowId, baseMem);
-        }
-        return this.windowMemory.get(windowId);
-    }
-
-    /**
-     * Get or create PID for a window
-     */
-    getWindowPid(windowId) {
-        if (!this.windowPids.has(windowId)) {
-            this.windowPids.set(windowId, this.nextPid++);
-        }
-        return this.windowPids.get(windowId);
-    }
-
     updateApplicationsList() {
         const listBody = this.getElement('#app-list-body');
         if (!listBody) return;
 
-        // Get windows from StateManager (the source of truth)
-        const windows = StateManager.getState('windows') || [];
+        // Window processes, from StateManager (the source of truth)
+        const windows = ProcessTable.list().filter(proc => proc.windowId);
 
         listBody.innerHTML = '';
 
         // Filter out Task Manager itself
-        const filteredWindows = windows.filter(win => win.id !== 'taskmgr');
+        const filteredWindows = windows.filter(win => win.windowId !== 'taskmgr');
 
         if (filteredWindows.length === 0) {
             listBody.innerHTML = '<div style="padding: 10px; color: #666; text-align: center;">No running applications</div>';
@@ -466,23 +433,15 @@ class TaskManager extends AppBase {
         const btnSwitchTo = this.getElement('#btn-switch-to');
 
         filteredWindows.forEach(win => {
-            const isMinimized = win.minimized;
-            const status = isMinimized ? 'Minimized' : 'Running';
-            const statusClass = isMinimized ? 'status-minimized' : 'status-running';
-            const memUsage = this.getWindowMemory(win.id);
-
-            // Extract title without icon
-            let displayTitle = win.title || win.id;
-            // Remove emoji prefix if present (icon is usually first character(s))
-            displayTitle = displayTitle.replace(/^[\p{Emoji}\s]+/u, '').trim() || displayTitle;
+            const statusClass = win.status === 'Minimized' ? 'status-minimized' : 'status-running';
 
             const item = document.createElement('div');
             item.className = 'taskmgr-list-item';
-            item.dataset.windowId = win.id;
+            item.dataset.windowId = win.windowId;
             item.innerHTML = `
-                <div>📄 ${displayTitle}</div>
-                <div class="${statusClass}">${status}</div>
-                <div>${memUsage.toLocaleString()} K</div>
+                <div>📄 ${win.title}</div>
+                <div class="${statusClass}">${win.status}</div>
+                <div>${win.mem.toLocaleString()} K</div>
             `;
 
             // Use direct DOM references captured in this scope
@@ -511,40 +470,11 @@ class TaskManager extends AppBase {
         const listBody = this.getElement('#proc-list-body');
         if (!listBody) return;
 
-        // System processes (always present)
-        const systemProcesses = [
-            { name: 'System', pid: 4, cpu: '0', mem: 24, isSystem: true },
-            { name: 'smss.exe', pid: 156, cpu: '0', mem: 160, isSystem: true },
-            { name: 'csrss.exe', pid: 184, cpu: '1', mem: 1240, isSystem: true },
-            { name: 'winlogon.exe', pid: 208, cpu: '0', mem: 2100, isSystem: true },
-            { name: 'services.exe', pid: 252, cpu: '0', mem: 1800, isSystem: true },
-            { name: 'lsass.exe', pid: 264, cpu: '0', mem: 1400, isSystem: true },
-            { name: 'explorer.exe', pid: 1024, cpu: String(Math.floor(Math.random() * 5)), mem: 8420, isSystem: true },
-            { name: 'taskmgr.exe', pid: 2048, cpu: String(Math.floor(Math.random() * 3)), mem: 2840, isSystem: true }
-        ];
-
-        // Add running windows as processes
-        const windows = StateManager.getState('windows') || [];
-        const appProcesses = windows
-            .filter(win => win.id !== 'taskmgr') // Exclude task manager
-            .map(win => {
-                // Get app name from title or window ID
-                let appName = win.title || win.id;
-                // Clean up and create process name
-                appName = appName.replace(/^[\p{Emoji}\s]+/u, '').trim().split(' ')[0].toLowerCase();
-                if (!appName) appName = win.id;
-
-                return {
-                    name: `${appName}.exe`,
-                    pid: this.getWindowPid(win.id),
-                    cpu: String(Math.floor(Math.random() * 10)),
-                    mem: this.getWindowMemory(win.id),
-                    isSystem: false,
-                    windowId: win.id
-                };
-            });
-
-        const allProcesses = [...systemProcesses, ...appProcesses];
+        // The same processes, with the same PIDs, as TASKLIST shows
+        const allProcesses = ProcessTable.list().map(proc => ({
+            ...proc,
+            cpu: proc.status === JobState.STOPPED ? '0' : String(Math.floor(Math.random() * (proc.isSystem ? 2 : 10)))
+        }));
 
         listBody.innerHTML = '';
 
@@ -555,6 +485,7 @@ class TaskManager extends AppBase {
             const item = document.createElement('div');
             item.className = 'taskmgr-list-item proc-list-item';
             item.dataset.processName = proc.name;
+            item.dataset.pid = proc.pid;
             item.dataset.isSystem = proc.isSystem;
             if (proc.windowId) {
                 item.dataset.windowId = proc.windowId;
@@ -701,8 +632,7 @@ class TaskManager extends AppBase {
     }
 
     updateFooter() {
-        const windows = StateManager.getState('windows') || [];
-        const processes = windows.length + 8; // +8 for system processes
+        const processes = ProcessTable.list().length;
         const cpu = this.cpuHistory.length > 0 ? this.cpuHistory[this.cpuHistory.length - 1] : 0;
         const mem = this.memHistory.length > 0 ? this.memHistory[this.memHistory.length - 1] : 0;
 
@@ -724,10 +654,6 @@ class TaskManager extends AppBase {
             // Use WindowManager to properly close the window
             WindowManager.close(windowId);
 
-            // Clean up our tracking
-            this.windowMemory.delete(windowId);
-            this.windowPids.delete(windowId);
-
             // Disable buttons
             this.getElement('#btn-end-task').disabled = true;
             this.getElement('#btn-switch-to').disabled = true;
@@ -779,11 +705,10 @@ class TaskManager extends AppBase {
         if (!selected) return;
 
         const processName = selected.dataset.processName;
-        const isSystem = selected.dataset.isSystem === 'true';
-        const windowId = selected.dataset.windowId;
+        const proc = ProcessTable.get(selected.dataset.pid);
 
         // Check for system processes
-        if (isSystem) {
+        if (selected.dataset.isSystem === 'true') {
             EventBus.emit(Events.DIALOG_ALERT, {
                 message: `Unable to terminate process "${processName}".\n\nThis is a critical system process. Terminating this process would make the system unstable.`,
                 title: 'Task Manager Warning'
@@ -791,14 +716,8 @@ class TaskManager extends AppBase {
             return;
         }
 
-        // For app processes, close the associated window
-        if (windowId) {
-            WindowManager.close(windowId);
-
-            // Clean up tracking
-            this.windowMemory.delete(windowId);
-            this.windowPids.delete(windowId);
-
+        // Windows are closed and Terminal jobs killed, as TASKKILL does
+        if (ProcessTable.end(proc)) {
             EventBus.emit(Events.DIALOG_ALERT, {
                 message: `Process "${processName}" has been terminated.`,
                 title: 'Task Manager'
@@ -5,11 +5,41 @@
  */
 
 import AppBase from './AppBase.js';
-import EventBus from '../core/EventBus.js';
+import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
+import WindowManager from '../core/WindowManager.js';
 import FileSystemManager from '../core/FileSystemManager.js';
-import { PATHS } from '../core/Constants.js';
+import { PATHS, FILE_ATTRIBUTES, REMOVABLE_DRIVES } from '../core/Constants.js';
+import * as Path from '../core/fs/Path.js';
+import { hasWildcards, matches } from '../core/fs/Glob.js';
 import ScriptEngine from '../core/script/ScriptEngine.js';
+import SearchIndex from '../core/SearchIndex.js';
+import FileAssociations from '../core/FileAssociations.js';
+import CommandRegistry from '../core/shell/CommandRegistry.js';
+import { CommandIO, InputStream, OutputStream, ExitCode } from '../core/shell/Streams.js';
+import { splitPipeline, parseRedirections, parseBackground, isNullDevice } from '../core/shell/CommandLine.js';
+import BatchFile from '../core/shell/BatchFile.js';
+import JobTable, { JobState } from '../core/shell/Jobs.js';
+import ProcessTable from '../core/shell/Processes.js';
+import TerminalSession from '../core/shell/Session.js';
+import AnsiScreen, { stripAnsi } from '../core/shell/Ansi.js';
+import TextEditor from '../core/shell/Editor.js';
+
+// Environment of a new session
+const DEFAULT_ENV = Object.freeze({
+    'PATH': 'C:\\WINDOWS;C:\\WINDOWS\\SYSTEM32;C:\\DOS',
+    'PROMPT': '$P$G',
+    'COMSPEC': 'C:\\WINDOWS\\SYSTEM32\\CMD.EXE',
+    'TEMP': 'C:\\TEMP',
+    'TMP': 'C:\\TEMP',
+    'USERNAME': 'User',
+    'COMPUTERNAME': 'ILLUMINATOS-PC',
+    'OS': 'IlluminatOS!',
+    'WINDIR': 'C:\\WINDOWS'
+});
+
+// Built-ins that leave ERRORLEVEL as it was, as in DOS
+const KEEPS_ERRORLEVEL = new Set(['echo', 'rem', 'cls', 'clear', 'goto', 'shift', 'endlocal', 'pause']);
 
 class Terminal extends AppBase {
     constructor() {
@@ -19,38 +49,63 @@ class Terminal extends AppBase {
             icon: '💻',
             width: 700,
             height: 450,
-            category: 'systemtools'
+            category: 'systemtools',
+            fileTypes: [
+                { extensions: ['bat'], description: 'MS-DOS Batch File', icon: '⚙️', verbs: ['run'] },
+                { extensions: ['retro'], description: 'RetroScript File', icon: '📜', verbs: ['run'] }
+            ]
         });
 
-        this.commandHistory = [];
-        this.historyIndex = -1;
+        // Tabs; currentPath, envVars, lastExitCode and the history are the shown one's
+        this.sessions = [];
+        this.session = this.openSession();
+
         this.godMode = false;
         this.activeProcess = null;
-        this.currentPath = [...PATHS.USER_HOME];
+        this.reverseSearch = null; // { query, index, original } during Ctrl+R
+        this.editor = null; // { editor, draw } of the EDIT shown
         this.lastOutput = '';
+        this.io = null; // Streams of the command being run (see runCommand)
         this.aliases = {}; // Command aliases
-        this.batchCommands = []; // For batch file execution
-        this.batchIndex = 0;
+        this.batch = null; // Running batch file (see core/shell/BatchFile.js)
+        this.foregroundJob = null; // Job holding the prompt (see core/shell/Jobs.js)
+        this.background = null; // { job, claimed } while a command & starts
+        this.runningCommands = new Set(); // Registered commands whose run() has not settled
         this.pipeEnabled = true; // Enable pipe operators
 
-        // DOS-like environment variables
-        this.envVars = {
-            'PATH': 'C:\\WINDOWS;C:\\WINDOWS\\SYSTEM32;C:\\DOS',
-            'PROMPT': '$P$G',
-            'COMSPEC': 'C:\\WINDOWS\\SYSTEM32\\CMD.EXE',
-            'TEMP': 'C:\\TEMP',
-            'TMP': 'C:\\TEMP',
-            'USERNAME': 'User',
-            'COMPUTERNAME': 'ILLUMINATOS-PC',
-            'OS': 'IlluminatOS!',
-            'WINDIR': 'C:\\WINDOWS'
-        };
-
         // Register semantic event commands for scriptability
         this.registerCommands();
         this.registerQueries();
     }
 
+    get currentPath() {
+        return this.session.currentPath;
+    }
+
+    set currentPath(path) {
+        this.session.currentPath = path;
+    }
+
+    get envVars() {
+        return this.session.envVars;
+    }
+
+    set envVars(envVars) {
+        this.session.envVars = envVars;
+    }
+
+    get lastExitCode() {
+        return this.session.lastExitCode;
+    }
+
+    set lastExitCode(exitCode) {
+        this.session.lastExitCode = exitCode;
+    }
+
+    get commandHistory() {
+        return this.session.history.entries;
+    }
+
     /**
      * Register commands for script control
      */
@@ -68,7 +123,7 @@ class Terminal extends AppBase {
                     command: cmd,
                     timestamp: Date.now()
                 });
-                return { success: true, command: cmd, output: this.lastOutput };
+                return { success: true, command: cmd, output: this.lastOutput, exitCode: this.lastExitCode };
             } catch (error) {
                 EventBus.emit('terminal:command:error', {
                     appId: this.id,
@@ -127,7 +182,10 @@ class Terminal extends AppBase {
                 return { success: false, error: 'Path required' };
             }
             try {
-                this.cmdCd([path]);
+                const result = this.runCaptured(`cd "${path}"`);
+                if (result.exitCode !== ExitCode.SUCCESS) {
+                    return { success: false, error: result.stderr };
+                }
                 EventBus.emit('terminal:directory:changed', {
                     appId: this.id,
                     path: this.currentPath,
@@ -142,8 +200,11 @@ class Terminal extends AppBase {
         // List directory contents
         this.registerCommand('dir', (path = null) => {
             try {
-                const output = this.cmdDir(path ? [path] : []);
-                return { success: true, output };
+                const result = this.runCaptured(path ? `dir "${path}"` : 'dir');
+                if (result.exitCode !== ExitCode.SUCCESS) {
+                    return { success: false, error: result.stderr };
+                }
+                return { success: true, output: result.stdout };
             } catch (error) {
                 return { success: false, error: error.message };
             }
@@ -428,17 +489,25 @@ class Terminal extends AppBase {
         // Get batch execution state
         this.registerQuery('getBatchState', () => {
             return {
-                isExecutingBatch: this.batchCommands.length > 0,
-                batchCommandCount: this.batchCommands.length,
-                currentBatchIndex: this.batchIndex
+                isExecutingBatch: this.batch !== null,
+                batchCommandCount: this.batch ? this.batch.lines.length : 0,
+                currentBatchIndex: this.batch ? this.batch.pc : 0
             };
         });
     }
 
-    onOpen() {
+    onOpen(params = {}) {
+        // A .bat or .retro file opened from elsewhere runs once the prompt is up
+        this.setInstanceState('startupFile', params.filePath || null);
+
+        // A new window starts with one tab, with the history saved on disk
+        if (this.openWindows.size === 1) this.resetSessions();
+
         return `
             <div class="terminal-app" id="terminalApp">
                 <canvas id="matrixCanvas"></canvas>
+                <div class="terminal-editor" id="terminalEditor"></div>
+                <div class="terminal-tabs" id="terminalTabs"></div>
                 <div class="terminal-scroll" id="terminalScroller">
                     <div id="terminalOutput"></div>
                     <div class="terminal-input-line" id="inputLine">
@@ -478,11 +547,64 @@ class Terminal extends AppBase {
                     display: block;
                 }
 
-                .terminal-scroll {
+                .terminal-app .terminal-editor {
+                    position: absolute;
+                    top: 0; left: 0; right: 0; bottom: 0;
+                    display: none;
+                    background: #000080;
+                    white-space: pre;
+                    overflow: hidden;
+                    z-index: 4;
+                }
+                .terminal-app.edit-mode .terminal-editor {
+                    display: block;
+                }
+                .terminal-app .terminal-editor > div {
+                    height: 1.2em;
+                    line-height: 1.2em;
+                }
+
+                .terminal-app .terminal-tabs {
                     position: absolute;
                     top: 0;
                     left: 0;
                     right: 0;
+                    height: 22px;
+                    display: flex;
+                    background: #c0c0c0;
+                    border-bottom: 1px solid #808080;
+                    font-family: 'MS Sans Serif', Arial, sans-serif;
+                    font-size: 11px;
+                    z-index: 3;
+                    overflow: hidden;
+                }
+                .terminal-app .terminal-tab,
+                .terminal-app .terminal-tab-new {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 0 8px;
+                    margin: 2px 0 0 2px;
+                    color: #000;
+                    background: #c0c0c0;
+                    border: 1px solid;
+                    border-color: #fff #808080 transparent #fff;
+                    cursor: pointer;
+                    white-space: nowrap;
+                }
+                .terminal-app .terminal-tab.active {
+                    background: #dfdfdf;
+                    font-weight: bold;
+                }
+                .terminal-app .terminal-tab-close:hover {
+                    color: #800000;
+                }
+
+                .terminal-scroll {
+                    position: absolute;
+                    top: 22px;
+                    left: 0;
+                    right: 0;
                     bottom: 0;
                     overflow-y: auto;
                     overflow-x: hidden;
@@ -496,8 +618,8 @@ class Terminal extends AppBase {
                     word-break: break-word;
                 }
                 .terminal-app #terminalOutput > div {
-                    margin-bottom: 1px;
                     line-height: 1.4;
+                    min-height: 1.4em;
                 }
 
                 .terminal-app .terminal-input-line {
@@ -536,7 +658,14 @@ class Terminal extends AppBase {
             }
         });
 
-        this.runBootSequence();
+        const editor = this.getElement('#terminalEditor');
+        if (editor) this.addHandler(editor, 'click', () => input?.focus());
+
+        const tabs = this.getElement('#terminalTabs');
+        if (tabs) this.addHandler(tabs, 'click', (e) => this.onTabClick(e));
+        this.renderTabs();
+
+        this.runBootSequence(this.getInstanceState('startupFile'));
 
         // Emit terminal opened event for script handlers
         EventBus.emit('app:terminal:opened', {
@@ -548,7 +677,11 @@ class Terminal extends AppBase {
         });
     }
 
-    runBootSequence() {
+    /**
+     * Print the startup banner, then show the prompt
+     * @param {string[]|null} startupFile - Script to run once the prompt is shown
+     */
+    runBootSequence(startupFile = null) {
         const lines = [
             'IlluminatOS! [Version 95.0.1995]',
             '   Starting command prompt...',
@@ -574,6 +707,7 @@ class Terminal extends AppBase {
                     if (inputLine) inputLine.style.display = 'flex';
                     input?.focus();
                     this.attachInputHandler();
+                    if (startupFile) this.runFile(startupFile);
                 }
             }, delay);
         });
@@ -584,6 +718,25 @@ class Terminal extends AppBase {
         if (!input) return;
 
         this.addHandler(input, 'keydown', (e) => {
+            // EDIT gets every key but Ctrl+Z, which suspends it
+            if (this.editor && !(e.ctrlKey && e.key === 'z')) {
+                e.preventDefault();
+                this.editor.editor.handleKey(e);
+                this.editor?.draw();
+                return;
+            }
+
+            // Ctrl+R searches the history; keys then edit the search
+            if (this.reverseSearch) {
+                this.handleReverseSearchKey(e, input);
+                return;
+            }
+            if (e.ctrlKey && e.key === 'r' && !this.activeProcess && !this.batch) {
+                e.preventDefault();
+                this.startReverseSearch(input);
+                return;
+            }
+
             // Ctrl+C to kill process
             if (e.ctrlKey && e.key === 'c') {
                 e.preventDefault();
@@ -592,10 +745,35 @@ class Terminal extends AppBase {
                 } else {
                     this.print('^C');
                 }
+                if (this.batch) {
+                    this.batch.stop();
+                    this.print('Terminate batch job.');
+                }
                 input.value = '';
                 return;
             }
 
+            // Ctrl+Z stops the foreground job
+            if (e.ctrlKey && e.key === 'z' && this.foregroundJob) {
+                e.preventDefault();
+                this.stopForegroundJob();
+                return;
+            }
+
+            // DEL *.* waits for Y or N
+            if (this.activeProcess === 'confirm') {
+                e.preventDefault();
+                this.answerYesNo(e.key);
+                return;
+            }
+
+            // PAUSE waits for any key
+            if (this.activeProcess === 'pause') {
+                e.preventDefault();
+                this.activeProcess = null;
+                return;
+            }
+
             // If a process is running, block input
             if (this.activeProcess && this.activeProcess !== 'more') {
                 e.preventDefault();
@@ -614,6 +792,12 @@ class Terminal extends AppBase {
                 return;
             }
 
+            // No typing while a batch file runs
+            if (this.batch) {
+                e.preventDefault();
+                return;
+            }
+
             if (e.key === 'Enter') {
                 const cmd = input.value;
                 input.value = '';
@@ -631,24 +815,54 @@ class Terminal extends AppBase {
         });
     }
 
+    /**
+     * Write output: to the running command's stdout, or to the screen
+     * @param {string} text
+     * @param {string} [color]
+     */
     print(text, color = '#c0c0c0') {
+        if (this.io) {
+            this.io.stdout.write(text, color);
+            return;
+        }
+        this.printToScreen(text, color);
+    }
+
+    /**
+     * Report a command error: to the running command's stderr with an
+     * exit code, or straight to the screen outside a command
+     * @param {string} message
+     * @param {number} [code=ExitCode.FAILURE]
+     * @returns {null} So commands can `return this.fail(...)`
+     */
+    fail(message, code = ExitCode.FAILURE) {
+        if (this.io) return this.io.fail(message, code);
+        this.printToScreen(message);
+        this.lastExitCode = code;
+        return null;
+    }
+
+    /**
+     * Show text as one or more rows. Escape sequences in it (see Ansi.js)
+     * color it and move the cursor, so it can redraw rows already shown.
+     * @param {string} text
+     * @param {string} [color] - Color of text without an escape sequence color
+     */
+    printToScreen(text, color = '#c0c0c0') {
         const output = this.getElement('#terminalOutput');
         if (!output) return;
 
-        const div = document.createElement('div');
-        div.style.color = color;
-        div.innerHTML = this.escapeHtml(text).replace(/\n/g, '<br>');
-        output.appendChild(div);
+        this.session.screen.write(output, `${text}\n`, color);
         this.scrollToBottom();
 
         // Capture output for script access
-        this.lastOutput = String(text);
+        this.lastOutput = stripAnsi(text);
 
         // Emit semantic event for output
         EventBus.emit('terminal:output', {
             appId: this.id,
             windowId: this.windowId,
-            text: String(text),
+            text: this.lastOutput,
             color,
             timestamp: Date.now()
         });
@@ -658,6 +872,8 @@ class Terminal extends AppBase {
         const output = this.getElement('#terminalOutput');
         if (!output) return;
 
+        // Later text goes below the HTML, whatever its height
+        this.session.screen.release();
         const div = document.createElement('div');
         div.innerHTML = html;
         output.appendChild(div);
@@ -678,179 +894,512 @@ class Terminal extends AppBase {
     updatePrompt() {
         const el = this.getElement('#promptText');
         if (el) el.textContent = this.getPrompt();
+        this.renderTabs();
     }
 
     executeCommand(cmdLine) {
-        const trimmed = cmdLine.trim();
+        let trimmed = cmdLine.trim();
 
-        // Show what was typed
+        // Show what was typed, below anything the last command drew
+        this.session.screen.moveToEnd();
         this.print(this.getPrompt() + trimmed);
 
-        if (!trimmed) return;
+        if (!trimmed) {
+            this.reportJobs();
+            return;
+        }
+
+        // !n, !! and !text recall a command from the history
+        const recalled = this.session.history.expand(trimmed);
+        if (recalled === null) {
+            this.fail(`${trimmed.split(/\s/)[0]}: event not found`);
+            return;
+        }
+        if (recalled !== trimmed) {
+            trimmed = recalled;
+            this.print(trimmed);
+        }
 
         // Add to history
-        this.commandHistory.push(trimmed);
-        this.historyIndex = -1;
+        this.session.history.add(trimmed);
+
+        // Konami code easter egg
+        if (trimmed.replace(/\s/g, '').toLowerCase() === 'uuddlrlrba') {
+            this.godMode = true;
+            this.print('*** GOD MODE ACTIVATED ***', '#ff00ff');
+            return;
+        }
 
         // Variable interpolation - replace %VAR% with environment variable values
-        let interpolated = this.interpolateVariables(trimmed);
+        const interpolated = this.interpolateVariables(trimmed);
+        const exitCode = this.runCommandLine(interpolated);
+
+        // Emit command executed event for script handlers
+        const parts = this.parseCommandLine(interpolated);
+        EventBus.emit('app:terminal:command', {
+            appId: this.id,
+            windowId: this.windowId,
+            command: trimmed,
+            cmd: (parts[0] || '').toLowerCase(),
+            args: parts.slice(1),
+            output: this.lastOutput,
+            exitCode,
+            currentPath: this.currentPath,
+            pathString: this.currentPath.join('\\'),
+            timestamp: Date.now()
+        });
+
+        this.reportJobs();
+    }
+
+    /**
+     * Run a command line with its output on the screen
+     * lastOutput becomes everything it showed (stdout and stderr, in order).
+     * A line ending in & runs as a background job instead.
+     * @param {string} line - Command line, variables already interpolated
+     * @returns {number} Exit code of the last command in the pipeline
+     */
+    runCommandLine(line) {
+        const { command, background } = parseBackground(line);
+        if (background) return this.runBackground(command);
+
+        const shown = [];
+        const streams = {};
+        const toScreen = (text, color) => {
+            // Nothing more once Ctrl+C has ended the command line
+            if (streams.job && !streams.job.isActive) return;
+            shown.push(stripAnsi(text));
+            this.printToScreen(text, color);
+        };
+        streams.stdout = new OutputStream(toScreen);
+        streams.stderr = new OutputStream(toScreen);
+
+        const inBatch = this.batch !== null;
+        const exitCode = this.runPipeline(line, streams);
+        if (isPending(exitCode)) {
+            const ended = (code) => {
+                this.lastOutput = shown.join('\n');
+                this.lastExitCode = code;
+            };
 
-        // Handle pipe operators
-        if (this.pipeEnabled && interpolated.includes('|') && !interpolated.match(/echo.*>>/)) {
-            return this.executePipedCommands(interpolated);
+            // A batch file started here holds the prompt and takes Ctrl+C
+            // itself, and its own lines may run as jobs, so it is not one
+            if (!inBatch && this.batch) {
+                exitCode.then(ended);
+            } else {
+                streams.job = this.beginJob(line);
+                this.awaitPipeline(streams.job, exitCode).then(ended);
+            }
+            return ExitCode.SUCCESS;
         }
 
-        // Parse command and arguments (handle quoted strings)
-        const parts = this.parseCommandLine(interpolated);
-        let cmd = parts[0].toLowerCase();
+        this.lastOutput = shown.join('\n');
+        this.lastExitCode = exitCode;
+        return exitCode;
+    }
+
+    /**
+     * Run a pipeline (cmd1 | cmd2 | cmd3). Each command's stdout becomes
+     * the next one's stdin; the last one writes to the given stdout, and
+     * every command's errors go to the given stderr.
+     * A command that returns a Promise holds up the commands after it; the
+     * pipeline then returns a Promise too. Once streams.job (the job the
+     * command line runs as) has been killed, the rest does not run.
+     * @param {string} line - Command line
+     * @param {Object} streams - { stdin, stdout, stderr, job } for the whole pipeline
+     * @param {string[]} [expandedAliases] - Aliases already expanded (stops alias loops)
+     * @returns {number|Promise<number>} Exit code of the last command
+     */
+    runPipeline(line, streams = {}, expandedAliases = []) {
+        const stages = this.pipeEnabled ? splitPipeline(line) : [line.trim()];
+        const stderr = streams.stderr || new OutputStream();
+
+        if (stages.length > 1 && stages.some(stage => !stage)) {
+            stderr.write('The syntax of the command is incorrect.');
+            return ExitCode.FAILURE;
+        }
+
+        let stdin = streams.stdin || new InputStream();
+        let exitCode = ExitCode.SUCCESS;
+        for (let i = 0; i < stages.length; i++) {
+            const last = i === stages.length - 1;
+            const pipe = last ? streams.stdout : new OutputStream();
+            const io = new CommandIO({ stdin, stdout: pipe, stderr });
+
+            const pending = this.runStage(stages[i], io, expandedAliases);
+            if (pending) {
+                return pending.then(() => {
+                    if (last || streams.job?.isActive === false) return io.exitCode;
+                    const rest = stages.slice(i + 1).join(' | ');
+                    return this.runPipeline(rest, { ...streams, stderr, stdin: new InputStream(pipe.toString()) }, expandedAliases);
+                });
+            }
+
+            // Output redirected to a file does not go down the pipe
+            exitCode = io.exitCode;
+            stdin = new InputStream(pipe ? pipe.toString() : '');
+        }
+        return exitCode;
+    }
+
+    /**
+     * Run one pipeline stage: a command and its redirections
+     * @param {string} stage
+     * @param {CommandIO} io
+     * @param {string[]} expandedAliases
+     * @returns {Promise|null} Settles when a command that keeps running ends
+     */
+    runStage(stage, io, expandedAliases) {
+        try {
+            const { command, redirects } = parseRedirections(stage);
+            const files = this.openRedirects(redirects, io);
+            const pending = this.runCommand(command, io, expandedAliases);
+            if (pending) {
+                return pending
+                    .then(() => this.closeRedirects(files))
+                    .catch(e => { io.fail(e.message); });
+            }
+            this.closeRedirects(files);
+        } catch (e) {
+            io.fail(e.message);
+        }
+        return null;
+    }
+
+    /**
+     * Point a command's streams at the files of its redirections
+     * (< file, > file, >> file, 2> file, 2>&1; NUL discards or reads nothing)
+     * @param {Object[]} redirects - From parseRedirections()
+     * @param {CommandIO} io - Streams of the command, changed in place
+     * @returns {Object[]} Output files to write once the command has run
+     * @throws {Error} With the DOS message when a file cannot be used
+     */
+    openRedirects(redirects, io) {
+        const files = [];
+        for (const redirect of redirects) {
+            const stream = redirect.fd === 2 ? 'stderr' : 'stdout';
+
+            if (redirect.duplicate) {
+                io[stream] = redirect.duplicate === 2 ? io.stderr : io.stdout;
+            } else if (redirect.mode === 'read') {
+                io.stdin = new InputStream(this.readRedirect(redirect.target));
+            } else {
+                const output = new OutputStream();
+                io[stream] = output;
+                if (!isNullDevice(redirect.target)) {
+                    files.push({
+                        path: this.resolveRedirect(redirect.target),
+                        append: redirect.mode === 'append',
+                        output
+                    });
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Read the file given with <
+     * @param {string} target
+     * @returns {string}
+     */
+    readRedirect(target) {
+        if (isNullDevice(target)) return '';
+        try {
+            return FileSystemManager.readFile(this.resolvePath(target));
+        } catch (e) {
+            throw new Error('The system cannot find the file specified.');
+        }
+    }
+
+    /**
+     * Check that output can be redirected to a file before the command runs
+     * @param {string} target
+     * @returns {string[]} The file path
+     */
+    resolveRedirect(target) {
+        const filePath = this.resolvePath(target);
+        const node = FileSystemManager.getNode(filePath);
+        if (node && node.type !== 'file') {
+            throw new Error('Access is denied.');
+        }
+        if (!FileSystemManager.getNode(filePath.slice(0, -1))) {
+            throw new Error('The system cannot find the path specified.');
+        }
+        return filePath;
+    }
+
+    /**
+     * Write the output of a command to its redirection files
+     * @param {Object[]} files - From openRedirects()
+     */
+    closeRedirects(files) {
+        for (const { path, append, output } of files) {
+            let content = output.toString();
+            if (append && FileSystemManager.exists(path)) {
+                const existing = FileSystemManager.readFile(path);
+                const separator = existing && content && !existing.endsWith('\n') ? '\n' : '';
+                content = existing + separator + content;
+            }
+            FileSystemManager.writeFile(path, content);
+        }
+    }
+
+    /**
+     * Run one command against a set of streams
+     * Built-in commands come first, then commands registered by plugins
+     * (CommandRegistry), then batch files and other files in the current
+     * directory.
+     * @param {string} line - The command and its arguments
+     * @param {CommandIO} io - Streams and exit code of the command
+     * @param {string[]} [expandedAliases]
+     * @returns {Promise|null} Settles when a command that keeps running ends
+     */
+    runCommand(line, io, expandedAliases = []) {
+        const parts = this.parseCommandLine(line);
+        const cmd = (parts[0] || '').toLowerCase();
         const args = parts.slice(1);
+        if (!cmd) return null;
 
-        // Resolve aliases
-        if (this.aliases[cmd]) {
-            const aliasCmd = this.aliases[cmd];
-            return this.executeCommand(aliasCmd + ' ' + args.join(' '));
+        // Resolve aliases (an alias may itself be a pipeline)
+        if (this.aliases[cmd] && !expandedAliases.includes(cmd)) {
+            const expanded = [this.aliases[cmd], ...args].join(' ');
+            return this.takeExitCode(io, this.runPipeline(expanded, io, [...expandedAliases, cmd]));
         }
 
-        // Konami code easter egg
-        if (trimmed.replace(/\s/g, '').toLowerCase() === 'uuddlrlrba') {
-            this.godMode = true;
-            this.print('*** GOD MODE ACTIVATED ***', '#ff00ff');
-            return;
+        // While the command runs, print() and fail() use its streams
+        const outer = this.io;
+        this.io = io;
+        try {
+            const result = this.dispatchCommand(cmd, args, line, io);
+            if (isPending(result)) {
+                return Promise.resolve(result).then(
+                    output => { if (output) io.stdout.write(output); },
+                    e => { io.fail(e.message); }
+                );
+            }
+            if (result) io.stdout.write(result);
+        } catch (e) {
+            io.fail(e.message);
+        } finally {
+            this.io = outer;
+        }
+        return null;
+    }
+
+    /**
+     * Give a command the exit code of a command line it ran (alias, IF, FOR)
+     * @param {CommandIO} io
+     * @param {number|Promise<number>} exitCode - From runPipeline()
+     * @returns {Promise|null} Settles when that command line has ended
+     */
+    takeExitCode(io, exitCode) {
+        if (!isPending(exitCode)) {
+            io.exitCode = exitCode;
+            return null;
         }
+        return exitCode.then(code => {
+            io.exitCode = code;
+            return null;
+        });
+    }
+
+    /**
+     * Find and run a command
+     * @returns {string|null} Output for stdout, if the command returns it
+     */
+    dispatchCommand(cmd, args, line, io) {
+        // Handle drive switching (e.g., "C:" or "D:")
+        if (cmd.match(/^[a-z]:$/)) {
+            return this.cmdSwitchDrive(cmd.toUpperCase());
+        }
+
+        const builtIn = this.getCommands()[cmd];
+        if (builtIn) {
+            if (KEEPS_ERRORLEVEL.has(cmd)) io.exitCode = this.lastExitCode;
+            return builtIn(args, io, line);
+        }
+
+        const registered = CommandRegistry.get(cmd);
+        if (registered) return this.runRegistered(registered, args, io);
+
+        // Batch files run with their arguments ("build release" finds build.bat)
+        const batchPath = this.findBatchFile(cmd);
+        if (batchPath) return this.executeBatchFile(batchPath, this.parseCommandLine(line, { keepQuotes: true }).slice(1));
+
+        // Try to open the command as a file in the current directory
+        if (this.tryOpenFile([cmd, ...args].join(' '))) return null;
+
+        return this.fail(`'${cmd}' is not recognized as an internal or external command,\noperable program or batch file.`, ExitCode.NOT_FOUND);
+    }
+
+    /**
+     * Run a command from CommandRegistry; NAME /? shows its help
+     * @returns {string|null|Promise} What its run() returned
+     */
+    runRegistered(command, args, io) {
+        if (args[0] === '/?') return CommandRegistry.formatHelp(command);
+
+        const result = command.run(args, io, this);
+        if (!isPending(result)) return result;
+
+        // Until it settles, the job of the command line controls it
+        this.runningCommands.add(command);
+        return Promise.resolve(result).finally(() => this.runningCommands.delete(command));
+    }
+
+    /**
+     * Run a command line without showing anything
+     * A command that keeps running (see CommandRegistry) is not waited for.
+     * @param {string} line
+     * @returns {{stdout: string, stderr: string, exitCode: number}}
+     */
+    runCaptured(line) {
+        const io = new CommandIO();
+        const exitCode = this.runPipeline(line, io);
+        if (!isPending(exitCode)) io.exitCode = exitCode;
+        return { stdout: io.stdout.toString(), stderr: io.stderr.toString(), exitCode: io.exitCode };
+    }
 
-        const commands = {
+    /**
+     * Built-in commands. Each takes (args, io, line) and may return text
+     * for stdout; commands that read piped input get io.
+     * @returns {Object<string, Function>}
+     */
+    getCommands() {
+        return {
             // File system commands
-            'help': () => this.cmdHelp(),
-            '?': () => this.cmdHelp(),
+            'help': (args) => this.cmdHelp(args),
+            '?': (args) => this.cmdHelp(args),
             'cls': () => this.cmdClear(),
             'clear': () => this.cmdClear(),
-            'dir': () => this.cmdDir(args),
-            'ls': () => this.cmdDir(args),
-            'cd': () => this.cmdCd(args),
-            'chdir': () => this.cmdCd(args),
-            'type': () => this.cmdType(args),
-            'cat': () => this.cmdType(args),
-            'more': () => this.cmdMore(args),
-            'mkdir': () => this.cmdMkdir(args),
-            'md': () => this.cmdMkdir(args),
-            'rmdir': () => this.cmdRmdir(args),
-            'rd': () => this.cmdRmdir(args),
-            'del': () => this.cmdDel(args),
-            'rm': () => this.cmdDel(args),
-            'erase': () => this.cmdDel(args),
-            'copy': () => this.cmdCopy(args),
-            'cp': () => this.cmdCopy(args),
-            'move': () => this.cmdMove(args),
-            'mv': () => this.cmdMove(args),
-            'ren': () => this.cmdRename(args),
-            'rename': () => this.cmdRename(args),
-            'tree': () => this.cmdTree(args),
-            'find': () => this.cmdFind(args),
-            'attrib': () => this.cmdAttrib(args),
-            'edit': () => this.cmdEdit(args),
-            'notepad': () => this.cmdEdit(args),
-            'start': () => this.cmdStart(args),
-            'open': () => this.cmdStart(args),
+            'dir': (args) => this.cmdDir(args),
+            'ls': (args) => this.cmdDir(args),
+            'cd': (args) => this.cmdCd(args),
+            'chdir': (args) => this.cmdCd(args),
+            'type': (args, io) => this.cmdType(args, io),
+            'cat': (args, io) => this.cmdType(args, io),
+            'more': (args, io) => this.cmdMore(args, io),
+            'mkdir': (args) => this.cmdMkdir(args),
+            'md': (args) => this.cmdMkdir(args),
+            'rmdir': (args) => this.cmdRmdir(args),
+            'rd': (args) => this.cmdRmdir(args),
+            'del': (args) => this.cmdDel(args),
+            'rm': (args) => this.cmdDel(args),
+            'erase': (args) => this.cmdDel(args),
+            'copy': (args) => this.cmdCopy(args),
+            'xcopy': (args) => this.cmdXcopy(args),
+            'cp': (args) => this.cmdCopy(args),
+            'move': (args) => this.cmdMove(args),
+            'mv': (args) => this.cmdMove(args),
+            'ren': (args) => this.cmdRename(args),
+            'rename': (args) => this.cmdRename(args),
+            'tree': (args) => this.cmdTree(args),
+            'find': (args, io) => this.cmdFind(args, io),
+            'search': (args) => this.cmdSearch(args),
+            'undelete': (args) => this.cmdUndelete(args),
+            'attrib': (args) => this.cmdAttrib(args),
+            'edit': (args) => this.cmdEdit(args),
+            'notepad': (args) => this.cmdNotepad(args),
+            'start': (args, io) => this.cmdStart(args, io),
+            'open': (args, io) => this.cmdStart(args, io),
 
             // System commands
             'ver': () => this.cmdVer(),
-            'vol': () => this.cmdVol(args),
-            'label': () => this.cmdLabel(args),
+            'vol': (args) => this.cmdVol(args),
+            'label': (args) => this.cmdLabel(args),
+            'mount': (args, io) => this.cmdMount(args, io),
+            'eject': (args) => this.cmdEject(args),
+            'zip': (args, io) => this.cmdZip(args, io),
+            'unzip': (args, io) => this.cmdUnzip(args, io),
             'date': () => this.cmdDate(),
             'time': () => this.cmdTime(),
             'whoami': () => this.cmdWhoami(),
             'hostname': () => 'RETROS-PC',
-            'set': () => this.cmdSet(args),
-            'path': () => this.cmdPath(args),
-            'prompt': () => this.cmdPrompt(args),
-            'echo': () => this.cmdEcho(args, trimmed),
+            'set': (args) => this.cmdSet(args),
+            'path': (args) => this.cmdPath(args),
+            'prompt': (args) => this.cmdPrompt(args),
+            'echo': (args) => this.cmdEcho(args),
+            'echo.': () => { this.print(''); return null; },
             'mem': () => this.cmdMem(),
-            'chkdsk': () => this.cmdChkdsk(args),
-            'format': () => this.cmdFormat(args),
+            'chkdsk': (args) => this.cmdChkdsk(args),
+            'format': (args) => this.cmdFormat(args),
             'sys': () => this.cmdSys(),
             'systeminfo': () => this.cmdSystemInfo(),
 
             // Network commands
             'ipconfig': () => this.cmdIpConfig(),
             'ifconfig': () => this.cmdIpConfig(),
-            'ping': () => this.cmdPing(args),
+            'ping': (args) => this.cmdPing(args),
             'netstat': () => this.cmdNetstat(),
-            'tracert': () => this.cmdTracert(args),
-            'nslookup': () => this.cmdNslookup(args),
+            'tracert': (args) => this.cmdTracert(args),
+            'nslookup': (args) => this.cmdNslookup(args),
 
             // Fun commands
             'matrix': () => this.startMatrix(),
-            'cowsay': () => this.cmdCowsay(args),
+            'cowsay': (args, io) => this.cmdCowsay(args, io),
             'fortune': () => this.cmdFortune(),
             'disco': () => this.startDisco(),
             'party': () => this.startParty(),
-            'color': () => this.cmdColor(args),
+            'color': (args) => this.cmdColor(args),
 
             // Scripting commands
-            'retro': () => this.cmdRetro(args),
-            'script': () => this.cmdRetro(args),
-            'call': () => this.cmdCall(args),
-            'bat': () => this.cmdCall(args),
-            'newscript': () => this.cmdNewScript(args),
-            'newbatch': () => this.cmdNewBatch(args),
+            'retro': (args) => this.cmdRetro(args),
+            'script': (args) => this.cmdRetro(args),
+            'call': (args, io, line) => this.cmdCall(args, line),
+            'bat': (args, io, line) => this.cmdCall(args, line),
+            'newscript': (args) => this.cmdNewScript(args),
+            'newbatch': (args) => this.cmdNewBatch(args),
+            'if': (args, io, line) => this.cmdIf(line, io),
+            'for': (args, io, line) => this.cmdFor(line, io),
+            'goto': (args) => this.cmdGoto(args),
+            'rem': () => null,
+            'shift': () => { this.batch?.shift(); return null; },
+            'setlocal': () => { this.batch?.setLocal(); return null; },
+            'endlocal': () => { this.batch?.endLocal(); return null; },
+            'pause': () => this.cmdPause(),
+
+            // Sessions and history
+            'history': (args) => this.cmdHistory(args),
+            'tab': (args) => this.cmdTab(args),
+
+            // Job control
+            'jobs': () => this.cmdJobs(),
+            'fg': (args) => this.cmdFg(args),
+            'bg': (args) => this.cmdBg(args),
+            'kill': (args) => this.cmdKill(args),
+            'tasklist': (args) => this.cmdTasklist(args),
+            'taskkill': (args) => this.cmdTaskkill(args),
 
             // Additional file commands
-            'grep': () => this.cmdGrep(args),
-            'touch': () => this.cmdTouch(args),
-            'wget': () => this.cmdWget(args),
-            'curl': () => this.cmdWget(args),
-            'head': () => this.cmdHead(args),
-            'tail': () => this.cmdTail(args),
-            'wc': () => this.cmdWordCount(args),
-            'diff': () => this.cmdDiff(args),
-            'alias': () => this.cmdAlias(args),
-            'unalias': () => this.cmdUnalias(args),
+            'grep': (args, io) => this.cmdGrep(args, io),
+            'touch': (args) => this.cmdTouch(args),
+            'wget': (args) => this.cmdWget(args),
+            'curl': (args) => this.cmdWget(args),
+            'head': (args, io) => this.cmdHead(args, io),
+            'tail': (args, io) => this.cmdTail(args, io),
+            'wc': (args, io) => this.cmdWordCount(args, io),
+            'sort': (args, io) => this.cmdSort(args, io),
+            'diff': (args) => this.cmdDiff(args),
+            'alias': (args) => this.cmdAlias(args),
+            'unalias': (args) => this.cmdUnalias(args),
 
             // Other commands
-            'sudo': () => this.cmdSudo(args),
+            'sudo': (args) => this.cmdSudo(args),
             'bsod': () => this.triggerBSOD(),
-            'exit': () => { this.close(); return null; },
+            'exit': (args, io) => this.cmdExit(args, io),
             'quit': () => { this.close(); return null; },
             'about': () => this.cmdAbout(),
             'credits': () => this.cmdCredits(),
             'xyzzy': () => 'Nothing happens.',
             '42': () => 'The Answer to Life, the Universe, and Everything.',
         };
-
-        // Handle drive switching (e.g., "C:" or "D:")
-        if (cmd.match(/^[a-z]:$/)) {
-            return this.cmdSwitchDrive(cmd.toUpperCase());
-        }
-
-        if (commands[cmd]) {
-            const result = commands[cmd]();
-            if (result) this.print(result);
-        } else {
-            // Try to open the command as a file in the current directory
-            const fileResult = this.tryOpenFile(trimmed);
-            if (!fileResult) {
-                this.print(`'${cmd}' is not recognized as an internal or external command,`);
-                this.print('operable program or batch file.');
-            }
-        }
-
-        // Emit command executed event for script handlers
-        EventBus.emit('app:terminal:command', {
-            appId: this.id,
-            windowId: this.windowId,
-            command: trimmed,
-            cmd: cmd,
-            args: args,
-            output: this.lastOutput,
-            currentPath: this.currentPath,
-            pathString: this.currentPath.join('\\'),
-            timestamp: Date.now()
-        });
     }
 
     /**
      * Try to open a file by name in the current directory
-     * Supports .lnk (shortcuts), .exe (executables), .txt/.md/.log (text), images
+     * Folders are entered, scripts run in this window, and other files open
+     * in the program associated with their type (see FileAssociations)
      * @param {string} fileName - The filename to try to open
      * @returns {boolean} True if file was found and opened
      */
@@ -872,123 +1421,68 @@ class Terminal extends AppBase {
         // Must be a file
         if (node.type !== 'file') return false;
 
-        const extension = node.extension || fileName.split('.').pop().toLowerCase();
-
-        // Handle different file types
-        if (extension === 'lnk') {
-            // Shortcut file - open the target
-            return this.openShortcut(node);
-        } else if (extension === 'exe') {
-            // Executable - launch the app
-            return this.openExecutable(node);
-        } else if (extension === 'retro') {
-            // RetroScript file - execute it
-            this.executeRetroScript(filePath);
-            return true;
-        } else if (extension === 'bat') {
-            // Batch file - execute it
-            this.executeBatchFile(filePath);
-            return true;
-        } else if (['txt', 'md', 'log'].includes(extension)) {
-            // Text file - open in Notepad
-            this.openInNotepad(filePath);
-            return true;
-        } else if (['png', 'jpg', 'bmp', 'gif'].includes(extension)) {
-            // Image file - open in Paint
-            this.openInPaint(filePath);
+        const program = FileAssociations.getProgram(filePath);
+        if (!program) return false;
+
+        // Batch files and RetroScripts run right here, not in a new window
+        if (program.id === this.id) {
+            this.runFile(filePath);
             return true;
         }
 
-        return false;
+        this.print(`Opening ${filePath[filePath.length - 1]} with ${program.name}...`);
+        return FileAssociations.open(filePath, { chooser: false });
     }
 
     /**
-     * Open a shortcut (.lnk) file
-     * @param {Object} node - The file node
-     * @returns {boolean} True if opened successfully
-     */
-    openShortcut(node) {
-        if (node.shortcutType === 'link' && node.shortcutTarget) {
-            // External link - open in browser
-            this.print(`Opening ${node.shortcutTarget}...`);
-            import('./AppRegistry.js').then(module => {
-                const AppRegistry = module.default;
-                AppRegistry.launch('browser', { url: node.shortcutTarget });
-            });
-            return true;
-        } else if (node.shortcutTarget) {
-            // App shortcut - launch the app
-            this.print(`Launching ${node.shortcutTarget}...`);
-            import('./AppRegistry.js').then(module => {
-                const AppRegistry = module.default;
-                AppRegistry.launch(node.shortcutTarget);
-            });
-            return true;
-        }
-        return false;
-    }
-
-    /**
-     * Open an executable (.exe) file
-     * @param {Object} node - The file node
-     * @returns {boolean} True if opened successfully
-     */
-    openExecutable(node) {
-        if (node.appId) {
-            this.print(`Launching ${node.appId}...`);
-            import('./AppRegistry.js').then(module => {
-                const AppRegistry = module.default;
-                AppRegistry.launch(node.appId);
-            });
-            return true;
-        }
-        return false;
-    }
-
-    /**
-     * Open a text file in Notepad
+     * Run a .retro or .bat file in this window
      * @param {string[]} filePath - The file path array
      */
-    openInNotepad(filePath) {
-        this.print(`Opening in Notepad...`);
-        import('./AppRegistry.js').then(module => {
-            const AppRegistry = module.default;
-            AppRegistry.launch('notepad', { filePath });
-        });
-    }
-
-    /**
-     * Open an image file in Paint
-     * @param {string[]} filePath - The file path array
-     */
-    openInPaint(filePath) {
-        this.print(`Opening in Paint...`);
-        import('./AppRegistry.js').then(module => {
-            const AppRegistry = module.default;
-            AppRegistry.launch('paint', { filePath });
-        });
+    runFile(filePath) {
+        if (Path.extname(filePath[filePath.length - 1]).toLowerCase() === '.retro') {
+            this.executeRetroScript(filePath);
+        } else {
+            this.executeBatchFile(filePath);
+        }
     }
 
     /**
      * START command - opens a file or launches an application
+     * /MIN and /MAX start its window minimized or maximized; /WAIT holds
+     * the prompt (and a batch file) until that window is closed.
      * @param {string[]} args - Command arguments
-     * @returns {string} Result message
+     * @param {CommandIO} io
+     * @returns {string|Promise|null} Result message, or a Promise while an
+     *   app is launched (with /WAIT, until its window is closed)
      */
-    cmdStart(args) {
+    cmdStart(args, io) {
+        const flags = [];
+        while (args.length > 0 && /^\/(wait|min|max)$/i.test(args[0])) {
+            flags.push(args[0].slice(1).toLowerCase());
+            args = args.slice(1);
+        }
+
         if (args.length === 0) {
-            return 'Usage: START <filename or app name>';
+            return 'Usage: START [/WAIT] [/MIN | /MAX] <filename or app name>\n\n' +
+                '  /WAIT  Waits until the window is closed\n' +
+                '  /MIN   Starts the window minimized\n' +
+                '  /MAX   Starts the window maximized';
         }
 
         const target = args.join(' ');
 
-        // Try to open as a file first
-        if (this.tryOpenFile(target)) {
-            return null;
+        // Try to open as a file first, noting the window it opens in
+        let windowId = null;
+        const stopWatching = EventBus.on(Events.WINDOW_OPEN, ({ id }) => { windowId ??= id; });
+        const opened = this.tryOpenFile(target);
+        stopWatching();
+        if (opened) {
+            return this.startedWindow(windowId, flags);
         }
 
         // Try to launch as an app by name (case-insensitive)
         const appId = target.toLowerCase().replace(/\s+/g, '').replace('.exe', '');
-        import('./AppRegistry.js').then(module => {
+        const launched = import('./AppRegistry.js').then(module => {
             const AppRegistry = module.default;
             const apps = AppRegistry.getAll();
             const app = apps.find(a =>
@@ -996,18 +1490,50 @@ class Terminal extends AppBase {
                 a.name.toLowerCase() === target.toLowerCase()
             );
 
-            if (app) {
-                this.print(`Launching ${app.name}...`);
-                AppRegistry.launch(app.id);
-            } else {
-                this.print(`Cannot find '${target}'`);
-            }
+            if (!app) throw new Error(`Cannot find '${target}'`);
+            io.stdout.write(`Launching ${app.name}...`);
+            AppRegistry.launch(app.id);
+            return app.windowId;
         });
 
-        return null;
+        return launched.then(id => this.startedWindow(id, flags));
     }
 
-    parseCommandLine(line) {
+    /**
+     * Apply START's /MIN or /MAX to the window it opened
+     * @param {string|null} windowId - The window, if one was opened
+     * @param {string[]} flags - START's switches, lowercase without the slash
+     * @returns {Promise|null} With /WAIT, settles once the window has closed
+     */
+    startedWindow(windowId, flags) {
+        const win = windowId ? StateManager.getWindow(windowId) : null;
+        if (!win) return null;
+
+        if (flags.includes('min')) {
+            WindowManager.minimize(windowId);
+        } else if (flags.includes('max') && !win.maximized) {
+            WindowManager.maximize(windowId);
+        }
+
+        if (!flags.includes('wait')) return null;
+        return new Promise(resolve => {
+            const stopWatching = EventBus.on(Events.WINDOW_CLOSE, ({ id }) => {
+                if (id !== windowId) return;
+                stopWatching();
+                resolve(null);
+            });
+        });
+    }
+
+    /**
+     * Split a command line into the command and its arguments
+     * "Quoted text" is one argument, without its quotes unless keepQuotes
+     * (a batch file's %1 keeps them, %~1 drops them).
+     * @param {string} line
+     * @param {Object} [options] - { keepQuotes }
+     * @returns {string[]}
+     */
+    parseCommandLine(line, { keepQuotes = false } = {}) {
         const parts = [];
         let current = '';
         let inQuotes = false;
@@ -1016,6 +1542,7 @@ class Terminal extends AppBase {
             const char = line[i];
             if (char === '"') {
                 inQuotes = !inQuotes;
+                if (keepQuotes) current += char;
             } else if (char === ' ' && !inQuotes) {
                 if (current) {
                     parts.push(current);
@@ -1031,55 +1558,93 @@ class Terminal extends AppBase {
 
     // === FILE SYSTEM COMMANDS ===
 
-    cmdHelp() {
+    /**
+     * HELP command - List the commands, with those from CommandRegistry
+     * under ADDITIONAL COMMANDS; HELP name describes one command
+     */
+    cmdHelp(args = []) {
+        if (args[0]) return this.cmdHelpFor(args[0]);
+
+        const registered = CommandRegistry.list()
+            .filter(command => !this.getCommands()[command.name])
+            .map(command => `  ${command.name.toUpperCase().padEnd(10)} ${command.description || `(${command.source})`}`);
+        const additional = registered.length > 0 ? `\nADDITIONAL COMMANDS:\n${registered.join('\n')}\n` : '';
+
         return `
 For more information on a specific command, type HELP command-name
 
 FILE SYSTEM COMMANDS:
-  ATTRIB     Displays file attributes.
+  ATTRIB     Displays or changes file attributes.
   CD         Displays or changes the current directory.
-  COPY       Copies files to another location.
-  DEL        Deletes files.
-  DIR        Displays a list of files and subdirectories.
-  EDIT       Starts Notepad to edit a file.
+  COPY       Copies or joins files (COPY *.txt C:\\Backup, COPY a+b c).
+  DEL        Deletes files (to the Recycle Bin; /P permanently, /S /Q).
+  DIR        Displays a list of files and subdirectories (/S /B /O /A).
+  EDIT       Edits a text file full-screen (NOTEPAD opens Notepad).
   FIND       Searches for a text string in a file.
   MD         Creates a directory.
   MORE       Displays output one screen at a time.
   MOVE       Moves files from one directory to another.
   RD         Removes a directory.
   REN        Renames a file or directory.
+  SEARCH     Searches file names and contents on the disk.
   TREE       Displays directory structure graphically.
   TYPE       Displays the contents of a text file.
+  UNDELETE   Lists or restores items in the Recycle Bin.
+  XCOPY      Copies files and directory trees (/S /E).
+  UNZIP      Extracts or lists a ZIP archive.
+  ZIP        Packs files and folders into a ZIP archive.
 
 ADVANCED FILE COMMANDS:
   DIFF       Compares two files and shows differences.
-  GREP       Searches for patterns in files (with options).
-  HEAD       Displays the first lines of a file.
-  TAIL       Displays the last lines of a file.
+  GREP       Searches for patterns in files or piped input (with options).
+  HEAD       Displays the first lines of a file or piped input.
+  TAIL       Displays the last lines of a file or piped input.
+  SORT       Sorts the lines of a file or piped input.
   TOUCH      Creates an empty file or updates timestamp.
-  WC         Counts lines, words, and characters in a file.
+  WC         Counts lines, words, and characters in a file or piped input.
 
 SCRIPTING COMMANDS:
   RETRO      Executes a RetroScript file (.retro).
   SCRIPT     Alias for RETRO command.
-  CALL       Executes a batch file (.bat).
+  CALL       Executes a batch file (.bat) with arguments.
   BAT        Alias for CALL command.
+  IF         Runs a command if a condition holds (EXIST, ERRORLEVEL, ==).
+  FOR        Runs a command for each item of a set (FOR %f IN (*.txt) DO ...).
+  GOTO       Continues a batch file at a :label.
+  SHIFT      Shifts the batch file arguments %1-%9.
+  SETLOCAL   Starts local variables in a batch file (ENDLOCAL ends them).
+  PAUSE      Waits for a key press.
+  REM        Starts a comment; the line does nothing.
   NEWSCRIPT  Creates a new RetroScript template file.
   NEWBATCH   Creates a new batch file template.
   ALIAS      Creates command aliases.
   UNALIAS    Removes a command alias.
 
+SESSIONS AND HISTORY:
+  HISTORY    Lists the command history (HISTORY -C clears it).
+  TAB        Lists tabs; TAB NEW, TAB n, TAB CLOSE [n] open, show, close.
+
+JOB CONTROL:
+  JOBS       Lists the running and stopped jobs.
+  FG         Brings a job to the foreground (FG %1).
+  BG         Continues a stopped job in the background (BG %1).
+  KILL       Ends a job (KILL %1) or a process (KILL 4001).
+  TASKLIST   Lists the running processes: windows, jobs and system.
+  TASKKILL   Ends processes by PID or image name (TASKKILL /IM notepad).
+
 SYSTEM COMMANDS:
   CHKDSK     Checks a disk and displays a status report.
   CLS        Clears the screen.
   DATE       Displays the date.
   ECHO       Displays messages, or turns command echoing on/off.
+  EJECT      Ejects the disk in drive A: or D:.
   FORMAT     Formats a disk (simulated).
   HELP       Provides help information.
   MEM        Displays memory usage.
+  MOUNT      Mounts a JSON or ZIP disk image on A: or D:.
   PATH       Displays or sets the search path.
   SET        Displays or sets environment variables.
-  START      Starts an application or opens a file.
+  START      Starts an application or opens a file (/WAIT, /MIN, /MAX).
   SYSTEMINFO Displays system configuration.
   TIME       Displays the system time.
   VER        Displays the operating system version.
@@ -1093,10 +1658,22 @@ NETWORK COMMANDS:
   NSLOOKUP   DNS lookup.
   WGET       Downloads files from URL (simulated).
   CURL       Alias for WGET.
-
+${additional}
 FEATURES:
-  - Variable interpolation: Use %VAR% in commands
-  - Pipe operators: Chain commands with | (e.g., dir | grep txt)
+  - Variable interpolation: Use %VAR% in commands (%ERRORLEVEL% is the
+    exit code of the last command)
+  - Pipe operators: Feed any command's output to another with |
+    (e.g., dir /b | find "txt" | more, fortune | cowsay)
+  - Redirection: > file, >> file (append), < file, 2> file (errors),
+    2>&1, and NUL to discard (e.g., dir > C:\\list.txt, sort < names.txt)
+  - Background jobs: end a command with & (e.g., ping example.com &);
+    Ctrl+Z stops PING, TRACERT, MATRIX or a script, and FG/BG continue it
+  - History: Up/Down, Ctrl+R to search, !n, !! or !text to run again;
+    saved in C:\\Users\\User\\doskey.his for new windows and tabs
+  - ANSI colors and cursor movement: %ESC% is the escape character
+    (e.g., echo %ESC%[1;32mOK%ESC%[0m)
+  - Wildcards: * and ? in DIR, DEL, COPY, MOVE, XCOPY, FOR and IF EXIST
+    (e.g., del /s *.tmp, copy a?.log C:\\Logs)
   - Type any .retro or .bat filename to execute it
 
 TIP: Type a filename to open it (e.g. "snake.lnk" or "welcome.txt")
@@ -1104,99 +1681,230 @@ TIP: Type a filename to open it (e.g. "snake.lnk" or "welcome.txt")
 FUN:       matrix, disco, party, cowsay, fortune, color`;
     }
 
+    /**
+     * HELP name - The help of a registered command, or the line HELP
+     * shows for a built-in one
+     */
+    cmdHelpFor(name) {
+        const key = name.toLowerCase();
+        const registered = CommandRegistry.get(key);
+        if (registered && !this.getCommands()[key]) {
+            return CommandRegistry.formatHelp(registered);
+        }
+
+        const entry = this.cmdHelp().split('\n')
+            .map(line => line.match(/^  (\S+)\s+(.+)$/))
+            .find(match => match && match[1].toLowerCase() === key);
+        if (entry) return entry[2];
+
+        return this.fail('This command is not supported by the help utility.');
+    }
+
     cmdClear() {
-        const output = this.getElement('#terminalOutput');
-        if (output) output.innerHTML = '';
+        this.session.screen.clear(this.getElement('#terminalOutput'));
         return null;
     }
 
+    /**
+     * DIR command - List files and directories
+     *   /W wide, /B bare (full paths with /S), /S include subdirectories,
+     *   /A[:attrs] show hidden items or filter by D H S R A (-H excludes),
+     *   /O[:order] sort by N name, E extension, S size, D date, G directories
+     *   first (-N reverses)
+     * The path may end in a wildcard: dir /s *.txt
+     */
     cmdDir(args) {
+        let showWide = false;
+        let showBare = false;
+        let recursive = false;
+        let attributes = null;
+        let order = '';
+        let target = null;
+
+        for (const arg of args) {
+            const lower = arg.toLowerCase();
+            if (lower === '/w') showWide = true;
+            else if (lower === '/b') showBare = true;
+            else if (lower === '/s') recursive = true;
+            else if (lower.startsWith('/a')) attributes = lower.slice(2).replace(/^:/, '');
+            else if (lower.startsWith('/o')) order = lower.slice(2).replace(/^:/, '') || 'gn';
+            else if (!arg.startsWith('/')) target = arg;
+        }
+
         try {
-            // Parse options
-            let showWide = false;
-            let showBare = false;
-            let targetPath = this.currentPath;
-
-            for (const arg of args) {
-                if (arg.toLowerCase() === '/w') showWide = true;
-                else if (arg.toLowerCase() === '/b') showBare = true;
-                else if (!arg.startsWith('/')) {
-                    targetPath = this.resolvePath(arg);
-                }
+            let dirPath = target ? this.resolvePath(target) : this.currentPath;
+            let pattern = '*';
+            if (hasWildcards(target || '') || (target && !this.isDirectory(dirPath))) {
+                pattern = dirPath[dirPath.length - 1];
+                dirPath = dirPath.slice(0, -1);
             }
 
-            const items = FileSystemManager.listDirectory(targetPath);
-            const pathStr = targetPath.join('\\');
+            // One entry per directory that has matches; without /S the
+            // directory itself is always listed
+            const listing = [];
+            const collect = (path) => {
+                const items = FileSystemManager.listDirectory(path, listing.length === 0, {
+                    includeHidden: attributes !== null
+                }).sort(this.compareDirItems(order));
+                const matched = items.filter(item =>
+                    matches(item.name, pattern) && this.hasDirAttributes(item, attributes));
+
+                if (matched.length > 0 || !recursive) listing.push({ path, items: matched });
+                if (recursive) {
+                    for (const item of items) {
+                        if (item.type !== 'file') collect([...path, item.name]);
+                    }
+                }
+            };
+            collect(dirPath);
+
+            if (listing.every(entry => entry.items.length === 0) && (recursive || pattern !== '*')) {
+                return this.fail('File Not Found');
+            }
 
             if (showBare) {
-                // Bare format - just names
+                // Bare format - just names, full paths with /S
                 let out = '';
-                for (const item of items) {
-                    out += item.name + '\n';
+                for (const { path, items } of listing) {
+                    for (const item of items) {
+                        out += (recursive ? [...path, item.name].join('\\') : item.name) + '\n';
+                    }
                 }
                 return out;
             }
 
             // Get volume info
-            const drive = targetPath[0];
+            const drive = dirPath[0];
             const driveNode = FileSystemManager.getNode([drive]);
-            const volumeLabel = driveNode?.label || 'LOCAL DISK';
+            const volumeLabel = FileSystemManager.getMedia(drive)?.label || driveNode?.label || 'LOCAL DISK';
 
             let out = `\n Volume in drive ${drive.charAt(0)} is ${volumeLabel.toUpperCase()}`;
-            out += `\n Volume Serial Number is 1995-1225`;
-            out += `\n\n Directory of ${pathStr}\n\n`;
+            out += `\n Volume Serial Number is 1995-1225\n`;
+
+            const totals = { files: 0, dirs: 0, size: 0 };
+            for (const { path, items } of listing) {
+                const entries = this.formatDirEntries(items, showWide);
+                out += `\n Directory of ${path.join('\\')}\n\n${entries.text}`;
+                if (!showWide || recursive) {
+                    out += `\n               ${entries.files} File(s)    ${entries.size.toLocaleString()} bytes\n`;
+                }
+                totals.files += entries.files;
+                totals.dirs += entries.dirs;
+                totals.size += entries.size;
+            }
+
+            if (recursive) {
+                out += `\n     Total Files Listed:`;
+                out += `\n               ${totals.files} File(s)    ${totals.size.toLocaleString()} bytes`;
+            } else if (showWide) {
+                return out;
+            }
+            out = out.replace(/\n$/, '');
+            out += `\n               ${totals.dirs} Dir(s)   ${this.getFreeSpace(drive)} bytes free`;
+
+            return out;
+        } catch (e) {
+            return this.fail('File Not Found');
+        }
+    }
+
+    /**
+     * Lines of one DIR listing
+     * @returns {{text: string, files: number, dirs: number, size: number}}
+     */
+    formatDirEntries(items, showWide) {
+        const result = { text: '', files: 0, dirs: 0, size: 0 };
+        let col = 0;
+
+        for (const item of items) {
+            const isDir = item.type === 'directory' || item.type === 'drive';
+            if (isDir) {
+                result.dirs++;
+            } else {
+                result.files++;
+                result.size += item.size || 0;
+            }
 
             if (showWide) {
                 // Wide format - multiple columns
-                let col = 0;
-                for (const item of items) {
-                    const name = item.type === 'directory' ? `[${item.name}]` : item.name;
-                    out += name.padEnd(20);
-                    col++;
-                    if (col >= 3) {
-                        out += '\n';
-                        col = 0;
-                    }
+                const name = isDir ? `[${item.name}]` : item.name;
+                result.text += name.padEnd(20);
+                col++;
+                if (col >= 3) {
+                    result.text += '\n';
+                    col = 0;
                 }
-                if (col !== 0) out += '\n';
+                continue;
+            }
+
+            // Standard format with dates and sizes
+            const date = item.modified ? new Date(item.modified) : new Date();
+            const dateStr = date.toLocaleDateString('en-US', {
+                month: '2-digit',
+                day: '2-digit',
+                year: 'numeric'
+            }).replace(/\//g, '-');
+            const timeStr = date.toLocaleTimeString('en-US', {
+                hour: '2-digit',
+                minute: '2-digit',
+                hour12: true
+            });
+
+            if (isDir) {
+                result.text += `${dateStr}  ${timeStr}    <DIR>          ${item.name}\n`;
             } else {
-                // Standard format with dates and sizes
-                let fileCount = 0;
-                let dirCount = 0;
-                let totalSize = 0;
-
-                for (const item of items) {
-                    const date = item.modified ? new Date(item.modified) : new Date();
-                    const dateStr = date.toLocaleDateString('en-US', {
-                        month: '2-digit',
-                        day: '2-digit',
-                        year: 'numeric'
-                    }).replace(/\//g, '-');
-                    const timeStr = date.toLocaleTimeString('en-US', {
-                        hour: '2-digit',
-                        minute: '2-digit',
-                        hour12: true
-                    });
+                const sizeStr = String(item.size || 0).padStart(14);
+                result.text += `${dateStr}  ${timeStr} ${sizeStr} ${item.name}\n`;
+            }
+        }
+        if (showWide && col !== 0) result.text += '\n';
 
-                    if (item.type === 'directory' || item.type === 'drive') {
-                        out += `${dateStr}  ${timeStr}    <DIR>          ${item.name}\n`;
-                        dirCount++;
-                    } else {
-                        const sizeStr = String(item.size || 0).padStart(14);
-                        out += `${dateStr}  ${timeStr} ${sizeStr} ${item.name}\n`;
-                        fileCount++;
-                        totalSize += item.size || 0;
-                    }
-                }
+        return result;
+    }
 
-                out += `\n               ${fileCount} File(s)    ${totalSize.toLocaleString()} bytes`;
-                out += `\n               ${dirCount} Dir(s)   ${this.getFreeSpace(targetPath[0])} bytes free`;
+    /**
+     * Sort function for DIR /O: "n", "-s", "gn"... (empty keeps listing order)
+     * @param {string} order
+     * @returns {Function}
+     */
+    compareDirItems(order) {
+        const keys = [...order.matchAll(/(-?)([nesdg])/g)].map(([, minus, key]) => ({ key, sign: minus ? -1 : 1 }));
+        const value = {
+            n: item => item.name.toLowerCase(),
+            e: item => Path.extname(item.name).toLowerCase(),
+            s: item => item.size || 0,
+            d: item => new Date(item.modified || 0).getTime(),
+            g: item => item.type === 'file' ? 1 : 0
+        };
+
+        return (a, b) => {
+            for (const { key, sign } of keys) {
+                const x = value[key](a);
+                const y = value[key](b);
+                if (x !== y) return (x < y ? -1 : 1) * sign;
             }
+            return 0;
+        };
+    }
 
-            return out;
-        } catch (e) {
-            return 'File Not Found';
+    /**
+     * Check an item against a DIR /A filter such as "h", "-d" or "hr"
+     * @param {Object} item - listDirectory() entry
+     * @param {string|null} filter - null or '' lets everything through
+     * @returns {boolean}
+     */
+    hasDirAttributes(item, filter) {
+        const flags = {
+            d: item.type !== 'file',
+            h: item.attributes?.hidden,
+            s: item.attributes?.system,
+            r: item.attributes?.readOnly,
+            a: item.attributes?.archive
+        };
+        for (const [, minus, letter] of (filter || '').matchAll(/(-?)([dhsra])/g)) {
+            if (!!flags[letter] === !!minus) return false;
         }
+        return true;
     }
 
     cmdCd(args) {
@@ -1204,25 +1912,12 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             return this.currentPath.join('\\');
         }
 
-        const target = args.join(' ');
+        const newPath = this.resolvePath(args.join(' '));
 
-        if (target === '..') {
-            if (this.currentPath.length > 1) {
-                this.currentPath.pop();
-            }
-        } else if (target === '\\' || target === '/') {
-            this.currentPath = [this.currentPath[0]];
-        } else if (target === '.') {
-            // Stay in current directory
+        if (this.isDirectory(newPath)) {
+            this.currentPath = newPath;
         } else {
-            const newPath = this.resolvePath(target);
-            const node = FileSystemManager.getNode(newPath);
-
-            if (node && (node.type === 'directory' || node.type === 'drive' || node.children)) {
-                this.currentPath = newPath;
-            } else {
-                return 'The system cannot find the path specified.';
-            }
+            return this.fail('The system cannot find the path specified.');
         }
         this.updatePrompt();
         return '';
@@ -1230,43 +1925,60 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
 
     cmdSwitchDrive(drive) {
         const node = FileSystemManager.getNode([drive]);
+        if (node && REMOVABLE_DRIVES[drive] && !FileSystemManager.getMedia(drive) &&
+            Object.keys(node.children || {}).length === 0) {
+            return this.fail(`Not ready reading drive ${drive.charAt(0)}\nThere is no disk in the drive.`);
+        }
         if (node) {
-            this.currentPath = [drive];
+            this.currentPath = FileSystemManager.parsePath([drive]);
             this.updatePrompt();
             return '';
         }
-        return 'The system cannot find the drive specified.';
+        return this.fail('The system cannot find the drive specified.');
     }
 
-    cmdType(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+    cmdType(args, io) {
+        if (!args[0]) {
+            // Without a file name, pass piped input through (like cat)
+            if (io?.stdin.isPiped) return io.stdin.read();
+            return this.fail('The syntax of the command is incorrect.');
+        }
 
         try {
             const filePath = this.resolvePath(args[0]);
             const content = FileSystemManager.readFile(filePath);
             return content;
         } catch (e) {
-            return 'The system cannot find the file specified.';
+            return this.fail('The system cannot find the file specified.');
         }
     }
 
-    cmdMore(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+    cmdMore(args, io) {
+        let lines;
+        if (args[0]) {
+            try {
+                const filePath = this.resolvePath(args[0]);
+                lines = FileSystemManager.readFile(filePath).split('\n');
+            } catch (e) {
+                return this.fail('The system cannot find the file specified.');
+            }
+        } else if (io?.stdin.isPiped) {
+            lines = io.stdin.readLines();
+        } else {
+            return this.fail('The syntax of the command is incorrect.');
+        }
 
-        try {
-            const filePath = this.resolvePath(args[0]);
-            const content = FileSystemManager.readFile(filePath);
-            const lines = content.split('\n');
+        // Only page on the screen; further down a pipeline, pass everything on
+        if (io && !io.stdout.isInteractive) {
+            return lines.join('\n');
+        }
 
-            this.moreBuffer = lines;
-            this.moreIndex = 0;
-            this.activeProcess = 'more';
+        this.moreBuffer = lines;
+        this.moreIndex = 0;
+        this.activeProcess = 'more';
 
-            this.showMorePage();
-            return null;
-        } catch (e) {
-            return 'The system cannot find the file specified.';
-        }
+        this.showMorePage();
+        return null;
     }
 
     showMorePage() {
@@ -1294,7 +2006,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
     }
 
     cmdMkdir(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+        if (!args[0]) return this.fail('The syntax of the command is incorrect.');
 
         try {
             const dirPath = this.resolvePath(args[0]);
@@ -1302,108 +2014,255 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             return '';
         } catch (e) {
             if (e.message.includes('already exists')) {
-                return 'A subdirectory or file already exists.';
+                return this.fail('A subdirectory or file already exists.');
             }
-            return `Unable to create directory - ${e.message}`;
+            return this.fail(`Unable to create directory - ${e.message}`);
         }
     }
 
     cmdRmdir(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+        if (!args[0]) return this.fail('The syntax of the command is incorrect.');
 
         const recursive = args.includes('/s') || args.includes('/S');
+        const permanent = args.includes('/p') || args.includes('/P');
         const target = args.find(a => !a.startsWith('/'));
 
-        if (!target) return 'The syntax of the command is incorrect.';
+        if (!target) return this.fail('The syntax of the command is incorrect.');
 
         try {
             const dirPath = this.resolvePath(target);
-            FileSystemManager.deleteDirectory(dirPath, recursive);
+            FileSystemManager.deleteDirectory(dirPath, recursive, { permanent });
             return '';
         } catch (e) {
             if (e.message.includes('not empty')) {
-                return 'The directory is not empty.';
+                return this.fail('The directory is not empty.');
             }
-            return 'The system cannot find the file specified.';
+            return this.fail('The system cannot find the file specified.');
         }
     }
 
+    /**
+     * DEL command - Delete files
+     *   /P deletes permanently instead of to the Recycle Bin,
+     *   /S also deletes matching files in every subdirectory,
+     *   /Q does not ask before deleting every file (*.* or a directory)
+     */
     cmdDel(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+        const switches = args.filter(a => a.startsWith('/')).map(a => a.toLowerCase());
+        const permanent = switches.includes('/p');
+        const recursive = switches.includes('/s');
+        const quiet = switches.includes('/q');
+        const targets = args.filter(a => !a.startsWith('/'));
+
+        if (targets.length === 0) return this.fail('The syntax of the command is incorrect.');
+
+        // DEL folder means every file in it
+        const patterns = targets.map(target => {
+            const path = this.resolvePath(target);
+            return this.isDirectory(path) ? [...path, '*'] : path;
+        });
 
-        try {
-            const filePath = this.resolvePath(args[0]);
-            FileSystemManager.deleteFile(filePath);
-            return '';
-        } catch (e) {
-            return 'The system cannot find the file specified.';
+        const deleteAll = () => {
+            for (const pattern of patterns) {
+                const paths = this.expandPaths(pattern, { recursive, type: 'file' });
+                if (paths.length === 0) {
+                    this.fail(`Could Not Find ${pattern.join('\\')}`);
+                    continue;
+                }
+
+                for (const path of paths) {
+                    try {
+                        FileSystemManager.deleteFile(path, { permanent });
+                        if (recursive && !quiet) this.print(`Deleted file - ${path.join('\\')}`);
+                    } catch (e) {
+                        this.fail(FileSystemManager.exists(path)
+                            ? `Access is denied. - ${path.join('\\')}`
+                            : 'The system cannot find the file specified.');
+                    }
+                }
+            }
+        };
+
+        const everything = patterns.find(pattern => /^\*(\.\*)?$/.test(pattern[pattern.length - 1]));
+        if (everything && !quiet) {
+            this.askYesNo(`${everything.join('\\')}, Are you sure`, deleteAll);
+        } else {
+            deleteAll();
         }
+        return null;
     }
 
+    /**
+     * COPY command - Copy files, or join them into one file
+     *   copy a.txt b.txt           copy *.txt C:\Backup
+     *   copy a.txt+b.txt c.txt     copy *.log all.log (joins the matches)
+     */
     cmdCopy(args) {
-        if (args.length < 2) return 'The syntax of the command is incorrect.';
+        const targets = args.filter(a => !a.startsWith('/'));
+        if (targets.length < 2) return this.fail('The syntax of the command is incorrect.');
+
+        const destPath = this.resolvePath(targets[targets.length - 1]);
+        const sources = targets.slice(0, -1).join(' ').split(/\s*\+\s*/).filter(Boolean);
+        const files = sources.flatMap(source => this.expandPaths(source, { type: 'file' }));
+        const listNames = sources.length > 1 || sources.some(hasWildcards);
+
+        if (files.length === 0) return this.fail('The system cannot find the file specified.');
 
         try {
-            const srcPath = this.resolvePath(args[0]);
-            let destPath = this.resolvePath(args[1]);
-
-            // Check if destination is a directory
-            const destNode = FileSystemManager.getNode(destPath);
-            if (destNode && (destNode.type === 'directory' || destNode.children)) {
-                // Copy into directory
-                FileSystemManager.copyItem(srcPath, destPath);
-            } else {
-                // Copy as new filename
-                const content = FileSystemManager.readFile(srcPath);
-                const srcInfo = FileSystemManager.getInfo(srcPath);
-                FileSystemManager.writeFile(destPath, content, srcInfo.extension);
+            const intoDirectory = this.isDirectory(destPath);
+            if (sources.length > 1 || (files.length > 1 && !intoDirectory)) {
+                const joined = intoDirectory ? [...destPath, files[0][files[0].length - 1]] : destPath;
+                this.joinFiles(files, joined);
+                files.forEach(file => this.print(file[file.length - 1]));
+                return '        1 file(s) copied.';
             }
-            return '        1 file(s) copied.';
+
+            for (const srcPath of files) {
+                if (intoDirectory) {
+                    // Copy into directory
+                    FileSystemManager.copyItem(srcPath, destPath);
+                } else {
+                    // Copy as new filename
+                    this.copyFileTo(srcPath, destPath);
+                }
+                if (listNames) this.print(srcPath[srcPath.length - 1]);
+            }
+            return `        ${files.length} file(s) copied.`;
         } catch (e) {
-            return 'The system cannot find the file specified.';
+            return this.fail('The system cannot find the file specified.');
         }
     }
 
-    cmdMove(args) {
-        if (args.length < 2) return 'The syntax of the command is incorrect.';
+    /**
+     * XCOPY command - Copy files and directory trees
+     *   xcopy source [destination] [/S] [/E]
+     *   /S copies subdirectories that contain files, /E empty ones too.
+     * The source is a directory or a wildcard pattern; the destination
+     * directory is created when missing.
+     */
+    cmdXcopy(args) {
+        const switches = args.filter(a => a.startsWith('/')).map(a => a.toLowerCase());
+        const includeEmpty = switches.includes('/e');
+        const recursive = includeEmpty || switches.includes('/s');
+        const [source, destination] = args.filter(a => !a.startsWith('/'));
+
+        if (!source) return this.fail('Invalid number of parameters');
+
+        let fromDir = this.resolvePath(source);
+        let pattern = '*';
+        if (hasWildcards(source) || !this.isDirectory(fromDir)) {
+            pattern = fromDir[fromDir.length - 1];
+            fromDir = fromDir.slice(0, -1);
+        }
+        const toDir = destination ? this.resolvePath(destination) : this.currentPath;
+
+        if (!this.isDirectory(fromDir)) return this.fail('File not found - ' + source);
+        if (recursive && Path.normalize(toDir).toLowerCase().startsWith(Path.normalize(fromDir).toLowerCase() + '/')) {
+            return this.fail('Cannot perform a cyclic copy');
+        }
+
+        let copied = 0;
+        const copyTree = (from, to) => {
+            const files = FileSystemManager.glob([...from, pattern], { type: 'file' });
+            if (files.length > 0 || includeEmpty) this.makeDirectories(to);
+
+            for (const srcPath of files) {
+                this.copyFileTo(srcPath, [...to, srcPath[srcPath.length - 1]]);
+                this.print(srcPath.join('\\'));
+                copied++;
+            }
+
+            if (recursive) {
+                for (const dirPath of FileSystemManager.glob([...from, '*'], { type: 'directory' })) {
+                    copyTree(dirPath, [...to, dirPath[dirPath.length - 1]]);
+                }
+            }
+        };
 
         try {
-            const srcPath = this.resolvePath(args[0]);
-            const destPath = this.resolvePath(args[1]);
+            copyTree(fromDir, toDir);
+        } catch (e) {
+            return this.fail('Access denied');
+        }
 
-            // Check if destination is a directory
-            const destNode = FileSystemManager.getNode(destPath);
-            if (destNode && (destNode.type === 'directory' || destNode.children)) {
-                FileSystemManager.moveItem(srcPath, destPath);
-            } else {
-                // Move as rename
-                const content = FileSystemManager.readFile(srcPath);
-                const srcInfo = FileSystemManager.getInfo(srcPath);
-                FileSystemManager.writeFile(destPath, content, srcInfo.extension);
-                FileSystemManager.deleteFile(srcPath);
+        if (copied === 0 && !includeEmpty) return this.fail('File not found - ' + source);
+        return `${copied} File(s) copied`;
+    }
+
+    /**
+     * MOVE command - Move files or directories (wildcards move every match
+     * into a directory)
+     */
+    cmdMove(args) {
+        const targets = args.filter(a => !a.startsWith('/'));
+        if (targets.length < 2) return this.fail('The syntax of the command is incorrect.');
+
+        const sources = this.expandPaths(targets[0]);
+        const destPath = this.resolvePath(targets[1]);
+        const intoDirectory = this.isDirectory(destPath);
+
+        if (sources.length === 0) return this.fail('The system cannot find the file specified.');
+        if (sources.length > 1 && !intoDirectory) return this.fail('Cannot move multiple files to a single file.');
+
+        try {
+            for (const srcPath of sources) {
+                if (!FileSystemManager.exists(srcPath)) return this.fail('The system cannot find the file specified.');
+                if (intoDirectory) {
+                    FileSystemManager.moveItem(srcPath, destPath);
+                } else {
+                    // The name as typed: resolvePath() gives an existing file's own case
+                    this.moveTo(srcPath, [...destPath.slice(0, -1), Path.basename(targets[1])]);
+                }
+                if (sources.length > 1) this.print(srcPath[srcPath.length - 1]);
             }
-            return '        1 file(s) moved.';
+            return `        ${sources.length} file(s) moved.`;
         } catch (e) {
-            return 'The system cannot find the file specified.';
+            return this.fail(e.message);
+        }
+    }
+
+    /**
+     * Move a file or directory to a new path (MOVE a.txt ..\b.txt): into the
+     * destination's directory, then renamed. A file already at the
+     * destination is replaced, unless it is the source itself
+     * (MOVE a.txt A.TXT only changes the case of the name).
+     * @param {string[]} srcPath - Existing item
+     * @param {string[]} destPath - New path, its last part as typed
+     */
+    moveTo(srcPath, destPath) {
+        const destDir = destPath.slice(0, -1);
+        const name = destPath[destPath.length - 1];
+        if (!this.isDirectory(destDir)) throw new Error('The system cannot find the path specified.');
+
+        if (!Path.equals(srcPath, destPath) && FileSystemManager.exists(destPath)) {
+            // Nothing is replaced if the source cannot be moved
+            FileSystemManager.assertModifiable('move', srcPath.join('/'), FileSystemManager.getNode(srcPath));
+            FileSystemManager.deleteFile(destPath, { permanent: true });
+        }
+
+        let movedPath = srcPath;
+        if (!Path.equals(srcPath.slice(0, -1), destDir)) {
+            FileSystemManager.moveItem(srcPath, destDir);
+            movedPath = [...destDir, srcPath[srcPath.length - 1]];
+        }
+        if (movedPath[movedPath.length - 1] !== name) {
+            FileSystemManager.renameItem(movedPath, name);
         }
     }
 
     cmdRename(args) {
-        if (args.length < 2) return 'The syntax of the command is incorrect.';
+        if (args.length < 2) return this.fail('The syntax of the command is incorrect.');
 
-        try {
-            const srcPath = this.resolvePath(args[0]);
-            const newName = args[1];
-            const parentPath = srcPath.slice(0, -1);
-            const destPath = [...parentPath, newName];
+        const srcPath = this.resolvePath(args[0]);
+        if (!FileSystemManager.exists(srcPath)) return this.fail('The system cannot find the file specified.');
 
-            const content = FileSystemManager.readFile(srcPath);
-            const srcInfo = FileSystemManager.getInfo(srcPath);
-            FileSystemManager.writeFile(destPath, content, srcInfo.extension);
-            FileSystemManager.deleteFile(srcPath);
+        // renameItem keeps the node itself: attributes, binary content, and
+        // the file when only the case of its name changes
+        try {
+            FileSystemManager.renameItem(srcPath, args[1]);
             return '';
         } catch (e) {
-            return 'The system cannot find the file specified.';
+            return this.fail(e.message);
         }
     }
 
@@ -1416,7 +2275,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
             out += this.buildTree(targetPath, '');
             return out;
         } catch (e) {
-            return 'Invalid path';
+            return this.fail('Invalid path');
         }
     }
 
@@ -1441,77 +2300,214 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         return out;
     }
 
-    cmdFind(args) {
-        if (args.length < 1) return 'FIND: Parameter format not correct';
+    cmdFind(args, io) {
+        // Parse: find "string" [filename] - quotes are already stripped
+        const [searchStr, fileName] = args.filter(arg => !arg.startsWith('/'));
 
-        // Parse: find "string" filename
-        let searchStr = '';
-        let fileName = '';
+        if (!searchStr) return this.fail('FIND: Parameter format not correct');
+        if (!fileName && !io?.stdin.isPiped) return this.fail('FIND: Parameter format not correct');
 
-        for (const arg of args) {
-            if (arg.startsWith('"') && arg.endsWith('"')) {
-                searchStr = arg.slice(1, -1);
-            } else if (!arg.startsWith('/')) {
-                fileName = arg;
-            }
+        const content = this.readInput(fileName, io, 'FIND');
+        if (content === null) return null;
+
+        const matches = content.split('\n')
+            .filter(line => line.toLowerCase().includes(searchStr.toLowerCase()));
+
+        // Piped input has no file header, so the result can be piped on
+        if (!fileName) {
+            return matches.length > 0 ? matches.join('\n') : this.fail('(no matches found)');
         }
 
-        if (!searchStr) return 'FIND: Parameter format not correct';
-        if (!fileName) return 'FIND: Parameter format not correct';
+        let out = `\n---------- ${fileName}\n`;
+        out += matches.length > 0 ? matches.join('\n') + '\n' : '(no matches found)\n';
+        if (matches.length === 0 && io) io.exitCode = ExitCode.FAILURE;
+        return out;
+    }
 
+    cmdSearch(args) {
+        const flags = args.filter(a => a.startsWith('/')).map(a => a.toUpperCase());
+        const query = args.filter(a => !a.startsWith('/')).join(' ');
+
+        if (!query) {
+            const stats = SearchIndex.getStats();
+            return 'Searches file names and contents in the current directory and below.\n\n' +
+                'SEARCH query [/A] [/H] [/N:count]\n\n' +
+                '  query      Words, "exact phrases", word* prefixes and filters:\n' +
+                '             ext:txt,md  size:<10KB  modified:>2024-01-31  modified:today\n' +
+                '  /A         Search all drives\n' +
+                '  /H         Include hidden files\n' +
+                '  /N:count   Show at most count results (default 25)\n\n' +
+                `Index: ${stats.documents} item(s), ${stats.terms} word(s)`;
+        }
+
+        const countFlag = flags.find(f => f.startsWith('/N:'));
+        const limit = countFlag ? parseInt(countFlag.slice(3), 10) : 25;
+        if (!(limit > 0)) return this.fail(`Invalid switch - ${countFlag}`);
+
+        let matches;
         try {
-            const filePath = this.resolvePath(fileName);
-            const content = FileSystemManager.readFile(filePath);
-            const lines = content.split('\n');
+            matches = SearchIndex.search(query, {
+                path: flags.includes('/A') ? null : this.currentPath,
+                includeHidden: flags.includes('/H')
+            });
+        } catch (e) {
+            return this.fail(e.message);
+        }
 
-            let out = `\n---------- ${fileName}\n`;
-            let found = false;
+        if (matches.length === 0) return this.fail('No files found.');
 
-            for (const line of lines) {
-                if (line.toLowerCase().includes(searchStr.toLowerCase())) {
-                    out += line + '\n';
-                    found = true;
-                }
-            }
+        let out = '\n';
+        for (const match of matches.slice(0, limit)) {
+            const size = match.type === 'directory' ? '<DIR>' : FileSystemManager.formatSize(match.size);
+            out += `  ${match.path.replace(/\//g, '\\')}  (${size})\n`;
+            if (match.snippet) out += `      ${match.snippet}\n`;
+        }
+        const more = matches.length > limit ? ` (showing ${limit}, use /N:count for more)` : '';
+        return out + `\n${matches.length} item(s) found${more}.`;
+    }
+
+    cmdUndelete(args) {
+        const flags = args.filter(a => a.startsWith('/')).map(a => a.toUpperCase());
+        const target = args.filter(a => !a.startsWith('/')).join(' ');
+        const entries = FileSystemManager.getRecycledItems();
+
+        if (flags.includes('/PURGE')) {
+            const count = FileSystemManager.emptyRecycleBin();
+            return `${count} item(s) permanently deleted.`;
+        }
 
-            if (!found) {
-                out += '(no matches found)\n';
+        if (!target && !flags.includes('/ALL')) {
+            if (entries.length === 0) return 'The Recycle Bin is empty.';
+
+            let out = '\n  ID  Deleted                  Size        Original location\n';
+            for (const entry of entries) {
+                const size = entry.type === 'directory' ? '<DIR>' : FileSystemManager.formatSize(entry.size);
+                out += `  ${String(entry.id).padStart(2)}  ${new Date(entry.deletedAt).toLocaleString().padEnd(24)} ` +
+                    `${size.padEnd(11)} ${entry.originalPath.replace(/\//g, '\\')}\n`;
             }
+            return out + `\n${entries.length} item(s). UNDELETE name|id restores one, /ALL restores all, /PURGE empties the bin.`;
+        }
 
-            return out;
-        } catch (e) {
-            return `File not found - ${fileName}`;
+        // Newest first, so a name deleted twice restores its latest copy
+        const selected = flags.includes('/ALL') ? entries : entries.slice().reverse().filter(entry =>
+            String(entry.id) === target ||
+            entry.name.toLowerCase() === target.toLowerCase() ||
+            entry.originalPath.toLowerCase() === this.resolvePath(target).join('/').toLowerCase()
+        ).slice(0, 1);
+        if (selected.length === 0) return this.fail(`No item named ${target} in the Recycle Bin.`);
+
+        for (const entry of selected) {
+            try {
+                const path = FileSystemManager.restoreRecycled(entry.id);
+                this.print(`Restored ${path.replace(/\//g, '\\')}`);
+            } catch (e) {
+                this.fail(e.message);
+            }
         }
+        return null;
     }
 
     cmdAttrib(args) {
-        if (!args[0]) {
-            // Show attributes for all files in current directory
+        // Split +X / -X switches from the target
+        const changes = {};
+        let target = null;
+        for (const arg of args) {
+            const match = arg.match(/^([+-])([RHSA])$/i);
+            if (match) {
+                changes[FILE_ATTRIBUTES[match[2].toUpperCase()]] = match[1] === '+';
+            } else if (arg.startsWith('+') || arg.startsWith('-')) {
+                return this.fail(`Invalid switch - ${arg}`);
+            } else if (!target) {
+                target = arg;
+            }
+        }
+
+        // Collect the items the command applies to
+        let entries;
+        try {
+            if (target) {
+                const filePath = this.resolvePath(target);
+                FileSystemManager.getInfo(filePath);
+                entries = [filePath];
+            } else {
+                entries = FileSystemManager.listDirectory(this.currentPath, false, { includeHidden: true })
+                    .filter(item => item.type === 'file')
+                    .map(item => [...this.currentPath, item.name]);
+            }
+        } catch (e) {
+            return this.fail('File not found - ' + (target || this.currentPath.join('\\')));
+        }
+
+        const isChange = Object.keys(changes).length > 0;
+        for (const filePath of entries) {
             try {
-                const items = FileSystemManager.listDirectory(this.currentPath);
-                let out = '';
-                for (const item of items) {
-                    const attrs = item.type === 'directory' ? 'D' : 'A';
-                    out += `     ${attrs}     ${this.currentPath.join('\\')}\\${item.name}\n`;
+                if (isChange) {
+                    FileSystemManager.setAttributes(filePath, changes);
+                } else {
+                    const attributes = FileSystemManager.getAttributes(filePath);
+                    this.print(this.formatAttributes(attributes) + '     ' + filePath.join('\\'));
                 }
-                return out;
             } catch (e) {
-                return 'File not found';
+                this.fail(e.message);
             }
         }
+        return null;
+    }
 
-        const filePath = this.resolvePath(args[0]);
+    /**
+     * Format attributes in the classic ATTRIB column layout ("A  SHR")
+     * @param {object} attributes - { readOnly, hidden, system, archive }
+     * @returns {string}
+     */
+    formatAttributes(attributes) {
+        return (attributes.archive ? 'A' : ' ') + '  ' +
+            (attributes.system ? 'S' : ' ') +
+            (attributes.hidden ? 'H' : ' ') +
+            (attributes.readOnly ? 'R' : ' ');
+    }
+
+    /**
+     * EDIT [file] - Full-screen text editor (see Editor.js). It runs as a
+     * job and takes the window and the keys while in the foreground, so
+     * Ctrl+Z suspends it and FG brings it back.
+     */
+    cmdEdit(args) {
+        const filePath = args.length ? this.resolvePath(args.join(' ')) : null;
+        if (filePath && this.isDirectory(filePath)) return this.fail('Access denied - Path is a directory.');
+
+        const container = this.getElement('#terminalApp');
+        const element = this.getElement('#terminalEditor');
+        if (!container || !element) return this.fail('EDIT needs a Terminal window.');
+
+        let editor;
         try {
-            const info = FileSystemManager.getInfo(filePath);
-            const attrs = info.type === 'directory' ? 'D' : 'A';
-            return `     ${attrs}     ${filePath.join('\\')}`;
+            editor = new TextEditor({ path: filePath, resolvePath: (name) => this.resolvePath(name) });
         } catch (e) {
-            return 'File not found - ' + args[0];
+            return this.fail(e.message);
         }
+
+        const job = this.beginJob(filePath ? `edit ${editor.name}` : 'edit');
+        const screen = new AnsiScreen();
+        const draw = () => screen.write(element, `\x1b[H${editor.render().join('\n')}`);
+        const show = (visible) => {
+            container.classList.toggle('edit-mode', visible);
+            this.editor = visible ? { editor, draw } : null;
+            if (visible) draw();
+        };
+
+        editor.onExit = () => job.finish();
+        job.on('foreground', () => show(true));
+        job.on('background', () => show(false));
+        job.on('end', () => {
+            show(false);
+            this.getElement('#terminalInput')?.focus();
+        });
+        show(job.foreground);
+        return null;
     }
 
-    cmdEdit(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+    cmdNotepad(args) {
+        if (!args[0]) return this.fail('The syntax of the command is incorrect.');
 
         const filePath = this.resolvePath(args[0]);
 
@@ -1534,15 +2530,211 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         const node = FileSystemManager.getNode([drive]);
 
         if (!node) {
-            return 'The system cannot find the drive specified.';
+            return this.fail('The system cannot find the drive specified.');
         }
 
-        const label = node.label || 'NO NAME';
+        const label = FileSystemManager.getMedia(drive)?.label || node.label || 'NO NAME';
         return ` Volume in drive ${drive.charAt(0)} is ${label.toUpperCase()}\n Volume Serial Number is 1995-1225`;
     }
 
-    cmdLabel(args) {
-        return 'Access Denied - Volume label modification not supported.';
+    cmdLabel(args) {
+        return this.fail('Access Denied - Volume label modification not supported.');
+    }
+
+    /**
+     * MOUNT command - lists mounted disk images or mounts one on A: or D:
+     * With a drive but no image, the image is picked from the host computer.
+     * @returns {string|Promise|null} A Promise while an image is mounted
+     */
+    cmdMount(args, io) {
+        const readOnly = args.some(a => a.toUpperCase() === '/R');
+        const params = args.filter(a => !a.startsWith('/'));
+
+        if (params.length === 0) {
+            const mounted = Object.keys(REMOVABLE_DRIVES)
+                .map(drive => FileSystemManager.getMedia(drive))
+                .filter(Boolean);
+            if (mounted.length === 0) {
+                return 'No disk images are mounted.\n\nUsage: MOUNT drive: [image] [/R]';
+            }
+            return mounted.map(media =>
+                `${media.drive}  ${media.label.padEnd(11)}  ${media.image} (${media.format}${media.readOnly ? ', read-only' : ''})`
+            ).join('\n');
+        }
+
+        const drive = params[0].toUpperCase().replace(/:$/, '') + ':';
+        if (!REMOVABLE_DRIVES[drive]) {
+            return this.fail(`Invalid drive specification - ${drive} is not a removable drive`);
+        }
+
+        const mount = (image, name) => FileSystemManager.mountImage(drive, image, { readOnly, name })
+            .then(media => io.stdout.write(`${media.image} mounted on ${media.drive} (volume ${media.label}${media.readOnly ? ', read-only' : ''})`));
+
+        let mounted;
+        if (params[1]) {
+            mounted = mount(this.resolvePath(params.slice(1).join(' ')));
+        } else {
+            io.stdout.write(`Choose a disk image to insert into drive ${drive}...`);
+            mounted = this.pickHostFile('.json,.zip,application/json,application/zip')
+                .then(file => file && mount(file, file.name));
+        }
+        return mounted.catch(e => { io.fail(`Cannot mount image - ${e.message}`); });
+    }
+
+    /**
+     * ZIP command - packs files and folders into a .zip file, or downloads
+     * them to the host computer with /H
+     * @returns {string|Promise|null} A Promise while the archive is built
+     */
+    cmdZip(args, io) {
+        const download = args.some(a => a.toUpperCase() === '/H');
+        const params = args.filter(a => !a.startsWith('/'));
+
+        if (params.length < (download ? 1 : 2)) {
+            return 'Packs files and folders into a ZIP archive.\n\n' +
+                'ZIP archive.zip source [source ...]\n' +
+                'ZIP /H source\n\n' +
+                '  /H  Download the archive to the host computer instead';
+        }
+
+        const target = download ? null : this.resolvePath(params[0]);
+        if (target && !target[target.length - 1].toLowerCase().endsWith('.zip')) {
+            target[target.length - 1] += '.zip';
+        }
+
+        const sources = (download ? params : params.slice(1)).map(p => this.resolvePath(p));
+        const missing = sources.find(p => !FileSystemManager.exists(p));
+        if (missing) {
+            return this.fail(`File not found - ${missing.join('\\')}`);
+        }
+
+        return FileSystemManager.createZip(sources).then(bytes => {
+            if (download) {
+                const first = sources[0];
+                const filename = first.length === 1 ? `${first[0].charAt(0)}-drive.zip` : `${first[first.length - 1]}.zip`;
+                return import('../features/SystemDialogs.js').then(module => {
+                    module.default.downloadFile(bytes, filename, 'application/zip');
+                    io.stdout.write(`Downloading ${filename} (${FileSystemManager.formatSize(bytes.length)})`);
+                });
+            }
+            FileSystemManager.writeFileBinary(target, bytes, { mimeType: 'application/zip' });
+            io.stdout.write(`Created ${target.join('\\')} (${FileSystemManager.formatSize(bytes.length)})`);
+        }).catch(e => { io.fail(`ZIP failed - ${e.message}`); });
+    }
+
+    /**
+     * UNZIP command - extracts a .zip file (or one picked on the host with /H),
+     * or lists its contents with /L
+     * @returns {string|Promise|null} A Promise while the archive is read
+     */
+    cmdUnzip(args, io) {
+        const flags = args.filter(a => a.startsWith('/')).map(a => a.toUpperCase());
+        const params = args.filter(a => !a.startsWith('/'));
+        const fromHost = flags.includes('/H');
+
+        if (!fromHost && params.length === 0) {
+            return 'Extracts files from a ZIP archive.\n\n' +
+                'UNZIP archive.zip [destination] [/O]\n' +
+                'UNZIP /L archive.zip\n' +
+                'UNZIP /H [destination] [/O]\n\n' +
+                '  /O  Overwrite existing files\n' +
+                '  /L  List the archive contents\n' +
+                '  /H  Pick the archive on the host computer';
+        }
+
+        if (flags.includes('/L')) {
+            const archive = this.resolvePath(params[0]);
+            return FileSystemManager.openArchive(archive)
+                .then(() => io.stdout.write(this.listArchive(archive)))
+                .catch(e => { io.fail(`UNZIP failed - ${e.message}`); });
+        }
+
+        if (!fromHost && !FileSystemManager.exists(this.resolvePath(params[0]))) {
+            return this.fail(`File not found - ${params[0]}`);
+        }
+
+        const destArg = fromHost ? params[0] : params[1];
+        const dest = destArg ? this.resolvePath(destArg) : [...this.currentPath];
+
+        const extract = (source) => {
+            if (!FileSystemManager.exists(dest)) {
+                FileSystemManager.createDirectory(dest);
+            }
+            return FileSystemManager.extractZip(source, dest, { overwrite: flags.includes('/O') }).then(result => {
+                for (const path of result.skipped) {
+                    io.stdout.write(`  skipping: ${path.replace(/\//g, '\\')} (already exists, use /O to overwrite)`);
+                }
+                io.stdout.write(`${result.files} file(s) extracted, ${result.folders} folder(s) created in ${dest.join('\\')}`);
+            });
+        };
+
+        if (fromHost) io.stdout.write('Choose a ZIP file to extract...');
+        const done = fromHost
+            ? this.pickHostFile('.zip,application/zip').then(file => file && extract(file))
+            : Promise.resolve().then(() => extract(this.resolvePath(params[0])));
+        return done.catch(e => { io.fail(`UNZIP failed - ${e.message}`); });
+    }
+
+    /**
+     * Format the contents of an opened archive as a listing
+     * @param {string[]} archive - ZIP file path
+     * @returns {string}
+     */
+    listArchive(archive) {
+        let out = `\n Archive: ${archive.join('\\')}\n\n`;
+        let files = 0;
+        let bytes = 0;
+
+        const walk = (node, prefix) => {
+            for (const [name, child] of Object.entries(FileSystemManager.getChildren(node) || {})) {
+                const date = child.modified ? new Date(child.modified).toLocaleDateString() : '';
+                if (child.type === 'directory') {
+                    out += `${'<DIR>'.padStart(12)}  ${date.padEnd(12)}${prefix}${name}\\\n`;
+                    walk(child, `${prefix}${name}\\`);
+                } else {
+                    out += `${String(child.size || 0).padStart(12)}  ${date.padEnd(12)}${prefix}${name}\n`;
+                    files++;
+                    bytes += child.size || 0;
+                }
+            }
+        };
+        walk(FileSystemManager.getNode(archive), '');
+
+        return out + `\n${String(files).padStart(12)} file(s) ${bytes.toLocaleString()} bytes`;
+    }
+
+    /**
+     * Let the user pick a file on the host computer
+     * @param {string} accept - File input accept filter
+     * @returns {Promise<File|null>}
+     */
+    pickHostFile(accept) {
+        return import('../features/SystemDialogs.js').then(module => module.default.pickHostFile({ accept }));
+    }
+
+    /**
+     * EJECT command - removes the disk from A: or D:
+     */
+    cmdEject(args) {
+        if (!args[0]) {
+            return 'Usage: EJECT drive:';
+        }
+
+        const drive = args[0].toUpperCase().replace(/:$/, '') + ':';
+        if (!REMOVABLE_DRIVES[drive]) {
+            return this.fail(`Invalid drive specification - ${drive} is not a removable drive`);
+        }
+
+        try {
+            const media = FileSystemManager.ejectDrive(drive);
+            if (this.currentPath[0] === drive) {
+                this.currentPath = [drive];
+                this.updatePrompt();
+            }
+            return media ? `${media.image} ejected from ${drive}` : `Disk ejected from ${drive}`;
+        } catch (e) {
+            return this.fail(e.message);
+        }
     }
 
     cmdDate() {
@@ -1587,7 +2779,12 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         // Set a variable
         const match = args.join(' ').match(/^(\w+)=(.*)$/);
         if (match) {
-            this.envVars[match[1].toUpperCase()] = match[2];
+            // "SET NAME=" removes the variable
+            if (match[2]) {
+                this.envVars[match[1].toUpperCase()] = match[2];
+            } else {
+                delete this.envVars[match[1].toUpperCase()];
+            }
             return '';
         }
 
@@ -1596,7 +2793,7 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         if (this.envVars[varName]) {
             return `${varName}=${this.envVars[varName]}`;
         }
-        return `Environment variable ${args[0]} not defined`;
+        return this.fail(`Environment variable ${args[0]} not defined`);
     }
 
     cmdPath(args) {
@@ -1615,38 +2812,19 @@ FUN:       matrix, disco, party, cowsay, fortune, color`;
         return '';
     }
 
-    cmdEcho(args, fullCommand) {
-        // Check for output redirection
-        const redirectMatch = fullCommand.match(/^echo\s+(.*?)\s*(?:(>>?)\s*(.+))$/i);
-
-        if (redirectMatch) {
-            const text = redirectMatch[1].trim();
-            const appendMode = redirectMatch[2] === '>>';
-            const fileName = redirectMatch[3].trim();
-
-            try {
-                const filePath = this.resolvePath(fileName);
-
-                if (appendMode && FileSystemManager.exists(filePath)) {
-                    const existingContent = FileSystemManager.readFile(filePath);
-                    FileSystemManager.writeFile(filePath, existingContent + '\n' + text);
-                } else {
-                    FileSystemManager.writeFile(filePath, text);
-                }
+    cmdEcho(args) {
+        // Check for ECHO ON/OFF (in a batch file, turns showing its lines on/off)
+        if (args.length === 1 && (args[0].toLowerCase() === 'on' || args[0].toLowerCase() === 'off')) {
+            if (this.batch) {
+                this.batch.echo = args[0].toLowerCase() === 'on';
                 return null;
-            } catch (e) {
-                return `The system cannot find the path specified.`;
             }
-        }
-
-        // Check for ECHO ON/OFF
-        if (args[0]?.toLowerCase() === 'on' || args[0]?.toLowerCase() === 'off') {
             return `ECHO is ${args[0].toLowerCase()}.`;
         }
 
         // Just echo the text
         if (!args.length) {
-            return 'ECHO is on.';
+            return `ECHO is ${!this.batch || this.batch.echo ? 'on' : 'off'}.`;
         }
         return args.join(' ');
     }
@@ -1693,11 +2871,11 @@ MS-DOS is resident in the high memory area.`;
     }
 
     cmdFormat(args) {
-        if (!args[0]) return 'Required parameter missing';
+        if (!args[0]) return this.fail('Required parameter missing');
 
         const drive = args[0].toUpperCase();
         if (drive === 'C:') {
-            return `\nFormat cannot be done on the system drive.\nThis is your main disk drive - formatting it would destroy the operating system!`;
+            return this.fail(`\nFormat cannot be done on the system drive.\nThis is your main disk drive - formatting it would destroy the operating system!`);
         }
 
         return `\nWARNING: ALL DATA ON NON-REMOVABLE DISK\nDRIVE ${drive} WILL BE LOST!\nProceed with Format (Y/N)? _\n\n(Format simulation - no actual formatting will occur)`;
@@ -1759,27 +2937,24 @@ Ethernet adapter Local Area Connection:
 
     cmdPing(args) {
         const host = args[0] || 'localhost';
-        this.activeProcess = 'ping';
-        this.print(`\nPinging ${host} with 32 bytes of data:\n`);
+        const job = this.beginJob(`ping ${host}`);
+        job.print(`\nPinging ${host} with 32 bytes of data:\n`);
 
         let count = 0;
-        const interval = setInterval(() => {
-            if (count >= 4 || this.activeProcess !== 'ping') {
-                clearInterval(interval);
-                if (this.activeProcess === 'ping') {
-                    this.print(`\nPing statistics for ${host}:`);
-                    this.print('    Packets: Sent = 4, Received = 4, Lost = 0 (0% loss),');
-                    this.print('Approximate round trip times in milli-seconds:');
-                    this.print('    Minimum = 10ms, Maximum = 35ms, Average = 22ms');
-                    this.activeProcess = null;
-                }
+        job.every(600, () => {
+            if (count >= 4) {
+                job.print(`\nPing statistics for ${host}:`);
+                job.print('    Packets: Sent = 4, Received = 4, Lost = 0 (0% loss),');
+                job.print('Approximate round trip times in milli-seconds:');
+                job.print('    Minimum = 10ms, Maximum = 35ms, Average = 22ms');
+                job.finish();
                 return;
             }
             const ms = Math.floor(Math.random() * 25) + 10;
             const ttl = host === 'localhost' || host === '127.0.0.1' ? 128 : 64 - Math.floor(Math.random() * 10);
-            this.print(`Reply from ${host}: bytes=32 time=${ms}ms TTL=${ttl}`);
+            job.print(`Reply from ${host}: bytes=32 time=${ms}ms TTL=${ttl}`);
             count++;
-        }, 600);
+        });
 
         return null;
     }
@@ -1802,12 +2977,12 @@ Active Connections
     }
 
     cmdTracert(args) {
-        if (!args[0]) return 'The syntax of the command is incorrect.';
+        if (!args[0]) return this.fail('The syntax of the command is incorrect.');
 
         const host = args[0];
-        this.activeProcess = 'tracert';
-        this.print(`\nTracing route to ${host}`);
-        this.print('over a maximum of 30 hops:\n');
+        const job = this.beginJob(`tracert ${host}`);
+        job.print(`\nTracing route to ${host}`);
+        job.print('over a maximum of 30 hops:\n');
 
         const hops = [
             '192.168.1.1',
@@ -1818,21 +2993,18 @@ Active Connections
         ];
 
         let hop = 0;
-        const interval = setInterval(() => {
-            if (hop >= hops.length || this.activeProcess !== 'tracert') {
-                clearInterval(interval);
-                if (this.activeProcess === 'tracert') {
-                    this.print('\nTrace complete.');
-                    this.activeProcess = null;
-                }
+        job.every(400, () => {
+            if (hop >= hops.length) {
+                job.print('\nTrace complete.');
+                job.finish();
                 return;
             }
             const ms1 = Math.floor(Math.random() * 20) + 5;
             const ms2 = Math.floor(Math.random() * 20) + 5;
             const ms3 = Math.floor(Math.random() * 20) + 5;
-            this.print(`  ${(hop + 1).toString().padStart(2)}    ${ms1} ms    ${ms2} ms    ${ms3} ms  ${hops[hop]}`);
+            job.print(`  ${(hop + 1).toString().padStart(2)}    ${ms1} ms    ${ms2} ms    ${ms3} ms  ${hops[hop]}`);
             hop++;
-        }, 400);
+        });
 
         return null;
     }
@@ -1851,20 +3023,30 @@ Active Connections
     // === FUN COMMANDS ===
 
     startMatrix() {
-        this.activeProcess = 'matrix';
         const container = this.getElement('#terminalApp');
         const canvas = this.getElement('#matrixCanvas');
         if (!canvas || !container) return 'Matrix unavailable.';
 
+        const job = this.beginJob('matrix');
         const ctx = canvas.getContext('2d');
         canvas.width = container.offsetWidth;
         canvas.height = container.offsetHeight;
-        container.classList.add('matrix-mode');
+
+        // The rain is only shown while the job is in the foreground
+        const show = (visible) => {
+            container.classList.toggle('matrix-mode', visible);
+            if (!visible) ctx.clearRect(0, 0, canvas.width, canvas.height);
+        };
+        job.on('foreground', () => show(true));
+        job.on('background', () => show(false));
+        job.on('end', () => show(false));
+        show(job.foreground);
 
         const cols = Math.floor(canvas.width / 20);
         const drops = Array(cols).fill(1);
 
-        this.matrixInterval = setInterval(() => {
+        job.every(50, () => {
+            if (!job.foreground) return;
             ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
             ctx.fillRect(0, 0, canvas.width, canvas.height);
             ctx.fillStyle = '#0f0';
@@ -1878,15 +3060,16 @@ Active Connections
                 }
                 drops[i]++;
             });
-        }, 50);
+        });
 
         StateManager.unlockAchievement('matrix_mode');
         this.print('Entering the Matrix... (Ctrl+C to exit)', '#00ff00');
         return null;
     }
 
-    cmdCowsay(args) {
-        const msg = args.join(' ') || 'Moo!';
+    cmdCowsay(args, io) {
+        const piped = io?.stdin.isPiped ? io.stdin.readLines().join(' ').trim() : '';
+        const msg = args.join(' ') || piped || 'Moo!';
         const border = '-'.repeat(msg.length + 2);
         return `
  ${border}
@@ -2005,31 +3188,94 @@ Special Thanks:
     // === HELPER METHODS ===
 
     resolvePath(pathStr) {
-        if (!pathStr) return [...this.currentPath];
+        return FileSystemManager.parsePath(Path.resolve(this.currentPath, pathStr));
+    }
 
-        // Handle absolute paths
-        if (pathStr.match(/^[A-Za-z]:/)) {
-            return FileSystemManager.parsePath(pathStr);
-        }
+    /**
+     * Expand a command argument with * or ? into the paths it matches.
+     * Without wildcards (and without recursion) the path comes back as
+     * typed, so the command itself reports a missing file.
+     * @param {string|string[]} target - As typed, or already resolved
+     * @param {Object} [options] - { recursive, type } as for FileSystemManager.glob()
+     * @returns {string[][]}
+     */
+    expandPaths(target, options = {}) {
+        const path = this.resolvePath(target);
+        if (!hasWildcards(path) && !options.recursive) return [path];
+        return FileSystemManager.glob(path, options);
+    }
+
+    isDirectory(path) {
+        const node = FileSystemManager.getNode(path);
+        return !!node && (node.type === 'directory' || node.type === 'drive' || !!node.children);
+    }
 
-        // Handle root
-        if (pathStr === '\\' || pathStr === '/') {
-            return [this.currentPath[0]];
+    /**
+     * Create a directory and any missing parents (XCOPY)
+     */
+    makeDirectories(path) {
+        for (let i = 2; i <= path.length; i++) {
+            if (!FileSystemManager.exists(path.slice(0, i))) {
+                FileSystemManager.createDirectory(path.slice(0, i));
+            }
         }
+    }
 
-        // Handle relative paths
-        const parts = pathStr.replace(/\\/g, '/').split('/').filter(p => p.length > 0);
-        let result = [...this.currentPath];
+    /**
+     * Copy a file to a file path, replacing what is there; binary files stay binary
+     */
+    copyFileTo(srcPath, destPath) {
+        if (FileSystemManager.isBinaryFile(srcPath)) {
+            FileSystemManager.writeFileBinary(destPath, FileSystemManager.readFileBinary(srcPath),
+                { mimeType: FileSystemManager.getMimeType(srcPath) });
+        } else {
+            const srcInfo = FileSystemManager.getInfo(srcPath);
+            FileSystemManager.writeFile(destPath, FileSystemManager.readFile(srcPath), srcInfo.extension);
+        }
+    }
 
-        for (const part of parts) {
-            if (part === '..') {
-                if (result.length > 1) result.pop();
-            } else if (part !== '.') {
-                result.push(part);
+    /**
+     * Join files into one (COPY a+b c). The destination may be one of the
+     * parts only as the first one, which then gets the others appended.
+     */
+    joinFiles(files, destPath) {
+        const parts = files.filter((file, index) => index === 0 || !Path.equals(file, destPath));
+
+        if (parts.some(file => FileSystemManager.isBinaryFile(file))) {
+            const chunks = parts.map(file => FileSystemManager.readFileBinary(file));
+            const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
             }
+            FileSystemManager.writeFileBinary(destPath, bytes);
+        } else {
+            const content = parts.map(file => FileSystemManager.readFile(file)).join('');
+            FileSystemManager.writeFile(destPath, content, Path.extname(destPath).slice(1) || 'txt');
         }
+    }
 
-        return result;
+    /**
+     * Ask a Y/N question at the prompt; Y runs the action (DEL *.* without /Q)
+     * @param {string} question
+     * @param {Function} action
+     */
+    askYesNo(question, action) {
+        this.print(`${question} (Y/N)?`);
+        this.pendingAnswer = action;
+        this.activeProcess = 'confirm';
+    }
+
+    answerYesNo(key) {
+        const answer = key.toLowerCase();
+        if (answer !== 'y' && answer !== 'n') return;
+
+        const action = this.pendingAnswer;
+        this.pendingAnswer = null;
+        this.activeProcess = null;
+        this.print(answer.toUpperCase());
+        if (answer === 'y') action();
     }
 
     getCurrentDir() {
@@ -2061,22 +3307,13 @@ Special Thanks:
     }
 
     killProcess() {
-        if (this.activeProcess === 'matrix') {
-            clearInterval(this.matrixInterval);
-            const canvas = this.getElement('#matrixCanvas');
-            const container = this.getElement('#terminalApp');
-            if (canvas) {
-                const ctx = canvas.getContext('2d');
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-            }
-            if (container) {
-                container.classList.remove('matrix-mode');
-            }
+        if (this.foregroundJob) {
+            this.foregroundJob.kill();
         } else if (this.activeProcess === 'more') {
             this.moreBuffer = null;
             this.moreIndex = 0;
-        } else if (this.activeProcess === 'ping' || this.activeProcess === 'tracert') {
-            // These will clean up on next interval tick
+        } else if (this.activeProcess === 'confirm') {
+            this.pendingAnswer = null;
         }
 
         this.print('^C');
@@ -2084,16 +3321,8 @@ Special Thanks:
     }
 
     navigateHistory(dir, input) {
-        if (!this.commandHistory.length) return;
-
-        this.historyIndex += dir;
-        this.historyIndex = Math.max(-1, Math.min(this.historyIndex, this.commandHistory.length - 1));
-
-        if (this.historyIndex === -1) {
-            input.value = '';
-        } else {
-            input.value = this.commandHistory[this.commandHistory.length - 1 - this.historyIndex];
-        }
+        if (!this.session.history.length) return;
+        input.value = this.session.history.navigate(dir);
     }
 
     tabComplete(input) {
@@ -2103,14 +3332,18 @@ Special Thanks:
         // Command completion
         if (parts.length === 1 && !val.includes('\\') && !val.includes('/')) {
             const cmds = ['help','cls','dir','cd','type','more','whoami','date','time','ping','ipconfig',
-                         'tree','copy','move','del','mkdir','rmdir','ren','find','attrib','set','path',
-                         'ver','vol','mem','chkdsk','systeminfo','netstat','tracert','nslookup',
-                         'matrix','cowsay','fortune','disco','color','exit','about'];
+                         'tree','copy','xcopy','move','del','mkdir','rmdir','ren','find','search','undelete','attrib','set','path',
+                         'ver','vol','mem','mount','eject','zip','unzip','chkdsk','systeminfo','netstat','tracert','nslookup',
+                         'history','tab','jobs','fg','bg','kill','tasklist','taskkill','start','matrix','cowsay','fortune','disco','color','exit','about',
+                         ...CommandRegistry.list().map(command => command.name)];
             const match = cmds.find(c => c.startsWith(parts[0].toLowerCase()));
             if (match) input.value = match + ' ';
             return;
         }
 
+        // Argument completion by a registered command
+        if (this.completeArgument(input, parts)) return;
+
         // File/directory completion
         const lastPart = parts[parts.length - 1];
         const dirPath = lastPart.includes('\\') || lastPart.includes('/')
@@ -2135,6 +3368,31 @@ Special Thanks:
         }
     }
 
+    /**
+     * Complete the last argument with a candidate from the command's
+     * complete() hook (see CommandRegistry)
+     * @returns {boolean} Whether a candidate matched
+     */
+    completeArgument(input, parts) {
+        const key = parts[0].toLowerCase();
+        const command = !this.getCommands()[key] && CommandRegistry.get(key);
+        if (!command?.complete) return false;
+
+        let candidates;
+        try {
+            candidates = command.complete(parts.slice(1), this) || [];
+        } catch (e) {
+            return false;
+        }
+
+        const partial = parts[parts.length - 1].toLowerCase();
+        const match = candidates.map(String).find(candidate => candidate.toLowerCase().startsWith(partial));
+        if (!match) return false;
+
+        input.value = [...parts.slice(0, -1), match].join(' ');
+        return true;
+    }
+
     escapeHtml(text) {
         return String(text)
             .replace(/&/g, '&amp;')
@@ -2142,218 +3400,777 @@ Special Thanks:
             .replace(/>/g, '&gt;');
     }
 
-    // === SCRIPTING SUPPORT ===
+    // === SCRIPTING SUPPORT ===
+
+    /**
+     * Interpolate environment variables in command line
+     * Replaces %VAR% with the value of environment variable VAR
+     */
+    interpolateVariables(cmdLine) {
+        return cmdLine.replace(/%(\w+)%/g, (match, varName) => {
+            return this.getVariable(varName) ?? match;
+        });
+    }
+
+    /**
+     * Value of an environment variable, or of the dynamic variables
+     * ERRORLEVEL, CD, RANDOM and ESC (the escape character that starts
+     * an ANSI sequence) when no variable of that name is set
+     * @param {string} name
+     * @returns {string|undefined}
+     */
+    getVariable(name) {
+        const key = name.toUpperCase();
+        if (key in this.envVars) return this.envVars[key];
+
+        switch (key) {
+            case 'ERRORLEVEL': return String(this.lastExitCode);
+            case 'CD': return this.currentPath.length === 1 ? `${this.currentPath[0]}\\` : this.currentPath.join('\\');
+            case 'RANDOM': return String(Math.floor(Math.random() * 32768));
+            case 'ESC': return '\x1b';
+            default: return undefined;
+        }
+    }
+
+    /**
+     * Execute a RetroScript file
+     */
+    async executeRetroScript(filePath) {
+        let content;
+        try {
+            content = FileSystemManager.readFile(filePath);
+        } catch (e) {
+            this.print(`Error executing script: ${e.message}`, '#ff0000');
+            return;
+        }
+
+        // The script runs as a job: Ctrl+Z pauses it, Ctrl+C stops it
+        const fileName = filePath[filePath.length - 1];
+        const job = this.beginJob(`retro ${fileName}`);
+        job.on('stop', () => ScriptEngine.pause());
+        job.on('continue', () => ScriptEngine.resume());
+        job.on('kill', () => ScriptEngine.stop());
+
+        try {
+            job.print(`Executing RetroScript: ${fileName}...`, '#00ff00');
+
+            // Execute the script using the legacy ScriptEngine (same as ScriptRunner)
+            const result = await ScriptEngine.run(content, {
+                cwd: this.currentPath,
+                file: filePath,
+                onOutput: (msg) => job.print(msg),
+                onError: (err, line) => {
+                    const location = line ? ` at line ${line}` : '';
+                    job.print(`Error${location}: ${err}`, '#ff0000');
+                }
+            });
+
+            if (result.success) {
+                job.print(`Script completed successfully.`, '#00ff00');
+            } else {
+                // Format error with location info if available
+                const error = result.error;
+                const line = result.line;
+                if (line) {
+                    job.print(`Script error at line ${line}: ${error}`, '#ff0000');
+                } else if (error && typeof error === 'object') {
+                    let location = error.line ? ` at line ${error.line}` : '';
+                    if (error.file && !Path.equals(error.file, filePath)) {
+                        location += ` in ${error.file}`;
+                    }
+                    job.print(`Script error${location}: ${error.message || error}`, '#ff0000');
+                } else {
+                    job.print(`Script error: ${error}`, '#ff0000');
+                }
+            }
+            job.finish(result.success ? ExitCode.SUCCESS : ExitCode.FAILURE);
+        } catch (e) {
+            job.print(`Error executing script: ${e.message}`, '#ff0000');
+            job.finish(ExitCode.FAILURE);
+        }
+    }
+
+    /**
+     * Execute a batch file (.bat)
+     * Inside a running batch file (CALL, or a batch file named as a
+     * command) the caller waits for this one to finish. Otherwise the
+     * command that ran it does: it ends, with the file's ERRORLEVEL as its
+     * exit code, when the file does.
+     * @param {string[]} filePath - The batch file
+     * @param {string[]} [args] - Its arguments (%1-%9), quotes kept
+     * @returns {Promise|null} Settles when the file has ended
+     */
+    executeBatchFile(filePath, args = []) {
+        let content;
+        try {
+            content = FileSystemManager.readFile(filePath);
+        } catch (e) {
+            return this.fail(`Error executing batch file: ${e.message}`);
+        }
+
+        const batch = new BatchFile(this, filePath, content, args);
+        if (this.batch) {
+            this.batch.call(batch);
+            return null;
+        }
+
+        this.print(`Executing batch file: ${filePath[filePath.length - 1]}...`);
+        const io = this.io;
+        const running = batch.run();
+        return io ? this.takeExitCode(io, running) : running;
+    }
+
+    /**
+     * Find a batch file named as a command ("build" or "build.bat")
+     * @param {string} name
+     * @returns {string[]|null} Its path
+     */
+    findBatchFile(name) {
+        const fileName = /\.bat$/i.test(name) ? name : `${name}.bat`;
+        const filePath = this.resolvePath(fileName);
+        return FileSystemManager.getNode(filePath)?.type === 'file' ? filePath : null;
+    }
+
+    // === SESSIONS AND HISTORY ===
+
+    /**
+     * Add a session (tab) with the lowest free number. It starts in the
+     * home folder with the default environment and the saved history.
+     * @returns {TerminalSession}
+     */
+    openSession() {
+        const numbers = new Set(this.sessions.map(session => session.number));
+        let number = 1;
+        while (numbers.has(number)) number++;
+
+        const session = new TerminalSession({ number, currentPath: PATHS.USER_HOME, envVars: DEFAULT_ENV });
+        this.sessions.push(session);
+        this.sessions.sort((a, b) => a.number - b.number);
+        return session;
+    }
+
+    /**
+     * Start over with a single session, as a new window does
+     */
+    resetSessions() {
+        this.sessions = [];
+        this.session = this.openSession();
+    }
+
+    /**
+     * Whether the shown session is busy, so another cannot be shown
+     * @returns {boolean}
+     */
+    isSessionBusy() {
+        return Boolean(this.activeProcess || this.batch || this.reverseSearch);
+    }
+
+    /**
+     * Show another session. The screen and half-typed command of the one
+     * shown are kept for when it comes back.
+     * @param {TerminalSession} session
+     * @returns {boolean} False while the shown session is busy
+     */
+    switchSession(session) {
+        if (!session || session === this.session) return Boolean(session);
+        if (this.isSessionBusy()) return false;
+
+        const output = this.getElement('#terminalOutput');
+        const input = this.getElement('#terminalInput');
+        if (output) {
+            // The nodes themselves are kept, so the session's screen can go on drawing on them
+            this.session.output = document.createDocumentFragment();
+            this.session.output.append(...output.childNodes);
+        }
+        this.session.input = input ? input.value : '';
+
+        this.session = session;
+        if (output) {
+            output.replaceChildren();
+            if (session.output) output.appendChild(session.output);
+        }
+        if (input) {
+            input.value = session.input;
+            input.focus();
+        }
+        this.updatePrompt();
+        this.scrollToBottom();
+        return true;
+    }
+
+    /**
+     * Open a new session and show it
+     * @returns {TerminalSession|null} Null while the shown session is busy
+     */
+    newSession() {
+        if (this.isSessionBusy()) return null;
+        const session = this.openSession();
+        this.switchSession(session);
+        this.printToScreen('IlluminatOS! [Version 95.0.1995]');
+        this.printToScreen('');
+        return session;
+    }
+
+    /**
+     * Close a session; closing the last one closes the window
+     * @param {TerminalSession} session
+     * @returns {boolean} False if it is shown and busy
+     */
+    closeSession(session) {
+        if (this.sessions.length === 1) {
+            this.close();
+            return true;
+        }
+        if (session === this.session) {
+            const index = this.sessions.indexOf(session);
+            if (!this.switchSession(this.sessions[index + 1] || this.sessions[index - 1])) return false;
+        }
+        this.sessions = this.sessions.filter(other => other !== session);
+        this.renderTabs();
+        return true;
+    }
+
+    findSession(number) {
+        return this.sessions.find(session => session.number === Number(number)) || null;
+    }
+
+    /**
+     * Draw the tab strip: one tab per session, named after its folder
+     */
+    renderTabs() {
+        const tabs = this.getElement('#terminalTabs');
+        if (!tabs) return;
+
+        tabs.innerHTML = this.sessions.map(session => `
+            <div class="terminal-tab${session === this.session ? ' active' : ''}" data-session="${session.number}"
+                 title="${this.escapeHtml(session.location)}">
+                ${session.number}: ${this.escapeHtml(session.title)}
+                <span class="terminal-tab-close" data-close="${session.number}" title="Close">×</span>
+            </div>
+        `).join('') + '<div class="terminal-tab-new" title="New tab (TAB NEW)">+</div>';
+    }
+
+    onTabClick(e) {
+        const close = e.target.closest('[data-close]');
+        const tab = e.target.closest('[data-session]');
+        if (close) {
+            this.closeSession(this.findSession(close.dataset.close));
+        } else if (e.target.closest('.terminal-tab-new')) {
+            this.newSession();
+        } else if (tab) {
+            this.switchSession(this.findSession(tab.dataset.session));
+        }
+        this.renderTabs();
+        this.getElement('#terminalInput')?.focus();
+    }
+
+    /**
+     * TAB command - List, open, show or close sessions
+     *   TAB, TAB NEW, TAB n, TAB CLOSE [n]
+     * The switch happens once the command line has ended, so its exit code
+     * stays with the session it ran in.
+     */
+    cmdTab(args) {
+        const [action, target] = args.map(arg => arg.toLowerCase());
+        if (!action) {
+            return this.sessions
+                .map(session => `${session === this.session ? '*' : ' '} ${String(session.number).padEnd(3)}${session.location}`)
+                .join('\n');
+        }
+        if (this.batch) return this.fail('TAB cannot be used in a batch file.');
+
+        const later = (change) => Promise.resolve().then(() => {
+            change();
+            this.renderTabs();
+        });
+
+        if (action === 'new') {
+            later(() => this.newSession());
+            return null;
+        }
+
+        const session = action === 'close'
+            ? (target ? this.findSession(target) : this.session)
+            : this.findSession(action);
+        if (!session) return this.fail(`No such tab: ${target || action}`);
+
+        later(() => action === 'close' ? this.closeSession(session) : this.switchSession(session));
+        return null;
+    }
+
+    /**
+     * HISTORY command - List this session's commands, numbered for !n
+     *   HISTORY n lists the last n, HISTORY -C clears the history (and the history file)
+     */
+    cmdHistory(args) {
+        const history = this.session.history;
+        const option = (args[0] || '').toLowerCase();
+
+        if (option === '-c' || option === '/c') {
+            history.clear();
+            return null;
+        }
+        if (option && !/^\d+$/.test(option)) {
+            return this.fail(`history: ${args[0]}: numeric argument required`);
+        }
+
+        const first = option ? Math.max(0, history.length - Number(option)) : 0;
+        return history.entries
+            .slice(first)
+            .map((entry, i) => `${String(first + i + 1).padStart(5)}  ${entry}`)
+            .join('\n');
+    }
+
+    /**
+     * Ctrl+R - Search the history backwards while typing. Ctrl+R again
+     * finds an older match, Enter runs the match, Esc or Ctrl+C gives up,
+     * and the arrow keys or Tab keep it for editing.
+     */
+    startReverseSearch(input) {
+        this.reverseSearch = {
+            query: '',
+            index: this.session.history.length,
+            original: input.value,
+            failed: false
+        };
+        this.showReverseSearch();
+    }
+
+    handleReverseSearchKey(e, input) {
+        const search = this.reverseSearch;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.endReverseSearch();
+            const cmd = input.value;
+            input.value = '';
+            this.executeCommand(cmd);
+        } else if (e.key === 'Escape' || (e.ctrlKey && (e.key === 'c' || e.key === 'g'))) {
+            e.preventDefault();
+            input.value = search.original;
+            this.endReverseSearch();
+        } else if (e.ctrlKey && e.key === 'r') {
+            e.preventDefault();
+            this.findReverseMatch(input, search.index);
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            this.findReverseMatch(input, this.session.history.length);
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            // The current match stays if it still matches
+            e.preventDefault();
+            search.query += e.key;
+            this.findReverseMatch(input, search.index + 1);
+        } else if (['ArrowUp', 'ArrowDown', 'Tab'].includes(e.key)) {
+            e.preventDefault();
+            this.endReverseSearch();
+        } else if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+            this.endReverseSearch();
+        }
+    }
+
+    /**
+     * Show the newest entry older than index "before" that contains the query
+     */
+    findReverseMatch(input, before) {
+        const search = this.reverseSearch;
+        const index = search.query ? this.session.history.search(search.query, before) : -1;
+        search.failed = Boolean(search.query) && index < 0;
+        if (index >= 0) {
+            search.index = index;
+            input.value = this.session.history.entries[index];
+        }
+        this.showReverseSearch();
+    }
+
+    showReverseSearch() {
+        const el = this.getElement('#promptText');
+        const { query, failed } = this.reverseSearch;
+        if (el) el.textContent = `(${failed ? 'failed ' : ''}reverse-i-search)\`${query}': `;
+    }
+
+    endReverseSearch() {
+        this.reverseSearch = null;
+        this.updatePrompt();
+    }
+
+    // === JOB CONTROL ===
+
+    /**
+     * Run a command line as a background job (command &). What it prints
+     * is buffered and shown at the next prompt, tagged with the job number.
+     * @param {string} line - Command line without the &
+     * @returns {number} 0; the job's own result comes with its Done notice
+     */
+    runBackground(line) {
+        const job = this.createJob(line, false);
+        this.printToScreen(`[${job.number}] ${job.pid}`);
+
+        const toJob = new OutputStream((text, color) => job.print(text, color));
+        const outer = this.background;
+        this.background = { job, claimed: false };
+        let exitCode;
+        try {
+            exitCode = this.runPipeline(line, { stdout: toJob, stderr: toJob, job });
+            if (isPending(exitCode)) {
+                this.background.claimed = true;
+                this.awaitPipeline(job, exitCode);
+            }
+        } finally {
+            // PING, MATRIX or a script keeps the job going; anything else is done
+            if (!this.background.claimed) job.finish(exitCode);
+            this.background = outer;
+        }
+
+        this.lastOutput = '';
+        this.lastExitCode = ExitCode.SUCCESS;
+        return ExitCode.SUCCESS;
+    }
+
+    /**
+     * Start a long-running command (PING, TRACERT, MATRIX, a script) as a
+     * job. On a command line ending in & it is that background job;
+     * otherwise it runs in the foreground and holds the prompt until it
+     * ends, Ctrl+C kills it or Ctrl+Z stops it.
+     * @param {string} command - As shown by JOBS and Task Manager
+     * @returns {Job}
+     */
+    beginJob(command) {
+        if (this.background && !this.background.claimed) {
+            this.background.claimed = true;
+            return this.background.job;
+        }
+        const job = this.createJob(command, true);
+        this.setForegroundJob(job);
+        return job;
+    }
+
+    /**
+     * Keep a job for a command line until the commands in it that returned
+     * a Promise have ended. Ctrl+Z, FG / BG and Ctrl+C reach those commands
+     * through their pause(), resume() and stop().
+     * @param {Job} job
+     * @param {Promise<number>} pending - From runPipeline()
+     * @returns {Promise<number>} Exit code of the command line
+     */
+    awaitPipeline(job, pending) {
+        const control = (hook) => () => {
+            for (const command of this.runningCommands) command[hook]?.();
+        };
+        job.on('stop', control('pause'));
+        job.on('continue', control('resume'));
+        job.on('kill', control('stop'));
+
+        return pending.then(exitCode => {
+            job.finish(exitCode);
+            return exitCode;
+        });
+    }
+
+    createJob(command, foreground) {
+        const job = JobTable.create({
+            command,
+            owner: this,
+            foreground,
+            write: (text, color) => this.printToScreen(text, color)
+        });
+
+        // A foreground job gives the prompt back when it ends; a background
+        // one is reported at the next prompt (see reportJobs)
+        job.on('end', () => {
+            if (this.foregroundJob !== job) return;
+            this.foregroundJob = null;
+            this.activeProcess = null;
+            JobTable.remove(job);
+        });
+        return job;
+    }
+
+    setForegroundJob(job) {
+        this.foregroundJob = job;
+        this.activeProcess = job.name;
+        job.setForeground(true);
+    }
 
     /**
-     * Interpolate environment variables in command line
-     * Replaces %VAR% with the value of environment variable VAR
+     * Ctrl+Z - Stop the foreground job; FG or BG continues it
      */
-    interpolateVariables(cmdLine) {
-        return cmdLine.replace(/%(\w+)%/g, (match, varName) => {
-            return this.envVars[varName.toUpperCase()] || match;
-        });
+    stopForegroundJob() {
+        const job = this.foregroundJob;
+        this.foregroundJob = null;
+        this.activeProcess = null;
+        job.stop();
+        this.print('^Z');
+        this.print(this.formatJob(job));
     }
 
     /**
-     * Execute piped commands (cmd1 | cmd2 | cmd3)
+     * Show what background jobs printed since the last prompt, each line
+     * tagged with its job number, and report the jobs that have ended
      */
-    executePipedCommands(cmdLine) {
-        const commands = cmdLine.split('|').map(c => c.trim());
-        let output = '';
-
-        for (let i = 0; i < commands.length; i++) {
-            const cmd = commands[i];
+    reportJobs() {
+        for (const job of JobTable.forOwner(this)) {
+            if (job === this.foregroundJob) continue;
 
-            if (i === 0) {
-                // First command - execute normally and capture output
-                this.executeCommandSilent(cmd, (result) => {
-                    output = result;
-                });
-            } else {
-                // Subsequent commands - use previous output as input
-                // For now, we'll simulate pipe by passing output to commands that support it
-                if (cmd.toLowerCase().startsWith('grep ')) {
-                    // Grep from piped input
-                    output = this.grepFromString(output, cmd.substring(5).trim());
-                } else if (cmd.toLowerCase().startsWith('head ')) {
-                    output = this.headFromString(output, cmd.substring(5).trim());
-                } else if (cmd.toLowerCase().startsWith('tail ')) {
-                    output = this.tailFromString(output, cmd.substring(5).trim());
-                } else if (cmd.toLowerCase().startsWith('wc')) {
-                    output = this.wcFromString(output);
-                } else {
-                    // Command doesn't support piped input
-                    this.print(`'${cmd.split(' ')[0]}' does not support piped input`);
-                    return;
-                }
+            for (const { text, color } of job.takeOutput()) {
+                const tagged = text.split('\n').map(line => line ? `[${job.number}] ${line}` : line);
+                this.printToScreen(tagged.join('\n'), color);
+            }
+            if (!job.isActive) {
+                this.printToScreen(this.formatJob(job));
+                JobTable.remove(job);
             }
-        }
-
-        if (output) {
-            this.print(output);
         }
     }
 
     /**
-     * Execute a command silently and capture output
+     * Jobs of this Terminal, most recent first; the first is the current
+     * job (%+, marked +), the second the previous one (%-, marked -)
+     * @returns {Job[]}
      */
-    executeCommandSilent(cmdLine, callback) {
-        const parts = this.parseCommandLine(cmdLine);
-        const cmd = parts[0].toLowerCase();
-        const args = parts.slice(1);
-
-        let result = '';
-
-        // Execute common commands that produce output
-        if (cmd === 'dir' || cmd === 'ls') {
-            result = this.cmdDir(args);
-        } else if (cmd === 'type' || cmd === 'cat') {
-            result = this.cmdType(args);
-        } else if (cmd === 'echo') {
-            result = args.join(' ');
-        } else if (cmd === 'find') {
-            result = this.cmdFind(args);
-        } else if (cmd === 'grep') {
-            result = this.cmdGrep(args);
-        } else {
-            result = `'${cmd}' cannot be used in a pipe`;
-        }
+    recentJobs() {
+        return JobTable.forOwner(this).sort((a, b) => b.pid - a.pid);
+    }
 
-        callback(result);
+    /**
+     * Find a job by %n, %+ or %% (current), %- (previous); no spec is the current job
+     * @param {string} [spec]
+     * @returns {Job|null}
+     */
+    findJob(spec) {
+        const jobs = this.recentJobs().filter(job => job.isActive);
+        if (!spec || spec === '%%' || spec === '%+') return jobs[0] || null;
+        if (spec === '%-') return jobs[1] || null;
+        if (!/^%\d+$/.test(spec)) return null;
+        return jobs.find(job => job.number === Number(spec.slice(1))) || null;
     }
 
     /**
-     * Execute a RetroScript file
+     * One line of JOBS: [1]+  Running                 ping example.com &
+     * A job that ended with an error shows "Exit n" instead of "Done".
      */
-    async executeRetroScript(filePath) {
-        try {
-            const content = FileSystemManager.readFile(filePath);
-            const fileName = filePath[filePath.length - 1];
+    formatJob(job) {
+        const recent = this.recentJobs();
+        const mark = recent[0] === job ? '+' : recent[1] === job ? '-' : ' ';
+        const state = job.state === JobState.DONE && job.exitCode ? `Exit ${job.exitCode}` : job.state;
+        const background = job.state === JobState.RUNNING && !job.foreground ? ' &' : '';
+        return `[${job.number}]${mark}  ${state.padEnd(24)}${job.command}${background}`;
+    }
 
-            this.print(`Executing RetroScript: ${fileName}...`, '#00ff00');
+    /**
+     * JOBS command - List the running and stopped jobs
+     */
+    cmdJobs() {
+        return this.recentJobs()
+            .filter(job => job.isActive && job !== this.foregroundJob)
+            .sort((a, b) => a.number - b.number)
+            .map(job => this.formatJob(job))
+            .join('\n');
+    }
 
-            // Execute the script using the legacy ScriptEngine (same as ScriptRunner)
-            const result = await ScriptEngine.run(content, {
-                onOutput: (msg) => this.print(msg),
-                onError: (err, line) => {
-                    const location = line ? ` at line ${line}` : '';
-                    this.print(`Error${location}: ${err}`, '#ff0000');
-                }
-            });
+    /**
+     * FG command - Bring a job to the foreground (FG %n)
+     */
+    cmdFg(args) {
+        const job = this.findJob(args[0]);
+        if (!job) return this.fail(`fg: ${args[0] || 'current'}: no such job`);
 
-            if (result.success) {
-                this.print(`Script completed successfully.`, '#00ff00');
-            } else {
-                // Format error with location info if available
-                const error = result.error;
-                const line = result.line;
-                if (line) {
-                    this.print(`Script error at line ${line}: ${error}`, '#ff0000');
-                } else if (error && typeof error === 'object') {
-                    const location = error.line ? ` at line ${error.line}` : '';
-                    this.print(`Script error${location}: ${error.message || error}`, '#ff0000');
-                } else {
-                    this.print(`Script error: ${error}`, '#ff0000');
-                }
-            }
-        } catch (e) {
-            this.print(`Error executing script: ${e.message}`, '#ff0000');
+        this.print(job.command);
+        for (const { text, color } of job.takeOutput()) {
+            this.print(text, color);
         }
+        this.setForegroundJob(job);
+        job.continue(true);
+        return null;
     }
 
     /**
-     * Execute a batch file (.bat)
+     * BG command - Continue a stopped job in the background (BG %n)
      */
-    executeBatchFile(filePath) {
-        try {
-            const content = FileSystemManager.readFile(filePath);
-            const fileName = filePath[filePath.length - 1];
+    cmdBg(args) {
+        const job = this.findJob(args[0]);
+        if (!job) return this.fail(`bg: ${args[0] || 'current'}: no such job`);
+        if (job.state === JobState.RUNNING) {
+            return this.fail(`bg: job ${job.number} already in background`);
+        }
 
-            this.print(`Executing batch file: ${fileName}...`);
+        job.continue(false);
+        return `[${job.number}]  ${job.command} &`;
+    }
 
-            // Parse batch file into commands
-            const lines = content.split('\n');
-            const commands = [];
+    /**
+     * KILL command - End a job (KILL %n) or any job by process id
+     */
+    cmdKill(args) {
+        if (!args[0]) return this.fail('kill: usage: kill %job | pid');
 
-            for (let line of lines) {
-                line = line.trim();
+        const job = args[0].startsWith('%') ? this.findJob(args[0]) : JobTable.get(args[0]);
+        if (!job || !job.isActive) return this.fail(`kill: ${args[0]}: no such job`);
 
-                // Skip empty lines and comments
-                if (!line || line.startsWith('REM ') || line.startsWith('::')) {
-                    continue;
-                }
+        job.kill();
+        return null;
+    }
 
-                // Remove @ECHO OFF directive (just skip it)
-                if (line.toUpperCase() === '@ECHO OFF' || line.toUpperCase() === 'ECHO OFF') {
-                    continue;
-                }
+    /**
+     * TASKLIST command - List the processes Task Manager shows: system
+     * processes, open windows and Terminal jobs, with the same PIDs
+     */
+    cmdTasklist(args) {
+        if (args[0] === '/?') {
+            return 'Usage: TASKLIST [/V] [/FI filter] [/FO TABLE|LIST|CSV] [/NH]\n\n' +
+                'Lists the running processes.\n\n' +
+                '  /V          Also shows the status and window title\n' +
+                '  /FI filter  Lists only matching processes, e.g. /FI "IMAGENAME eq notepad*"\n' +
+                '              Fields: IMAGENAME, PID, STATUS, WINDOWTITLE, MEMUSAGE\n' +
+                '              Operators: eq, ne; gt, lt, ge, le for PID and MEMUSAGE\n' +
+                '  /FO format  Output format: TABLE (default), LIST or CSV\n' +
+                '  /NH         Leaves out the column headers (TABLE and CSV)';
+        }
 
-                commands.push(line);
+        let verbose = false;
+        let headers = true;
+        let format = 'table';
+        const filters = [];
+        for (let i = 0; i < args.length; i++) {
+            const option = args[i].toUpperCase();
+            if (option === '/V') {
+                verbose = true;
+            } else if (option === '/NH') {
+                headers = false;
+            } else if (option === '/FO' && /^(table|list|csv)$/i.test(args[i + 1] || '')) {
+                format = args[++i].toLowerCase();
+            } else if (option === '/FI' && args[i + 1]) {
+                const filter = this.parseTaskFilter(args[++i]);
+                if (!filter) return this.fail('ERROR: The search filter cannot be recognized.');
+                filters.push(filter);
+            } else {
+                return this.fail(`ERROR: Invalid argument/option - '${args[i]}'.\nType "TASKLIST /?" for usage.`);
             }
+        }
 
-            // Execute commands sequentially
-            this.batchCommands = commands;
-            this.batchIndex = 0;
-            this.executeBatchNext();
-        } catch (e) {
-            this.print(`Error executing batch file: ${e.message}`, '#ff0000');
+        const processes = ProcessTable.list().filter(proc => filters.every(filter => filter(proc)));
+        if (processes.length === 0) {
+            return 'INFO: No tasks are running which match the specified criteria.';
         }
-    }
 
-    /**
-     * Execute next command in batch file
-     */
-    executeBatchNext() {
-        if (this.batchIndex >= this.batchCommands.length) {
-            this.batchCommands = [];
-            this.batchIndex = 0;
-            return;
+        const columns = [
+            { title: 'Image Name', width: 25, value: proc => proc.name },
+            { title: 'PID', width: 8, right: true, value: proc => String(proc.pid) },
+            { title: 'Session Name', width: 16, value: () => 'Console' },
+            { title: 'Session#', width: 11, right: true, value: () => '1' },
+            { title: 'Mem Usage', width: 12, right: true, value: proc => `${proc.mem.toLocaleString('en-US')} K` }
+        ];
+        if (verbose) {
+            columns.push(
+                { title: 'Status', width: 15, value: proc => proc.status },
+                { title: 'Window Title', width: 30, value: proc => proc.title }
+            );
         }
 
-        const cmd = this.batchCommands[this.batchIndex];
-        this.batchIndex++;
+        if (format === 'csv') {
+            const quote = text => `"${String(text).replace(/"/g, '""')}"`;
+            const rows = processes.map(proc => columns.map(column => quote(column.value(proc))).join(','));
+            if (headers) rows.unshift(columns.map(column => quote(column.title)).join(','));
+            return rows.join('\n');
+        }
 
-        // Execute the command (without showing the prompt again)
-        const parts = this.parseCommandLine(cmd);
-        const cmdName = parts[0].toLowerCase();
-        const args = parts.slice(1);
+        if (format === 'list') {
+            return processes.map(proc => columns
+                .map(column => `${`${column.title}:`.padEnd(14)}${column.value(proc)}`)
+                .join('\n')).join('\n\n');
+        }
 
-        // Show the command being executed
-        this.print(cmd, '#808080');
+        const cell = (column, text) => {
+            const fitted = String(text).slice(0, column.width);
+            return column.right ? fitted.padStart(column.width) : fitted.padEnd(column.width);
+        };
+        const rows = processes.map(proc => columns.map(column => cell(column, column.value(proc))).join(' ').trimEnd());
+        if (headers) {
+            rows.unshift(
+                columns.map(column => cell(column, column.title)).join(' ').trimEnd(),
+                columns.map(column => '='.repeat(column.width)).join(' ')
+            );
+        }
+        return `\n${rows.join('\n')}`;
+    }
 
-        // Find and execute the command
-        const commands = this.getCommandMap();
-        if (commands[cmdName]) {
-            const result = commands[cmdName](args);
-            if (result) this.print(result);
+    /**
+     * Turn a TASKLIST /FI filter ("PID gt 3000") into a test of a process
+     * @param {string} spec
+     * @returns {Function|null} null when the filter is not understood
+     */
+    parseTaskFilter(spec) {
+        const match = String(spec).trim().match(/^(\w+)\s+(eq|ne|gt|lt|ge|le)\s+(.+)$/i);
+        if (!match) return null;
+
+        const [, field, operator, value] = match;
+        const op = operator.toLowerCase();
+        const numeric = { PID: proc => proc.pid, MEMUSAGE: proc => proc.mem }[field.toUpperCase()];
+        if (numeric) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return null;
+            const compare = { eq: (a, b) => a === b, ne: (a, b) => a !== b, gt: (a, b) => a > b,
+                lt: (a, b) => a < b, ge: (a, b) => a >= b, le: (a, b) => a <= b }[op];
+            return proc => compare(numeric(proc), number);
         }
 
-        // Continue with next command
-        setTimeout(() => this.executeBatchNext(), 50);
+        const text = { IMAGENAME: proc => proc.name, STATUS: proc => proc.status, WINDOWTITLE: proc => proc.title }[field.toUpperCase()];
+        if (!text || (op !== 'eq' && op !== 'ne')) return null;
+        return proc => matches(text(proc), value.trim()) === (op === 'eq');
     }
 
     /**
-     * Get command map for batch execution
+     * TASKKILL command - End processes by PID (/PID n) or image name
+     * (/IM notepad.exe, wildcards allowed): windows are closed and
+     * Terminal jobs killed. System processes cannot be ended.
      */
-    getCommandMap() {
-        return {
-            'dir': (args) => this.cmdDir(args),
-            'ls': (args) => this.cmdDir(args),
-            'cd': (args) => this.cmdCd(args),
-            'type': (args) => this.cmdType(args),
-            'cat': (args) => this.cmdType(args),
-            'echo': (args) => this.cmdEcho(args, 'echo ' + args.join(' ')),
-            'mkdir': (args) => this.cmdMkdir(args),
-            'del': (args) => this.cmdDel(args),
-            'copy': (args) => this.cmdCopy(args),
-            'move': (args) => this.cmdMove(args),
-            'cls': () => this.cmdClear(),
-            'clear': () => this.cmdClear(),
-            'ver': () => this.cmdVer(),
-            'date': () => this.cmdDate(),
-            'time': () => this.cmdTime(),
-            'set': (args) => this.cmdSet(args),
-        };
+    cmdTaskkill(args) {
+        const usage = 'Type "TASKKILL /?" for usage.';
+        if (args[0] === '/?') {
+            return 'Usage: TASKKILL [/F] { /PID pid | /IM imagename } ...\n\n' +
+                'Ends one or more processes.\n\n' +
+                '  /PID pid        Ends the process with this PID (see TASKLIST)\n' +
+                '  /IM imagename   Ends every process with this image name; wildcards allowed\n' +
+                '  /F              Ends the processes forcefully\n\n' +
+                'Example: taskkill /im notepad.exe';
+        }
+
+        const pids = [];
+        const images = [];
+        for (let i = 0; i < args.length; i++) {
+            const option = args[i].toUpperCase();
+            if (option === '/F') continue;
+            if (option === '/PID' && args[i + 1]) {
+                pids.push(args[++i]);
+            } else if (option === '/IM' && args[i + 1]) {
+                images.push(args[++i]);
+            } else {
+                return this.fail(`ERROR: Invalid argument/option - '${args[i]}'.\n${usage}`);
+            }
+        }
+        if (pids.length === 0 && images.length === 0) {
+            return this.fail(`ERROR: Invalid syntax. Neither /PID nor /IM were specified.\n${usage}`);
+        }
+
+        // As in Windows, a process that is not there gives exit code 128
+        const lookups = [
+            ...pids.map(pid => ({ name: pid, found: [ProcessTable.get(pid)].filter(Boolean) })),
+            ...images.map(image => ({ name: image, found: ProcessTable.find(image) }))
+        ];
+        const targets = new Map();
+        for (const { name, found } of lookups) {
+            if (found.length === 0) this.fail(`ERROR: The process "${name}" not found.`, 128);
+            for (const proc of found) targets.set(proc.pid, proc);
+        }
+
+        for (const proc of targets.values()) {
+            if (ProcessTable.end(proc)) {
+                this.print(`SUCCESS: The process "${proc.name}" with PID ${proc.pid} has been terminated.`);
+            } else {
+                this.fail(`ERROR: The process "${proc.name}" with PID ${proc.pid} could not be terminated.\nReason: This is a critical system process.`);
+            }
+        }
+        return null;
     }
 
     // === SCRIPTING COMMANDS ===
@@ -2370,7 +4187,7 @@ Special Thanks:
 
         // Check if file exists
         if (!FileSystemManager.exists(filePath)) {
-            return 'Script file not found.';
+            return this.fail('Script file not found.');
         }
 
         this.executeRetroScript(filePath);
@@ -2379,33 +4196,233 @@ Special Thanks:
 
     /**
      * CALL/BAT command - Execute a batch file
+     * @param {string[]} args
+     * @param {string} line - The command line, for the arguments as typed
      */
-    cmdCall(args) {
+    cmdCall(args, line) {
         if (!args[0]) {
-            return 'Usage: CALL <script.bat>\n\nExecutes a batch file.\n\nExample: call startup.bat';
+            return 'Usage: CALL <script.bat> [arguments]\n\nExecutes a batch file. Inside a batch file, the caller\ncontinues when it ends.\n\nExample: call startup.bat';
         }
 
-        const filePath = this.resolvePath(args[0]);
+        const filePath = this.findBatchFile(args[0]);
+        if (!filePath) {
+            return this.fail('Batch file not found.');
+        }
 
-        // Check if file exists
-        if (!FileSystemManager.exists(filePath)) {
-            return 'Batch file not found.';
+        return this.executeBatchFile(filePath, this.parseCommandLine(line, { keepQuotes: true }).slice(2));
+    }
+
+    /**
+     * IF command - Run a command when a condition holds
+     * IF [/I] [NOT] EXIST file | ERRORLEVEL n | DEFINED var | a==b | a EQU b command
+     * The command may be (parenthesized) and followed by ELSE (command).
+     * @param {string} line - The whole command line, quotes intact
+     * @param {CommandIO} io
+     */
+    cmdIf(line, io) {
+        let rest = line.replace(/^\s*if\s*/i, '');
+        let ignoreCase = false;
+        let negate = false;
+
+        if (/^\/i\s/i.test(rest)) {
+            ignoreCase = true;
+            rest = rest.slice(2).trim();
+        }
+        if (/^not\s/i.test(rest)) {
+            negate = true;
+            rest = rest.slice(3).trim();
         }
 
-        this.executeBatchFile(filePath);
+        const operand = '("[^"]*"|[^\\s"=]+)';
+        const compare = (a, b) => {
+            const numeric = /^-?\d+$/.test(a) && /^-?\d+$/.test(b);
+            if (numeric) return Number(a) - Number(b);
+            return ignoreCase ? a.toLowerCase().localeCompare(b.toLowerCase()) : a.localeCompare(b);
+        };
+
+        let result;
+        let command;
+        let match;
+        if ((match = rest.match(/^exist\s+("[^"]*"|\S+)\s+(.+)$/i))) {
+            const target = match[1].replace(/"/g, '');
+            result = /[*?]/.test(target)
+                ? this.expandWildcard(target).length > 0
+                : FileSystemManager.exists(this.resolvePath(target));
+            command = match[2];
+        } else if ((match = rest.match(/^errorlevel\s+(\d+)\s+(.+)$/i))) {
+            result = this.lastExitCode >= Number(match[1]);
+            command = match[2];
+        } else if ((match = rest.match(/^defined\s+(\S+)\s+(.+)$/i))) {
+            result = this.getVariable(match[1]) !== undefined;
+            command = match[2];
+        } else if ((match = rest.match(new RegExp(`^${operand}\\s*==\\s*${operand}\\s+(.+)$`)))) {
+            result = ignoreCase ? match[1].toLowerCase() === match[2].toLowerCase() : match[1] === match[2];
+            command = match[3];
+        } else if ((match = rest.match(new RegExp(`^${operand}\\s+(equ|neq|lss|leq|gtr|geq)\\s+${operand}\\s+(.+)$`, 'i')))) {
+            const order = compare(match[1], match[3]);
+            result = {
+                equ: order === 0, neq: order !== 0, lss: order < 0,
+                leq: order <= 0, gtr: order > 0, geq: order >= 0
+            }[match[2].toLowerCase()];
+            command = match[4];
+        } else {
+            return this.fail('The syntax of the command is incorrect.');
+        }
+
+        const branches = this.splitElse(command);
+        if (!branches) return this.fail('The syntax of the command is incorrect.');
+
+        const chosen = result !== negate ? branches.then : branches.otherwise;
+        if (!chosen) {
+            // A false IF leaves ERRORLEVEL alone
+            io.exitCode = this.lastExitCode;
+            return null;
+        }
+        return this.takeExitCode(io, this.runPipeline(chosen, io));
+    }
+
+    /**
+     * Split "(a) ELSE (b)" into its commands; a command without parentheses
+     * has no ELSE part
+     * @param {string} command
+     * @returns {{then: string, otherwise: string|null}|null} Null if the parentheses do not match
+     */
+    splitElse(command) {
+        const text = command.trim();
+        if (!text.startsWith('(')) return { then: text, otherwise: null };
+
+        const close = this.findClosingParen(text);
+        if (close < 0) return null;
+
+        const then = text.slice(1, close).trim();
+        const after = text.slice(close + 1).trim();
+        if (!after) return { then, otherwise: null };
+
+        const elseMatch = after.match(/^else\s+(.+)$/i);
+        if (!elseMatch) return null;
+        return { then, otherwise: this.unwrapParens(elseMatch[1]) };
+    }
+
+    /**
+     * Index of the ")" that closes the "(" at the start of text, or -1
+     */
+    findClosingParen(text) {
+        let depth = 0;
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '"') inQuotes = !inQuotes;
+            if (inQuotes) continue;
+            if (text[i] === '(') depth++;
+            if (text[i] === ')' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Take the parentheses off a (command)
+     */
+    unwrapParens(command) {
+        const text = command.trim();
+        return text.startsWith('(') && this.findClosingParen(text) === text.length - 1
+            ? text.slice(1, -1).trim()
+            : text;
+    }
+
+    /**
+     * FOR command - Run a command for each item of a set
+     * FOR %f IN (set) DO command - in a batch file the variable is %%f.
+     * Items with * or ? stand for the matching files.
+     * @param {string} line - The whole command line
+     * @param {CommandIO} io
+     */
+    cmdFor(line, io) {
+        const match = line.match(/^\s*for\s+%([a-z])\s+in\s*\(([^)]*)\)\s*do\s+(.+)$/i);
+        if (!match) {
+            return this.fail('The syntax of the command is incorrect.');
+        }
+
+        const [, name, set, body] = match;
+        const command = this.unwrapParens(body);
+        const items = (set.match(/"[^"]*"|[^\s,;]+/g) || [])
+            .flatMap(item => /[*?]/.test(item) ? this.expandWildcard(item) : [item]);
+        const variable = new RegExp(`%${name}`, 'g');
+
+        // A command that keeps running holds up the next item
+        const runFrom = (index) => {
+            for (let i = index; i < items.length; i++) {
+                const exitCode = this.runPipeline(command.replace(variable, () => items[i]), io);
+                if (isPending(exitCode)) {
+                    return exitCode.then(code => {
+                        io.exitCode = code;
+                        return this.batch?.jumped ? null : runFrom(i + 1);
+                    });
+                }
+                io.exitCode = exitCode;
+                // GOTO leaves the loop
+                if (this.batch?.jumped) break;
+            }
+            return null;
+        };
+        return runFrom(0);
+    }
+
+    /**
+     * Files matching a name with * and ? wildcards, written the way the
+     * pattern was (docs\*.txt gives docs\a.txt)
+     * @param {string} pattern
+     * @returns {string[]}
+     */
+    expandWildcard(pattern) {
+        const normalized = pattern.replace(/"/g, '').replace(/\//g, '\\');
+        const dirPart = normalized.slice(0, normalized.lastIndexOf('\\') + 1);
+        return FileSystemManager.glob(this.resolvePath(normalized), { type: 'file' })
+            .map(path => dirPart + path[path.length - 1]);
+    }
+
+    /**
+     * GOTO command - Continue a batch file at a label
+     */
+    cmdGoto(args) {
+        if (!this.batch) return this.fail('GOTO can only be used in a batch file.');
+        if (!args[0]) return this.fail('No batch label specified to GOTO command.');
+        if (!this.batch.goto(args[0])) {
+            return this.fail(`The system cannot find the batch label specified - ${args[0]}`);
+        }
         return null;
     }
 
-    // === ADDITIONAL FILE COMMANDS ===
+    /**
+     * PAUSE command - Wait for a key (a batch file waits too)
+     */
+    cmdPause() {
+        this.print('Press any key to continue . . .');
+        this.activeProcess = 'pause';
+        return null;
+    }
 
     /**
-     * GREP command - Search for patterns in files
+     * EXIT command - Close the window, or with /B end the batch file
+     * EXIT /B [code] sets ERRORLEVEL to code.
      */
-    cmdGrep(args) {
-        if (args.length < 2) {
-            return 'Usage: GREP <pattern> <file>\n\nSearches for a pattern in a file.\n\nOptions:\n  -i  Case insensitive\n  -n  Show line numbers\n  -v  Invert match (show non-matching lines)';
+    cmdExit(args, io) {
+        if (!args.some(arg => arg.toUpperCase() === '/B')) {
+            // Closes this tab; the window goes with the last one
+            if (this.sessions.length > 1 && !this.batch) return this.cmdTab(['close']);
+            this.close();
+            return null;
         }
 
+        this.batch?.end();
+        io.exitCode = parseInt(args.find(arg => !arg.startsWith('/')), 10) || ExitCode.SUCCESS;
+        return null;
+    }
+
+    // === ADDITIONAL FILE COMMANDS ===
+
+    /**
+     * GREP command - Search for patterns in a file or piped input
+     */
+    cmdGrep(args, io) {
         let caseInsensitive = false;
         let showLineNumbers = false;
         let invertMatch = false;
@@ -2427,26 +4444,24 @@ Special Thanks:
             }
         }
 
-        if (!pattern || !fileName) {
-            return 'GREP: Missing pattern or filename';
+        if (!pattern) {
+            return 'Usage: GREP <pattern> [file]\n\nSearches for a pattern in a file, or in the output of another command\n(dir | grep txt).\n\nOptions:\n  -i  Case insensitive\n  -n  Show line numbers\n  -v  Invert match (show non-matching lines)';
         }
 
-        try {
-            const filePath = this.resolvePath(fileName);
-            const content = FileSystemManager.readFile(filePath);
+        const content = this.readInput(fileName, io, 'GREP');
+        if (content === null) return null;
 
-            return this.grepContent(content, pattern, caseInsensitive, showLineNumbers, invertMatch);
-        } catch (e) {
-            return `File not found - ${fileName}`;
-        }
+        const output = this.grepContent(content, pattern, caseInsensitive, showLineNumbers, invertMatch);
+        return output || this.fail('(no matches found)');
     }
 
     /**
      * Grep helper for content
+     * @returns {string} Matching lines, '' if there are none
      */
     grepContent(content, pattern, caseInsensitive, showLineNumbers, invertMatch) {
         const lines = content.split('\n');
-        let output = '';
+        const output = [];
         let lineNum = 0;
 
         for (const line of lines) {
@@ -2456,37 +4471,32 @@ Special Thanks:
             const matches = searchLine.includes(searchPattern);
 
             if ((matches && !invertMatch) || (!matches && invertMatch)) {
-                if (showLineNumbers) {
-                    output += `${lineNum}: ${line}\n`;
-                } else {
-                    output += `${line}\n`;
-                }
+                output.push(showLineNumbers ? `${lineNum}: ${line}` : line);
             }
         }
 
-        return output || '(no matches found)';
+        return output.join('\n');
     }
 
     /**
-     * Grep from piped string
+     * Read the input of a filter command: the named file or, without a
+     * file name, whatever was piped in. Reports the error itself.
+     * @param {string} fileName - File argument ('' or undefined for stdin)
+     * @param {CommandIO} io - Streams of the running command
+     * @param {string} command - Command name for error messages
+     * @returns {string|null} The text, or null after an error
      */
-    grepFromString(input, argsStr) {
-        const args = argsStr.split(/\s+/);
-        let caseInsensitive = false;
-        let showLineNumbers = false;
-        let invertMatch = false;
-        let pattern = '';
-
-        for (const arg of args) {
-            if (arg === '-i') caseInsensitive = true;
-            else if (arg === '-n') showLineNumbers = true;
-            else if (arg === '-v') invertMatch = true;
-            else if (!pattern) pattern = arg;
+    readInput(fileName, io, command) {
+        if (!fileName) {
+            if (io?.stdin.isPiped) return io.stdin.read();
+            return this.fail(`${command}: Missing filename`);
         }
 
-        if (!pattern) return input;
-
-        return this.grepContent(input, pattern, caseInsensitive, showLineNumbers, invertMatch);
+        try {
+            return FileSystemManager.readFile(this.resolvePath(fileName));
+        } catch (e) {
+            return this.fail(`File not found - ${fileName}`);
+        }
     }
 
     /**
@@ -2510,7 +4520,7 @@ Special Thanks:
                 return '';
             }
         } catch (e) {
-            return `Unable to create file - ${e.message}`;
+            return this.fail(`Unable to create file - ${e.message}`);
         }
     }
 
@@ -2540,109 +4550,88 @@ Special Thanks:
             FileSystemManager.writeFile(filePath, content, 'txt');
             return `'${fileName}' saved [1024/1024]`;
         } catch (e) {
-            return `Unable to save file - ${e.message}`;
+            return this.fail(`Unable to save file - ${e.message}`);
         }
     }
 
     /**
-     * HEAD command - Show first lines of a file
+     * HEAD command - Show first lines of a file or piped input
      */
-    cmdHead(args) {
-        const lines = 10;
-        let numLines = lines;
-        let fileName = args[0];
-
-        // Check for -n option
-        if (args[0] === '-n' && args[1]) {
-            numLines = parseInt(args[1]);
-            fileName = args[2];
-        }
+    cmdHead(args, io) {
+        const { numLines, fileName } = this.parseLineCountArgs(args);
 
-        if (!fileName) {
-            return 'Usage: HEAD [-n lines] <file>\n\nDisplays the first lines of a file (default: 10).';
+        if (!fileName && !io?.stdin.isPiped) {
+            return 'Usage: HEAD [-n lines] [file]\n\nDisplays the first lines of a file or piped input (default: 10).';
         }
 
-        try {
-            const filePath = this.resolvePath(fileName);
-            const content = FileSystemManager.readFile(filePath);
-            return this.headFromString(content, numLines.toString());
-        } catch (e) {
-            return `File not found - ${fileName}`;
-        }
+        const content = this.readInput(fileName, io, 'HEAD');
+        if (content === null) return null;
+        return content.split('\n').slice(0, numLines).join('\n');
     }
 
     /**
-     * Head helper for string
+     * Parse the [-n lines] [file] arguments of HEAD and TAIL
+     * @returns {{numLines: number, fileName: string|undefined}}
      */
-    headFromString(content, numLinesStr) {
-        const numLines = parseInt(numLinesStr) || 10;
-        const lines = content.split('\n');
-        return lines.slice(0, numLines).join('\n');
+    parseLineCountArgs(args) {
+        if (args[0] === '-n' && args[1]) {
+            return { numLines: parseInt(args[1]) || 10, fileName: args[2] };
+        }
+        return { numLines: 10, fileName: args[0] };
     }
 
     /**
-     * TAIL command - Show last lines of a file
+     * TAIL command - Show last lines of a file or piped input
      */
-    cmdTail(args) {
-        const lines = 10;
-        let numLines = lines;
-        let fileName = args[0];
-
-        // Check for -n option
-        if (args[0] === '-n' && args[1]) {
-            numLines = parseInt(args[1]);
-            fileName = args[2];
-        }
-
-        if (!fileName) {
-            return 'Usage: TAIL [-n lines] <file>\n\nDisplays the last lines of a file (default: 10).';
-        }
+    cmdTail(args, io) {
+        const { numLines, fileName } = this.parseLineCountArgs(args);
 
-        try {
-            const filePath = this.resolvePath(fileName);
-            const content = FileSystemManager.readFile(filePath);
-            return this.tailFromString(content, numLines.toString());
-        } catch (e) {
-            return `File not found - ${fileName}`;
+        if (!fileName && !io?.stdin.isPiped) {
+            return 'Usage: TAIL [-n lines] [file]\n\nDisplays the last lines of a file or piped input (default: 10).';
         }
-    }
 
-    /**
-     * Tail helper for string
-     */
-    tailFromString(content, numLinesStr) {
-        const numLines = parseInt(numLinesStr) || 10;
-        const lines = content.split('\n');
-        return lines.slice(-numLines).join('\n');
+        const content = this.readInput(fileName, io, 'TAIL');
+        if (content === null) return null;
+        return content.split('\n').slice(-numLines).join('\n');
     }
 
     /**
      * WC command - Count words, lines, and characters
      */
-    cmdWordCount(args) {
-        if (!args[0]) {
-            return 'Usage: WC <file>\n\nCounts lines, words, and characters in a file.';
+    cmdWordCount(args, io) {
+        if (!args[0] && !io?.stdin.isPiped) {
+            return 'Usage: WC [file]\n\nCounts lines, words, and characters in a file or piped input.';
         }
 
-        try {
-            const filePath = this.resolvePath(args[0]);
-            const content = FileSystemManager.readFile(filePath);
-            return this.wcFromString(content);
-        } catch (e) {
-            return `File not found - ${args[0]}`;
-        }
-    }
+        const content = this.readInput(args[0], io, 'WC');
+        if (content === null) return null;
 
-    /**
-     * WC helper for string
-     */
-    wcFromString(content) {
         const lines = content.split('\n').length;
         const words = content.split(/\s+/).filter(w => w.length > 0).length;
         const chars = content.length;
         return `  ${lines} lines, ${words} words, ${chars} characters`;
     }
 
+    /**
+     * SORT command - Sort the lines of a file or piped input
+     */
+    cmdSort(args, io) {
+        const reverse = args.some(arg => arg.toUpperCase() === '/R');
+        const fileName = args.find(arg => !arg.startsWith('/'));
+
+        if (!fileName && !io?.stdin.isPiped) {
+            return 'Usage: SORT [/R] [file]\n\nSorts the lines of a file or piped input (dir /b | sort).\n\n  /R  Reverses the sort order';
+        }
+
+        const content = this.readInput(fileName, io, 'SORT');
+        if (content === null) return null;
+
+        const lines = content.replace(/\r\n/g, '\n').split('\n').filter((line, i, all) => line || i < all.length - 1);
+        lines.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        if (reverse) lines.reverse();
+        return lines.join('\n');
+    }
+
     /**
      * DIFF command - Compare two files
      */
@@ -2685,7 +4674,7 @@ Special Thanks:
 
             return output;
         } catch (e) {
-            return `Error comparing files: ${e.message}`;
+            return this.fail(`Error comparing files: ${e.message}`);
         }
     }
 
@@ -2736,7 +4725,7 @@ Special Thanks:
             return `Alias '${name}' removed.`;
         }
 
-        return `Alias '${name}' not found.`;
+        return this.fail(`Alias '${name}' not found.`);
     }
 
     /**
@@ -2749,7 +4738,7 @@ Special Thanks:
 
         const fileName = args[0];
         if (!fileName.endsWith('.retro')) {
-            return 'Error: Filename must end with .retro';
+            return this.fail('Error: Filename must end with .retro');
         }
 
         const template = `# RetroScript Example
@@ -2786,7 +4775,7 @@ print "Script completed!"
             FileSystemManager.writeFile(filePath, template, 'retro');
             return `Created template script: ${fileName}\nUse 'edit ${fileName}' to modify it.`;
         } catch (e) {
-            return `Unable to create script: ${e.message}`;
+            return this.fail(`Unable to create script: ${e.message}`);
         }
     }
 
@@ -2800,7 +4789,7 @@ print "Script completed!"
 
         const fileName = args[0];
         if (!fileName.endsWith('.bat')) {
-            return 'Error: Filename must end with .bat';
+            return this.fail('Error: Filename must end with .bat');
         }
 
         const template = `@ECHO OFF
@@ -2837,7 +4826,7 @@ ECHO Batch script completed!
             FileSystemManager.writeFile(filePath, template, 'bat');
             return `Created template batch file: ${fileName}\nUse 'edit ${fileName}' to modify it.`;
         } catch (e) {
-            return `Unable to create batch file: ${e.message}`;
+            return this.fail(`Unable to create batch file: ${e.message}`);
         }
     }
 
@@ -2846,6 +4835,12 @@ ECHO Batch script completed!
             this.killProcess();
         }
 
+        // Background jobs end with their Terminal
+        for (const job of JobTable.forOwner(this)) {
+            job.kill();
+            JobTable.remove(job);
+        }
+
         // Emit terminal closed event for script handlers
         EventBus.emit('app:terminal:closed', {
             appId: this.id,
@@ -2857,4 +4852,13 @@ ECHO Batch script completed!
     }
 }
 
+/**
+ * Whether a command or pipeline returned a Promise: it is still running
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPending(value) {
+    return typeof value?.then === 'function';
+}
+
 export default Terminal;
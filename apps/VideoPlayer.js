@@ -19,6 +19,8 @@ import AppBase from './AppBase.js';
 import EventBus, { Events } from '../core/EventBus.js';
 import SoundSystem from '../features/SoundSystem.js';
 import StorageManager from '../core/StorageManager.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import { FILE_TYPES } from '../core/Constants.js';
 
 class VideoPlayer extends AppBase {
     constructor() {
@@ -30,7 +32,10 @@ class VideoPlayer extends AppBase {
             height: 680,
             resizable: true,
             singleton: false,
-            category: 'multimedia'
+            category: 'multimedia',
+            fileTypes: [
+                { extensions: FILE_TYPES.VIDEO, description: 'Video File', icon: '🎬', mimeTypes: ['video/*'], verbs: ['open'] }
+            ]
         });
 
         // Audio file extensions
@@ -182,6 +187,8 @@ class VideoPlayer extends AppBase {
 
         if (params.src) {
             setTimeout(() => this.loadMedia(params.src, params.name), 100);
+        } else if (params.filePath) {
+            setTimeout(() => this.loadFile(params.filePath), 100);
         }
 
         const playlistHtml = this.renderPlaylist(playlist);
@@ -521,12 +528,40 @@ class VideoPlayer extends AppBase {
         this.playMedia(index);
     }
 
+    /**
+     * Add a file from the virtual disk to the playlist and play it.
+     * The playlist stores the path; a blob URL is created at play time.
+     * @param {string|string[]} path - File path
+     */
+    loadFile(path) {
+        const filePath = FileSystemManager.parsePath(path).join('/');
+        const playlist = this.getInstanceState('playlist');
+        let index = playlist.findIndex(m => m.filePath === filePath);
+
+        if (index === -1) {
+            playlist.push({
+                name: filePath.split('/').pop().replace(/\.[^/.]+$/, ''),
+                src: filePath,
+                filePath,
+                duration: null,
+                isAudio: this.isAudioFile(filePath)
+            });
+            index = playlist.length - 1;
+            this.setInstanceState('playlist', playlist);
+            this.refreshPlaylist();
+            this.savePlaylist();
+        }
+
+        this.playMedia(index);
+    }
+
     playMedia(index) {
         const playlist = this.getInstanceState('playlist');
         if (!playlist || index < 0 || index >= playlist.length) return;
 
         const item = playlist[index];
         const isAudio = this.isAudioFile(item.src);
+        const src = item.filePath ? FileSystemManager.getObjectURL(item.filePath) : item.src;
 
         this.setInstanceState('currentIndex', index);
         this.setInstanceState('isAudio', isAudio);
@@ -546,7 +581,7 @@ class VideoPlayer extends AppBase {
             videoEl.style.display = 'none';
             videoContainer.style.display = 'none';
             visualizer.style.display = 'flex';
-            audioEl.src = item.src;
+            audioEl.src = src;
             audioEl.volume = this.getInstanceState('volume');
             this.setInstanceState('mediaElement', audioEl);
 
@@ -561,7 +596,7 @@ class VideoPlayer extends AppBase {
             visualizer.style.display = 'none';
             videoContainer.style.display = 'flex';
             videoEl.style.display = 'block';
-            videoEl.src = item.src;
+            videoEl.src = src;
             videoEl.volume = this.getInstanceState('volume');
             this.setInstanceState('mediaElement', videoEl);
             videoEl.play().catch(e => this.setTitle('Click to play'));
@@ -229,18 +229,16 @@ class CommandBusClass {
         });
 
         this.register('fs:delete', async (payload) => {
-            const { path } = payload;
+            const { path, permanent = false } = payload;
             const node = FileSystemManager.getNode(path);
             if (!node) {
                 throw new Error(`Path not found: ${path}`);
             }
-            if (node.type === 'directory') {
-                FileSystemManager.deleteDirectory(path);
-            } else {
-                FileSystemManager.deleteFile(path);
-            }
-            EventBus.emit('fs:file:delete', { path });
-            return { path, deleted: true };
+            const entry = node.type === 'directory'
+                ? FileSystemManager.deleteDirectory(path, false, { permanent })
+                : FileSystemManager.deleteFile(path, { permanent });
+            EventBus.emit('fs:file:delete', { path, recycled: !!entry });
+            return { path, deleted: true, recycled: !!entry };
         });
 
         this.register('fs:mkdir', async (payload) => {
@@ -261,6 +259,43 @@ class CommandBusClass {
             FileSystemManager.moveItem(source, destination);
             return { source, destination, moved: true };
         });
+
+        this.register('fs:mount', async (payload) => {
+            const { drive, image, readOnly } = payload;
+            return await FileSystemManager.mountImage(drive, image, { readOnly });
+        });
+
+        this.register('fs:eject', async (payload) => {
+            const { drive } = payload;
+            const media = FileSystemManager.ejectDrive(drive);
+            return { drive, ejected: true, image: media?.image };
+        });
+
+        this.register('fs:versions', async (payload) => {
+            const { path } = payload;
+            const versions = FileSystemManager.getVersions(path);
+            return { path, versions, limit: FileSystemManager.getVersionLimit(path) };
+        });
+
+        this.register('fs:restoreVersion', async (payload) => {
+            const { path, id } = payload;
+            FileSystemManager.restoreVersion(path, id);
+            return { path, id, restored: true };
+        });
+
+        this.register('fs:recycled', async () => {
+            return { items: FileSystemManager.getRecycledItems(), size: FileSystemManager.getRecycleBinSize() };
+        });
+
+        this.register('fs:restoreRecycled', async (payload) => {
+            const { id } = payload;
+            const path = FileSystemManager.restoreRecycled(id);
+            return { id, path, restored: true };
+        });
+
+        this.register('fs:emptyRecycleBin', async () => {
+            return { deleted: FileSystemManager.emptyRecycleBin() };
+        });
     }
 
     // ==========================================
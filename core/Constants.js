@@ -41,6 +41,7 @@ export const PATHS = Object.freeze({
     PROGRAM_FILES: Object.freeze(['C:', 'Program Files']),
     WINDOWS: Object.freeze(['C:', 'Windows']),
     SYSTEM32: Object.freeze(['C:', 'Windows', 'System32']),
+    COMMANDS: Object.freeze(['C:', 'Windows', 'Commands']),
     MEDIA: Object.freeze(['C:', 'Windows', 'Media'])
 });
 
@@ -167,6 +168,67 @@ export const STORAGE_KEYS = Object.freeze({
     FILESYSTEM: 'filesystem'
 });
 
+/**
+ * Virtual file system persistence
+ * LEGACY_KEY is the single StorageManager key used before IndexedDB storage
+ */
+export const FS_STORAGE = Object.freeze({
+    LEGACY_KEY: 'fileSystem',
+    DB_NAME: 'illuminatos_fs',
+    DB_VERSION: 1,
+    STORE_NAME: 'nodes',
+    FLUSH_DELAY: 500    // ms of write-behind batching
+});
+
+/**
+ * File version history (FileSystemManager.getVersions/restoreVersion)
+ * A limit set for the extension wins over one set for the drive, which
+ * wins over DEFAULT_LIMIT; 0 keeps no history. Limits changed with
+ * setVersionLimit() are saved under POLICY_KEY.
+ */
+export const FS_VERSIONS = Object.freeze({
+    DEFAULT_LIMIT: 5,
+    DRIVES: Object.freeze({ 'A:': 0, 'D:': 0 }),    // removable media keep no history
+    EXTENSIONS: Object.freeze({ retro: 10, bat: 10, zip: 0, his: 0 }),
+    MAX_SIZE: 1024 * 1024,                          // bigger contents are not kept
+    POLICY_KEY: 'fsVersionPolicy'
+});
+
+/**
+ * Terminal command history (core/shell/History.js)
+ * Typed commands are appended to the hidden FILE, which keeps the last
+ * LIMIT of them; every new Terminal session starts with its contents.
+ */
+export const TERMINAL_HISTORY = Object.freeze({
+    FILE: Object.freeze(['C:', 'Users', 'User', 'doskey.his']),
+    LIMIT: 500
+});
+
+/**
+ * Recycle Bin for deleted files and folders (FileSystemManager.getRecycledItems)
+ * Deletes on DRIVE move the item into the hidden FOLDER there; deletes on
+ * other drives, inside the bin or with { permanent: true } are final.
+ * Once the bin holds more than MAX_SIZE bytes the oldest items are purged,
+ * and an item bigger than that on its own is deleted for good.
+ */
+export const RECYCLE_BIN = Object.freeze({
+    DRIVE: 'C:',
+    FOLDER: 'RECYCLED',
+    MAX_SIZE: 4 * 1024 * 1024
+});
+
+/**
+ * Cross-tab synchronization (core/TabSync.js)
+ * Tabs talk over the BroadcastChannel CHANNEL, or through the StorageManager
+ * key STORAGE_KEY where BroadcastChannel is missing. The tab that loses an
+ * edit conflict keeps its version as "name" + CONFLICT_SUFFIX + extension.
+ */
+export const TAB_SYNC = Object.freeze({
+    CHANNEL: 'illuminatos-sync',
+    STORAGE_KEY: 'tabSync',
+    CONFLICT_SUFFIX: ' (conflicted copy)'
+});
+
 // ============================================
 // Event Names
 // ============================================
@@ -196,8 +258,31 @@ export const FILE_TYPES = Object.freeze({
     ARCHIVE: Object.freeze(['zip', 'rar', '7z', 'tar', 'gz'])
 });
 
+/**
+ * DOS file attribute letters and the node flags they map to
+ * Read-only and system items cannot be deleted, moved or renamed;
+ * read-only files cannot be written. Hidden items are left out of listings.
+ */
+export const FILE_ATTRIBUTES = Object.freeze({
+    R: 'readOnly',
+    H: 'hidden',
+    S: 'system',
+    A: 'archive'
+});
+
+/**
+ * Drives that take disk images (FileSystemManager.mountImage)
+ * CD-ROM images are always mounted read-only.
+ */
+export const REMOVABLE_DRIVES = Object.freeze({
+    'A:': Object.freeze({ label: 'Floppy Disk', type: 'floppy', readOnly: false }),
+    'D:': Object.freeze({ label: 'CD-ROM', type: 'cdrom', readOnly: true })
+});
+
 /**
  * Get app ID for opening a file type
+ * @deprecated Use FileAssociations.getProgram() or FileAssociations.open(),
+ * which follow the apps' registered file types and the user's choices
  * @param {string} extension - File extension
  * @returns {string|null} App ID or null
  */
@@ -298,8 +383,15 @@ export default {
     CATEGORIES,
     CATEGORY_INFO,
     STORAGE_KEYS,
+    FS_STORAGE,
+    FS_VERSIONS,
+    TERMINAL_HISTORY,
+    RECYCLE_BIN,
+    TAB_SYNC,
     CUSTOM_EVENTS,
     FILE_TYPES,
+    FILE_ATTRIBUTES,
+    REMOVABLE_DRIVES,
     getAppForExtension,
     ICONS,
     // Icon System exports
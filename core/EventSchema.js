@@ -672,11 +672,14 @@ export const EventSchema = {
     'fs:file:create': {
         namespace: 'fs',
         action: 'file:create',
-        description: 'File created in virtual filesystem',
+        description: 'File created in virtual filesystem (binary files report size/mimeType instead of content)',
         payload: {
             path: 'string',
             type: 'string',
-            content: 'any?'
+            content: 'any?',
+            binary: 'boolean?',
+            size: 'number?',
+            mimeType: 'string?'
         },
         example: {
             path: '/documents/readme.txt',
@@ -688,10 +691,13 @@ export const EventSchema = {
     'fs:file:update': {
         namespace: 'fs',
         action: 'file:update',
-        description: 'File updated',
+        description: 'File updated (binary files report size/mimeType instead of content)',
         payload: {
             path: 'string',
-            content: 'any'
+            content: 'any?',
+            binary: 'boolean?',
+            size: 'number?',
+            mimeType: 'string?'
         },
         example: {
             path: '/documents/readme.txt',
@@ -704,7 +710,8 @@ export const EventSchema = {
         action: 'file:delete',
         description: 'File deleted',
         payload: {
-            path: 'string'
+            path: 'string',
+            recycled: 'boolean?'
         },
         example: {
             path: '/documents/readme.txt'
@@ -788,7 +795,8 @@ export const EventSchema = {
         payload: {
             key: 'string',
             value: 'any',
-            oldValue: 'any?'
+            oldValue: 'any?',
+            remote: 'boolean?'
         },
         example: {
             key: 'sound',
@@ -2742,7 +2750,8 @@ export const EventSchema = {
         description: 'Directory deleted',
         payload: {
             path: 'string',
-            recursive: 'boolean?'
+            recursive: 'boolean?',
+            recycled: 'boolean?'
         },
         example: {
             path: 'C:/Documents/OldFolder',
@@ -2806,7 +2815,8 @@ export const EventSchema = {
         description: 'File operation permission denied',
         payload: {
             operation: 'string',
-            path: 'string'
+            path: 'string',
+            reason: 'string?'
         },
         example: {
             operation: 'delete',
@@ -2814,14 +2824,31 @@ export const EventSchema = {
         }
     },
 
+    'fs:attributes:change': {
+        namespace: 'fs',
+        action: 'attributes:change',
+        description: 'File or directory attributes changed (read-only, hidden, system, archive)',
+        payload: {
+            path: 'string',
+            attributes: 'object'
+        },
+        example: {
+            path: 'C:/Documents/report.txt',
+            attributes: { readOnly: true, hidden: false, system: false, archive: true }
+        }
+    },
+
     'fs:watch:change': {
         namespace: 'fs',
         action: 'watch:change',
-        description: 'Watched path changed',
+        description: 'Item in a folder was created, modified, deleted or renamed (see FileSystemManager.watch)',
         payload: {
             path: 'string',
             changeType: 'string',
-            fileName: 'string?'
+            fileName: 'string?',
+            oldPath: 'string?',
+            itemType: 'string?',
+            remote: 'boolean?'
         },
         example: {
             path: 'C:/Documents',
@@ -2830,6 +2857,113 @@ export const EventSchema = {
         }
     },
 
+    'fs:drive:mount': {
+        namespace: 'fs',
+        action: 'drive:mount',
+        description: 'Disk image mounted on a removable drive (see FileSystemManager.mountImage)',
+        payload: {
+            drive: 'string',
+            image: 'string',
+            label: 'string',
+            format: 'string',
+            readOnly: 'boolean'
+        },
+        example: {
+            drive: 'D:',
+            image: 'C:/Disks/games.zip',
+            label: 'GAMES',
+            format: 'zip',
+            readOnly: true
+        }
+    },
+
+    'fs:drive:eject': {
+        namespace: 'fs',
+        action: 'drive:eject',
+        description: 'Disk ejected from a removable drive',
+        payload: {
+            drive: 'string',
+            image: 'string?'
+        },
+        example: {
+            drive: 'A:',
+            image: 'content-pack.json'
+        }
+    },
+    'fs:version:restore': {
+        namespace: 'fs',
+        action: 'version:restore',
+        description: 'File rolled back to a previous version',
+        payload: {
+            path: 'string',
+            version: 'number',
+            saved: 'string'
+        },
+        example: {
+            path: 'C:/Users/User/Documents/notes.txt',
+            version: 3,
+            saved: '2024-01-01T12:00:00.000Z'
+        }
+    },
+
+    'fs:recycle': {
+        namespace: 'fs',
+        action: 'recycle',
+        description: 'Deleted file or folder moved into the Recycle Bin',
+        payload: {
+            path: 'string',
+            id: 'number',
+            size: 'number'
+        },
+        example: {
+            path: 'C:/Users/User/Documents/notes.txt',
+            id: 4,
+            size: 1024
+        }
+    },
+
+    'fs:recycle:restore': {
+        namespace: 'fs',
+        action: 'recycle:restore',
+        description: 'Item put back from the Recycle Bin to its original location',
+        payload: {
+            path: 'string',
+            id: 'number'
+        },
+        example: {
+            path: 'C:/Users/User/Documents/notes.txt',
+            id: 4
+        }
+    },
+
+    'sync:conflict': {
+        namespace: 'sync',
+        action: 'conflict',
+        description: 'A file was saved in this tab and another tab at the same time (kept: whose version won)',
+        payload: {
+            path: 'string',
+            kept: 'string',
+            copyPath: 'string?'
+        },
+        example: {
+            path: 'C:/Users/User/Documents/notes.txt',
+            kept: 'remote',
+            copyPath: 'C:/Users/User/Documents/notes (conflicted copy).txt'
+        }
+    },
+
+    'filetype:change': {
+        namespace: 'filetype',
+        action: 'change',
+        description: 'A file type association was registered, removed or changed by the user (extension "*" for all)',
+        payload: {
+            extension: 'string'
+        },
+        example: {
+            extension: 'txt'
+        }
+    },
+
     // ==========================================
     // APP EVENTS (Extended)
     // ==========================================
@@ -4961,6 +5095,51 @@ export const EventSchema = {
         example: {}
     },
 
+    'terminal:job:start': {
+        namespace: 'terminal',
+        action: 'job:start',
+        description: 'Long-running command started as a job (see core/shell/Jobs.js)',
+        payload: {
+            pid: 'number',
+            number: 'number',
+            command: 'string',
+            state: 'string',
+            exitCode: 'number?',
+            windowId: 'string?'
+        },
+        example: { pid: 4000, number: 1, command: 'ping example.com', state: 'Running', windowId: 'terminal-1' }
+    },
+
+    'terminal:job:state': {
+        namespace: 'terminal',
+        action: 'job:state',
+        description: 'Job stopped (Ctrl+Z) or continued (fg, bg)',
+        payload: {
+            pid: 'number',
+            number: 'number',
+            command: 'string',
+            state: 'string',
+            exitCode: 'number?',
+            windowId: 'string?'
+        },
+        example: { pid: 4000, number: 1, command: 'ping example.com', state: 'Stopped', windowId: 'terminal-1' }
+    },
+
+    'terminal:job:end': {
+        namespace: 'terminal',
+        action: 'job:end',
+        description: 'Job finished (Done) or was killed (Terminated)',
+        payload: {
+            pid: 'number',
+            number: 'number',
+            command: 'string',
+            state: 'string',
+            exitCode: 'number?',
+            windowId: 'string?'
+        },
+        example: { pid: 4000, number: 1, command: 'ping example.com', state: 'Done', exitCode: 0, windowId: 'terminal-1' }
+    },
+
     // ==========================================
     // BSOD EVENTS (Blue Screen of Death)
     // ==========================================
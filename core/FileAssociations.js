@@ -0,0 +1,612 @@
+/**
+ * FileAssociations - Which program opens which kind of file
+ * Used everywhere a file is opened: the desktop, My Computer, context
+ * menus, the Start menu search, Find Files and the Terminal.
+ *
+ * Each file type (extension) has a description, an icon and verbs -
+ * open, run, edit, print - each handled by a program. Apps become programs
+ * by listing the types they handle in their config (AppRegistry registers
+ * them); plugins can do the same, or call register() directly:
+ *
+ *   super({ id: 'notepad', ..., fileTypes: [
+ *       { extensions: ['txt', 'log'], description: 'Text Document', icon: '📝',
+ *         mimeTypes: ['text/*'], verbs: ['open', 'edit'] }
+ *   ] });
+ *
+ * The first registration of a verb wins. Changes made on the File Types
+ * page (or with setProgram/setDefaultVerb/setTypeInfo) are saved in
+ * StorageManager and win over every registration. Files whose extension
+ * is unknown are matched by MIME type.
+ *
+ * Usage:
+ *   FileAssociations.open('C:/Users/User/notes.txt');            // default verb
+ *   FileAssociations.open(path, { verb: 'edit' });
+ *   FileAssociations.getVerbs(path);  // [{ verb, label, program, isDefault }]
+ */
+
+import EventBus, { Events } from './SemanticEventBus.js';
+import StorageManager from './StorageManager.js';
+import FileSystemManager from './FileSystemManager.js';
+import { FILE_TYPES } from './Constants.js';
+import * as Path from './fs/Path.js';
+
+// Verbs in menu order; the first one a type has is its default, except that
+// a double-click never prints unless the user chose that
+const VERBS = ['open', 'run', 'edit', 'print'];
+const VERB_LABELS = { open: 'Open', run: 'Run', edit: 'Edit', print: 'Print' };
+
+// StorageManager key for changes made on the File Types page
+const STORAGE_KEY = 'fileTypes';
+
+class FileAssociationsClass {
+    constructor() {
+        // extension -> registrations, oldest first ({ source, description, icon, mimeTypes, verbs, defaultVerb })
+        this.registrations = new Map();
+        // program id -> { id, name, icon, source, open(parts, node, options) }
+        this.programs = new Map();
+        // extension -> user changes ({ description, icon, verbs, defaultVerb }); loaded on first use
+        this.overrides = null;
+        // Launches an app; set by AppRegistry, which cannot be imported from core
+        this.launchApp = () => false;
+
+        this.registerBuiltIns();
+
+        // The File Types page was used in another tab
+        EventBus.on(Events.SETTING_CHANGED, ({ key, remote }) => {
+            if (remote && key === STORAGE_KEY) {
+                this.overrides = null;
+                EventBus.emit(Events.FILETYPE_CHANGE, { extension: '*' });
+            }
+        });
+    }
+
+    // ===== Registration =====
+
+    /**
+     * Add a program that can open files
+     * Apps with fileTypes are added by registerApp(); this is for handlers
+     * that are not apps.
+     * @param {string} id - Program ID (used in verbs)
+     * @param {object} program - { name, icon, open(parts, node, options) }
+     * @param {string} source - Who added it, for unregister()
+     */
+    registerProgram(id, program, source = 'system') {
+        this.programs.set(id, {
+            id,
+            name: program.name || id,
+            icon: program.icon || '📄',
+            source,
+            open: program.open
+        });
+    }
+
+    /**
+     * Associate file types with a program
+     * @param {string|string[]} extensions - Extensions, with or without the dot
+     * @param {object} info - { program, verbs: verb names for that program (or
+     *   { verb: programId }), description, icon, mimeTypes, defaultVerb }
+     * @param {string} source - Who registered them (app or plugin ID), for unregister()
+     */
+    register(extensions, info = {}, source = 'system') {
+        const verbs = Array.isArray(info.verbs)
+            ? Object.fromEntries(info.verbs.map(verb => [verb, info.program]))
+            : { ...info.verbs };
+
+        for (const extension of [].concat(extensions)) {
+            const key = this.normalize(extension);
+            if (!key) continue;
+            if (!this.registrations.has(key)) this.registrations.set(key, []);
+            this.registrations.get(key).push({
+                source,
+                description: info.description || '',
+                icon: info.icon || '',
+                mimeTypes: info.mimeTypes || [],
+                verbs,
+                defaultVerb: info.defaultVerb || null
+            });
+            EventBus.emit(Events.FILETYPE_CHANGE, { extension: key });
+        }
+    }
+
+    /**
+     * Register an app as a program, with the types in its config's fileTypes
+     * @param {AppBase} app - App instance
+     */
+    registerApp(app) {
+        const fileTypes = app.fileTypes;
+        if (!Array.isArray(fileTypes) || fileTypes.length === 0) return;
+
+        const source = app.pluginId || app.id;
+        this.registerProgram(app.id, {
+            name: app.name,
+            icon: app.icon,
+            open: (parts) => this.launchApp(app.id, { filePath: parts })
+        }, source);
+
+        for (const entry of fileTypes) {
+            this.register(entry.extensions, { ...entry, program: app.id }, source);
+        }
+    }
+
+    /**
+     * Remove everything an app or plugin registered
+     * @param {string} source - App or plugin ID
+     */
+    unregister(source) {
+        for (const [id, program] of [...this.programs]) {
+            if (program.source === source) this.programs.delete(id);
+        }
+        for (const [extension, list] of [...this.registrations]) {
+            const kept = list.filter(registration => registration.source !== source);
+            if (kept.length === list.length) continue;
+            if (kept.length > 0) {
+                this.registrations.set(extension, kept);
+            } else {
+                this.registrations.delete(extension);
+            }
+            EventBus.emit(Events.FILETYPE_CHANGE, { extension });
+        }
+    }
+
+    // ===== Queries =====
+
+    /**
+     * Everything known about a file type, user changes included
+     * @param {string} extension - Extension, with or without the dot
+     * @returns {object|null} { extension, description, icon, mimeTypes, verbs: { verb: programId },
+     *   defaultVerb, custom (changed by the user), registered (has registrations) }
+     */
+    getType(extension) {
+        const key = this.normalize(extension);
+        const list = this.registrations.get(key) || [];
+        const override = this.getOverrides()[key];
+        if (list.length === 0 && !override) return null;
+
+        const type = {
+            extension: key,
+            description: '',
+            icon: '',
+            mimeTypes: [],
+            verbs: {},
+            defaultVerb: null,
+            custom: !!override,
+            registered: list.length > 0
+        };
+        for (const registration of list) {
+            type.description = type.description || registration.description;
+            type.icon = type.icon || registration.icon;
+            type.defaultVerb = type.defaultVerb || registration.defaultVerb;
+            type.mimeTypes.push(...registration.mimeTypes.filter(mime => !type.mimeTypes.includes(mime)));
+            for (const [verb, program] of Object.entries(registration.verbs)) {
+                if (!(verb in type.verbs) && program) type.verbs[verb] = program;
+            }
+        }
+
+        if (override) {
+            if (override.description) type.description = override.description;
+            if (override.icon) type.icon = override.icon;
+            if (override.defaultVerb) type.defaultVerb = override.defaultVerb;
+            for (const [verb, program] of Object.entries(override.verbs || {})) {
+                if (program) {
+                    type.verbs[verb] = program;
+                } else {
+                    delete type.verbs[verb];
+                }
+            }
+        }
+
+        if (!type.defaultVerb || !type.verbs[type.defaultVerb]) {
+            type.defaultVerb = VERBS.find(verb => verb !== 'print' && type.verbs[verb]) ||
+                Object.keys(type.verbs).find(verb => !VERBS.includes(verb)) || null;
+        }
+        return type;
+    }
+
+    /**
+     * Every known file type, by extension
+     * @returns {object[]} See getType()
+     */
+    getTypes() {
+        const extensions = new Set([...this.registrations.keys(), ...Object.keys(this.getOverrides())]);
+        return [...extensions].sort().map(extension => this.getType(extension));
+    }
+
+    /**
+     * The file type of a file: by extension, or by MIME type for unknown extensions
+     * @param {string|string[]} path - File path
+     * @returns {object|null} See getType()
+     */
+    getTypeForFile(path) {
+        const parts = FileSystemManager.parsePath(path);
+        const node = FileSystemManager.getNode(parts);
+        const extension = this.getExtension(parts, node);
+
+        const type = extension ? this.getType(extension) : null;
+        if (type && Object.keys(type.verbs).length > 0) return type;
+
+        const mimeType = node?.type === 'file' ? FileSystemManager.getMimeType(parts) : null;
+        if (mimeType) {
+            const match = this.getTypes().find(candidate =>
+                candidate.mimeTypes.some(pattern => this.matchesMime(pattern, mimeType)));
+            if (match) return match;
+        }
+        return type;
+    }
+
+    /**
+     * @param {string} extension - Extension
+     * @returns {string} Description for listings ("Text Document", "ZIP File"...)
+     */
+    getDescription(extension) {
+        const key = this.normalize(extension);
+        return this.getType(key)?.description || (key ? `${key.toUpperCase()} File` : 'File');
+    }
+
+    /**
+     * @param {string} extension - Extension
+     * @returns {string} Icon for listings
+     */
+    getIcon(extension) {
+        return this.getType(extension)?.icon || '📄';
+    }
+
+    /**
+     * @returns {string[]} The standard verbs, in menu order
+     */
+    getStandardVerbs() {
+        return [...VERBS];
+    }
+
+    /**
+     * @param {string} verb - Verb name
+     * @returns {string} Menu label ("Open", "Edit"...)
+     */
+    getVerbLabel(verb) {
+        return VERB_LABELS[verb] || verb.charAt(0).toUpperCase() + verb.slice(1);
+    }
+
+    /**
+     * The verbs a file offers, for menus
+     * @param {string|string[]} path - File path
+     * @returns {Array<{verb: string, label: string, program: object, isDefault: boolean}>} Default first
+     */
+    getVerbs(path) {
+        const type = this.getTypeForFile(path);
+        if (!type) return [];
+
+        const order = [...VERBS, ...Object.keys(type.verbs).filter(verb => !VERBS.includes(verb))];
+        return order
+            .filter(verb => this.programs.has(type.verbs[verb]))
+            .map(verb => ({
+                verb,
+                label: this.getVerbLabel(verb),
+                program: this.describeProgram(this.programs.get(type.verbs[verb])),
+                isDefault: verb === type.defaultVerb
+            }))
+            .sort((a, b) => b.isDefault - a.isDefault);
+    }
+
+    /**
+     * The program that handles a verb for a file
+     * @param {string|string[]} path - File path
+     * @param {string} [verb] - Verb (default: the type's default verb)
+     * @returns {object|null} { id, name, icon }
+     */
+    getProgram(path, verb) {
+        const type = this.getTypeForFile(path);
+        const program = type && this.programs.get(type.verbs[verb || type.defaultVerb]);
+        return program ? this.describeProgram(program) : null;
+    }
+
+    /**
+     * Programs for the Open With dialog
+     * @param {string|string[]} [path] - File being opened
+     * @returns {{recommended: object[], other: object[]}} Programs already associated with
+     *   the file's type, then the other apps, by name (built-in handlers such as
+     *   Shortcut or Printer only as recommended)
+     */
+    getPrograms(path) {
+        const type = path ? this.getTypeForFile(path) : null;
+        const associated = new Set(type ? Object.values(type.verbs) : []);
+        const all = [...this.programs.values()]
+            .map(program => this.describeProgram(program))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            recommended: all.filter(program => associated.has(program.id)),
+            other: all.filter(program => !associated.has(program.id) && !program.builtIn)
+        };
+    }
+
+    // ===== User changes =====
+
+    /**
+     * Choose the program for one verb of a type (creating the type if needed)
+     * @param {string} extension - Extension
+     * @param {string} verb - Verb
+     * @param {string|null} programId - Program, or null to remove the verb
+     */
+    setProgram(extension, verb, programId) {
+        if (programId && !this.programs.has(programId)) {
+            throw new Error(`Unknown program: ${programId}`);
+        }
+        this.updateOverride(extension, (override) => {
+            override.verbs = { ...override.verbs, [verb]: programId || null };
+        });
+    }
+
+    /**
+     * Choose the verb used when a file of this type is double-clicked
+     * @param {string} extension - Extension
+     * @param {string} verb - Verb
+     */
+    setDefaultVerb(extension, verb) {
+        this.updateOverride(extension, (override) => {
+            override.defaultVerb = verb;
+        });
+    }
+
+    /**
+     * Change how a type is shown
+     * @param {string} extension - Extension
+     * @param {object} info - { description, icon } (empty strings restore the registered ones)
+     */
+    setTypeInfo(extension, info) {
+        this.updateOverride(extension, (override) => {
+            if (info.description !== undefined) override.description = info.description.trim();
+            if (info.icon !== undefined) override.icon = info.icon.trim();
+        });
+    }
+
+    /**
+     * Forget the user's changes to a type (a type only the user created is removed)
+     * @param {string} extension - Extension
+     */
+    resetType(extension) {
+        const key = this.normalize(extension);
+        const overrides = { ...this.getOverrides() };
+        if (!(key in overrides)) return;
+
+        delete overrides[key];
+        this.saveOverrides(overrides);
+        EventBus.emit(Events.FILETYPE_CHANGE, { extension: key });
+    }
+
+    // ===== Opening files =====
+
+    /**
+     * Open a file the way a double-click would
+     * Folders, drives and opened ZIP archives are browsed instead.
+     * @param {string|string[]} path - File or folder path
+     * @param {object} options - { verb (default: the type's default verb), program (use this
+     *   program instead), browse(parts): show a folder in place instead of a new My Computer
+     *   window, chooser: false to skip the Open With dialog for unknown types }
+     * @returns {boolean} False if the file does not exist or nothing could open it
+     */
+    open(path, options = {}) {
+        const parts = FileSystemManager.parsePath(path);
+        const node = FileSystemManager.getNode(parts);
+        if (!node) return false;
+
+        if (node.type !== 'file') {
+            this.browse(parts, options);
+            return true;
+        }
+
+        const type = this.getTypeForFile(parts);
+        const verb = options.verb || type?.defaultVerb;
+        const program = this.programs.get(options.program || type?.verbs[verb]);
+        if (!program) {
+            if (options.chooser !== false) this.openWith(parts);
+            return false;
+        }
+
+        try {
+            program.open(parts, node, { ...options, verb });
+            return true;
+        } catch (e) {
+            EventBus.emit('dialog:alert', {
+                title: program.name,
+                message: `Cannot open ${parts[parts.length - 1]}: ${e.message}`,
+                icon: 'error'
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Show the Open With dialog for a file
+     * @param {string|string[]} path - File path
+     */
+    openWith(path) {
+        this.launchApp('openwith', { filePath: FileSystemManager.parsePath(path) });
+    }
+
+    /**
+     * Show a folder: in place when the caller can, otherwise in My Computer
+     * @param {string[]} parts - Folder path
+     * @param {object} options - { browse }
+     */
+    browse(parts, options = {}) {
+        if (typeof options.browse === 'function') {
+            options.browse(parts);
+        } else {
+            this.launchApp('mycomputer', { initialPath: parts });
+        }
+    }
+
+    // ===== Built-in programs =====
+
+    /**
+     * Programs and types that belong to the system rather than an app
+     */
+    registerBuiltIns() {
+        this.registerProgram('shortcut', {
+            name: 'Shortcut',
+            icon: '🔗',
+            open: (parts, node) => {
+                if (!node.shortcutTarget) throw new Error('The shortcut has no target');
+                if (node.shortcutType === 'link') {
+                    this.launchApp('browser', { url: node.shortcutTarget });
+                } else {
+                    this.launchApp(node.shortcutTarget);
+                }
+            }
+        });
+        this.registerProgram('executable', {
+            name: 'Program',
+            icon: '⚙️',
+            open: (parts, node) => {
+                if (!node.appId) throw new Error('It is not a valid IlluminatOS! program');
+                this.launchApp(node.appId);
+            }
+        });
+        this.registerProgram('archive', {
+            name: 'Compressed Folders',
+            icon: '🗜️',
+            open: (parts, node, options) => {
+                // ZIP files open as read-only folders
+                FileSystemManager.openArchive(parts)
+                    .then(() => this.browse(parts, options))
+                    .catch(e => EventBus.emit('dialog:alert', {
+                        title: 'ZIP Archive',
+                        message: `Cannot open ${parts[parts.length - 1]}: ${e.message}`,
+                        icon: 'error'
+                    }));
+            }
+        });
+        this.registerProgram('printer', {
+            name: 'Printer',
+            icon: '🖨️',
+            open: (parts, node) => this.printFile(parts, node)
+        });
+
+        this.register('lnk', { description: 'Shortcut', icon: '🔗', program: 'shortcut', verbs: ['open'] });
+        this.register('exe', { description: 'Application', icon: '⚙️', program: 'executable', verbs: ['run'] });
+        this.register('zip', {
+            description: 'Compressed Folder',
+            icon: '🗜️',
+            mimeTypes: ['application/zip'],
+            program: 'archive',
+            verbs: ['open']
+        });
+        this.register([...FILE_TYPES.TEXT, ...FILE_TYPES.IMAGE], { program: 'printer', verbs: ['print'] });
+    }
+
+    /**
+     * Print a text file or an image with the browser's print dialog
+     * @param {string[]} parts - File path
+     * @param {object} node - File node
+     */
+    printFile(parts, node) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+        document.body.appendChild(frame);
+
+        const doc = frame.contentDocument;
+        const url = FileSystemManager.getObjectURL(parts);
+        doc.title = parts[parts.length - 1];
+
+        let content;
+        if (url && (node.mimeType || 'image/').startsWith('image/')) {
+            content = doc.createElement('img');
+            content.style.maxWidth = '100%';
+        } else {
+            content = doc.createElement('pre');
+            content.style.whiteSpace = 'pre-wrap';
+            content.textContent = FileSystemManager.readFile(parts);
+        }
+        doc.body.appendChild(content);
+
+        const print = () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.print();
+        };
+        if (content.tagName === 'IMG') {
+            content.onload = print;
+            content.src = url;
+        } else {
+            print();
+        }
+    }
+
+    // ===== Helpers =====
+
+    /**
+     * @param {string} extension - Extension, any case, with or without the dot
+     * @returns {string} Lower-case extension without the dot
+     */
+    normalize(extension) {
+        return String(extension || '').trim().replace(/^\./, '').toLowerCase();
+    }
+
+    /**
+     * @param {string[]} parts - File path
+     * @param {object|null} node - File node
+     * @returns {string} Lower-case extension of a file
+     */
+    getExtension(parts, node) {
+        return this.normalize(node?.extension || Path.extname(parts[parts.length - 1] || ''));
+    }
+
+    /**
+     * @param {string} pattern - "audio/mpeg" or "audio/*"
+     * @param {string} mimeType - MIME type of a file
+     * @returns {boolean}
+     */
+    matchesMime(pattern, mimeType) {
+        const lower = mimeType.toLowerCase();
+        return pattern.endsWith('/*') ? lower.startsWith(pattern.slice(0, -1)) : lower === pattern;
+    }
+
+    /**
+     * @param {object} program - Registered program
+     * @returns {{id: string, name: string, icon: string, builtIn: boolean}} Public view of it
+     */
+    describeProgram(program) {
+        return { id: program.id, name: program.name, icon: program.icon, builtIn: program.source === 'system' };
+    }
+
+    /**
+     * @returns {object} User changes by extension
+     */
+    getOverrides() {
+        if (!this.overrides) {
+            this.overrides = StorageManager.get(STORAGE_KEY) || {};
+        }
+        return this.overrides;
+    }
+
+    /**
+     * Change the saved user changes for one type
+     * @param {string} extension - Extension
+     * @param {Function} change - Called with a copy of the type's changes to edit
+     */
+    updateOverride(extension, change) {
+        const key = this.normalize(extension);
+        if (!key || /[\\/:*?"<>|\s]/.test(key)) {
+            throw new Error(`Invalid file extension: ${extension}`);
+        }
+
+        const overrides = { ...this.getOverrides() };
+        const override = { ...overrides[key] };
+        change(override);
+        overrides[key] = override;
+        this.saveOverrides(overrides);
+        EventBus.emit(Events.FILETYPE_CHANGE, { extension: key });
+    }
+
+    /**
+     * @param {object} overrides - User changes by extension
+     */
+    saveOverrides(overrides) {
+        this.overrides = overrides;
+        StorageManager.set(STORAGE_KEY, overrides);
+    }
+}
+
+// Singleton instance
+const FileAssociations = new FileAssociationsClass();
+
+export { FileAssociations };
+export default FileAssociations;
@@ -6,13 +6,58 @@
  * - fs:file:create, fs:file:read, fs:file:update, fs:file:delete
  * - fs:file:rename, fs:file:move, fs:file:copy
  * - fs:directory:create, fs:directory:delete, fs:directory:open
- * - fs:error, fs:permission:denied
- * - filesystem:changed (general change notification)
+ * - fs:error, fs:permission:denied, fs:attributes:change
+ * - fs:watch:change (one per change, see watch())
+ * - filesystem:changed (general change notification, after every save)
+ *
+ * Nodes may carry DOS attributes ({ readOnly, hidden, system, archive }).
+ * Read-only files refuse writes; read-only or system items refuse delete,
+ * move and rename with fs:permission:denied. Hidden items are left out of
+ * listDirectory() unless { includeHidden: true } is passed.
+ *
+ * The A: and D: drives take disk images (mountImage/ejectDrive, see
+ * core/fs/DiskImage.js). A read-only image (every CD-ROM) refuses all
+ * changes on its drive the same way a read-only file does.
+ *
+ * ZIP files can be packed and unpacked (createZip/extractZip) and, once
+ * opened with openArchive(), browsed like read-only folders:
+ * listDirectory('C:/Downloads/pack.zip/Games') works until the file changes.
+ *
+ * Overwriting a file keeps its previous content in `node.versions`, up to
+ * a limit set per drive or extension (FS_VERSIONS, setVersionLimit());
+ * getVersions/readVersion/restoreVersion give access to that history.
+ *
+ * Deleting a file or folder on C: moves it into the hidden C:/RECYCLED
+ * folder (RECYCLE_BIN) instead of destroying it; getRecycledItems,
+ * restoreRecycled and emptyRecycleBin manage what is kept there.
+ * Pass { permanent: true } to deleteFile/deleteDirectory to skip the bin.
+ *
+ * Paths go through core/fs/Path.js: "." and ".." are resolved and names
+ * are matched case-insensitively ("c:/windows" finds "C:/Windows") while
+ * keeping the case they were created with. glob() expands DOS wildcards
+ * ("C:/Docs/*.txt"), optionally through every subdirectory.
+ *
+ * Binary files (writeFileBinary) keep an ArrayBuffer in `content` with
+ * `binary: true` and a MIME type; their events carry size and MIME type
+ * but never the bytes themselves.
+ *
+ * Persistence goes through a pluggable storage backend (see core/fs/).
+ * The tree is always read from memory; initialize() swaps in IndexedDB
+ * storage when available and the backend flushes writes behind the scenes.
  */
 
 import StorageManager from './StorageManager.js';
 import EventBus, { Events } from './SemanticEventBus.js';
-import { PATHS } from './Constants.js';
+import { PATHS, FS_STORAGE, FS_VERSIONS, RECYCLE_BIN, FILE_ATTRIBUTES, REMOVABLE_DRIVES } from './Constants.js';
+import LocalStorageBackend from './fs/LocalStorageBackend.js';
+import IndexedDBBackend from './fs/IndexedDBBackend.js';
+import * as Path from './fs/Path.js';
+import * as Glob from './fs/Glob.js';
+import { parseDiskImage, treeFromZipEntries } from './fs/DiskImage.js';
+import { readZip, writeZip } from './fs/Zip.js';
+import {
+  getMimeType, isBinaryData, toArrayBuffer, isDataURL, dataURLToBytes, bytesToDataURL, cloneNode
+} from './fs/BinaryCodec.js';
 
 class FileSystemManager {
   constructor() {
@@ -20,10 +65,95 @@ class FileSystemManager {
       return FileSystemManager.instance;
     }
 
+    // Start on localStorage so the sync API works before initialize()
+    this.backend = new LocalStorageBackend();
     this.fileSystem = this.loadFileSystem();
+    // path -> { url, content } for getObjectURL()
+    this.objectURLs = new Map();
+    // Active watch() subscriptions
+    this.watchers = new Set();
+    // ZIP file node -> { content, children } for archives opened with openArchive()
+    this.archives = new WeakMap();
+    // Version limits (FS_VERSIONS merged with saved overrides), loaded on first use
+    this.versionPolicy = null;
     FileSystemManager.instance = this;
   }
 
+  /**
+   * Switch to the best available storage backend and load from it.
+   * Migrates a tree saved under the legacy localStorage key into
+   * IndexedDB (this is also how snapshot imports reach IndexedDB).
+   */
+  async initialize() {
+    const backend = new IndexedDBBackend();
+
+    if (!(await backend.open())) {
+      console.log('[FileSystemManager] IndexedDB unavailable, using localStorage');
+      return;
+    }
+
+    try {
+      const legacy = new LocalStorageBackend().loadSync();
+
+      if (legacy) {
+        await backend.import(legacy);
+        StorageManager.remove(FS_STORAGE.LEGACY_KEY);
+        this.fileSystem = legacy;
+        console.log('[FileSystemManager] Migrated file system from localStorage to IndexedDB');
+      } else {
+        const saved = await backend.load();
+        if (saved) {
+          this.fileSystem = saved;
+        } else {
+          await backend.import(this.fileSystem);
+        }
+      }
+    } catch (e) {
+      console.error('[FileSystemManager] IndexedDB load failed, staying on localStorage:', e);
+      return;
+    }
+
+    this.setStorageBackend(backend);
+
+    // Write-behind means the last edits may still be queued when the tab goes away
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => this.flush());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      });
+    }
+
+    console.log(`[FileSystemManager] Initialized, backend: ${this.backend.name}`);
+  }
+
+  /**
+   * Replace the storage backend (plugins may provide their own)
+   * @param {object} backend - Object implementing the backend interface
+   */
+  setStorageBackend(backend) {
+    if (this.backend && this.backend !== backend) {
+      this.backend.flush();
+    }
+    this.backend = backend;
+  }
+
+  /**
+   * Write any pending (write-behind) changes to storage
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.backend.flush();
+  }
+
+  /**
+   * Erase the persisted file system (factory reset)
+   * @returns {Promise<void>}
+   */
+  async clearStorage() {
+    await this.backend.clear();
+    StorageManager.remove(FS_STORAGE.LEGACY_KEY);
+  }
+
   /**
    * Initialize default file system structure
    */
@@ -131,6 +261,19 @@ class FileSystemManager {
                     modified: new Date('2024-01-01').toISOString()
                   }
                 }
+              },
+              'Commands': {
+                type: 'directory',
+                children: {
+                  'upper.retro': {
+                    type: 'file',
+                    content: '# Converts text to upper case.\n# Usage: UPPER [text]\n# Without text, converts what is piped in (DIR /B | UPPER).\n# Every .retro file in this folder is a Terminal command.\nset $text = call join $args " "\nif $piped then {\n    set $text = $stdin\n}\nset $text = call upper $text\nprint $text\n',
+                    extension: 'retro',
+                    size: 286,
+                    created: new Date('2024-01-01').toISOString(),
+                    modified: new Date('2024-01-01').toISOString()
+                  }
+                }
               }
             }
           },
@@ -273,7 +416,7 @@ class FileSystemManager {
    * Load file system from storage or create default
    */
   loadFileSystem() {
-    const saved = StorageManager.get('fileSystem');
+    const saved = this.backend.loadSync();
     if (saved) {
       return saved;
     }
@@ -284,23 +427,28 @@ class FileSystemManager {
    * Save file system to storage
    */
   saveFileSystem() {
-    StorageManager.set('fileSystem', this.fileSystem);
+    this.backend.save(this.fileSystem);
     EventBus.emit(Events.FILESYSTEM_CHANGED, {});
   }
 
   /**
-   * Parse a path string into an array of parts
-   * @param {string} path - Path like "C:/Users/Seth/Documents"
+   * Parse a path into an array of parts
+   * Resolves "." and "..", and swaps each existing part for the name it is
+   * stored under, so "c:/users/../WINDOWS" becomes ['C:', 'Windows'].
+   * @param {string|string[]} path - Path like "C:/Users/Seth/Documents"
    * @returns {string[]} Array of path parts
    */
   parsePath(path) {
-    if (Array.isArray(path)) return path;
+    const parts = Path.split(path);
 
-    // Handle both forward and backward slashes
-    path = path.replace(/\\/g, '/');
-
-    // Split and filter empty parts
-    let parts = path.split('/').filter(p => p.length > 0);
+    let current = this.fileSystem;
+    for (let i = 0; i < parts.length; i++) {
+      const container = this.getChildren(current);
+      const key = Path.findKey(container, parts[i]);
+      if (key === null) break;
+      parts[i] = key;
+      current = container[key];
+    }
 
     return parts;
   }
@@ -320,18 +468,35 @@ class FileSystemManager {
     let current = this.fileSystem;
 
     for (const part of parts) {
-      // Get the container to look in - either children of a dir/drive, or the object itself
-      const container = (current.children !== undefined) ? current.children : current;
+      const container = this.getChildren(current);
+      const key = Path.findKey(container, part);
 
-      if (!container[part]) {
+      if (key === null || !container[key]) {
         return null;
       }
-      current = container[part];
+      current = container[key];
     }
 
     return current;
   }
 
+  /**
+   * Get the map a node keeps its children in
+   * Drives live at the root; everything else lives in a dir/drive's
+   * children, or for an opened ZIP file in its archive contents.
+   * @param {object} node - Root, drive, directory or file node
+   * @returns {object|null} Name -> node map, or null for plain files
+   */
+  getChildren(node) {
+    if (node === this.fileSystem) return node;
+    if (!node || typeof node !== 'object') return null;
+    if (node.children) return node.children;
+
+    const archive = node.type === 'file' ? this.archives.get(node) : null;
+    // A rewritten ZIP file has to be opened again
+    return archive && archive.content === node.content ? archive.children : null;
+  }
+
   /**
    * Get the parent directory of a path
    * @param {string|string[]} path - Path to get parent of
@@ -360,9 +525,10 @@ class FileSystemManager {
    * List contents of a directory
    * @param {string|string[]} path - Directory path
    * @param {boolean} emitEvent - Whether to emit directory open event (default: true)
+   * @param {object} options - { includeHidden } to also list hidden items
    * @returns {object[]} Array of items with name and metadata
    */
-  listDirectory(path, emitEvent = true) {
+  listDirectory(path, emitEvent = true, options = {}) {
     const parts = this.parsePath(path);
     const node = this.getNode(path);
 
@@ -376,9 +542,9 @@ class FileSystemManager {
       throw new Error(`Path not found: ${path}`);
     }
 
-    const children = node.children || node;
+    const children = this.getChildren(node);
 
-    if (typeof children !== 'object') {
+    if (!children) {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'list',
         path: parts.join('/'),
@@ -392,6 +558,8 @@ class FileSystemManager {
 
     for (const [name, item] of Object.entries(children)) {
       if (item && typeof item === 'object' && item.type) {
+        if (item.attributes?.hidden && !options.includeHidden) continue;
+
         items.push({
           name,
           type: item.type,
@@ -399,7 +567,10 @@ class FileSystemManager {
           size: item.size || 0,
           created: item.created,
           modified: item.modified,
-          label: item.label
+          label: item.label,
+          binary: !!item.binary,
+          mimeType: item.mimeType,
+          attributes: this.normalizeAttributes(item.attributes)
         });
       }
     }
@@ -415,6 +586,49 @@ class FileSystemManager {
     return items;
   }
 
+  /**
+   * Expand a DOS wildcard pattern ("C:/Docs/*.txt", "a?.log") into the
+   * paths it matches. Only the last part may hold wildcards (see
+   * core/fs/Glob.js); a pattern without any matches its one item, if it exists.
+   * @param {string|string[]} pattern - Path whose last part is the pattern
+   * @param {object} options - { cwd } to resolve a relative pattern against,
+   *   { recursive } to also match in every subdirectory, { includeHidden },
+   *   and { type: 'file' | 'directory' } to match only one kind of item
+   * @returns {string[][]} Matching paths as part arrays, in listing order
+   */
+  glob(pattern, options = {}) {
+    const { cwd = null, recursive = false, includeHidden = false, type = null } = options;
+    const parts = this.parsePath(cwd ? Path.resolve(cwd, pattern) : pattern);
+    const name = parts.pop();
+    const results = [];
+
+    if (!name || parts.length === 0) return results;
+
+    const visit = (dirParts) => {
+      let items;
+      try {
+        items = this.listDirectory(dirParts, false, { includeHidden });
+      } catch (e) {
+        return;
+      }
+
+      for (const item of items) {
+        const isFile = item.type === 'file';
+        if (type && (type === 'file') !== isFile) continue;
+        if (Glob.matches(item.name, name)) results.push([...dirParts, item.name]);
+      }
+
+      if (recursive) {
+        for (const item of items) {
+          if (item.type !== 'file') visit([...dirParts, item.name]);
+        }
+      }
+    };
+
+    visit(parts);
+    return results;
+  }
+
   /**
    * Read file content
    * @param {string|string[]} path - File path
@@ -445,6 +659,15 @@ class FileSystemManager {
       throw new Error(`Not a file: ${path}`);
     }
 
+    // String readers (Paint, Notepad) get binary files as a data URL
+    if (node.binary) {
+      EventBus.emit(Events.FS_FILE_READ, {
+        path: pathStr,
+        size: node.size || 0
+      });
+      return bytesToDataURL(node.content, node.mimeType);
+    }
+
     const content = node.content || '';
 
     // Emit file read event
@@ -456,6 +679,67 @@ class FileSystemManager {
     return content;
   }
 
+  /**
+   * Read file content as bytes
+   * Text files are UTF-8 encoded; data URL content is decoded.
+   * @param {string|string[]} path - File path
+   * @returns {Uint8Array} Copy of the file bytes
+   */
+  readFileBinary(path) {
+    const parts = this.parsePath(path);
+    const pathStr = parts.join('/');
+    const node = this.getNode(path);
+
+    if (!node || node.type !== 'file') {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'read',
+        path: pathStr,
+        error: node ? 'Not a file' : 'File not found',
+        code: node ? 'EISDIR' : 'ENOENT'
+      });
+      throw new Error(node ? `Not a file: ${path}` : `File not found: ${path}`);
+    }
+
+    let bytes;
+    if (node.binary) {
+      bytes = new Uint8Array(node.content.slice(0));
+    } else if (isDataURL(node.content)) {
+      bytes = dataURLToBytes(node.content).bytes;
+    } else {
+      bytes = new TextEncoder().encode(node.content || '');
+    }
+
+    EventBus.emit(Events.FS_FILE_READ, {
+      path: pathStr,
+      size: bytes.byteLength
+    });
+
+    return bytes;
+  }
+
+  /**
+   * Check whether a file holds binary content
+   * @param {string|string[]} path - File path
+   * @returns {boolean}
+   */
+  isBinaryFile(path) {
+    const node = this.getNode(path);
+    return !!(node && node.type === 'file' && node.binary);
+  }
+
+  /**
+   * Get the MIME type of a file (stored, or guessed from the extension)
+   * @param {string|string[]} path - File path
+   * @returns {string|null} MIME type or null if not a file
+   */
+  getMimeType(path) {
+    const node = this.getNode(path);
+    if (!node || node.type !== 'file') return null;
+    if (node.mimeType) return node.mimeType;
+    if (isDataURL(node.content)) return dataURLToBytes(node.content).mimeType;
+    return getMimeType(node.extension);
+  }
+
   /**
    * Write content to a file (creates if doesn't exist)
    * @param {string|string[]} path - File path
@@ -480,7 +764,7 @@ class FileSystemManager {
       throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
     }
 
-    const children = parent.children || parent;
+    const children = this.getChildren(parent) || parent;
 
     // Determine extension from filename if not provided
     if (fileName.includes('.')) {
@@ -492,16 +776,26 @@ class FileSystemManager {
     const isUpdate = children[fileName] && children[fileName].type === 'file';
 
     if (isUpdate) {
-      // Update existing file
+      this.assertModifiable('write', pathStr, children[fileName]);
+      this.recordVersion(children[fileName], parts, content);
+
+      // Update existing file (a text write turns a binary file back into
+      // text, whose MIME type getMimeType() works out again)
       children[fileName].content = content;
       children[fileName].size = content.length;
       children[fileName].modified = now;
+      children[fileName].attributes = { ...children[fileName].attributes, archive: true };
+      delete children[fileName].binary;
+      delete children[fileName].mimeType;
 
       EventBus.emit(Events.FS_FILE_UPDATE, {
         path: pathStr,
         content: content
       });
+      this.notifyWatchers('modified', parts, { itemType: 'file' });
     } else {
+      this.assertModifiable('write', pathStr, null);
+
       // Create new file
       children[fileName] = {
         type: 'file',
@@ -509,7 +803,8 @@ class FileSystemManager {
         extension: extension,
         size: content.length,
         created: now,
-        modified: now
+        modified: now,
+        attributes: { archive: true }
       };
 
       EventBus.emit(Events.FS_FILE_CREATE, {
@@ -517,16 +812,151 @@ class FileSystemManager {
         type: 'file',
         content: content
       });
+      this.notifyWatchers('created', parts, { itemType: 'file' });
+    }
+
+    this.saveFileSystem();
+  }
+
+  /**
+   * Write bytes to a file (creates if doesn't exist)
+   * @param {string|string[]} path - File path
+   * @param {ArrayBuffer|ArrayBufferView} data - File bytes (copied)
+   * @param {object} options - { mimeType } (guessed from the extension if omitted)
+   */
+  writeFileBinary(path, data, options = {}) {
+    const parts = this.parsePath(path);
+    const pathStr = parts.join('/');
+    const fileName = parts[parts.length - 1];
+    const parentPath = parts.slice(0, -1);
+
+    if (!isBinaryData(data)) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'write',
+        path: pathStr,
+        error: 'Binary content must be an ArrayBuffer or typed array',
+        code: 'EINVAL'
+      });
+      throw new Error(`Binary content must be an ArrayBuffer or typed array: ${pathStr}`);
+    }
+
+    const parent = this.getNode(parentPath);
+
+    if (!parent) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'write',
+        path: pathStr,
+        error: 'Parent directory not found',
+        code: 'ENOENT'
+      });
+      throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
+    }
+
+    const children = this.getChildren(parent) || parent;
+    const extension = fileName.includes('.') ? fileName.split('.').pop() : '';
+    const mimeType = options.mimeType || getMimeType(extension);
+    const buffer = toArrayBuffer(data);
+    const now = new Date().toISOString();
+    const isUpdate = children[fileName] && children[fileName].type === 'file';
+
+    if (isUpdate) {
+      this.assertModifiable('write', pathStr, children[fileName]);
+      this.recordVersion(children[fileName], parts, buffer);
+
+      Object.assign(children[fileName], {
+        content: buffer,
+        binary: true,
+        mimeType,
+        size: buffer.byteLength,
+        modified: now,
+        attributes: { ...children[fileName].attributes, archive: true }
+      });
+    } else {
+      this.assertModifiable('write', pathStr, null);
+
+      children[fileName] = {
+        type: 'file',
+        content: buffer,
+        binary: true,
+        mimeType,
+        extension,
+        size: buffer.byteLength,
+        created: now,
+        modified: now,
+        attributes: { archive: true }
+      };
+    }
+
+    // Events describe the bytes but never carry them
+    const payload = { path: pathStr, binary: true, size: buffer.byteLength, mimeType };
+    if (isUpdate) {
+      EventBus.emit(Events.FS_FILE_UPDATE, payload);
+    } else {
+      EventBus.emit(Events.FS_FILE_CREATE, { ...payload, type: 'file' });
     }
+    this.notifyWatchers(isUpdate ? 'modified' : 'created', parts, { itemType: 'file' });
 
     this.saveFileSystem();
   }
 
   /**
-   * Delete a file
+   * Write a Blob or File (e.g. from canvas.toBlob or a host file picker)
+   * @param {string|string[]} path - File path
+   * @param {Blob} blob - Content
+   * @returns {Promise<void>}
+   */
+  async writeFileBlob(path, blob) {
+    const buffer = await blob.arrayBuffer();
+    this.writeFileBinary(path, buffer, { mimeType: blob.type || undefined });
+  }
+
+  /**
+   * Get a URL that <img>, <audio> and <video> can load a file from.
+   * Binary files get a cached blob: URL (recreated when the file changes);
+   * data URL content and nodes with a `src` are returned as-is.
+   * @param {string|string[]} path - File path
+   * @returns {string|null} URL, or null if the file has no playable content
+   */
+  getObjectURL(path) {
+    const pathStr = this.parsePath(path).join('/');
+    const node = this.getNode(path);
+
+    if (!node || node.type !== 'file') return null;
+    if (node.src) return node.src;
+    if (isDataURL(node.content)) return node.content;
+    if (!node.binary) return null;
+
+    const cached = this.objectURLs.get(pathStr);
+    if (cached && cached.content === node.content) {
+      return cached.url;
+    }
+    this.revokeObjectURL(pathStr);
+
+    const url = URL.createObjectURL(new Blob([node.content], { type: node.mimeType }));
+    this.objectURLs.set(pathStr, { url, content: node.content });
+    return url;
+  }
+
+  /**
+   * Release a URL created by getObjectURL()
+   * @param {string|string[]} path - File path
+   */
+  revokeObjectURL(path) {
+    const pathStr = this.parsePath(path).join('/');
+    const cached = this.objectURLs.get(pathStr);
+    if (cached) {
+      URL.revokeObjectURL(cached.url);
+      this.objectURLs.delete(pathStr);
+    }
+  }
+
+  /**
+   * Delete a file, moving it into the Recycle Bin where there is one
    * @param {string|string[]} path - File path
+   * @param {object} options - { permanent: skip the Recycle Bin }
+   * @returns {object|null} Recycle Bin entry (see getRecycledItems), or null if deleted for good
    */
-  deleteFile(path) {
+  deleteFile(path, options = {}) {
     const parts = this.parsePath(path);
     const pathStr = parts.join('/');
     const fileName = parts[parts.length - 1];
@@ -544,7 +974,7 @@ class FileSystemManager {
       throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
     }
 
-    const children = parent.children || parent;
+    const children = this.getChildren(parent) || parent;
 
     if (!children[fileName]) {
       EventBus.emit(Events.FS_ERROR, {
@@ -566,12 +996,21 @@ class FileSystemManager {
       throw new Error(`Not a file: ${path}`);
     }
 
+    this.assertModifiable('delete', pathStr, children[fileName]);
+
+    const node = children[fileName];
     delete children[fileName];
+    this.revokeObjectURL(parts);
+    const entry = options.permanent ? null : this.recycleNode(parts, node);
     this.saveFileSystem();
 
     EventBus.emit(Events.FS_FILE_DELETE, {
-      path: pathStr
+      path: pathStr,
+      recycled: !!entry
     });
+    this.notifyWatchers('deleted', parts, { itemType: 'file' });
+    this.afterRecycle(entry);
+    return entry;
   }
 
   /**
@@ -596,7 +1035,7 @@ class FileSystemManager {
       throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
     }
 
-    const children = parent.children || parent;
+    const children = this.getChildren(parent) || parent;
 
     if (children[dirName]) {
       EventBus.emit(Events.FS_ERROR, {
@@ -608,6 +1047,8 @@ class FileSystemManager {
       throw new Error(`Directory already exists: ${path}`);
     }
 
+    this.assertModifiable('mkdir', pathStr, null);
+
     children[dirName] = {
       type: 'directory',
       children: {}
@@ -618,14 +1059,18 @@ class FileSystemManager {
     EventBus.emit(Events.FS_DIRECTORY_CREATE, {
       path: pathStr
     });
+    this.notifyWatchers('created', parts, { itemType: 'directory' });
   }
 
   /**
-   * Delete a directory (must be empty unless recursive is true)
+   * Delete a directory (must be empty unless recursive is true),
+   * moving it into the Recycle Bin where there is one
    * @param {string|string[]} path - Directory path
    * @param {boolean} recursive - If true, delete contents recursively
+   * @param {object} options - { permanent: skip the Recycle Bin }
+   * @returns {object|null} Recycle Bin entry (see getRecycledItems), or null if deleted for good
    */
-  deleteDirectory(path, recursive = false) {
+  deleteDirectory(path, recursive = false, options = {}) {
     const parts = this.parsePath(path);
     const pathStr = parts.join('/');
     const dirName = parts[parts.length - 1];
@@ -643,7 +1088,7 @@ class FileSystemManager {
       throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
     }
 
-    const children = parent.children || parent;
+    const children = this.getChildren(parent) || parent;
 
     if (!children[dirName]) {
       EventBus.emit(Events.FS_ERROR, {
@@ -667,6 +1112,8 @@ class FileSystemManager {
       throw new Error(`Not a directory: ${path}`);
     }
 
+    this.assertModifiable('rmdir', pathStr, dir);
+
     if (dir.children && Object.keys(dir.children).length > 0) {
       if (!recursive) {
         EventBus.emit(Events.FS_ERROR, {
@@ -677,17 +1124,28 @@ class FileSystemManager {
         });
         throw new Error(`Directory not empty: ${path}`);
       }
+      // Nothing is removed if any protected item sits inside
+      const protectedPath = this.findProtectedItem(dir, pathStr);
+      if (protectedPath) {
+        this.assertModifiable('rmdir', protectedPath, this.getNode(protectedPath));
+      }
+
       // Recursively delete contents
       this.deleteDirectoryRecursive(parts);
     }
 
     delete children[dirName];
+    const entry = options.permanent ? null : this.recycleNode(parts, dir);
     this.saveFileSystem();
 
     EventBus.emit(Events.FS_DIRECTORY_DELETE, {
       path: pathStr,
-      recursive
+      recursive,
+      recycled: !!entry
     });
+    this.notifyWatchers('deleted', parts, { itemType: 'directory' });
+    this.afterRecycle(entry);
+    return entry;
   }
 
   /**
@@ -707,6 +1165,155 @@ class FileSystemManager {
     }
   }
 
+  /**
+   * Fill in all attribute flags (missing flags are false)
+   * @param {object} attributes - Stored attributes (may be undefined)
+   * @returns {object} { readOnly, hidden, system, archive }
+   */
+  normalizeAttributes(attributes = {}) {
+    const result = {};
+    for (const flag of Object.values(FILE_ATTRIBUTES)) {
+      result[flag] = !!attributes?.[flag];
+    }
+    return result;
+  }
+
+  /**
+   * Get the attributes of a file or directory
+   * @param {string|string[]} path - Path
+   * @returns {object} { readOnly, hidden, system, archive }
+   */
+  getAttributes(path) {
+    const node = this.getNode(path);
+    if (!node || !node.type) {
+      throw new Error(`Path not found: ${path}`);
+    }
+    return this.normalizeAttributes(node.attributes);
+  }
+
+  /**
+   * Set or clear attributes (allowed on read-only items, so the flag can be
+   * removed, but not on read-only media)
+   * @param {string|string[]} path - Path
+   * @param {object} changes - Flags to change, e.g. { readOnly: true, hidden: false }
+   * @returns {object} The resulting attributes
+   */
+  setAttributes(path, changes = {}) {
+    const parts = this.parsePath(path);
+    const pathStr = parts.join('/');
+    const node = this.getNode(parts);
+
+    if (!node || !node.type || node.type === 'drive') {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'attrib',
+        path: pathStr,
+        error: node ? 'Drives have no attributes' : 'Path not found',
+        code: node ? 'EINVAL' : 'ENOENT'
+      });
+      throw new Error(node ? `Drives have no attributes: ${pathStr}` : `Path not found: ${path}`);
+    }
+
+    this.assertModifiable('attrib', pathStr, null);
+
+    const attributes = this.normalizeAttributes(node.attributes);
+    for (const flag of Object.values(FILE_ATTRIBUTES)) {
+      if (changes[flag] !== undefined) {
+        attributes[flag] = !!changes[flag];
+      }
+    }
+    node.attributes = attributes;
+
+    this.saveFileSystem();
+
+    EventBus.emit(Events.FS_ATTRIBUTES_CHANGE, {
+      path: pathStr,
+      attributes: { ...attributes }
+    });
+    this.notifyWatchers('modified', parts, { itemType: node.type });
+
+    return attributes;
+  }
+
+  /**
+   * Throw (and emit fs:permission:denied) if an item's attributes or the
+   * media it lives on forbid an operation
+   * @param {string} operation - write, mkdir, delete, rmdir, move, copy, rename or attrib
+   * @param {string} pathStr - Path for error reporting
+   * @param {object|null} node - Node being changed (null when creating one)
+   */
+  assertModifiable(operation, pathStr, node) {
+    const attributes = node?.attributes || {};
+    let reason = null;
+
+    if (this.fileSystem[Path.split(pathStr)[0]]?.media?.readOnly) {
+      reason = 'read-only media';
+    } else if (this.isInArchive(pathStr)) {
+      reason = 'archive';
+    } else if (attributes.readOnly) {
+      reason = 'read-only';
+    } else if (attributes.system && operation !== 'write') {
+      reason = 'system';
+    }
+
+    if (!reason) return;
+
+    EventBus.emit(Events.FS_PERMISSION_DENIED, {
+      operation,
+      path: pathStr,
+      reason
+    });
+    EventBus.emit(Events.FS_ERROR, {
+      operation,
+      path: pathStr,
+      error: `Access denied (${reason})`,
+      code: 'EACCES'
+    });
+    const explanation = {
+      'read-only media': 'is on read-only media',
+      'archive': 'is inside a ZIP archive'
+    }[reason] || `is ${reason}`;
+    throw new Error(`Access denied: ${pathStr} ${explanation}`);
+  }
+
+  /**
+   * Check whether a path lies inside an opened ZIP file
+   * @param {string|string[]} path - Path to check
+   * @returns {boolean}
+   */
+  isInArchive(path) {
+    const parts = this.parsePath(path);
+    let current = this.fileSystem;
+
+    for (const part of parts.slice(0, -1)) {
+      const container = this.getChildren(current);
+      const key = Path.findKey(container, part);
+      if (key === null) return false;
+      current = container[key];
+      if (current.type === 'file') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Find the first read-only or system item inside a directory
+   * @param {object} node - Directory node
+   * @param {string} pathStr - Path of the directory
+   * @returns {string|null} Path of the protected item or null
+   */
+  findProtectedItem(node, pathStr) {
+    for (const [name, child] of Object.entries(node.children || {})) {
+      const childPath = `${pathStr}/${name}`;
+      if (child.attributes?.readOnly || child.attributes?.system) {
+        return childPath;
+      }
+      if (child.children) {
+        const found = this.findProtectedItem(child, childPath);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get file/directory info
    * @param {string|string[]} path - Path to get info for
@@ -729,7 +1336,11 @@ class FileSystemManager {
       size: node.size || 0,
       created: node.created,
       modified: node.modified,
-      label: node.label
+      label: node.label,
+      binary: !!node.binary,
+      mimeType: node.mimeType,
+      attributes: this.normalizeAttributes(node.attributes),
+      versions: node.versions ? node.versions.length : 0
     };
   }
 
@@ -802,7 +1413,7 @@ class FileSystemManager {
       throw new Error(`Source parent not found: ${srcParentPath.join('/')}`);
     }
 
-    const srcChildren = srcParent.children || srcParent;
+    const srcChildren = this.getChildren(srcParent) || srcParent;
     const srcNode = srcChildren[srcName];
     if (!srcNode) {
       EventBus.emit(Events.FS_ERROR, {
@@ -814,6 +1425,8 @@ class FileSystemManager {
       throw new Error(`Source not found: ${sourcePath}`);
     }
 
+    this.assertModifiable('move', srcPathStr, srcNode);
+
     // Get destination node
     const destNode = this.getNode(destParts);
     if (!destNode) {
@@ -826,7 +1439,7 @@ class FileSystemManager {
       throw new Error(`Destination not found: ${destPath}`);
     }
 
-    const destChildren = destNode.children || destNode;
+    const destChildren = this.getChildren(destNode) || destNode;
     if (typeof destChildren !== 'object') {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'move',
@@ -838,7 +1451,7 @@ class FileSystemManager {
     }
 
     // Check if file already exists at destination
-    if (destChildren[srcName]) {
+    if (Path.findKey(destChildren, srcName) !== null) {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'move',
         path: destPathStr + '/' + srcName,
@@ -848,8 +1461,10 @@ class FileSystemManager {
       throw new Error(`Item already exists at destination: ${srcName}`);
     }
 
+    this.assertModifiable('move', [...destParts, srcName].join('/'), null);
+
     // Copy to destination
-    destChildren[srcName] = JSON.parse(JSON.stringify(srcNode));
+    destChildren[srcName] = cloneNode(srcNode);
 
     // Remove from source
     delete srcChildren[srcName];
@@ -861,6 +1476,10 @@ class FileSystemManager {
       destPath: [...destParts, srcName].join('/'),
       fileName: srcName
     });
+    this.notifyWatchers('renamed', [...destParts, srcName], {
+      oldPath: srcPathStr,
+      itemType: destChildren[srcName].type
+    });
 
     return true;
   }
@@ -903,7 +1522,7 @@ class FileSystemManager {
       throw new Error(`Destination not found: ${destPath}`);
     }
 
-    const destChildren = destNode.children || destNode;
+    const destChildren = this.getChildren(destNode) || destNode;
     if (typeof destChildren !== 'object') {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'copy',
@@ -917,7 +1536,7 @@ class FileSystemManager {
     // Generate unique name if needed
     let newName = srcName;
     let counter = 1;
-    while (destChildren[newName]) {
+    while (Path.findKey(destChildren, newName) !== null) {
       const parts = srcName.split('.');
       if (parts.length > 1) {
         const ext = parts.pop();
@@ -928,9 +1547,12 @@ class FileSystemManager {
       counter++;
     }
 
-    // Deep copy to destination
-    destChildren[newName] = JSON.parse(JSON.stringify(srcNode));
+    this.assertModifiable('copy', [...destParts, newName].join('/'), null);
+
+    // Deep copy to destination (copies start without version history)
+    destChildren[newName] = cloneNode(srcNode);
     destChildren[newName].modified = new Date().toISOString();
+    this.stripVersions(destChildren[newName]);
 
     this.saveFileSystem();
 
@@ -939,6 +1561,7 @@ class FileSystemManager {
       destPath: [...destParts, newName].join('/'),
       fileName: newName
     });
+    this.notifyWatchers('created', [...destParts, newName], { itemType: destChildren[newName].type });
 
     return true;
   }
@@ -966,7 +1589,7 @@ class FileSystemManager {
       throw new Error(`Parent directory not found: ${parentPath.join('/')}`);
     }
 
-    const children = parent.children || parent;
+    const children = this.getChildren(parent) || parent;
     if (!children[oldName]) {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'rename',
@@ -977,7 +1600,11 @@ class FileSystemManager {
       throw new Error(`Item not found: ${path}`);
     }
 
-    if (children[newName]) {
+    this.assertModifiable('rename', pathStr, children[oldName]);
+
+    // Changing only the case of a name is allowed
+    const existing = Path.findKey(children, newName);
+    if (existing !== null && (existing !== oldName || newName === oldName)) {
       EventBus.emit(Events.FS_ERROR, {
         operation: 'rename',
         path: [...parentPath, newName].join('/'),
@@ -1003,15 +1630,1056 @@ class FileSystemManager {
       oldName,
       newName
     });
+    this.notifyWatchers('renamed', [...parentPath, newName], {
+      oldPath: pathStr,
+      itemType: children[newName].type
+    });
 
     return true;
   }
 
+  /**
+   * Previous versions of a file, newest first (metadata only)
+   * @param {string|string[]} path - File path
+   * @returns {Array<{id: number, size: number, modified: string, saved: string, binary: boolean, mimeType?: string}>}
+   *   modified is when that content was written, saved when it was replaced
+   */
+  getVersions(path) {
+    const node = this.getFileNodeOrThrow('versions', path);
+    return (node.versions || [])
+      .map(({ content, ...meta }) => ({ ...meta, binary: !!meta.binary }))
+      .reverse();
+  }
+
+  /**
+   * Read one previous version of a file
+   * @param {string|string[]} path - File path
+   * @param {number} id - Version id (from getVersions())
+   * @returns {object} Version metadata plus content (string, or Uint8Array for binary files)
+   */
+  readVersion(path, id) {
+    const node = this.getFileNodeOrThrow('versions', path);
+    const pathStr = this.parsePath(path).join('/');
+    const version = (node.versions || []).find(v => v.id === Number(id));
+
+    if (!version) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'versions',
+        path: pathStr,
+        error: `Version ${id} not found`,
+        code: 'ENOENT'
+      });
+      throw new Error(`Version ${id} not found: ${pathStr}`);
+    }
+
+    const { content, ...meta } = version;
+    return {
+      ...meta,
+      binary: !!meta.binary,
+      content: meta.binary ? new Uint8Array(content.slice(0)) : content
+    };
+  }
+
+  /**
+   * Put a previous version back as the file's content
+   * This is an ordinary write, so the content being replaced becomes a
+   * version of its own and the restore can itself be undone.
+   * @param {string|string[]} path - File path
+   * @param {number} id - Version id (from getVersions())
+   * @returns {boolean} True if successful
+   */
+  restoreVersion(path, id) {
+    const parts = this.parsePath(path);
+    const version = this.readVersion(parts, id);
+
+    if (version.binary) {
+      this.writeFileBinary(parts, version.content, { mimeType: version.mimeType });
+    } else {
+      this.writeFile(parts, version.content);
+    }
+
+    EventBus.emit(Events.FS_VERSION_RESTORE, {
+      path: parts.join('/'),
+      version: version.id,
+      saved: version.saved
+    });
+
+    return true;
+  }
+
+  /**
+   * Forget every previous version of a file
+   * @param {string|string[]} path - File path
+   * @returns {number} Number of versions removed
+   */
+  clearVersions(path) {
+    const node = this.getFileNodeOrThrow('versions', path);
+    const count = node.versions ? node.versions.length : 0;
+
+    if (count > 0) {
+      delete node.versions;
+      this.backend.markDirty(this.parsePath(path).join('/'));
+      this.saveFileSystem();
+    }
+    return count;
+  }
+
+  /**
+   * How many previous versions a file keeps
+   * The extension's limit wins over the drive's, which wins over the default.
+   * @param {string|string[]} path - File path
+   * @returns {number} Limit (0 = no history)
+   */
+  getVersionLimit(path) {
+    const parts = this.parsePath(path);
+    const policy = this.getVersionPolicy();
+    const extension = Path.extname(parts).slice(1).toLowerCase();
+
+    if (extension && extension in policy.extensions) {
+      return policy.extensions[extension];
+    }
+    if (parts[0] in policy.drives) {
+      return policy.drives[parts[0]];
+    }
+    return policy.defaultLimit;
+  }
+
+  /**
+   * Version limits in effect: the FS_VERSIONS defaults with saved overrides applied
+   * @returns {{defaultLimit: number, drives: object, extensions: object}}
+   */
+  getVersionPolicy() {
+    if (!this.versionPolicy) {
+      const saved = StorageManager.get(FS_VERSIONS.POLICY_KEY) || {};
+      this.versionPolicy = {
+        defaultLimit: saved.defaultLimit ?? FS_VERSIONS.DEFAULT_LIMIT,
+        drives: { ...FS_VERSIONS.DRIVES, ...saved.drives },
+        extensions: { ...FS_VERSIONS.EXTENSIONS, ...saved.extensions }
+      };
+    }
+    return {
+      defaultLimit: this.versionPolicy.defaultLimit,
+      drives: { ...this.versionPolicy.drives },
+      extensions: { ...this.versionPolicy.extensions }
+    };
+  }
+
+  /**
+   * Change how many previous versions are kept (saved across sessions)
+   * Files already holding more versions are trimmed on their next write.
+   * @param {string} scope - A drive ("C:"), an extension (".txt" or "txt"), or "*" for the default
+   * @param {number|null} limit - Versions to keep (0 = none), or null to go back to the built-in setting
+   */
+  setVersionLimit(scope, limit) {
+    if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      throw new Error(`Invalid version limit: ${limit}`);
+    }
+
+    const key = String(scope ?? '').trim();
+    const saved = StorageManager.get(FS_VERSIONS.POLICY_KEY) || {};
+    let group = null;
+    let name = key;
+
+    if (key !== '*') {
+      group = Path.isDrive(key) ? 'drives' : 'extensions';
+      name = group === 'drives' ? key.toUpperCase() : key.replace(/^\*?\./, '').toLowerCase();
+      if (!name) {
+        throw new Error(`Invalid version scope: ${scope}`);
+      }
+    }
+
+    if (group === null) {
+      if (limit === null) delete saved.defaultLimit;
+      else saved.defaultLimit = limit;
+    } else {
+      saved[group] = { ...saved[group] };
+      if (limit === null) delete saved[group][name];
+      else saved[group][name] = limit;
+    }
+
+    StorageManager.set(FS_VERSIONS.POLICY_KEY, saved);
+    this.versionPolicy = null;
+  }
+
+  /**
+   * Keep a file's current content as a version before a write replaces it
+   * Unchanged content, and content over FS_VERSIONS.MAX_SIZE, is not kept;
+   * the oldest versions are dropped once the file's limit is reached.
+   * @param {object} node - File node about to be overwritten
+   * @param {string[]} parts - Its path (decides the limit)
+   * @param {string|ArrayBuffer} content - The new content
+   */
+  recordVersion(node, parts, content) {
+    const limit = this.getVersionLimit(parts);
+    const versions = node.versions || [];
+    const size = node.size ?? 0;
+    const unchanged = node.binary
+      ? isBinaryData(content) && this.sameBytes(node.content, content)
+      : node.content === content;
+
+    if (limit > 0 && !unchanged && node.content !== undefined && size <= FS_VERSIONS.MAX_SIZE) {
+      const version = {
+        id: (versions.length > 0 ? versions[versions.length - 1].id : 0) + 1,
+        content: node.content,
+        size,
+        modified: node.modified,
+        saved: new Date().toISOString()
+      };
+      if (node.binary) {
+        version.binary = true;
+        version.mimeType = node.mimeType;
+      }
+      versions.push(version);
+    }
+
+    if (versions.length > limit) {
+      versions.splice(0, versions.length - limit);
+    }
+    if (versions.length > 0) {
+      node.versions = versions;
+    } else {
+      delete node.versions;
+    }
+  }
+
+  /**
+   * Compare two byte buffers
+   * @param {ArrayBuffer|ArrayBufferView} a
+   * @param {ArrayBuffer|ArrayBufferView} b
+   * @returns {boolean}
+   */
+  sameBytes(a, b) {
+    if (!isBinaryData(a) || a.byteLength !== b.byteLength) return false;
+    const left = new Uint8Array(toArrayBuffer(a));
+    const right = new Uint8Array(toArrayBuffer(b));
+    return left.every((byte, i) => byte === right[i]);
+  }
+
+  /**
+   * Remove version history from a node and everything below it
+   * @param {object} node - File or folder node
+   */
+  stripVersions(node) {
+    delete node.versions;
+    if (node.children) {
+      Object.values(node.children).forEach(child => this.stripVersions(child));
+    }
+  }
+
+  /**
+   * Look up a file node, emitting fs:error and throwing if there is none
+   * @param {string} operation - Operation name for the fs:error event
+   * @param {string|string[]} path - File path
+   * @returns {object} File node
+   */
+  getFileNodeOrThrow(operation, path) {
+    const pathStr = this.parsePath(path).join('/');
+    const node = this.getNode(path);
+
+    if (!node || node.type !== 'file') {
+      EventBus.emit(Events.FS_ERROR, {
+        operation,
+        path: pathStr,
+        error: node ? 'Not a file' : 'File not found',
+        code: node ? 'EISDIR' : 'ENOENT'
+      });
+      throw new Error(node ? `Not a file: ${pathStr}` : `File not found: ${pathStr}`);
+    }
+    return node;
+  }
+
+  /**
+   * List the contents of the Recycle Bin, oldest first
+   * @returns {object[]} { id, name, type, extension, originalPath, deletedAt, size, path }
+   *   where path is where the item is kept inside the bin
+   */
+  getRecycledItems() {
+    const bin = this.getRecycleBin(false);
+    if (!bin) return [];
+
+    return Object.entries(bin.children)
+      .filter(([, node]) => node.recycled)
+      .map(([storedName, node]) => ({
+        id: node.recycled.id,
+        name: Path.basename(node.recycled.originalPath),
+        type: node.type,
+        extension: node.extension || '',
+        originalPath: node.recycled.originalPath,
+        deletedAt: node.recycled.deletedAt,
+        size: node.recycled.size,
+        path: `${RECYCLE_BIN.DRIVE}/${RECYCLE_BIN.FOLDER}/${storedName}`
+      }))
+      .sort((a, b) => a.deletedAt.localeCompare(b.deletedAt) || a.id - b.id);
+  }
+
+  /**
+   * Put an item back where it was deleted from, recreating missing parent folders
+   * @param {number} id - Recycle Bin entry id
+   * @returns {string} Path the item was restored to
+   */
+  restoreRecycled(id) {
+    const entry = this.getRecycledEntryOrThrow('restore', id);
+    const parts = this.parsePath(entry.originalPath);
+    const pathStr = parts.join('/');
+
+    if (this.getNode(parts)) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'restore',
+        path: pathStr,
+        error: 'Item already exists',
+        code: 'EEXIST'
+      });
+      throw new Error(`Cannot restore "${entry.name}": ${pathStr} already exists`);
+    }
+
+    for (let i = 2; i < parts.length; i++) {
+      const folder = this.getNode(parts.slice(0, i));
+      if (!folder) {
+        this.createDirectory(parts.slice(0, i));
+      } else if (folder.type === 'file') {
+        EventBus.emit(Events.FS_ERROR, {
+          operation: 'restore',
+          path: pathStr,
+          error: 'Parent is not a directory',
+          code: 'ENOTDIR'
+        });
+        throw new Error(`Cannot restore "${entry.name}": ${parts.slice(0, i).join('/')} is a file`);
+      }
+    }
+    this.assertModifiable('write', pathStr, null);
+
+    const binChildren = this.getRecycleBin(false).children;
+    const storedName = Path.basename(entry.path);
+    const node = binChildren[storedName];
+    delete binChildren[storedName];
+    delete node.recycled;
+
+    const parent = this.getNode(parts.slice(0, -1));
+    (this.getChildren(parent) || parent)[parts[parts.length - 1]] = node;
+    this.saveFileSystem();
+
+    EventBus.emit(Events.FS_RECYCLE_RESTORE, { path: pathStr, id: entry.id });
+    this.notifyWatchers('deleted', entry.path, { itemType: node.type });
+    this.notifyWatchers('created', parts, { itemType: node.type });
+    EventBus.emit(Events.RECYCLEBIN_UPDATE, { count: this.getRecycledItems().length });
+    return pathStr;
+  }
+
+  /**
+   * Permanently delete one item from the Recycle Bin
+   * @param {number} id - Recycle Bin entry id
+   */
+  deleteRecycled(id) {
+    const entry = this.getRecycledEntryOrThrow('delete', id);
+    this.removeRecycled([entry]);
+    EventBus.emit(Events.RECYCLEBIN_UPDATE, { count: this.getRecycledItems().length });
+  }
+
+  /**
+   * Permanently delete everything in the Recycle Bin
+   * @returns {number} Number of items deleted
+   */
+  emptyRecycleBin() {
+    const entries = this.getRecycledItems();
+    if (entries.length === 0) return 0;
+
+    this.removeRecycled(entries);
+    EventBus.emit(Events.RECYCLEBIN_EMPTY, { count: entries.length });
+    EventBus.emit(Events.RECYCLEBIN_UPDATE, { count: 0 });
+    return entries.length;
+  }
+
+  /**
+   * Total size of the items in the Recycle Bin
+   * @returns {number} Bytes
+   */
+  getRecycleBinSize() {
+    return this.getRecycledItems().reduce((total, entry) => total + entry.size, 0);
+  }
+
+  /**
+   * Check whether deleting an item would move it into the Recycle Bin
+   * (lets dialogs warn before a delete that cannot be undone)
+   * @param {string|string[]} path - File or folder path
+   * @returns {boolean}
+   */
+  canRecycle(path) {
+    const parts = this.parsePath(path);
+    const node = this.getNode(parts);
+    return !!node && this.isRecyclable(parts, node);
+  }
+
+  /**
+   * @param {string[]} parts - Path of the item
+   * @param {object} node - Its node
+   * @returns {boolean} True if a delete of this item goes to the Recycle Bin
+   */
+  isRecyclable(parts, node) {
+    const insideBin = parts.length > 2 && parts[1].toLowerCase() === RECYCLE_BIN.FOLDER.toLowerCase();
+    return parts[0] === RECYCLE_BIN.DRIVE && !insideBin && this.getTreeSize(node) <= RECYCLE_BIN.MAX_SIZE;
+  }
+
+  /**
+   * Move a node that was just taken out of the tree into the Recycle Bin
+   * Deletes on other drives, inside the bin itself or of items bigger
+   * than the whole bin are final.
+   * @param {string[]} parts - Path the node was deleted from
+   * @param {object} node - The detached node
+   * @returns {object|null} Recycle Bin entry, or null if the node is gone for good
+   */
+  recycleNode(parts, node) {
+    if (!this.isRecyclable(parts, node)) return null;
+
+    const size = this.getTreeSize(node);
+
+    const bin = this.getRecycleBin(true);
+    const id = Object.values(bin.children).reduce((max, child) => Math.max(max, child.recycled?.id || 0), 0) + 1;
+    // Windows 95 style names: D + drive letter + number + original extension
+    const extension = node.type === 'file' ? Path.extname(parts[parts.length - 1]) : '';
+    const storedName = `D${RECYCLE_BIN.DRIVE[0]}${id}${extension}`;
+
+    node.recycled = {
+      id,
+      originalPath: parts.join('/'),
+      deletedAt: new Date().toISOString(),
+      size
+    };
+    bin.children[storedName] = node;
+
+    return this.getRecycledItems().find(entry => entry.id === id);
+  }
+
+  /**
+   * Announce a recycled item and purge the oldest ones if the bin is over its size cap
+   * @param {object|null} entry - Result of recycleNode()
+   */
+  afterRecycle(entry) {
+    if (!entry) return;
+
+    EventBus.emit(Events.FS_RECYCLE, { path: entry.originalPath, id: entry.id, size: entry.size });
+    this.notifyWatchers('created', entry.path, { itemType: entry.type });
+
+    const entries = this.getRecycledItems();
+    let total = entries.reduce((sum, item) => sum + item.size, 0);
+    const purged = [];
+    while (total > RECYCLE_BIN.MAX_SIZE && entries.length > 0) {
+      const oldest = entries.shift();
+      purged.push(oldest);
+      total -= oldest.size;
+    }
+    if (purged.length > 0) {
+      this.removeRecycled(purged);
+    }
+
+    EventBus.emit(Events.RECYCLEBIN_UPDATE, { count: entries.length });
+  }
+
+  /**
+   * Remove entries from the Recycle Bin for good
+   * @param {object[]} entries - Entries from getRecycledItems()
+   */
+  removeRecycled(entries) {
+    const binChildren = this.getRecycleBin(false).children;
+    for (const entry of entries) {
+      delete binChildren[Path.basename(entry.path)];
+    }
+    this.saveFileSystem();
+
+    for (const entry of entries) {
+      this.notifyWatchers('deleted', entry.path, { itemType: entry.type });
+    }
+  }
+
+  /**
+   * The Recycle Bin folder node
+   * @param {boolean} create - Create the folder if it does not exist yet
+   * @returns {object|null}
+   */
+  getRecycleBin(create) {
+    const drive = this.fileSystem[RECYCLE_BIN.DRIVE];
+    if (!drive?.children) return null;
+
+    const key = Path.findKey(drive.children, RECYCLE_BIN.FOLDER);
+    if (key !== null && drive.children[key].type === 'directory') {
+      return drive.children[key];
+    }
+    if (!create || key !== null) return null;
+
+    const now = new Date().toISOString();
+    drive.children[RECYCLE_BIN.FOLDER] = {
+      type: 'directory',
+      children: {},
+      created: now,
+      modified: now,
+      attributes: { hidden: true, system: true }
+    };
+    return drive.children[RECYCLE_BIN.FOLDER];
+  }
+
+  /**
+   * Look up a Recycle Bin entry, emitting fs:error and throwing if there is none
+   * @param {string} operation - Operation name for the fs:error event
+   * @param {number} id - Recycle Bin entry id
+   * @returns {object} Entry from getRecycledItems()
+   */
+  getRecycledEntryOrThrow(operation, id) {
+    const entry = this.getRecycledItems().find(item => item.id === Number(id));
+    if (!entry) {
+      const pathStr = `${RECYCLE_BIN.DRIVE}/${RECYCLE_BIN.FOLDER}`;
+      EventBus.emit(Events.FS_ERROR, {
+        operation,
+        path: pathStr,
+        error: `Recycle Bin item ${id} not found`,
+        code: 'ENOENT'
+      });
+      throw new Error(`Recycle Bin item not found: ${id}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Size of a node and everything below it
+   * @param {object} node - File system node
+   * @returns {number} Bytes
+   */
+  getTreeSize(node) {
+    if (node.type === 'file') return node.size || 0;
+    return Object.values(node.children || {}).reduce((total, child) => total + this.getTreeSize(child), 0);
+  }
+
+  /**
+   * Watch a file or folder for changes
+   * A folder watch reports changes to the folder itself and its direct
+   * children; with { recursive: true } it covers the whole subtree.
+   * Watching a file (or anything inside a folder that gets deleted or
+   * renamed away) also reports the watched item itself disappearing.
+   *
+   * @param {string|string[]} path - File or folder to watch (need not exist yet)
+   * @param {object|Function} options - { recursive }, or the callback
+   * @param {Function} callback - Called with { type, path, oldPath?, itemType }
+   *   where type is 'created', 'modified', 'deleted' or 'renamed'
+   * @returns {Function} Call to stop watching
+   */
+  watch(path, options = {}, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('watch() requires a callback');
+    }
+
+    const watcher = {
+      path: this.parsePath(path).join('/').toLowerCase(),
+      recursive: !!options.recursive,
+      callback
+    };
+    this.watchers.add(watcher);
+
+    return () => this.watchers.delete(watcher);
+  }
+
+  /**
+   * Report a change to matching watchers and emit fs:watch:change
+   * Mutating methods call this themselves; code that edits nodes directly
+   * and then calls saveFileSystem() should call it too, as it also tells
+   * the storage backend which paths to write.
+   * @param {string} type - created, modified, deleted or renamed
+   * @param {string|string[]} path - Path of the changed item (new path for renames)
+   * @param {object} details - { oldPath, itemType, remote (made in another tab) }
+   */
+  notifyWatchers(type, path, details = {}) {
+    const parts = this.parsePath(path);
+    const change = { type, path: parts.join('/'), ...details };
+    if (details.oldPath) {
+      change.oldPath = this.parsePath(details.oldPath).join('/');
+    }
+
+    this.backend.markDirty(change.path);
+    if (change.oldPath) this.backend.markDirty(change.oldPath);
+
+    EventBus.emit(Events.FS_WATCH_CHANGE, {
+      path: parts.slice(0, -1).join('/'),
+      changeType: type,
+      fileName: parts[parts.length - 1],
+      ...(change.oldPath && { oldPath: change.oldPath }),
+      ...(change.itemType && { itemType: change.itemType }),
+      ...(change.remote && { remote: true })
+    });
+
+    const affected = [change.path.toLowerCase()];
+    if (change.oldPath) affected.push(change.oldPath.toLowerCase());
+    const removed = type === 'deleted' ? affected : type === 'renamed' ? affected.slice(1) : [];
+
+    for (const watcher of [...this.watchers]) {
+      const matches = affected.some(itemPath => this.watchCovers(watcher, itemPath)) ||
+        removed.some(itemPath => watcher.path.startsWith(itemPath + '/'));
+      if (!matches) continue;
+
+      try {
+        watcher.callback({ ...change });
+      } catch (e) {
+        console.error('[FileSystemManager] Watch callback failed:', e);
+      }
+    }
+  }
+
+  /**
+   * Check whether a watcher covers a changed path
+   * @param {object} watcher - Watcher record
+   * @param {string} itemPath - Lower-cased path of the changed item
+   * @returns {boolean}
+   */
+  watchCovers(watcher, itemPath) {
+    if (itemPath === watcher.path) return true;
+
+    const parent = itemPath.slice(0, Math.max(itemPath.lastIndexOf('/'), 0));
+    if (parent === watcher.path) return true;
+
+    return watcher.recursive && (watcher.path === '' || itemPath.startsWith(watcher.path + '/'));
+  }
+
+  /**
+   * Open a ZIP file so its contents can be browsed like a read-only folder
+   * Until the file is rewritten, paths such as "C:/pack.zip/Games/a.txt"
+   * work with getNode(), listDirectory(), readFile() and friends; anything
+   * that would change them is refused with fs:permission:denied.
+   * @param {string|string[]} path - ZIP file
+   * @returns {Promise<void>}
+   */
+  async openArchive(path) {
+    const parts = this.parsePath(path);
+    const pathStr = parts.join('/');
+    const node = this.getNode(parts);
+
+    if (!node || node.type !== 'file') {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'open',
+        path: pathStr,
+        error: 'Archive not found',
+        code: 'ENOENT'
+      });
+      throw new Error(`Archive not found: ${pathStr}`);
+    }
+    if (this.getChildren(node)) return;
+
+    const content = node.content;
+    try {
+      this.archives.set(node, { content, children: treeFromZipEntries(await readZip(this.getFileBytes(node))) });
+    } catch (e) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'open',
+        path: pathStr,
+        error: e.message,
+        code: 'EINVAL'
+      });
+      throw e;
+    }
+  }
+
+  /**
+   * Pack files and folders into a ZIP archive
+   * Files and folders keep their own name at the top of the archive; a
+   * drive's contents go at the root, so createZip(['C:']) backs up all of C:.
+   * @param {Array<string|string[]>} paths - Items to pack
+   * @returns {Promise<Uint8Array>} Archive bytes
+   */
+  async createZip(paths) {
+    const entries = [];
+
+    const addNode = (node, name) => {
+      const modified = new Date(node.modified || Date.now());
+      if (node.type === 'file') {
+        entries.push({ name, data: this.getFileBytes(node), modified });
+        return;
+      }
+      if (name) {
+        entries.push({ name, directory: true, modified });
+      }
+      for (const [childName, child] of Object.entries(this.getChildren(node) || {})) {
+        addNode(child, name ? `${name}/${childName}` : childName);
+      }
+    };
+
+    for (const path of paths) {
+      const parts = this.parsePath(path);
+      const node = this.getNode(parts);
+
+      if (!node || !node.type) {
+        EventBus.emit(Events.FS_ERROR, {
+          operation: 'zip',
+          path: parts.join('/'),
+          error: 'Path not found',
+          code: 'ENOENT'
+        });
+        throw new Error(`Path not found: ${parts.join('/')}`);
+      }
+      addNode(node, node.type === 'drive' ? '' : parts[parts.length - 1]);
+    }
+
+    return writeZip(entries);
+  }
+
+  /**
+   * Unpack a ZIP archive into a folder, creating subfolders as needed
+   * Existing files are left alone (and listed in skipped) unless
+   * { overwrite: true } is passed.
+   * @param {string|string[]|Blob|ArrayBuffer|ArrayBufferView} source - ZIP file in
+   *   this file system, a host File/Blob, or raw bytes
+   * @param {string|string[]} destPath - Existing folder to unpack into
+   * @param {object} options - { overwrite }
+   * @returns {Promise<{files: number, folders: number, skipped: string[]}>}
+   */
+  async extractZip(source, destPath, options = {}) {
+    const destParts = this.parsePath(destPath);
+    const dest = this.getNode(destParts);
+
+    if (!dest || dest.type === 'file' || !this.getChildren(dest)) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'unzip',
+        path: destParts.join('/'),
+        error: dest ? 'Not a directory' : 'Destination not found',
+        code: dest ? 'ENOTDIR' : 'ENOENT'
+      });
+      throw new Error(`${dest ? 'Not a directory' : 'Destination not found'}: ${destParts.join('/')}`);
+    }
+
+    let data = source;
+    let sourceName = 'archive';
+    if (typeof source === 'string' || Array.isArray(source)) {
+      const parts = this.parsePath(source);
+      const node = this.getNode(parts);
+      sourceName = parts.join('/');
+      if (!node || node.type !== 'file') {
+        EventBus.emit(Events.FS_ERROR, {
+          operation: 'unzip',
+          path: sourceName,
+          error: 'Archive not found',
+          code: 'ENOENT'
+        });
+        throw new Error(`Archive not found: ${sourceName}`);
+      }
+      data = this.getFileBytes(node);
+    } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      sourceName = source.name || sourceName;
+      data = await source.arrayBuffer();
+    }
+
+    let tree;
+    try {
+      tree = treeFromZipEntries(await readZip(data));
+    } catch (e) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'unzip',
+        path: sourceName,
+        error: e.message,
+        code: 'EINVAL'
+      });
+      throw e;
+    }
+
+    const result = { files: 0, folders: 0, skipped: [] };
+
+    const extract = (children, parentParts) => {
+      for (const [name, node] of Object.entries(children)) {
+        const itemParts = this.parsePath([...parentParts, name]);
+        const existing = this.getNode(itemParts);
+
+        if (node.type === 'directory') {
+          if (!existing) {
+            this.createDirectory(itemParts);
+            result.folders++;
+          } else if (existing.type !== 'directory') {
+            result.skipped.push(itemParts.join('/'));
+            continue;
+          }
+          extract(node.children, itemParts);
+        } else if (existing && (!options.overwrite || existing.type !== 'file')) {
+          result.skipped.push(itemParts.join('/'));
+        } else {
+          if (node.binary) {
+            this.writeFileBinary(itemParts, node.content, { mimeType: node.mimeType });
+          } else {
+            this.writeFile(itemParts, node.content, node.extension);
+          }
+          result.files++;
+        }
+      }
+    };
+    extract(tree, destParts);
+
+    return result;
+  }
+
+  /**
+   * Raw bytes of a file node, whatever form its content is stored in
+   * @param {object} node - File node
+   * @returns {Uint8Array}
+   */
+  getFileBytes(node) {
+    if (node.binary && isBinaryData(node.content)) {
+      return new Uint8Array(toArrayBuffer(node.content));
+    }
+    if (isDataURL(node.content)) {
+      return dataURLToBytes(node.content).bytes;
+    }
+    return new TextEncoder().encode(String(node.content ?? ''));
+  }
+
+  /**
+   * Mount a disk image on a removable drive (A: floppy, D: CD-ROM)
+   * The image replaces any disk already in the drive. CD-ROM images, and
+   * images marked read-only, refuse every change on the drive.
+   *
+   * @param {string} drive - "A:" or "D:"
+   * @param {string|string[]|Blob|ArrayBuffer|ArrayBufferView} image - JSON or ZIP image:
+   *   a file in this file system, a host File/Blob, or raw bytes
+   * @param {object} options - { name, label, readOnly }; name labels Blob/byte images
+   * @returns {Promise<object>} The mounted media (see getMedia())
+   */
+  async mountImage(drive, image, options = {}) {
+    const driveKey = this.getRemovableDriveKey('mount', drive);
+    let data = image;
+    let source = options.name || 'disk.img';
+
+    if (typeof image === 'string' || Array.isArray(image)) {
+      const parts = this.parsePath(image);
+      const node = this.getNode(parts);
+      source = parts.join('/');
+
+      if (!node || node.type !== 'file') {
+        EventBus.emit(Events.FS_ERROR, {
+          operation: 'mount',
+          path: source,
+          error: 'Image file not found',
+          code: 'ENOENT'
+        });
+        throw new Error(`Image file not found: ${source}`);
+      }
+      if (parts[0] === driveKey) {
+        EventBus.emit(Events.FS_ERROR, {
+          operation: 'mount',
+          path: source,
+          error: 'Image is on the drive it would replace',
+          code: 'EINVAL'
+        });
+        throw new Error(`Cannot mount an image stored on ${driveKey} into ${driveKey}`);
+      }
+
+      data = isDataURL(node.content) ? dataURLToBytes(node.content).bytes : node.content;
+    } else if (typeof Blob !== 'undefined' && image instanceof Blob) {
+      source = options.name || image.name || source;
+      data = await image.arrayBuffer();
+    }
+
+    let parsed;
+    try {
+      parsed = await parseDiskImage(data, { name: source });
+    } catch (e) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'mount',
+        path: source,
+        error: e.message,
+        code: 'EINVAL'
+      });
+      throw e;
+    }
+
+    if (this.fileSystem[driveKey].media || Object.keys(this.fileSystem[driveKey].children || {}).length > 0) {
+      this.ejectDrive(driveKey);
+    }
+
+    const driveNode = this.fileSystem[driveKey];
+    const media = {
+      image: source,
+      label: String(options.label || parsed.label || 'NO NAME').toUpperCase(),
+      format: parsed.format,
+      readOnly: REMOVABLE_DRIVES[driveKey].readOnly || !!options.readOnly || parsed.readOnly,
+      mounted: new Date().toISOString()
+    };
+
+    driveNode.children = parsed.children;
+    driveNode.media = media;
+    this.saveFileSystem();
+
+    EventBus.emit(Events.FS_DRIVE_MOUNT, {
+      drive: driveKey,
+      image: media.image,
+      label: media.label,
+      format: media.format,
+      readOnly: media.readOnly
+    });
+    this.notifyWatchers('modified', [driveKey], { itemType: 'drive' });
+    for (const [name, child] of Object.entries(driveNode.children)) {
+      this.notifyWatchers('created', [driveKey, name], { itemType: child.type });
+    }
+
+    return this.getMedia(driveKey);
+  }
+
+  /**
+   * Eject the disk in a removable drive, leaving it empty
+   * Changes made to a writable disk are discarded with it.
+   * @param {string} drive - "A:" or "D:"
+   * @returns {object|null} The media that was ejected (null for a loose, unlabelled disk)
+   */
+  ejectDrive(drive) {
+    const driveKey = this.getRemovableDriveKey('eject', drive);
+    const driveNode = this.fileSystem[driveKey];
+    const media = this.getMedia(driveKey);
+    const removed = Object.entries(driveNode.children || {});
+
+    if (!media && removed.length === 0) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation: 'eject',
+        path: driveKey,
+        error: 'No disk in drive',
+        code: 'ENOENT'
+      });
+      throw new Error(`There is no disk in drive ${driveKey}`);
+    }
+
+    driveNode.children = {};
+    delete driveNode.media;
+    for (const pathStr of [...this.objectURLs.keys()]) {
+      if (pathStr.startsWith(driveKey + '/')) this.revokeObjectURL(pathStr);
+    }
+    this.saveFileSystem();
+
+    EventBus.emit(Events.FS_DRIVE_EJECT, {
+      drive: driveKey,
+      ...(media && { image: media.image })
+    });
+    for (const [name, child] of removed) {
+      this.notifyWatchers('deleted', [driveKey, name], { itemType: child.type });
+    }
+    this.notifyWatchers('modified', [driveKey], { itemType: 'drive' });
+
+    return media;
+  }
+
+  /**
+   * Get the disk image mounted on a drive
+   * @param {string} drive - Drive letter
+   * @returns {object|null} { drive, image, label, format, readOnly, mounted } or null
+   */
+  getMedia(drive) {
+    const driveKey = Path.split(drive)[0];
+    const media = this.fileSystem[driveKey]?.media;
+    return media ? { drive: driveKey, ...media } : null;
+  }
+
+  /**
+   * Validate a removable drive letter, creating the drive node if an older
+   * tree lacks it
+   * @param {string} operation - mount or eject (for error reporting)
+   * @param {string} drive - "A:", "a:" or "a"
+   * @returns {string} Drive key ("A:")
+   */
+  getRemovableDriveKey(operation, drive) {
+    const driveKey = String(drive || '').replace(/[:\\/]+$/, '').toUpperCase() + ':';
+    const spec = REMOVABLE_DRIVES[driveKey];
+
+    if (!spec) {
+      EventBus.emit(Events.FS_ERROR, {
+        operation,
+        path: driveKey,
+        error: 'Not a removable drive',
+        code: 'EINVAL'
+      });
+      throw new Error(`${driveKey} is not a removable drive`);
+    }
+
+    if (!this.fileSystem[driveKey]) {
+      this.fileSystem[driveKey] = { type: 'drive', label: spec.label, children: {} };
+    }
+    return driveKey;
+  }
+
+  /**
+   * Apply a change made in another browser tab (see core/TabSync.js)
+   * Watchers and fs:watch:change see it with remote: true, so it is not
+   * sent back. Missing parent folders are created.
+   * @param {object} change - { changeType, path, oldPath?, itemType? }
+   * @param {object|null} node - Node now at path (null for deletes)
+   */
+  applyRemoteChange(change, node) {
+    const parts = this.parsePath(change.path);
+
+    if (change.oldPath) {
+      this.detachNode(this.parsePath(change.oldPath));
+    }
+    if (change.changeType === 'deleted') {
+      this.detachNode(parts);
+    } else if (node) {
+      this.attachNode(parts, node);
+    }
+    this.saveFileSystem();
+
+    this.notifyWatchers(change.changeType, parts, {
+      ...(change.oldPath && { oldPath: change.oldPath }),
+      ...(change.itemType && { itemType: change.itemType }),
+      remote: true
+    });
+  }
+
+  /**
+   * Put a node at a path, replacing whatever is there
+   * @param {string[]} parts - Path
+   * @param {object} node - Node to store
+   */
+  attachNode(parts, node) {
+    this.revokeObjectURL(parts);
+    if (parts.length === 1) {
+      this.fileSystem[parts[0]] = node;
+      return;
+    }
+
+    let container = this.fileSystem;
+    for (const part of parts.slice(0, -1)) {
+      const key = Path.findKey(container, part);
+      if (key === null) {
+        const now = new Date().toISOString();
+        container[part] = { type: 'directory', children: {}, created: now, modified: now };
+      }
+      const parent = container[key ?? part];
+      if (!parent.children) parent.children = {};
+      container = parent.children;
+    }
+
+    const name = parts[parts.length - 1];
+    const existing = Path.findKey(container, name);
+    if (existing !== null) delete container[existing];
+    container[name] = node;
+  }
+
+  /**
+   * Take the node at a path out of the tree, if there is one
+   * @param {string[]} parts - Path
+   */
+  detachNode(parts) {
+    this.revokeObjectURL(parts);
+    const container = parts.length > 1 ? this.getChildren(this.getNode(parts.slice(0, -1))) : this.fileSystem;
+    const key = Path.findKey(container, parts[parts.length - 1]);
+    if (key !== null) delete container[key];
+  }
+
+  /**
+   * Replace the whole tree (snapshot import)
+   * @param {object} fileSystem - Full drive tree
+   */
+  importFileSystem(fileSystem) {
+    this.fileSystem = fileSystem;
+    this.backend.markDirty('');
+    this.saveFileSystem();
+  }
+
   /**
    * Reset file system to default
    */
   reset() {
     this.fileSystem = this.getDefaultFileSystem();
+    this.backend.markDirty('');
     this.saveFileSystem();
   }
 
@@ -1058,6 +2726,7 @@ class FileSystemManager {
         shortcutType: icon.type || 'app',
         shortcutIcon: icon.emoji
       };
+      this.backend.markDirty([...desktopPath, fileName].join('/'));
     }
 
     // Note: We don't save here to avoid circular updates
@@ -1105,6 +2774,7 @@ class FileSystemManager {
         isExecutable: true,
         appId: app.id
       };
+      this.backend.markDirty([...programFilesPath, folderName, exeName].join('/'));
     }
   }
 
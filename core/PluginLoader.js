@@ -16,6 +16,8 @@
  *       author: 'Author Name',
  *       features: [new MyFeature()],
  *       apps: [new MyApp()],
+ *       fileTypes: [{ extensions: ['foo'], app: 'my-app', verbs: ['open'], description: 'Foo File', icon: '🦊' }],
+ *       commands: [{ name: 'rev', description: 'Reverses lines.', usage: 'REV [text]', run: (args, io) => '...' }],
  *       onLoad: () => { },
  *       onUnload: () => { }
  *   };
@@ -24,6 +26,8 @@
 import FeatureRegistry from './FeatureRegistry.js';
 import EventBus from './EventBus.js';
 import StorageManager from './StorageManager.js';
+import FileAssociations from './FileAssociations.js';
+import CommandRegistry from './shell/CommandRegistry.js';
 
 class PluginLoaderClass {
     constructor() {
@@ -91,6 +95,18 @@ class PluginLoaderClass {
                 }
             }
 
+            // Register file types opened by any app (the plugin's own or a built-in one)
+            if (plugin.fileTypes && Array.isArray(plugin.fileTypes)) {
+                for (const entry of plugin.fileTypes) {
+                    FileAssociations.register(entry.extensions, { ...entry, program: entry.app }, plugin.id);
+                }
+            }
+
+            // Register Terminal commands (see core/shell/CommandRegistry.js)
+            if (plugin.commands && Array.isArray(plugin.commands)) {
+                CommandRegistry.registerAll(plugin.commands, plugin.id);
+            }
+
             // Call plugin's onLoad hook if provided
             if (typeof plugin.onLoad === 'function') {
                 try {
@@ -179,6 +195,10 @@ class PluginLoaderClass {
                 }
             }
 
+            // Forget the file types and commands it registered
+            FileAssociations.unregister(pluginId);
+            CommandRegistry.unregister(pluginId);
+
             // Call plugin's onUnload hook if provided
             if (typeof plugin.onUnload === 'function') {
                 try {
@@ -0,0 +1,364 @@
+/**
+ * SearchIndex - Full-text index of the virtual file system
+ * Used by Find Files, the Start menu search box and the Terminal SEARCH command.
+ *
+ * The index is an inverted word index (word -> paths) over file names and
+ * text content. It is built on first use and then kept current from
+ * fs:watch:change, which FileSystemManager emits for every create, update,
+ * delete, rename, move and copy. Replacing the whole tree (a snapshot
+ * import or reset) makes the next search rebuild it.
+ *
+ * Usage:
+ *   SearchIndex.search('budget ext:txt modified:>2024-01-01', { path: 'C:/Users' });
+ *   // [{ path, name, folder, type, extension, size, modified, score, snippet }]
+ *
+ * See core/fs/SearchQuery.js for the query syntax.
+ */
+
+import EventBus, { Events } from './SemanticEventBus.js';
+import FileSystemManager from './FileSystemManager.js';
+import { tokenize, parseQuery, hasWords, matchesFilters } from './fs/SearchQuery.js';
+import { isDataURL } from './fs/BinaryCodec.js';
+
+// Only the start of very large text files is indexed
+const MAX_INDEXED_CHARS = 256 * 1024;
+// Longest snippet shown with a result
+const SNIPPET_LENGTH = 80;
+
+class SearchIndexClass {
+    constructor() {
+        // lower-case path -> document ({ path, name, type, extension, size, modified, hidden, nameTerms, terms })
+        this.documents = new Map();
+        // term -> Set of lower-case paths
+        this.postings = new Map();
+        // Tree the index was built from; a different tree means a rebuild
+        this.root = null;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query text (see core/fs/SearchQuery.js)
+     * @param {object} options - { path: folder to search (default: everywhere),
+     *   recursive (default true), includeHidden, limit }
+     * @returns {object[]} Matches, best first
+     * @throws {Error} If a filter in the query cannot be read
+     */
+    search(query, options = {}) {
+        const parsed = parseQuery(query);
+        const { recursive = true, includeHidden = false, limit = Infinity } = options;
+        const scope = options.path ? FileSystemManager.parsePath(options.path).join('/').toLowerCase() : '';
+
+        this.ensureCurrent();
+
+        const inScope = (key) => {
+            if (!scope) return recursive || !key.includes('/');
+            if (!key.startsWith(scope + '/')) return false;
+            return recursive || !key.slice(scope.length + 1).includes('/');
+        };
+
+        const results = [];
+        for (const key of this.findCandidates(parsed)) {
+            const doc = this.documents.get(key);
+            if (!doc || !inScope(key) || (doc.hidden && !includeHidden) || !matchesFilters(parsed, doc)) {
+                continue;
+            }
+
+            const text = parsed.phrases.length > 0 || parsed.terms.length > 0 || parsed.prefixes.length > 0
+                ? this.getText(doc)
+                : '';
+            if (!parsed.phrases.every(phrase => this.containsPhrase(doc, text, phrase))) {
+                continue;
+            }
+
+            results.push({
+                path: doc.path,
+                name: doc.name,
+                folder: doc.path.split('/').slice(0, -1).join('/'),
+                type: doc.type,
+                extension: doc.extension,
+                size: doc.size,
+                modified: doc.modified,
+                score: this.score(doc, parsed),
+                snippet: this.snippet(text, parsed)
+            });
+        }
+
+        results.sort((a, b) =>
+            b.score - a.score ||
+            String(b.modified || '').localeCompare(String(a.modified || '')) ||
+            a.path.localeCompare(b.path)
+        );
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Index the whole file system again
+     */
+    rebuild() {
+        this.documents.clear();
+        this.postings.clear();
+        this.root = FileSystemManager.fileSystem;
+
+        for (const [drive, node] of Object.entries(this.root || {})) {
+            this.indexTree([drive], node, false);
+        }
+    }
+
+    /**
+     * Index size, for status lines
+     * @returns {{documents: number, terms: number}}
+     */
+    getStats() {
+        this.ensureCurrent();
+        return { documents: this.documents.size, terms: this.postings.size };
+    }
+
+    /**
+     * Build the index on first use, or again if the tree was replaced
+     */
+    ensureCurrent() {
+        if (!this.unsubscribe) {
+            this.unsubscribe = EventBus.on(Events.FS_WATCH_CHANGE, (change) => this.applyChange(change));
+        }
+        if (this.root !== FileSystemManager.fileSystem) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Update the index for one fs:watch:change event
+     * @param {object} change - { path (parent folder), changeType, fileName, oldPath?, itemType? }
+     */
+    applyChange(change) {
+        // Nothing to keep current until the first search builds the index
+        if (this.root !== FileSystemManager.fileSystem) return;
+
+        const path = change.fileName ? [change.path, change.fileName].filter(Boolean).join('/') : change.path;
+
+        // A file has nothing below it, so only its own entry needs replacing
+        const subtree = change.itemType !== 'file';
+        if (change.oldPath) {
+            this.removeTree(change.oldPath, subtree);
+        }
+        this.removeTree(path, subtree);
+
+        if (change.changeType !== 'deleted') {
+            const parts = FileSystemManager.parsePath(path);
+            const node = FileSystemManager.getNode(parts);
+            if (node) {
+                this.indexTree(parts, node, this.isInsideHidden(parts));
+            }
+        }
+    }
+
+    /**
+     * Add a node and everything below it
+     * @param {string[]} parts - Path of the node
+     * @param {object} node - File system node
+     * @param {boolean} hidden - Whether a parent folder is hidden
+     */
+    indexTree(parts, node, hidden) {
+        const isHidden = hidden || !!node.attributes?.hidden;
+
+        // Drives are not results themselves, only their contents
+        if (node.type !== 'drive') {
+            this.addDocument(parts, node, isHidden);
+        }
+        // Plain children only: the contents of opened ZIP archives are not indexed
+        for (const [name, child] of Object.entries(node.children || {})) {
+            this.indexTree([...parts, name], child, isHidden);
+        }
+    }
+
+    /**
+     * Add one file or folder
+     * @param {string[]} parts - Path of the node
+     * @param {object} node - File system node
+     * @param {boolean} hidden - Whether the node or a parent folder is hidden
+     */
+    addDocument(parts, node, hidden) {
+        const path = parts.join('/');
+        const key = path.toLowerCase();
+        const name = parts[parts.length - 1];
+        const terms = new Map();
+
+        if (node.type === 'file' && this.isText(node)) {
+            for (const term of tokenize(node.content.slice(0, MAX_INDEXED_CHARS))) {
+                terms.set(term, (terms.get(term) || 0) + 1);
+            }
+        }
+
+        const doc = {
+            path,
+            name,
+            type: node.type,
+            extension: node.type === 'file' ? (node.extension || '').toLowerCase() : '',
+            size: node.type === 'file' ? node.size || 0 : 0,
+            modified: node.modified,
+            hidden,
+            nameTerms: new Set(tokenize(name)),
+            terms
+        };
+        this.documents.set(key, doc);
+
+        for (const term of new Set([...doc.nameTerms, ...terms.keys()])) {
+            if (!this.postings.has(term)) this.postings.set(term, new Set());
+            this.postings.get(term).add(key);
+        }
+    }
+
+    /**
+     * Drop a path and, unless subtree is false, everything below it
+     * @param {string} path - Path that changed
+     * @param {boolean} subtree - Also drop the contents of a folder
+     */
+    removeTree(path, subtree = true) {
+        const key = FileSystemManager.parsePath(path).join('/').toLowerCase();
+        this.removeDocument(key);
+
+        if (subtree) {
+            const prefix = key + '/';
+            for (const docKey of [...this.documents.keys()]) {
+                if (docKey.startsWith(prefix)) this.removeDocument(docKey);
+            }
+        }
+    }
+
+    /**
+     * Drop one entry and its words
+     * @param {string} key - Lower-case path
+     */
+    removeDocument(key) {
+        const doc = this.documents.get(key);
+        if (!doc) return;
+
+        for (const term of new Set([...doc.nameTerms, ...doc.terms.keys()])) {
+            const paths = this.postings.get(term);
+            if (!paths) continue;
+            paths.delete(key);
+            if (paths.size === 0) this.postings.delete(term);
+        }
+        this.documents.delete(key);
+    }
+
+    /**
+     * Paths that contain every word of the query (all paths if it has none)
+     * @param {object} parsed - Result of parseQuery()
+     * @returns {Iterable<string>}
+     */
+    findCandidates(parsed) {
+        if (!hasWords(parsed)) {
+            return this.documents.keys();
+        }
+
+        const required = [...parsed.terms, ...parsed.phrases.flatMap(phrase => phrase.split(' '))];
+        const sets = required.map(term => this.postings.get(term) || new Set());
+
+        for (const prefix of parsed.prefixes) {
+            const matches = new Set();
+            for (const [term, paths] of this.postings) {
+                if (term.startsWith(prefix)) paths.forEach(path => matches.add(path));
+            }
+            sets.push(matches);
+        }
+
+        // Intersect starting from the rarest word
+        sets.sort((a, b) => a.size - b.size);
+        return [...sets[0]].filter(path => sets.every(set => set.has(path)));
+    }
+
+    /**
+     * Rank a match: name hits count most, then how often and how rare the words are
+     * @param {object} doc - Indexed document
+     * @param {object} parsed - Result of parseQuery()
+     * @returns {number}
+     */
+    score(doc, parsed) {
+        const total = this.documents.size;
+        const weigh = (term) => {
+            const rarity = Math.log(1 + total / (this.postings.get(term)?.size || 1));
+            const count = doc.terms.get(term) || 0;
+            return (doc.nameTerms.has(term) ? 3 * rarity : 0) + (count > 0 ? (1 + Math.log(count)) * rarity : 0);
+        };
+
+        let score = parsed.terms.reduce((sum, term) => sum + weigh(term), 0);
+        for (const prefix of parsed.prefixes) {
+            const best = [...doc.nameTerms, ...doc.terms.keys()].filter(term => term.startsWith(prefix));
+            score += best.length > 0 ? Math.max(...best.map(weigh)) : 0;
+        }
+        score += parsed.phrases.length * 2;
+
+        return Math.round(score * 100) / 100;
+    }
+
+    /**
+     * Check that a phrase appears word for word in the name or the text
+     * @param {object} doc - Indexed document
+     * @param {string} text - Its text content
+     * @param {string} phrase - Words separated by single spaces
+     * @returns {boolean}
+     */
+    containsPhrase(doc, text, phrase) {
+        return tokenize(doc.name).join(' ').includes(phrase) ||
+            tokenize(text.slice(0, MAX_INDEXED_CHARS)).join(' ').includes(phrase);
+    }
+
+    /**
+     * The line around the first matching word, for display
+     * @param {string} text - Text content
+     * @param {object} parsed - Result of parseQuery()
+     * @returns {string}
+     */
+    snippet(text, parsed) {
+        if (!text) return '';
+
+        const words = [...parsed.phrases.map(phrase => phrase.split(' ')[0]), ...parsed.terms, ...parsed.prefixes];
+        const lines = text.slice(0, MAX_INDEXED_CHARS).split(/\r?\n/);
+        const line = lines.find(candidate => {
+            const terms = tokenize(candidate);
+            return words.some(word => terms.some(term => term.startsWith(word)));
+        });
+        if (!line) return '';
+
+        const trimmed = line.trim().replace(/\s+/g, ' ');
+        return trimmed.length > SNIPPET_LENGTH ? trimmed.slice(0, SNIPPET_LENGTH - 3) + '...' : trimmed;
+    }
+
+    /**
+     * Current text content of an indexed file ('' for folders and binary files)
+     * @param {object} doc - Indexed document
+     * @returns {string}
+     */
+    getText(doc) {
+        if (doc.type !== 'file') return '';
+        const node = FileSystemManager.getNode(doc.path);
+        return node && this.isText(node) ? node.content : '';
+    }
+
+    /**
+     * @param {object} node - File node
+     * @returns {boolean} True for text content worth indexing
+     */
+    isText(node) {
+        return !node.binary && typeof node.content === 'string' && !isDataURL(node.content);
+    }
+
+    /**
+     * Check whether any folder above a path is hidden
+     * @param {string[]} parts - Path
+     * @returns {boolean}
+     */
+    isInsideHidden(parts) {
+        for (let i = 1; i < parts.length; i++) {
+            if (FileSystemManager.getNode(parts.slice(0, i))?.attributes?.hidden) return true;
+        }
+        return false;
+    }
+}
+
+// Singleton instance
+const SearchIndex = new SearchIndexClass();
+
+export { SearchIndex };
+export default SearchIndex;
@@ -1119,7 +1119,19 @@ export const Events = {
     FS_DIRECTORY_OPEN: 'fs:directory:open',
     FS_ERROR: 'fs:error',
     FS_PERMISSION_DENIED: 'fs:permission:denied',
+    FS_ATTRIBUTES_CHANGE: 'fs:attributes:change',
     FS_WATCH_CHANGE: 'fs:watch:change',
+    FS_DRIVE_MOUNT: 'fs:drive:mount',
+    FS_DRIVE_EJECT: 'fs:drive:eject',
+    FS_VERSION_RESTORE: 'fs:version:restore',
+    FS_RECYCLE: 'fs:recycle',
+    FS_RECYCLE_RESTORE: 'fs:recycle:restore',
+
+    // Cross-tab sync events
+    SYNC_CONFLICT: 'sync:conflict',
+
+    // File type association events
+    FILETYPE_CHANGE: 'filetype:change',
 
     // Recycle bin events
     RECYCLEBIN_UPDATE: 'recyclebin:update',
@@ -1287,6 +1299,9 @@ export const Events = {
     TERMINAL_ERROR: 'terminal:error',
     TERMINAL_CWD_CHANGE: 'terminal:cwd:change',
     TERMINAL_MATRIX: 'terminal:matrix',
+    TERMINAL_JOB_START: 'terminal:job:start',
+    TERMINAL_JOB_STATE: 'terminal:job:state',
+    TERMINAL_JOB_END: 'terminal:job:end',
 
     // BSOD events
     BSOD_SHOW: 'bsod:show'
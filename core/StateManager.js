@@ -10,6 +10,8 @@
 
 import EventBus, { Events } from './EventBus.js';
 import StorageManager from './StorageManager.js';
+import FileSystemManager from './FileSystemManager.js';
+import { serializeTree, deserializeTree } from './fs/BinaryCodec.js';
 
 // Default desktop icons (used when localStorage is empty)
 const DEFAULT_ICONS = [
@@ -27,6 +29,20 @@ const DEFAULT_ICONS = [
 
 ];
 
+// State paths saved by persistState(), and the StorageManager key each is saved under
+const STORAGE_KEYS = {
+    'icons': 'desktopIcons',
+    'filePositions': 'filePositions',
+    'menuItems': 'menuItems',
+    'recycledItems': 'recycledItems',
+    'achievements': 'achievements',
+    'settings.sound': 'soundEnabled',
+    'settings.crtEffect': 'crtEnabled',
+    'settings.pet.enabled': 'petEnabled',
+    'settings.pet.type': 'currentPet',
+    'user.hasVisited': 'hasVisited'
+};
+
 
 class StateManagerClass {
     constructor() {
@@ -200,22 +216,26 @@ class StateManagerClass {
      * @param {*} value - Value to persist
      */
     persistState(path, value) {
-        const storageMap = {
-            'icons': 'desktopIcons',
-            'filePositions': 'filePositions',
-            'menuItems': 'menuItems',
-            'recycledItems': 'recycledItems',
-            'achievements': 'achievements',
-            'settings.sound': 'soundEnabled',
-            'settings.crtEffect': 'crtEnabled',
-            'settings.pet.enabled': 'petEnabled',
-            'settings.pet.type': 'currentPet',
-            'user.hasVisited': 'hasVisited'
-        };
+        if (STORAGE_KEYS[path]) {
+            StorageManager.set(STORAGE_KEYS[path], value);
+        }
+    }
 
-        if (storageMap[path]) {
-            StorageManager.set(storageMap[path], value);
+    /**
+     * Take a value another tab saved to storage, without saving it again
+     * @param {string} storageKey - StorageManager key (unprefixed)
+     * @param {*} value - Parsed new value (null if it was removed)
+     * @returns {boolean} False if the key is not part of the state
+     */
+    applyStoredValue(storageKey, value) {
+        const path = Object.keys(STORAGE_KEYS).find(key => STORAGE_KEYS[key] === storageKey);
+        if (!path) return false;
+
+        if (path === 'icons' && value === null) {
+            value = [...DEFAULT_ICONS];
         }
+        this.setState(path, value);
+        return true;
     }
 
     // ===== Window State Helpers =====
@@ -430,7 +450,7 @@ class StateManagerClass {
             },
 
             // Complete File System
-            fileSystem: StorageManager.get('fileSystem'),
+            fileSystem: serializeTree(FileSystemManager.fileSystem),
 
             // Display Settings
             displaySettings: {
@@ -567,7 +587,7 @@ class StateManagerClass {
 
             // 2. Import file system
             if (data.fileSystem) {
-                StorageManager.set('fileSystem', data.fileSystem);
+                FileSystemManager.importFileSystem(deserializeTree(data.fileSystem));
             }
 
             // 3. Import display settings
@@ -672,7 +692,8 @@ class StateManagerClass {
     /**
      * Reset all state to defaults
      */
-    reset() {
+    async reset() {
+        await FileSystemManager.clearStorage();
         StorageManager.clear();
         window.location.reload();
     }
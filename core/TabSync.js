@@ -0,0 +1,309 @@
+/**
+ * TabSync - Keeps IlluminatOS tabs open in the same browser in step
+ * Initialized by index.js right after StateManager.
+ *
+ * File system changes are sent to the other tabs as they happen: every
+ * fs:watch:change is broadcast with the node now at that path, and the
+ * receiving tab applies it through FileSystemManager.applyRemoteChange(),
+ * which reports it again with remote: true (so it is not sent back).
+ * Replacing the whole tree (snapshot import or reset) sends the whole tree.
+ * Messages go over a BroadcastChannel, or through a localStorage key where
+ * BroadcastChannel is missing.
+ *
+ * Settings and desktop state need no messages: StorageManager writes to
+ * localStorage, whose "storage" event fires in the other tabs. State kept by
+ * StateManager (icons, positions, achievements...) is updated there; any
+ * other key is re-emitted as setting:changed with remote: true.
+ *
+ * Conflicts: each change carries the modified time of the version the
+ * sending tab last knew. If the receiving tab has saved the same file since
+ * then, both tabs edited it at once. The newer save wins in every tab; the
+ * tab that loses keeps its own content as "name (conflicted copy).ext".
+ * Both tabs emit sync:conflict.
+ */
+
+import EventBus, { Events } from './SemanticEventBus.js';
+import StorageManager from './StorageManager.js';
+import StateManager from './StateManager.js';
+import FileSystemManager from './FileSystemManager.js';
+import { TAB_SYNC, FS_STORAGE, FS_VERSIONS } from './Constants.js';
+import * as Path from './fs/Path.js';
+import { serializeTree, deserializeTree, isBinaryData } from './fs/BinaryCodec.js';
+
+class TabSyncClass {
+    constructor() {
+        // Tells this tab's messages apart; also breaks ties between equal saves
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        this.channel = null;
+        // Tree last sent or received whole; a different tree means it was replaced
+        this.root = null;
+        // lower-case path -> { modified, local } for the last version of each file
+        // this tab saved (local) or received
+        this.versions = new Map();
+        this.initialized = false;
+    }
+
+    /**
+     * Start listening to this tab's changes and the other tabs' messages
+     */
+    initialize() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this.root = FileSystemManager.fileSystem;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(TAB_SYNC.CHANNEL);
+            this.channel.onmessage = (event) => this.receive(event.data);
+        }
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (event) => this.handleStorage(event));
+        }
+
+        EventBus.on(Events.FS_WATCH_CHANGE, (change) => this.sendChange(change));
+        EventBus.on(Events.FILESYSTEM_CHANGED, () => this.sendTree());
+
+        // This tab loaded everything the others saved so far
+        this.post({ type: 'hello' });
+    }
+
+    /**
+     * Broadcast one fs:watch:change made in this tab
+     * @param {object} change - { path (parent folder), changeType, fileName, oldPath?, itemType?, remote? }
+     */
+    sendChange(change) {
+        if (change.remote || this.root !== FileSystemManager.fileSystem) return;
+
+        const path = change.fileName ? [change.path, change.fileName].filter(Boolean).join('/') : change.path;
+        const node = change.changeType === 'deleted' ? null : FileSystemManager.getNode(path);
+        if (change.changeType !== 'deleted' && !node) return;
+
+        const key = path.toLowerCase();
+        const base = this.versions.get(key)?.modified ?? null;
+        if (change.oldPath) {
+            this.versions.delete(change.oldPath.toLowerCase());
+        }
+        if (node?.type === 'file') {
+            this.versions.set(key, { modified: node.modified, local: true });
+        } else {
+            this.versions.delete(key);
+        }
+
+        this.post({
+            type: 'fs:change',
+            change: {
+                changeType: change.changeType,
+                path,
+                ...(change.oldPath && { oldPath: change.oldPath }),
+                ...(change.itemType && { itemType: change.itemType })
+            },
+            node,
+            base
+        });
+    }
+
+    /**
+     * Broadcast the whole tree after it was replaced in this tab
+     */
+    sendTree() {
+        if (this.root === FileSystemManager.fileSystem) return;
+        this.root = FileSystemManager.fileSystem;
+        this.versions.clear();
+        this.post({ type: 'fs:tree', tree: this.root });
+    }
+
+    /**
+     * Handle a message from another tab
+     * @param {object} message - { type, tabId, ... }
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        try {
+            switch (message.type) {
+                case 'hello':
+                    // The new tab has already seen this tab's saves
+                    for (const record of this.versions.values()) record.local = false;
+                    break;
+                case 'fs:change':
+                    this.receiveChange(message);
+                    break;
+                case 'fs:tree':
+                    this.root = message.tree;
+                    this.versions.clear();
+                    FileSystemManager.importFileSystem(message.tree);
+                    break;
+            }
+        } catch (e) {
+            console.error('[TabSync] Could not apply change from another tab:', e);
+        }
+    }
+
+    /**
+     * Apply a file system change from another tab, unless it loses a conflict
+     * @param {object} message - { change, node, base, tabId }
+     */
+    receiveChange({ change, node, base, tabId }) {
+        const key = change.path.toLowerCase();
+        const record = this.versions.get(key);
+
+        if (node?.type === 'file' && record?.local && record.modified !== base) {
+            const local = FileSystemManager.getNode(change.path);
+            if (local?.type === 'file' && local.modified === record.modified &&
+                !this.sameContent(local, node) && !this.resolveConflict(change.path, local, node, tabId)) {
+                return;
+            }
+        }
+
+        if (change.oldPath) {
+            this.versions.delete(change.oldPath.toLowerCase());
+        }
+        if (node?.type === 'file') {
+            this.versions.set(key, { modified: node.modified, local: false });
+        } else {
+            this.versions.delete(key);
+        }
+
+        FileSystemManager.applyRemoteChange(change, node);
+    }
+
+    /**
+     * Settle a file saved in this tab and in another one at the same time
+     * @param {string} path - File path
+     * @param {object} local - This tab's node
+     * @param {object} remote - The other tab's node
+     * @param {string} remoteTabId - The other tab
+     * @returns {boolean} True if the other tab's version should be applied
+     */
+    resolveConflict(path, local, remote, remoteTabId) {
+        const localWins = local.modified > remote.modified ||
+            (local.modified === remote.modified && this.tabId > remoteTabId);
+
+        if (localWins) {
+            EventBus.emit(Events.SYNC_CONFLICT, { path, kept: 'local' });
+            return false;
+        }
+
+        let copyPath = null;
+        try {
+            copyPath = this.getConflictCopyPath(path);
+            if (local.binary && isBinaryData(local.content)) {
+                FileSystemManager.writeFileBinary(copyPath, local.content, { mimeType: local.mimeType });
+            } else {
+                FileSystemManager.writeFile(copyPath, local.content);
+            }
+        } catch (e) {
+            console.warn('[TabSync] Could not keep conflicted copy of', path, e);
+            copyPath = null;
+        }
+
+        EventBus.emit(Events.SYNC_CONFLICT, { path, kept: 'remote', ...(copyPath && { copyPath }) });
+        EventBus.emit('dialog:alert', {
+            title: 'File Conflict',
+            message: copyPath
+                ? `${path} was changed in another window at the same time. Your version was saved as ${copyPath}.`
+                : `${path} was changed in another window at the same time. Your version was replaced.`,
+            icon: 'warning'
+        });
+        return true;
+    }
+
+    /**
+     * A free "name (conflicted copy).ext" path next to a file
+     * @param {string} path - File path
+     * @returns {string}
+     */
+    getConflictCopyPath(path) {
+        const parts = FileSystemManager.parsePath(path);
+        const name = parts[parts.length - 1];
+        const extension = Path.extname(name);
+        const stem = Path.basename(name, extension);
+
+        for (let n = 1; ; n++) {
+            const suffix = n === 1 ? TAB_SYNC.CONFLICT_SUFFIX : TAB_SYNC.CONFLICT_SUFFIX.replace(')', ` ${n})`);
+            const candidate = [...parts.slice(0, -1), `${stem}${suffix}${extension}`].join('/');
+            if (!FileSystemManager.exists(candidate)) return candidate;
+        }
+    }
+
+    /**
+     * @param {object} a - File node
+     * @param {object} b - File node
+     * @returns {boolean} True if both hold the same content
+     */
+    sameContent(a, b) {
+        if (isBinaryData(a.content) || isBinaryData(b.content)) {
+            return FileSystemManager.sameBytes(a.content, b.content);
+        }
+        return a.content === b.content;
+    }
+
+    /**
+     * Handle a localStorage change made by another tab
+     * @param {StorageEvent} event
+     */
+    handleStorage(event) {
+        if (!event.key || !event.key.startsWith(StorageManager.prefix)) return;
+
+        const key = event.key.slice(StorageManager.prefix.length);
+        const value = this.parse(event.newValue);
+
+        if (key === TAB_SYNC.STORAGE_KEY) {
+            if (value) this.receive(deserializeTree(value));
+            return;
+        }
+        // Tree changes arrive as messages
+        if (key === FS_STORAGE.LEGACY_KEY) return;
+
+        if (key === FS_VERSIONS.POLICY_KEY) {
+            FileSystemManager.versionPolicy = null;
+        } else if (StateManager.applyStoredValue(key, value)) {
+            if (key === 'filePositions') EventBus.emit(Events.DESKTOP_RENDER);
+            return;
+        }
+
+        EventBus.emit(Events.SETTING_CHANGED, {
+            key,
+            value,
+            oldValue: this.parse(event.oldValue),
+            remote: true
+        });
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {object} message - { type, ... }
+     */
+    post(message) {
+        const full = { ...message, tabId: this.tabId };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(full);
+            } else if (StorageManager.available) {
+                // Setting the key fires "storage" in the other tabs; it is not kept
+                StorageManager.set(TAB_SYNC.STORAGE_KEY, serializeTree(full));
+                StorageManager.remove(TAB_SYNC.STORAGE_KEY);
+            }
+        } catch (e) {
+            console.warn('[TabSync] Could not send', message.type, e);
+        }
+    }
+
+    /**
+     * @param {string|null} text - Raw localStorage value
+     * @returns {*} Parsed value, or null
+     */
+    parse(text) {
+        if (text === null || text === undefined) return null;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+}
+
+// Singleton instance
+const TabSync = new TabSyncClass();
+
+export { TabSync };
+export default TabSync;
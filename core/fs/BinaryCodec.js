@@ -0,0 +1,194 @@
+/**
+ * BinaryCodec - Helpers for binary file content in the virtual file system
+ *
+ * Binary file nodes keep their bytes as an ArrayBuffer in `content` and are
+ * flagged with `binary: true`. IndexedDB stores ArrayBuffers natively, but
+ * JSON targets (localStorage, snapshot export) need them encoded, which is
+ * what serializeTree()/deserializeTree() do.
+ */
+
+// Marker key used when an ArrayBuffer is encoded for JSON
+const BASE64_KEY = '$base64';
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    ico: 'image/x-icon',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    avi: 'video/x-msvideo',
+    mkv: 'video/x-matroska',
+    zip: 'application/zip',
+    pdf: 'application/pdf',
+    json: 'application/json',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    html: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript'
+};
+
+/**
+ * Guess a MIME type from a file extension
+ * @param {string} extension - Extension without the dot
+ * @returns {string} MIME type (application/octet-stream if unknown)
+ */
+export function getMimeType(extension) {
+    return MIME_TYPES[(extension || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Check whether a value holds raw bytes
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isBinaryData(value) {
+    return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Copy bytes into a standalone ArrayBuffer
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {ArrayBuffer}
+ */
+export function toArrayBuffer(data) {
+    if (data instanceof ArrayBuffer) {
+        return data.slice(0);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    throw new TypeError('Expected ArrayBuffer or typed array');
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function encodeBase64(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(toArrayBuffer(data));
+    let binary = '';
+    // Chunked to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function decodeBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Check whether a string is a base64 data URL
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isDataURL(value) {
+    return typeof value === 'string' && /^data:[^,]*;base64,/.test(value);
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} dataURL
+ * @returns {{ bytes: Uint8Array, mimeType: string }}
+ */
+export function dataURLToBytes(dataURL) {
+    const comma = dataURL.indexOf(',');
+    const header = dataURL.slice(5, comma);
+    return {
+        bytes: decodeBase64(dataURL.slice(comma + 1)),
+        mimeType: header.split(';')[0] || 'application/octet-stream'
+    };
+}
+
+/**
+ * Encode bytes as a data URL
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function bytesToDataURL(data, mimeType = 'application/octet-stream') {
+    return `data:${mimeType};base64,${encodeBase64(data)}`;
+}
+
+/**
+ * Deep copy a node, preserving ArrayBuffers (JSON round-trips would not)
+ * @param {object} node
+ * @returns {object}
+ */
+export function cloneNode(node) {
+    if (typeof structuredClone === 'function') {
+        return structuredClone(node);
+    }
+    return deserializeTree(JSON.parse(JSON.stringify(serializeTree(node))));
+}
+
+/**
+ * Produce a JSON-safe copy of a tree with binary content base64-encoded
+ * @param {object} tree - Tree or single node
+ * @returns {object}
+ */
+export function serializeTree(tree) {
+    return mapTree(tree, (value) => ({ [BASE64_KEY]: encodeBase64(value) }), isBinaryData);
+}
+
+/**
+ * Reverse of serializeTree()
+ * @param {object} tree - JSON-parsed tree
+ * @returns {object}
+ */
+export function deserializeTree(tree) {
+    return mapTree(
+        tree,
+        (value) => decodeBase64(value[BASE64_KEY]).buffer,
+        (value) => value !== null && typeof value === 'object' && typeof value[BASE64_KEY] === 'string'
+    );
+}
+
+/**
+ * Copy a tree, replacing values that match a predicate
+ * @private
+ */
+function mapTree(value, transform, matches) {
+    if (matches(value)) {
+        return transform(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => mapTree(item, transform, matches));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            // Defined rather than assigned, so a "__proto__" key stays a key
+            Object.defineProperty(result, key, {
+                value: mapTree(item, transform, matches),
+                enumerable: true,
+                writable: true,
+                configurable: true
+            });
+        }
+        return result;
+    }
+    return value;
+}
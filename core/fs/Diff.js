@@ -0,0 +1,110 @@
+/**
+ * Diff - Line-by-line comparison of two texts
+ * Used by the Properties dialog to compare a file with a previous version.
+ *
+ * Usage:
+ *   diffLines('a\nb\nc', 'a\nc\nd')
+ *   // [{ type: 'same', text: 'a' }, { type: 'removed', text: 'b' },
+ *   //  { type: 'same', text: 'c' }, { type: 'added', text: 'd' }]
+ */
+
+// Above this many line pairs the middle of the texts is reported as replaced wholesale
+const MAX_CELLS = 1000000;
+
+/**
+ * Compare two texts line by line (longest common subsequence)
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // Common head and tail need no table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+
+    if (middleA.length * middleB.length > MAX_CELLS) {
+        return [
+            ...head,
+            ...middleA.map(text => ({ type: 'removed', text })),
+            ...middleB.map(text => ({ type: 'added', text })),
+            ...tail
+        ];
+    }
+
+    return [...head, ...diffMiddle(middleA, middleB), ...tail];
+}
+
+/**
+ * Summarize a diff as counts of added and removed lines
+ * @param {Array<{type: string}>} diff - Result of diffLines()
+ * @returns {{added: number, removed: number}}
+ */
+export function diffStats(diff) {
+    return {
+        added: diff.filter(line => line.type === 'added').length,
+        removed: diff.filter(line => line.type === 'removed').length
+    };
+}
+
+/**
+ * LCS table walk for the lines that differ
+ * @private
+ */
+function diffMiddle(a, b) {
+    const width = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            result.push({ type: 'removed', text: a[i++] });
+        } else {
+            result.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+    return result;
+}
+
+/**
+ * @private
+ */
+function splitLines(text) {
+    const value = String(text ?? '');
+    return value === '' ? [] : value.replace(/\r\n?/g, '\n').split('\n');
+}
+
+export default {
+    diffLines,
+    diffStats
+};
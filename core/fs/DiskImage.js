@@ -0,0 +1,253 @@
+/**
+ * DiskImage - Turn JSON or ZIP disk images into drive contents
+ * Used by FileSystemManager.mountImage() for the A: and D: drives.
+ *
+ * JSON images describe a folder tree. Values may be full nodes (as found in
+ * a file system snapshot, binary content as { "$base64": ... }) or a
+ * shorthand where a string is a text file and an object is a folder:
+ *
+ *   {
+ *     "label": "GAMES",
+ *     "readOnly": true,
+ *     "files": {
+ *       "README.TXT": "Insert disk 2 to continue...",
+ *       "LEVELS": { "level1.txt": "####" }
+ *     }
+ *   }
+ *
+ * The wrapper is optional; an object without "files"/"children" is taken
+ * as the file map itself. ZIP images are unpacked with core/fs/Zip.js;
+ * entries that are not valid UTF-8 text become binary files.
+ */
+
+import * as Path from './Path.js';
+import { isZip, readZip } from './Zip.js';
+import { getMimeType, isBinaryData, toArrayBuffer, deserializeTree } from './BinaryCodec.js';
+
+// Extensions whose bytes are never decoded as text, even if they happen to be valid UTF-8
+const BINARY_MIME = /^(image\/(?!svg)|audio\/|video\/|application\/(zip|pdf))/;
+
+// DOS volume labels are at most 11 characters
+const MAX_LABEL_LENGTH = 11;
+
+/**
+ * Parse a disk image
+ * @param {ArrayBuffer|ArrayBufferView|string|object} data - Image bytes, JSON text or parsed JSON
+ * @param {object} options - { name } file name the image came from (used for the default label)
+ * @returns {Promise<{format: string, label: string, readOnly: boolean, children: object}>}
+ */
+export async function parseDiskImage(data, options = {}) {
+    const defaultLabel = volumeLabel(Path.basename(options.name || '', Path.extname(options.name || '')));
+
+    if (isBinaryData(data) && isZip(data)) {
+        return {
+            format: 'zip',
+            label: defaultLabel,
+            readOnly: false,
+            children: treeFromZipEntries(await readZip(data))
+        };
+    }
+
+    let json = data;
+    if (isBinaryData(data)) {
+        json = new TextDecoder().decode(data);
+    }
+    if (typeof json === 'string') {
+        try {
+            json = JSON.parse(json);
+        } catch (e) {
+            throw new Error('Unrecognized disk image (expected JSON or ZIP)');
+        }
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('Unrecognized disk image (expected JSON or ZIP)');
+    }
+
+    json = deserializeTree(json);
+    const files = json.files || json.children;
+    const wrapped = files && typeof files === 'object';
+
+    return {
+        format: 'json',
+        label: volumeLabel(wrapped && json.label) || defaultLabel,
+        readOnly: !!(wrapped && json.readOnly),
+        children: normalizeChildren(wrapped ? files : json)
+    };
+}
+
+/**
+ * Build a file node from raw bytes, as text when they decode cleanly
+ * @param {string} name - File name (for the extension and MIME type)
+ * @param {Uint8Array} bytes - Content
+ * @param {Date|string} [modified] - Timestamp (defaults to now)
+ * @returns {object} File node
+ */
+export function fileNodeFromBytes(name, bytes, modified) {
+    const extension = extensionOf(name);
+    const mimeType = getMimeType(extension);
+    const text = BINARY_MIME.test(mimeType) ? null : decodeText(bytes);
+
+    if (text !== null) {
+        return textFileNode(name, text, modified);
+    }
+
+    const timestamp = toTimestamp(modified);
+    const buffer = toArrayBuffer(bytes);
+    return {
+        type: 'file',
+        content: buffer,
+        binary: true,
+        mimeType,
+        extension,
+        size: buffer.byteLength,
+        created: timestamp,
+        modified: timestamp,
+        attributes: { archive: true }
+    };
+}
+
+/**
+ * Build a folder tree from readZip() entries
+ * @param {object[]} entries - ZIP entries
+ * @returns {object} Children map
+ */
+export function treeFromZipEntries(entries) {
+    const root = {};
+
+    for (const entry of entries) {
+        // "." and ".." are dropped rather than resolved, so nothing escapes the image
+        const parts = entry.name.split('/').filter(part => part && part !== '.' && part !== '..');
+        // "__proto__" would replace a folder's prototype instead of adding an entry
+        if (parts.length === 0 || parts.includes('__proto__')) continue;
+
+        let container = root;
+        const folders = entry.directory ? parts : parts.slice(0, -1);
+
+        for (const folder of folders) {
+            let key = Path.findKey(container, folder);
+            if (key === null || container[key].type !== 'directory') {
+                key = folder;
+                const timestamp = toTimestamp(entry.modified);
+                container[key] = { type: 'directory', children: {}, created: timestamp, modified: timestamp };
+            }
+            container = container[key].children;
+        }
+
+        if (!entry.directory) {
+            const name = parts[parts.length - 1];
+            container[Path.findKey(container, name) ?? name] = fileNodeFromBytes(name, entry.data, entry.modified);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Normalize a JSON file map into file system nodes
+ * @private
+ */
+function normalizeChildren(map) {
+    const children = {};
+    for (const [name, value] of Object.entries(map)) {
+        // "__proto__" would replace the map's prototype instead of adding a file
+        if (!name || /[\\/]/.test(name) || name === '.' || name === '..' || name === '__proto__') {
+            throw new Error(`Invalid name in disk image: "${name}"`);
+        }
+        children[name] = normalizeNode(name, value);
+    }
+    return children;
+}
+
+/**
+ * @private
+ */
+function normalizeNode(name, value) {
+    if (typeof value === 'string') {
+        return textFileNode(name, value);
+    }
+    if (isBinaryData(value)) {
+        return fileNodeFromBytes(name, new Uint8Array(toArrayBuffer(value)));
+    }
+    if (!value || typeof value !== 'object') {
+        throw new Error(`Invalid entry in disk image: "${name}"`);
+    }
+
+    if (value.type === 'file') {
+        const content = value.content ?? '';
+        const base = isBinaryData(content)
+            ? fileNodeFromBytes(name, new Uint8Array(toArrayBuffer(content)), value.modified)
+            : textFileNode(name, String(content), value.modified);
+        // Keep metadata such as attributes or shortcut targets
+        return { ...base, ...value, content: base.content, size: base.size };
+    }
+
+    if (value.type === 'directory' || !value.type) {
+        const timestamp = toTimestamp(value.modified);
+        return {
+            created: timestamp,
+            modified: timestamp,
+            ...(value.type ? value : {}),
+            type: 'directory',
+            children: normalizeChildren(value.type ? (value.children || {}) : value)
+        };
+    }
+
+    throw new Error(`Invalid entry type in disk image: "${name}" (${value.type})`);
+}
+
+/**
+ * @private
+ */
+function textFileNode(name, content, modified) {
+    const timestamp = toTimestamp(modified);
+    return {
+        type: 'file',
+        content,
+        extension: extensionOf(name),
+        size: content.length,
+        created: timestamp,
+        modified: timestamp,
+        attributes: { archive: true }
+    };
+}
+
+/**
+ * Decode UTF-8 text, or null if the bytes do not look like text
+ * @private
+ */
+function decodeText(bytes) {
+    if (bytes.includes(0)) return null;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @private
+ */
+function extensionOf(name) {
+    return Path.extname(name).slice(1).toLowerCase();
+}
+
+/**
+ * @private
+ */
+function volumeLabel(label) {
+    return label ? String(label).trim().toUpperCase().slice(0, MAX_LABEL_LENGTH) : '';
+}
+
+/**
+ * @private
+ */
+function toTimestamp(value) {
+    const date = value ? new Date(value) : new Date();
+    return isNaN(date) ? new Date().toISOString() : date.toISOString();
+}
+
+export default {
+    parseDiskImage,
+    fileNodeFromBytes,
+    treeFromZipEntries
+};
@@ -0,0 +1,55 @@
+/**
+ * Glob - DOS-style wildcards in file names
+ *
+ * "*" matches any run of characters and "?" exactly one character, without
+ * regard to case. As in DOS, "*.*" matches every name, with or without a dot.
+ * These helpers only compare names; FileSystemManager.glob() expands a
+ * pattern against the file system, so Terminal commands, FOR and the
+ * RetroScript glob() builtin all agree on what a pattern matches.
+ *
+ * Usage:
+ *   hasWildcards('docs\\*.txt')       // true
+ *   matches('Report.TXT', '*.txt')    // true
+ *   matches('a1.log', 'a?.log')       // true
+ *   matches('README', '*.*')          // true
+ */
+
+/**
+ * Check whether a name or path contains * or ?
+ * @param {string|string[]} pattern
+ * @returns {boolean}
+ */
+export function hasWildcards(pattern) {
+    const text = Array.isArray(pattern) ? pattern.join('/') : String(pattern ?? '');
+    return /[*?]/.test(text);
+}
+
+/**
+ * Turn a wildcard name into a case-insensitive regular expression
+ * @param {string} pattern - A name such as "*.txt" (no directories)
+ * @returns {RegExp}
+ */
+export function toRegExp(pattern) {
+    const name = String(pattern) === '*.*' ? '*' : String(pattern);
+    const source = name
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a name against a wildcard pattern
+ * @param {string} name
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matches(name, pattern) {
+    return toRegExp(pattern).test(String(name));
+}
+
+export default {
+    hasWildcards,
+    toRegExp,
+    matches
+};
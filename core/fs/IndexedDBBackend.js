@@ -0,0 +1,373 @@
+/**
+ * IndexedDBBackend - Incremental storage for the virtual file system
+ *
+ * Every node (drive, directory or file) is stored as its own record keyed
+ * by its full path, so saving after a keystroke only rewrites the records
+ * that actually changed instead of the whole C:/D:/A: tree.
+ *
+ * FileSystemManager keeps working synchronously against its in-memory tree
+ * and reports each changed path with markDirty(); save() just schedules a
+ * write-behind flush that rewrites those paths (and everything under them)
+ * in one transaction. A save with nothing marked rewrites the whole tree.
+ *
+ * Record shape:
+ *   { path: 'C:/Users/User', parent: 'C:/Users', name: 'User', node: {...} }
+ * where node is the tree node without its children map.
+ */
+
+import { FS_STORAGE } from '../Constants.js';
+
+class IndexedDBBackend {
+    constructor(options = {}) {
+        this.name = 'indexedDB';
+        this.dbName = options.dbName || FS_STORAGE.DB_NAME;
+        this.storeName = options.storeName || FS_STORAGE.STORE_NAME;
+        this.flushDelay = options.flushDelay ?? FS_STORAGE.FLUSH_DELAY;
+
+        this.db = null;
+        // parent path -> Set of stored record paths directly under it ('' for drives)
+        this.stored = new Map();
+        // Paths changed since the last flush ('' is the whole tree)
+        this.dirty = new Set();
+        this.pendingTree = null;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Check whether IndexedDB exists in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     * @returns {Promise<boolean>} False if IndexedDB cannot be used
+     */
+    open() {
+        if (!IndexedDBBackend.isSupported()) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            let request;
+            try {
+                request = indexedDB.open(this.dbName, FS_STORAGE.DB_VERSION);
+            } catch (e) {
+                console.warn('[IndexedDBBackend] open failed:', e);
+                resolve(false);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'path' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+            request.onerror = () => {
+                console.warn('[IndexedDBBackend] open failed:', request.error);
+                resolve(false);
+            };
+            request.onblocked = () => {
+                console.warn('[IndexedDBBackend] open blocked by another tab');
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Load every record and rebuild the drive tree
+     * @returns {Promise<object|null>} Tree, or null if the store is empty
+     */
+    load() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).getAll();
+
+            request.onsuccess = () => {
+                const records = request.result || [];
+                if (records.length === 0) {
+                    resolve(null);
+                    return;
+                }
+
+                // Parents must exist before children are attached
+                records.sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+
+                const root = {};
+                const byPath = new Map([['', root]]);
+                this.stored.clear();
+
+                for (const record of records) {
+                    const parent = byPath.get(record.parent);
+                    if (!parent) {
+                        console.warn(`[IndexedDBBackend] Orphaned record skipped: ${record.path}`);
+                        continue;
+                    }
+
+                    const node = { ...record.node };
+                    if (node.type === 'drive' || node.type === 'directory') {
+                        node.children = {};
+                    }
+
+                    const container = parent === root ? root : parent.children;
+                    container[record.name] = node;
+                    byPath.set(record.path, node);
+                    this.addStored(record.path, record.parent);
+                }
+
+                resolve(root);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Note a changed path so the next flush writes it
+     * @param {string} path - Path of a changed node, as stored ('' for the whole tree);
+     *   a directory covers everything under it, a removed node is deleted
+     */
+    markDirty(path) {
+        this.dirty.add(path);
+    }
+
+    /**
+     * Schedule a write-behind flush of the tree
+     * @param {object} fileSystem - Full drive tree (the live object)
+     */
+    save(fileSystem) {
+        this.pendingTree = fileSystem;
+
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    /**
+     * Write pending changes now
+     * @returns {Promise<void>} Resolves once everything scheduled so far is written
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        const tree = this.pendingTree;
+        const paths = this.dirty.size > 0 ? [...this.dirty] : [''];
+        this.pendingTree = null;
+        this.dirty = new Set();
+
+        if (tree && this.db) {
+            this.writing = this.writing
+                .then(() => this.writePaths(tree, paths))
+                .catch((e) => {
+                    console.error('[IndexedDBBackend] Flush failed:', e);
+                });
+        }
+
+        return this.writing;
+    }
+
+    /**
+     * Replace the stored tree wholesale (used for migration and imports)
+     * @param {object} fileSystem - Full drive tree
+     * @returns {Promise<void>}
+     */
+    async import(fileSystem) {
+        await this.clear();
+        this.pendingTree = fileSystem;
+        await this.flush();
+    }
+
+    /**
+     * Erase all stored records, once any write already under way is done
+     * @returns {Promise<void>}
+     */
+    clear() {
+        this.pendingTree = null;
+        this.dirty.clear();
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.db) return Promise.resolve();
+
+        const cleared = this.writing.then(() => new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, 'readwrite');
+            tx.objectStore(this.storeName).clear();
+            tx.oncomplete = () => {
+                this.stored.clear();
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+        }));
+        // Later flushes queue behind the clear even if it fails
+        this.writing = cleared.catch(() => {});
+        return cleared;
+    }
+
+    /**
+     * Rewrite the records for some paths of the tree
+     * Each path is written with everything under it, records left over from
+     * removed nodes are deleted, and ancestors that were never stored (a
+     * folder created on the fly, such as the Recycle Bin) are written too.
+     * @param {object} tree - Full drive tree
+     * @param {string[]} paths - Changed paths ('' for the whole tree)
+     * @returns {Promise<void>}
+     */
+    writePaths(tree, paths) {
+        const records = new Map();
+        const deletes = new Set();
+
+        for (const path of paths) {
+            if (paths.some(other => other !== path && (other === '' || path.startsWith(`${other}/`)))) continue;
+
+            const names = path ? path.split('/') : [];
+            let container = tree;
+            let node = null;
+            for (let i = 0; i < names.length; i++) {
+                node = container?.[names[i]];
+                const nodePath = names.slice(0, i + 1).join('/');
+                if (!this.isNode(node)) {
+                    node = null;
+                    break;
+                }
+                if (i < names.length - 1 && !this.isStored(nodePath)) {
+                    this.addRecord(records, nodePath, node);
+                }
+                container = node.children;
+            }
+
+            for (const storedPath of this.storedUnder(path)) {
+                deletes.add(storedPath);
+            }
+            if (path === '') {
+                this.collectRecords(tree, '', records);
+            } else if (node) {
+                this.addRecord(records, path, node);
+                if (node.children) this.collectRecords(node.children, path, records);
+            }
+        }
+
+        for (const path of records.keys()) {
+            deletes.delete(path);
+        }
+
+        if (records.size === 0 && deletes.size === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+
+            for (const record of records.values()) {
+                store.put(record);
+            }
+            for (const path of deletes) {
+                store.delete(path);
+            }
+
+            tx.oncomplete = () => {
+                for (const path of deletes) {
+                    this.stored.get(parentOf(path))?.delete(path);
+                    this.stored.delete(path);
+                }
+                for (const record of records.values()) {
+                    this.addStored(record.path, record.parent);
+                }
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Flatten a tree into path-keyed records
+     * @param {object} container - Map of name -> node
+     * @param {string} parentPath - Path of the container ('' for root)
+     * @param {Map} records - Output map of path -> record
+     */
+    collectRecords(container, parentPath, records) {
+        for (const [name, node] of Object.entries(container)) {
+            if (!this.isNode(node)) continue;
+
+            const path = parentPath ? `${parentPath}/${name}` : name;
+            this.addRecord(records, path, node);
+
+            if (node.children && typeof node.children === 'object') {
+                this.collectRecords(node.children, path, records);
+            }
+        }
+    }
+
+    /**
+     * Add the record for one node (without its children)
+     * @param {Map} records - Output map of path -> record
+     * @param {string} path - Node path
+     * @param {object} node - Tree node
+     */
+    addRecord(records, path, node) {
+        const { children, ...data } = node;
+        records.set(path, { path, parent: parentOf(path), name: path.slice(path.lastIndexOf('/') + 1), node: data });
+    }
+
+    /**
+     * @param {*} node
+     * @returns {boolean} Whether a value in a children map is a tree node
+     */
+    isNode(node) {
+        return !!node && typeof node === 'object' && !!node.type;
+    }
+
+    /**
+     * @param {string} path - Record path
+     * @returns {boolean} Whether a record is stored for the path
+     */
+    isStored(path) {
+        return this.stored.get(parentOf(path))?.has(path) ?? false;
+    }
+
+    /**
+     * @param {string} path - Record path
+     * @param {string} parent - Its parent's path
+     */
+    addStored(path, parent) {
+        if (!this.stored.has(parent)) this.stored.set(parent, new Set());
+        this.stored.get(parent).add(path);
+    }
+
+    /**
+     * Stored record paths at and under a path
+     * @param {string} path - Record path ('' for everything)
+     * @returns {string[]}
+     */
+    storedUnder(path) {
+        const found = path && this.isStored(path) ? [path] : [];
+        for (const child of this.stored.get(path) || []) {
+            found.push(...this.storedUnder(child));
+        }
+        return found;
+    }
+}
+
+/**
+ * @param {string} path - Record path
+ * @returns {string} Path of its parent ('' for a drive)
+ */
+function parentOf(path) {
+    return path.slice(0, Math.max(path.lastIndexOf('/'), 0));
+}
+
+export default IndexedDBBackend;
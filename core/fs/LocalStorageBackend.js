@@ -0,0 +1,64 @@
+/**
+ * LocalStorageBackend - Original single-key storage for the virtual file system
+ * Serializes the whole drive tree into one StorageManager key on every save
+ * (binary content is base64-encoded, see BinaryCodec).
+ *
+ * Used when IndexedDB is unavailable (private browsing, Node test harnesses)
+ * and as the source for migrating older installs to IndexedDBBackend.
+ *
+ * Backend interface (shared with IndexedDBBackend):
+ *   open()    -> Promise<boolean>   Prepare the backend, resolves false if unusable
+ *   load()    -> Promise<object|null> Full tree, or null when nothing is stored
+ *   markDirty(path) -> void        Note a changed path ('' for everything) for the next save
+ *   save(fs)  -> void              Persist (or schedule persisting) the tree
+ *   flush()   -> Promise<void>     Write any pending changes now
+ *   clear()   -> Promise<void>     Erase everything this backend stored
+ */
+
+import StorageManager from '../StorageManager.js';
+import { FS_STORAGE } from '../Constants.js';
+import { serializeTree, deserializeTree } from './BinaryCodec.js';
+
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    async open() {
+        return true;
+    }
+
+    /**
+     * Synchronous load, used by FileSystemManager before initialize() runs
+     * @returns {object|null} Saved tree or null
+     */
+    loadSync() {
+        const saved = StorageManager.get(FS_STORAGE.LEGACY_KEY);
+        return saved ? deserializeTree(saved) : null;
+    }
+
+    async load() {
+        return this.loadSync();
+    }
+
+    markDirty() {
+        // Every save writes the whole tree anyway
+    }
+
+    /**
+     * @param {object} fileSystem - Full drive tree
+     */
+    save(fileSystem) {
+        StorageManager.set(FS_STORAGE.LEGACY_KEY, serializeTree(fileSystem));
+    }
+
+    async flush() {
+        // Writes are synchronous, nothing is ever pending
+    }
+
+    async clear() {
+        StorageManager.remove(FS_STORAGE.LEGACY_KEY);
+    }
+}
+
+export default LocalStorageBackend;
@@ -0,0 +1,189 @@
+/**
+ * Path - DOS-style path helpers shared by the file system, Terminal,
+ * RetroScript and the file dialogs
+ *
+ * Paths may use "/" or "\" and may be given as strings or part arrays
+ * (['C:', 'Users', 'User']). Drive letters are upper-cased; every other
+ * part keeps its case, because lookups in FileSystemManager are
+ * case-insensitive but case-preserving.
+ *
+ * Usage:
+ *   split('c:\\Users\\..\\Windows')         // ['C:', 'Windows']
+ *   resolve(['C:', 'Users'], '.\\User\\a')  // ['C:', 'Users', 'User', 'a']
+ *   join('C:/Docs', '../a.txt')             // 'C:/a.txt'
+ */
+
+const DRIVE_PATTERN = /^[A-Za-z]:$/;
+
+/**
+ * Split a path into raw parts without resolving "." or ".."
+ * @private
+ */
+function rawParts(path) {
+    if (Array.isArray(path)) return path.map(String);
+    return String(path ?? '').replace(/\\/g, '/').split('/').filter(part => part.length > 0);
+}
+
+/**
+ * Check whether a path part is a drive ("C:")
+ * @param {string} part
+ * @returns {boolean}
+ */
+export function isDrive(part) {
+    return DRIVE_PATTERN.test(part);
+}
+
+/**
+ * Check whether a path starts with a drive
+ * @param {string|string[]} path
+ * @returns {boolean}
+ */
+export function isAbsolute(path) {
+    const parts = rawParts(path);
+    return parts.length > 0 && isDrive(parts[0]);
+}
+
+/**
+ * Split a path into normalized parts, resolving "." and ".."
+ * ".." never climbs above a drive root; on relative paths leading ".." are kept.
+ * @param {string|string[]} path
+ * @returns {string[]}
+ */
+export function split(path) {
+    const result = [];
+    const absolute = isAbsolute(path);
+
+    for (const part of rawParts(path)) {
+        if (part === '.') continue;
+        if (part === '..') {
+            if (absolute) {
+                if (result.length > 1) result.pop();
+            } else if (result.length > 0 && result[result.length - 1] !== '..') {
+                result.pop();
+            } else {
+                result.push(part);
+            }
+            continue;
+        }
+        result.push(result.length === 0 && isDrive(part) ? part.toUpperCase() : part);
+    }
+
+    return result;
+}
+
+/**
+ * Normalize a path to a "/"-separated string
+ * @param {string|string[]} path
+ * @returns {string}
+ */
+export function normalize(path) {
+    return split(path).join('/');
+}
+
+/**
+ * Join path segments and normalize the result
+ * @param {...(string|string[])} paths
+ * @returns {string}
+ */
+export function join(...paths) {
+    return normalize(paths.flatMap(rawParts));
+}
+
+/**
+ * Resolve a path against a working directory
+ * Drive paths are taken as-is, "\foo" is relative to the drive of cwd.
+ * @param {string|string[]} cwd - Working directory
+ * @param {string|string[]} path - Path to resolve
+ * @returns {string[]} Absolute parts
+ */
+export function resolve(cwd, path) {
+    const base = split(cwd);
+
+    if (path === undefined || path === null || path === '' || (Array.isArray(path) && path.length === 0)) {
+        return base;
+    }
+    if (isAbsolute(path)) {
+        return split(path);
+    }
+    if (typeof path === 'string' && /^[\\/]/.test(path)) {
+        return split([base[0], ...rawParts(path)].filter(Boolean));
+    }
+    return split([...base, ...rawParts(path)]);
+}
+
+/**
+ * Parent directory of a path
+ * @param {string|string[]} path
+ * @returns {string} Parent ("C:" for a drive's direct children, "" for a drive)
+ */
+export function dirname(path) {
+    return split(path).slice(0, -1).join('/');
+}
+
+/**
+ * Last part of a path
+ * @param {string|string[]} path
+ * @param {string} [ext] - Extension to strip if it matches (case-insensitive)
+ * @returns {string}
+ */
+export function basename(path, ext) {
+    const parts = split(path);
+    const name = parts[parts.length - 1] || '';
+    if (ext && name.length > ext.length && name.toLowerCase().endsWith(ext.toLowerCase())) {
+        return name.slice(0, -ext.length);
+    }
+    return name;
+}
+
+/**
+ * Extension of the last part, including the dot (".txt"), or ""
+ * @param {string|string[]} path
+ * @returns {string}
+ */
+export function extname(path) {
+    const name = basename(path);
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot) : '';
+}
+
+/**
+ * Compare two paths the way the file system does (case-insensitive)
+ * @param {string|string[]} a
+ * @param {string|string[]} b
+ * @returns {boolean}
+ */
+export function equals(a, b) {
+    return normalize(a).toLowerCase() === normalize(b).toLowerCase();
+}
+
+/**
+ * Find the key in a name -> node map that matches a name, ignoring case
+ * An exact match wins over a case-insensitive one.
+ * @param {object} container - Children map
+ * @param {string} name - Name to look up
+ * @returns {string|null} Stored key or null
+ */
+export function findKey(container, name) {
+    if (!container || typeof container !== 'object') return null;
+    if (Object.prototype.hasOwnProperty.call(container, name)) return name;
+
+    const lower = String(name).toLowerCase();
+    for (const key of Object.keys(container)) {
+        if (key.toLowerCase() === lower) return key;
+    }
+    return null;
+}
+
+export default {
+    isDrive,
+    isAbsolute,
+    split,
+    normalize,
+    join,
+    resolve,
+    dirname,
+    basename,
+    extname,
+    equals,
+    findKey
+};
@@ -0,0 +1,182 @@
+/**
+ * SearchQuery - Query language for the file search index (core/SearchIndex.js)
+ *
+ *   budget report          files containing both words (in the name or the text)
+ *   "quarterly budget"     the exact phrase
+ *   rep*                   words starting with "rep"
+ *   ext:txt,md             by extension
+ *   modified:>2024-01-31   changed after that day (also >=, <, <=, =, today, yesterday)
+ *   size:<10KB             by size (B, KB, MB, GB)
+ *
+ * Words are matched case-insensitively; every part of a query must match.
+ */
+
+// Longest word kept in the index; longer runs are usually encoded data
+export const MAX_TERM_LENGTH = 64;
+
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+const COMPARISON = /^(<=|>=|<|>|=)?(.+)$/;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Split text into lower-case index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const terms = [];
+    for (const match of String(text ?? '').toLowerCase().matchAll(WORD_PATTERN)) {
+        if (match[0].length <= MAX_TERM_LENGTH) terms.push(match[0]);
+    }
+    return terms;
+}
+
+/**
+ * Parse a query string
+ * @param {string} query
+ * @returns {{terms: string[], prefixes: string[], phrases: string[], extensions: string[],
+ *   modified: Array<{op: string, time: number}>, size: Array<{op: string, bytes: number}>}}
+ * @throws {Error} For a filter whose value cannot be read ("size:<lots")
+ */
+export function parseQuery(query) {
+    const parsed = { terms: [], prefixes: [], phrases: [], extensions: [], modified: [], size: [] };
+
+    for (const [, quoted, word] of String(query ?? '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+        if (quoted !== undefined) {
+            const phrase = tokenize(quoted).join(' ');
+            if (phrase) parsed.phrases.push(phrase);
+            continue;
+        }
+
+        const filter = word.match(/^(ext|modified|size):(.*)$/i);
+        if (!filter) {
+            const terms = tokenize(word);
+            // "rep*" matches every word starting with "rep"
+            if (word.endsWith('*') && terms.length > 0) {
+                parsed.prefixes.push(terms.pop());
+            }
+            parsed.terms.push(...terms);
+            continue;
+        }
+
+        const [, key, value] = filter;
+        switch (key.toLowerCase()) {
+            case 'ext':
+                parsed.extensions.push(...value.split(',').map(ext => ext.replace(/^\*?\./, '').toLowerCase()).filter(Boolean));
+                break;
+            case 'modified':
+                parsed.modified.push(...parseDateFilter(value, word));
+                break;
+            case 'size':
+                parsed.size.push(parseSizeFilter(value, word));
+                break;
+        }
+    }
+
+    parsed.terms = [...new Set(parsed.terms)];
+    return parsed;
+}
+
+/**
+ * Check whether a parsed query has anything to look up in the word index
+ * @param {object} parsed - Result of parseQuery()
+ * @returns {boolean}
+ */
+export function hasWords(parsed) {
+    return parsed.terms.length > 0 || parsed.prefixes.length > 0 || parsed.phrases.length > 0;
+}
+
+/**
+ * Check an item against the ext:, modified: and size: filters
+ * @param {object} parsed - Result of parseQuery()
+ * @param {{type: string, extension?: string, size?: number, modified?: string}} item
+ * @returns {boolean}
+ */
+export function matchesFilters(parsed, item) {
+    if (parsed.extensions.length > 0 && !parsed.extensions.includes((item.extension || '').toLowerCase())) {
+        return false;
+    }
+    if (parsed.size.length > 0) {
+        if (item.type !== 'file') return false;
+        if (!parsed.size.every(({ op, bytes }) => compare(item.size || 0, op, bytes))) return false;
+    }
+    if (parsed.modified.length > 0) {
+        const time = Date.parse(item.modified);
+        if (isNaN(time)) return false;
+        if (!parsed.modified.every(({ op, time: limit }) => compare(time, op, limit))) return false;
+    }
+    return true;
+}
+
+/**
+ * @private
+ */
+function compare(value, op, limit) {
+    switch (op) {
+        case '<': return value < limit;
+        case '<=': return value <= limit;
+        case '>': return value > limit;
+        case '>=': return value >= limit;
+        default: return value === limit;
+    }
+}
+
+/**
+ * Read "<10KB", ">=2MB" or "512"
+ * @private
+ */
+function parseSizeFilter(value, source) {
+    const [, op = '=', amount] = value.match(COMPARISON) || [];
+    const size = (amount || '').trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!size) {
+        throw new Error(`Invalid size in search: ${source} (try size:<10KB)`);
+    }
+    return { op, bytes: Math.round(parseFloat(size[1]) * SIZE_UNITS[(size[2] || 'b').toLowerCase()]) };
+}
+
+/**
+ * Read ">2024-01-31", "<=today" or an exact time; a bare day covers the whole day
+ * @private
+ */
+function parseDateFilter(value, source) {
+    const [, op = '=', text = ''] = value.match(COMPARISON) || [];
+    const day = parseDay(text.trim().toLowerCase());
+
+    if (day === null) {
+        const time = Date.parse(text);
+        if (isNaN(time)) {
+            throw new Error(`Invalid date in search: ${source} (try modified:>2024-01-31)`);
+        }
+        return [{ op, time }];
+    }
+
+    const start = day.getTime();
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+    switch (op) {
+        case '>': return [{ op: '>=', time: end }];
+        case '>=': return [{ op: '>=', time: start }];
+        case '<': return [{ op: '<', time: start }];
+        case '<=': return [{ op: '<', time: end }];
+        default: return [{ op: '>=', time: start }, { op: '<', time: end }];
+    }
+}
+
+/**
+ * Local midnight of "YYYY-MM-DD", "today" or "yesterday", else null
+ * @private
+ */
+function parseDay(text) {
+    const now = new Date();
+    if (text === 'today') return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (text === 'yesterday') return new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+export default {
+    tokenize,
+    parseQuery,
+    hasWords,
+    matchesFilters
+};
@@ -0,0 +1,301 @@
+/**
+ * Zip - Minimal ZIP archive support for the virtual file system
+ *
+ * Reads and writes "stored" and "deflate" entries (deflate uses the
+ * browser's CompressionStream/DecompressionStream; without them archives
+ * are written uncompressed). Encrypted, multi-disk and ZIP64 archives are
+ * rejected with a descriptive error.
+ *
+ * Usage:
+ *   const entries = await readZip(bytes);
+ *   // [{ name: 'GAMES/readme.txt', directory: false, data: Uint8Array, modified: Date }]
+ *
+ *   const bytes = await writeZip([{ name: 'GAMES/readme.txt', data: 'Hello' }]);
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const VERSION = 20;                 // 2.0: deflate and folders
+const ATTRIBUTE_DIRECTORY = 0x10;   // MS-DOS directory bit in the external attributes
+
+let crcTable = null;
+
+/**
+ * Check whether bytes start like a ZIP archive ("PK\x03\x04", or "PK\x05\x06" when empty)
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {boolean}
+ */
+export function isZip(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < 4) return false;
+    const signature = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+    return signature === LOCAL_HEADER || signature === END_OF_CENTRAL_DIR;
+}
+
+/**
+ * Read every entry of a ZIP archive
+ * @param {ArrayBuffer|ArrayBufferView} data - Archive bytes
+ * @returns {Promise<Array<{name: string, directory: boolean, data: Uint8Array, modified: Date}>>}
+ */
+export async function readZip(data) {
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = findEndOfCentralDirectory(view);
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt ZIP archive (bad central directory)');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const time = view.getUint16(offset + 12, true);
+        const date = view.getUint16(offset + 14, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & FLAG_ENCRYPTED) {
+            throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt ZIP archive (bad local header for ${name})`);
+        }
+
+        // The local header repeats name/extra with lengths of its own
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) +
+            view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        const directory = name.endsWith('/');
+
+        entries.push({
+            name: directory ? name.slice(0, -1) : name,
+            directory,
+            data: directory ? new Uint8Array(0) : await inflateEntry(raw, method, name),
+            modified: fromDosDateTime(date, time)
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, directory?: boolean, data?: Uint8Array|ArrayBuffer|string, modified?: Date}>} entries
+ *   Folder entries may also be given as names ending in "/"; string data is stored as UTF-8
+ * @returns {Promise<Uint8Array>} Archive bytes
+ */
+export async function writeZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const directory = !!entry.directory || entry.name.endsWith('/');
+        const name = encoder.encode(directory ? entry.name.replace(/\/?$/, '/') : entry.name);
+        const data = directory ? new Uint8Array(0)
+            : typeof entry.data === 'string' ? encoder.encode(entry.data)
+            : toBytes(entry.data ?? new Uint8Array(0));
+        const crc = crc32(data);
+        const deflated = directory ? null : await deflate(data);
+        const method = deflated && deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORED;
+        const stored = method === METHOD_DEFLATE ? deflated : data;
+        const { date, time } = toDosDateTime(entry.modified || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, VERSION, true);
+        local.setUint16(6, FLAG_UTF8, true);
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, stored.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER, true);
+        central.setUint16(4, VERSION, true);
+        central.setUint16(6, VERSION, true);
+        central.setUint16(8, FLAG_UTF8, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, stored.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(38, directory ? ATTRIBUTE_DIRECTORY : 0, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), name, stored);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + stored.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIR, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+/**
+ * Compute the CRC-32 checksum ZIP uses
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit CRC
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress with raw deflate, or null when the browser cannot
+ * @private
+ */
+async function deflate(data) {
+    if (typeof CompressionStream === 'undefined' || data.length === 0) {
+        return null;
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Locate the end-of-central-directory record (it may be followed by a comment)
+ * @private
+ */
+function findEndOfCentralDirectory(view) {
+    const last = view.byteLength - 22;
+    const first = Math.max(0, last - 0xffff);
+
+    for (let i = last; i >= first; i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) {
+            if (view.getUint16(i + 4, true) !== 0) {
+                throw new Error('Multi-disk ZIP archives are not supported');
+            }
+            return i;
+        }
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+/**
+ * Decompress one entry
+ * @private
+ */
+async function inflateEntry(raw, method, name) {
+    if (method === METHOD_STORED) {
+        return raw.slice();
+    }
+    if (method !== METHOD_DEFLATE) {
+        throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed ZIP entries need DecompressionStream support');
+    }
+
+    const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert MS-DOS date and time fields to a Date (local time)
+ * @private
+ */
+function fromDosDateTime(date, time) {
+    return new Date(
+        1980 + (date >> 9),
+        ((date >> 5) & 0x0f) - 1,
+        date & 0x1f,
+        time >> 11,
+        (time >> 5) & 0x3f,
+        (time & 0x1f) * 2
+    );
+}
+
+/**
+ * Convert a Date to MS-DOS date and time fields (local time, 1980 at the earliest)
+ * @private
+ */
+function toDosDateTime(value) {
+    const date = new Date(value);
+    if (isNaN(date) || date.getFullYear() < 1980) {
+        return { date: (1 << 5) | 1, time: 0 };
+    }
+    return {
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+    };
+}
+
+/**
+ * View any byte source as a Uint8Array without copying
+ * @private
+ */
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new TypeError('Expected ArrayBuffer or typed array');
+}
+
+export default {
+    isZip,
+    readZip,
+    writeZip,
+    crc32
+};
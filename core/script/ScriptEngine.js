@@ -23,6 +23,7 @@ import { Interpreter } from './interpreter/Interpreter.js';
 import { SafetyLimits, DEFAULT_LIMITS } from './utils/SafetyLimits.js';
 import { registerAllBuiltins } from './builtins/index.js';
 import { ScriptError, ParseError, RuntimeError } from './errors/ScriptError.js';
+import * as Path from '../fs/Path.js';
 
 /**
  * ScriptEngine class - main API for script execution
@@ -86,6 +87,9 @@ class ScriptEngineClass {
      * @param {Object} [options] - Execution options
      * @param {number} [options.timeout] - Execution timeout in ms
      * @param {Object} [options.variables] - Initial variables
+     * @param {string|string[]} [options.cwd] - Directory relative file paths resolve against
+     * @param {string|string[]} [options.file] - Path of the script, if it was read from a file
+     * @param {Object} [options.debug] - Run under the debugger: { breakpoints, watches, onPause, stopOnEntry }
      * @param {Function} [options.onOutput] - Legacy callback for output (called for each print)
      * @param {Function} [options.onError] - Legacy callback for errors
      * @param {Function} [options.onVariables] - Legacy callback for variable updates
@@ -134,6 +138,13 @@ class ScriptEngineClass {
                 this.limits.setTimeout(options.timeout);
             }
 
+            this.interpreter.cwd = options.cwd || null;
+            this.interpreter.currentFile = options.file ? Path.normalize(options.file) : null;
+            this.interpreter.modules.reset();
+            if (options.debug) {
+                this.interpreter.debugger.attach(options.debug);
+            }
+
             // Set initial variables if provided
             if (options.variables) {
                 for (const [name, value] of Object.entries(options.variables)) {
@@ -184,6 +195,7 @@ class ScriptEngineClass {
             };
         } finally {
             this.isRunning = false;
+            this.interpreter.debugger.detach();
             this.limits.setTimeout(DEFAULT_LIMITS.DEFAULT_EXECUTION_TIMEOUT);
 
             // Restore original callbacks
@@ -217,7 +229,7 @@ class ScriptEngineClass {
                 };
             }
 
-            return await this.run(source, options);
+            return await this.run(source, { cwd: Path.dirname(path), file: path, ...options });
         } catch (error) {
             return {
                 success: false,
@@ -235,6 +247,32 @@ class ScriptEngineClass {
         }
     }
 
+    /**
+     * Pause the currently running script before its next statement
+     */
+    pause() {
+        if (this.interpreter) {
+            this.interpreter.pause();
+        }
+    }
+
+    /**
+     * Continue a paused script
+     */
+    resume() {
+        if (this.interpreter) {
+            this.interpreter.resume();
+        }
+    }
+
+    /**
+     * Debugger of the current run: breakpoints, steps, continue
+     * @returns {Debugger|null}
+     */
+    get debugger() {
+        return this.interpreter ? this.interpreter.debugger : null;
+    }
+
     /**
      * Define a custom function
      * @param {string} name - Function name
@@ -335,6 +373,7 @@ class ScriptEngineClass {
                 message: error.message,
                 line: error.line,
                 column: error.column,
+                file: error.file,
                 hint: error.hint,
                 toString: () => error.toString()
             };
@@ -345,6 +384,7 @@ class ScriptEngineClass {
             message: error.message || String(error),
             line: 0,
             column: 0,
+            file: null,
             hint: '',
             toString: () => error.message || String(error)
         };
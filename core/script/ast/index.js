@@ -20,9 +20,12 @@ export {
     ContinueStatement,
     ReturnStatement,
     FunctionDefStatement,
+    ImportStatement,
+    ExportStatement,
     CallStatement,
     TryCatchStatement,
     OnStatement,
+    FileWatchStatement,
     EmitStatement,
     LaunchStatement,
     CloseStatement,
@@ -51,6 +54,7 @@ export {
     BinaryExpression,
     UnaryExpression,
     CallExpression,
+    LambdaExpression,
     ArrayExpression,
     ObjectExpression,
     MemberExpression,
@@ -73,12 +73,14 @@ export class UnaryExpression extends Expression {
 /**
  * Call expression - function call that returns value
  * call funcName arg1 arg2
+ * call $fn arg1 arg2 (callee is the expression giving the function)
  */
 export class CallExpression extends Expression {
-    constructor(funcName, args, location) {
+    constructor(funcName, args, location, callee = null) {
         super('Call', location);
         this.funcName = funcName;
         this.args = args;
+        this.callee = callee;
     }
 
     accept(visitor) {
@@ -86,6 +88,23 @@ export class CallExpression extends Expression {
     }
 }
 
+/**
+ * Lambda expression - anonymous function value
+ * ($x) => $x * 2, $x => $x * 2, ($a, $b) => { return $a + $b }
+ */
+export class LambdaExpression extends Expression {
+    constructor(params, body, expression, location) {
+        super('Lambda', location);
+        this.params = params;
+        this.body = body;             // Statements of a { } body, or null
+        this.expression = expression; // Expression body, or null
+    }
+
+    accept(visitor) {
+        return visitor.visitLambdaExpression(this);
+    }
+}
+
 /**
  * Array literal expression
  * [1, 2, 3]
@@ -233,6 +252,7 @@ export default {
     BinaryExpression,
     UnaryExpression,
     CallExpression,
+    LambdaExpression,
     ArrayExpression,
     ObjectExpression,
     MemberExpression,
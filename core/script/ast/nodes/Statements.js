@@ -176,15 +176,49 @@ export class FunctionDefStatement extends Statement {
     }
 }
 
+/**
+ * Import statement - run another .retro file and bind what it exports
+ * import "C:/Scripts/lib/strings.retro" as str
+ */
+export class ImportStatement extends Statement {
+    constructor(path, alias, location) {
+        super('Import', location);
+        this.path = path;
+        this.alias = alias;
+    }
+
+    accept(visitor) {
+        return visitor.visitImportStatement(this);
+    }
+}
+
+/**
+ * Export statement - a def or set whose value the module exports
+ * export def upper($s) { ... }
+ * export set $VERSION = "1.0"
+ */
+export class ExportStatement extends Statement {
+    constructor(declaration, location) {
+        super('Export', location);
+        this.declaration = declaration;
+    }
+
+    accept(visitor) {
+        return visitor.visitExportStatement(this);
+    }
+}
+
 /**
  * Call statement - function call (standalone, not expression)
  * call funcName arg1 arg2
+ * call $fn arg1 arg2 (callee is the expression giving the function)
  */
 export class CallStatement extends Statement {
-    constructor(funcName, args, location) {
+    constructor(funcName, args, location, callee = null) {
         super('Call', location);
         this.funcName = funcName;
         this.args = args;
+        this.callee = callee;
     }
 
     accept(visitor) {
@@ -225,6 +259,23 @@ export class OnStatement extends Statement {
     }
 }
 
+/**
+ * File watch handler statement
+ * on file change "C:/Docs" [recursive] { ... }
+ */
+export class FileWatchStatement extends Statement {
+    constructor(path, recursive, body, location) {
+        super('FileWatch', location);
+        this.path = path;
+        this.recursive = recursive;
+        this.body = body;
+    }
+
+    accept(visitor) {
+        return visitor.visitFileWatchStatement(this);
+    }
+}
+
 /**
  * Emit statement - fire event
  * emit eventName key1=val1 key2=val2
@@ -535,9 +586,12 @@ export default {
     ContinueStatement,
     ReturnStatement,
     FunctionDefStatement,
+    ImportStatement,
+    ExportStatement,
     CallStatement,
     TryCatchStatement,
     OnStatement,
+    FileWatchStatement,
     EmitStatement,
     LaunchStatement,
     CloseStatement,
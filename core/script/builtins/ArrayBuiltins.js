@@ -1,8 +1,14 @@
 /**
  * ArrayBuiltins - Array manipulation functions for RetroScript
+ *
+ * map, filter, reject, find, findIndex, sort, reduce and sortBy take a
+ * function value (a lambda such as ($x) => $x * 2, or $name of a def
+ * function) and call it for each item through the interpreter, so the
+ * callbacks run within the script's safety limits.
  */
 
 import { DEFAULT_LIMITS } from '../utils/SafetyLimits.js';
+import { isScriptFunction } from '../interpreter/ScriptFunction.js';
 
 export function registerArrayBuiltins(interpreter) {
     // Basic operations
@@ -75,28 +81,43 @@ export function registerArrayBuiltins(interpreter) {
         return false;
     });
 
-    interpreter.registerBuiltin('findIndex', (arr, item) => {
-        if (Array.isArray(arr)) return arr.indexOf(item);
-        return -1;
+    interpreter.registerBuiltin('findIndex', async (arr, item) => {
+        if (!Array.isArray(arr)) return -1;
+        if (isScriptFunction(item)) return findMatch(interpreter, arr, item);
+        return arr.indexOf(item);
     });
 
-    interpreter.registerBuiltin('find', (arr, predicate) => {
-        // Simple find by value (not callback-based)
-        if (Array.isArray(arr)) {
-            return arr.find(item => item === predicate) ?? null;
+    interpreter.registerBuiltin('find', async (arr, predicate) => {
+        if (!Array.isArray(arr)) return null;
+        if (isScriptFunction(predicate)) {
+            const index = await findMatch(interpreter, arr, predicate);
+            return index === -1 ? null : arr[index];
         }
-        return null;
+        // Without a function, find by value
+        return arr.find(item => item === predicate) ?? null;
     });
 
-    // Sorting
-    interpreter.registerBuiltin('sort', (arr) => {
-        if (Array.isArray(arr)) {
-            return [...arr].sort((a, b) => {
-                if (typeof a === 'number' && typeof b === 'number') return a - b;
-                return String(a).localeCompare(String(b));
-            });
+    // Sorting (a function compares two items: negative, zero or positive)
+    interpreter.registerBuiltin('sort', async (arr, compare) => {
+        if (!Array.isArray(arr)) return arr;
+        if (isScriptFunction(compare)) {
+            return mergeSort([...arr], async (a, b) => Number(await interpreter.callValue(compare, [a, b])) || 0);
         }
-        return arr;
+        return [...arr].sort(compareValues);
+    });
+
+    // Sort by a key computed once per item: sortBy($people, $p => $p.age)
+    interpreter.registerBuiltin('sortBy', async (arr, key) => {
+        if (!Array.isArray(arr)) return arr;
+        if (!isScriptFunction(key)) {
+            // A property name sorts objects by that property
+            return [...arr].sort((a, b) => compareValues(a?.[key], b?.[key]));
+        }
+        const keys = await mapItems(interpreter, arr, key);
+        return arr
+            .map((item, i) => ({ item, key: keys[i] }))
+            .sort((a, b) => compareValues(a.key, b.key))
+            .map(entry => entry.item);
     });
 
     interpreter.registerBuiltin('sortDesc', (arr) => {
@@ -195,24 +216,43 @@ export function registerArrayBuiltins(interpreter) {
         return 0;
     });
 
-    // Filtering (simple equality-based)
-    interpreter.registerBuiltin('filter', (arr, value) => {
-        if (Array.isArray(arr)) {
-            return arr.filter(item => item === value);
+    interpreter.registerBuiltin('reduce', async (arr, reducer, ...initial) => {
+        if (!Array.isArray(arr)) return null;
+        if (!isScriptFunction(reducer)) {
+            throw new Error('reduce needs a function, e.g. call reduce $arr ($total, $x) => $total + $x 0');
+        }
+        // Without a starting value, the first item is the start
+        const items = initial.length > 0 ? arr : arr.slice(1);
+        let result = initial.length > 0 ? initial[0] : (arr[0] ?? null);
+        for (let i = 0; i < items.length; i++) {
+            result = await interpreter.callValue(reducer, [result, items[i], i]);
         }
-        return [];
+        return result;
     });
 
-    interpreter.registerBuiltin('reject', (arr, value) => {
-        if (Array.isArray(arr)) {
-            return arr.filter(item => item !== value);
+    // Filtering (by a function, or by equality with a value)
+    interpreter.registerBuiltin('filter', async (arr, value) => {
+        if (!Array.isArray(arr)) return [];
+        if (isScriptFunction(value)) {
+            const keep = await mapItems(interpreter, arr, value);
+            return arr.filter((item, i) => interpreter.isTruthy(keep[i]));
+        }
+        return arr.filter(item => item === value);
+    });
+
+    interpreter.registerBuiltin('reject', async (arr, value) => {
+        if (!Array.isArray(arr)) return [];
+        if (isScriptFunction(value)) {
+            const drop = await mapItems(interpreter, arr, value);
+            return arr.filter((item, i) => !interpreter.isTruthy(drop[i]));
         }
-        return [];
+        return arr.filter(item => item !== value);
     });
 
-    // Mapping (simple operations)
-    interpreter.registerBuiltin('map', (arr, operation) => {
+    // Mapping (by a function, or by a named simple operation)
+    interpreter.registerBuiltin('map', async (arr, operation) => {
         if (!Array.isArray(arr)) return [];
+        if (isScriptFunction(operation)) return mapItems(interpreter, arr, operation);
 
         // Simple operations as strings
         switch (operation) {
@@ -245,4 +285,61 @@ export function registerArrayBuiltins(interpreter) {
     });
 }
 
+/**
+ * Call fn(item, index) for each item in turn and collect the results.
+ * The items are copied first, so a callback that changes the array does
+ * not change what is visited.
+ * @private
+ */
+async function mapItems(interpreter, arr, fn) {
+    const items = [...arr];
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+        results.push(await interpreter.callValue(fn, [items[i], i]));
+    }
+    return results;
+}
+
+/**
+ * Index of the first item for which fn(item, index) is truthy, or -1
+ * @private
+ */
+async function findMatch(interpreter, arr, fn) {
+    const items = [...arr];
+    for (let i = 0; i < items.length; i++) {
+        if (interpreter.isTruthy(await interpreter.callValue(fn, [items[i], i]))) return i;
+    }
+    return -1;
+}
+
+/**
+ * Default order: numbers by value, anything else as text
+ * @private
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+/**
+ * Stable sort with an async comparison, for comparisons written in
+ * RetroScript (Array.prototype.sort cannot wait for them)
+ * @private
+ */
+async function mergeSort(items, compare) {
+    if (items.length <= 1) return items;
+
+    const middle = Math.floor(items.length / 2);
+    const left = await mergeSort(items.slice(0, middle), compare);
+    const right = await mergeSort(items.slice(middle), compare);
+
+    const merged = [];
+    let l = 0;
+    let r = 0;
+    while (l < left.length && r < right.length) {
+        merged.push(await compare(right[r], left[l]) < 0 ? right[r++] : left[l++]);
+    }
+    return merged.concat(left.slice(l), right.slice(r));
+}
+
 export default registerArrayBuiltins;
@@ -110,6 +110,41 @@ export function registerSystemBuiltins(interpreter) {
         return null;
     });
 
+    // File version history: previous contents kept when a file is overwritten
+    interpreter.registerBuiltin('fileVersions', (path) => {
+        const FileSystem = interpreter.context.FileSystemManager;
+        if (FileSystem) {
+            return FileSystem.getVersions(interpreter.resolvePath(path));
+        }
+        return [];
+    });
+
+    interpreter.registerBuiltin('readVersion', (path, id) => {
+        const FileSystem = interpreter.context.FileSystemManager;
+        if (FileSystem) {
+            return FileSystem.readVersion(interpreter.resolvePath(path), id).content;
+        }
+        return null;
+    });
+
+    interpreter.registerBuiltin('restoreVersion', (path, id) => {
+        const FileSystem = interpreter.context.FileSystemManager;
+        if (FileSystem) {
+            return FileSystem.restoreVersion(interpreter.resolvePath(path), id);
+        }
+        return false;
+    });
+
+    // Paths matching a DOS wildcard pattern, the same way DIR and DEL match them
+    interpreter.registerBuiltin('glob', (pattern, recursive = false) => {
+        const FileSystem = interpreter.context.FileSystemManager;
+        if (FileSystem) {
+            return FileSystem.glob(interpreter.resolvePath(pattern), { recursive: !!recursive })
+                .map(parts => parts.join('/'));
+        }
+        return [];
+    });
+
     // Clipboard (if available)
     interpreter.registerBuiltin('copyToClipboard', async (text) => {
         try {
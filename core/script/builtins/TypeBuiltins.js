@@ -2,11 +2,14 @@
  * TypeBuiltins - Type checking and conversion functions for RetroScript
  */
 
+import { isScriptFunction } from '../interpreter/ScriptFunction.js';
+
 export function registerTypeBuiltins(interpreter) {
     // Type checking
     interpreter.registerBuiltin('typeof', (value) => {
         if (value === null) return 'null';
         if (Array.isArray(value)) return 'array';
+        if (isScriptFunction(value)) return 'function';
         return typeof value;
     });
 
@@ -15,8 +18,9 @@ export function registerTypeBuiltins(interpreter) {
     interpreter.registerBuiltin('isBoolean', (value) => typeof value === 'boolean');
     interpreter.registerBuiltin('isArray', (value) => Array.isArray(value));
     interpreter.registerBuiltin('isObject', (value) => {
-        return typeof value === 'object' && value !== null && !Array.isArray(value);
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && !isScriptFunction(value);
     });
+    interpreter.registerBuiltin('isFunction', (value) => isScriptFunction(value));
     interpreter.registerBuiltin('isNull', (value) => value === null);
     interpreter.registerBuiltin('isUndefined', (value) => value === undefined);
     interpreter.registerBuiltin('isNaN', (value) => Number.isNaN(Number(value)));
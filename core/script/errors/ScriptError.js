@@ -16,6 +16,7 @@ export class ScriptError extends Error {
      * @param {number} [options.column] - Column number where error occurred
      * @param {string} [options.source] - Source code snippet
      * @param {string} [options.hint] - Helpful hint for fixing the error
+     * @param {string} [options.file] - Script file the line is in (an imported module)
      */
     constructor(message, options = {}) {
         super(message);
@@ -24,6 +25,7 @@ export class ScriptError extends Error {
         this.column = options.column ?? 0;
         this.source = options.source ?? '';
         this.hint = options.hint ?? '';
+        this.file = options.file ?? null;
 
         // Maintain proper stack trace in V8 environments
         if (Error.captureStackTrace) {
@@ -42,6 +44,9 @@ export class ScriptError extends Error {
                 result += `, column ${this.column}`;
             }
         }
+        if (this.file) {
+            result += ` in ${this.file}`;
+        }
         if (this.hint) {
             result += `\nHint: ${this.hint}`;
         }
@@ -58,7 +63,8 @@ export class ScriptError extends Error {
             line: this.line,
             column: this.column,
             source: this.source,
-            hint: this.hint
+            hint: this.hint,
+            file: this.file
         };
     }
 }
@@ -24,6 +24,7 @@ export * from './ast/index.js';
 // Interpreter
 export { Interpreter } from './interpreter/Interpreter.js';
 export { Environment } from './interpreter/Environment.js';
+export { ScriptFunction, isScriptFunction } from './interpreter/ScriptFunction.js';
 
 // Errors
 export {
@@ -0,0 +1,354 @@
+/**
+ * Debugger - Breakpoints and stepping for a running RetroScript
+ *
+ * The interpreter asks the debugger before every statement whether to stop
+ * there. Stopping reports where the script is (line, call stack, every
+ * scope's variables, the watch expressions' values) and holds the script
+ * on the interpreter's pause gate until continue() or one of the steps.
+ *
+ * Breakpoints and steps work on lines of the script being run; statements
+ * of imported modules run through without stopping. Several statements on
+ * one line (if $x then { print $x }) stop once, so stepping goes line by
+ * line.
+ *
+ * Usage (through ScriptEngine.run):
+ *   await ScriptEngine.run(source, { debug: {
+ *       breakpoints: new Map([[4, null], [9, '$i == 3']]),
+ *       watches: ['$total', 'call length $items'],
+ *       onPause: (state) => showPausedAt(state.line)
+ *   }});
+ *   ScriptEngine.debugger.stepOver();
+ */
+
+import { Lexer } from '../lexer/Lexer.js';
+import { Parser } from '../parser/Parser.js';
+import { TokenType } from '../lexer/Token.js';
+import { ParseError, RuntimeError } from '../errors/ScriptError.js';
+
+export const StepMode = Object.freeze({
+    RUN: 'run',
+    PAUSE: 'pause',
+    INTO: 'into',
+    OVER: 'over',
+    OUT: 'out'
+});
+
+export class Debugger {
+    /**
+     * @param {Interpreter} interpreter - The interpreter it stops
+     */
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.active = false;
+        this.file = null;
+        this.breakpoints = new Map();
+        this.watches = [];
+        this.onPause = () => {};
+
+        this.mode = StepMode.RUN;
+        this.stepDepth = 0;
+        this.running = [];
+        this.frameLines = [];
+        this.evaluating = false;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Start debugging the script about to run
+     * @param {Object} options
+     * @param {Map<number, string|null>|number[]} [options.breakpoints] - Line -> condition (null = always)
+     * @param {string[]} [options.watches] - Expressions evaluated at every stop
+     * @param {Function} [options.onPause] - Called with the paused state
+     * @param {boolean} [options.stopOnEntry] - Stop before the first statement
+     */
+    attach({ breakpoints = new Map(), watches = [], onPause = null, stopOnEntry = false } = {}) {
+        this.active = true;
+        this.file = this.interpreter.currentFile;
+        this.onPause = onPause || (() => {});
+        this.mode = stopOnEntry ? StepMode.PAUSE : StepMode.RUN;
+        this.running = [];
+        this.frameLines = [];
+        this.pausedAt = null;
+
+        this.breakpoints.clear();
+        const entries = breakpoints instanceof Map ? breakpoints : breakpoints.map(line => [line, null]);
+        for (const [line, condition] of entries) {
+            this.setBreakpoint(line, condition);
+        }
+        this.setWatches(watches);
+    }
+
+    /**
+     * Stop debugging; the script, if still running, runs to the end
+     */
+    detach() {
+        this.active = false;
+        this.mode = StepMode.RUN;
+        this.running = [];
+        this.pausedAt = null;
+        this.onPause = () => {};
+    }
+
+    /**
+     * @param {number} line
+     * @param {string|null} [condition] - RetroScript expression; stop only when it is true
+     */
+    setBreakpoint(line, condition = null) {
+        const source = condition && String(condition).trim() ? String(condition).trim() : null;
+        let expression = null;
+        let error = null;
+        if (source) {
+            try {
+                expression = compileExpression(source);
+            } catch (e) {
+                error = e.message;
+            }
+        }
+        this.breakpoints.set(Number(line), { condition: source, expression, error });
+    }
+
+    removeBreakpoint(line) {
+        this.breakpoints.delete(Number(line));
+    }
+
+    /**
+     * @param {string[]} expressions - Watch expressions ($total, call length $items)
+     */
+    setWatches(expressions) {
+        this.watches = expressions.map(source => {
+            try {
+                return { source, expression: compileExpression(source), error: null };
+            } catch (e) {
+                return { source, expression: null, error: e.message };
+            }
+        });
+    }
+
+    /**
+     * Whether the script is stopped, waiting for a step or continue
+     */
+    get isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    /**
+     * Run until the next breakpoint
+     */
+    continue() {
+        this.release(StepMode.RUN);
+    }
+
+    /**
+     * Stop at the next line, going into any function it calls
+     */
+    stepInto() {
+        this.release(StepMode.INTO);
+    }
+
+    /**
+     * Stop at the next line of this function, running calls through
+     */
+    stepOver() {
+        this.release(StepMode.OVER);
+    }
+
+    /**
+     * Stop back in the function that called this one
+     */
+    stepOut() {
+        this.release(StepMode.OUT);
+    }
+
+    /**
+     * Stop a running script at its next line
+     */
+    pause() {
+        if (this.active && !this.isPaused) {
+            this.mode = StepMode.PAUSE;
+        }
+    }
+
+    /**
+     * Called by the interpreter before each statement runs
+     * @param {AST.Statement} stmt
+     */
+    async enter(stmt) {
+        const interpreter = this.interpreter;
+        const depth = interpreter.callStack.length;
+        const inScript = interpreter.currentFile === this.file;
+        const frame = { line: stmt.line, file: interpreter.currentFile, depth };
+
+        this.frameLines[depth] = frame;
+        this.frameLines.length = depth + 1;
+
+        const sameLine = this.running.some(r => r.line === frame.line && r.depth === depth && r.file === frame.file);
+        this.running.push(frame);
+
+        if (!inScript || sameLine || this.evaluating || interpreter.shouldStop) return;
+
+        const reason = await this.stopReason(stmt, depth);
+        if (!reason) return;
+
+        await this.stop(stmt, depth, reason);
+
+        if (interpreter.shouldStop) {
+            throw new RuntimeError('Script stopped', { line: stmt.line, column: stmt.column });
+        }
+    }
+
+    /**
+     * Called by the interpreter when a statement has finished, or thrown
+     */
+    leave() {
+        this.running.pop();
+    }
+
+    /**
+     * Why to stop before this statement, or null to run on
+     * @private
+     */
+    async stopReason(stmt, depth) {
+        const breakpoint = this.breakpoints.get(stmt.line);
+        if (breakpoint) {
+            if (!breakpoint.condition) return { type: 'breakpoint' };
+            if (breakpoint.error) return { type: 'breakpoint', conditionError: breakpoint.error };
+
+            const { value, error } = await this.evaluate(breakpoint.expression);
+            if (error) return { type: 'breakpoint', conditionError: error };
+            if (this.interpreter.isTruthy(value)) return { type: 'breakpoint', condition: breakpoint.condition };
+        }
+
+        switch (this.mode) {
+            case StepMode.PAUSE:
+                return { type: 'pause' };
+            case StepMode.INTO:
+                return { type: 'step' };
+            case StepMode.OVER:
+                return depth <= this.stepDepth ? { type: 'step' } : null;
+            case StepMode.OUT:
+                return depth < this.stepDepth ? { type: 'step' } : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Report the paused state and wait on the interpreter's pause gate
+     * @private
+     */
+    async stop(stmt, depth, reason) {
+        // Watches are evaluated first: a watch that calls a function runs
+        // statements, which must not wait on the gate closed below
+        const state = {
+            reason: reason.type,
+            condition: reason.condition || null,
+            conditionError: reason.conditionError || null,
+            line: stmt.line,
+            column: stmt.column,
+            callStack: this.callStack(),
+            scopes: this.scopes(),
+            watches: await this.evaluateWatches()
+        };
+
+        this.mode = StepMode.RUN;
+        this.stepDepth = depth;
+        this.pausedAt = state;
+        this.interpreter.pause();
+        const gate = this.interpreter.pauseGate;
+
+        this.onPause(state);
+        await gate;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Resume in the given mode
+     * @private
+     */
+    release(mode) {
+        if (!this.isPaused) return;
+        this.mode = mode;
+        this.interpreter.resume();
+    }
+
+    /**
+     * Frames of the call stack, innermost first, with the line each is at
+     * @returns {Array<{name: string, line: number, file: string|null}>}
+     */
+    callStack() {
+        const names = ['<script>', ...this.interpreter.callStack];
+        return names.map((name, depth) => ({
+            name,
+            line: this.frameLines[depth]?.line ?? 0,
+            file: this.frameLines[depth]?.file ?? null
+        })).reverse();
+    }
+
+    /**
+     * Every scope the current statement can see, innermost first
+     * @returns {Array<{name: string, variables: Object}>}
+     */
+    scopes() {
+        const interpreter = this.interpreter;
+        const scopes = [];
+        for (let env = interpreter.currentEnv; env; env = env.parent) {
+            let name;
+            if (env === interpreter.globalEnv) {
+                name = 'Global';
+            } else if (!env.parent) {
+                name = 'Module';
+            } else {
+                name = scopes.length === 0 ? 'Local' : 'Enclosing';
+            }
+            scopes.push({ name, variables: env.getLocal() });
+        }
+        return scopes;
+    }
+
+    /**
+     * @returns {Promise<Array<{expression: string, value: *, error: string|null}>>}
+     */
+    async evaluateWatches() {
+        const results = [];
+        for (const watch of this.watches) {
+            const { value, error } = watch.error
+                ? { value: undefined, error: watch.error }
+                : await this.evaluate(watch.expression);
+            results.push({ expression: watch.source, value, error });
+        }
+        return results;
+    }
+
+    /**
+     * Evaluate an expression in the scope of the statement about to run.
+     * Statements it runs (a watch calling a function) never stop.
+     * @private
+     */
+    async evaluate(expression) {
+        const previous = this.evaluating;
+        this.evaluating = true;
+        try {
+            return { value: await this.interpreter.visitExpression(expression), error: null };
+        } catch (error) {
+            return { value: undefined, error: error.message || String(error) };
+        } finally {
+            this.evaluating = previous;
+        }
+    }
+}
+
+/**
+ * Parse a breakpoint condition or watch on its own
+ * @private
+ */
+function compileExpression(source) {
+    const parser = new Parser(new Lexer(source).tokenize());
+    const expression = parser.parseExpression();
+    while (parser.match(TokenType.NEWLINE, TokenType.SEMICOLON));
+    if (!parser.isAtEnd()) {
+        throw new ParseError(`Unexpected '${parser.peek().value}' in expression`);
+    }
+    return expression;
+}
+
+export default Debugger;
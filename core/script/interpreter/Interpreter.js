@@ -6,9 +6,13 @@
  */
 
 import Environment from './Environment.js';
+import ScriptFunction, { isScriptFunction } from './ScriptFunction.js';
+import ModuleLoader from './ModuleLoader.js';
+import Debugger from './Debugger.js';
 import { SafetyLimits } from '../utils/SafetyLimits.js';
-import { RuntimeError, TimeoutError, RecursionError, ScriptReferenceError } from '../errors/ScriptError.js';
+import { ScriptError, RuntimeError, TimeoutError, RecursionError, ScriptReferenceError } from '../errors/ScriptError.js';
 import * as AST from '../ast/index.js';
+import * as Path from '../../fs/Path.js';
 
 /**
  * Control flow signals
@@ -35,6 +39,7 @@ export class Interpreter {
         this.builtins = options.builtins || new Map();
         this.userFunctions = new Map();
         this.eventHandlers = new Map();
+        this.fileWatchers = new Map();
         this.context = options.context || {};
 
         // Execution state
@@ -45,6 +50,21 @@ export class Interpreter {
         this.returnValue = undefined;
         this.isRunning = false;
         this.shouldStop = false;
+        this.pausedAt = null;
+        this.pauseGate = null;
+
+        // Working directory for relative file paths (null = paths used as given)
+        this.cwd = options.cwd || null;
+
+        // Modules: the file being run (for error locations and relative
+        // imports) and, while a module runs, the object it exports into
+        this.modules = new ModuleLoader(this);
+        this.currentFile = null;
+        this.moduleExports = null;
+        this.locatedErrors = new WeakSet();
+
+        // Breakpoints and stepping; only consulted while a debug run is attached
+        this.debugger = new Debugger(this);
 
         // Output callbacks
         this.onOutput = options.onOutput || (() => {});
@@ -95,6 +115,29 @@ export class Interpreter {
      */
     stop() {
         this.shouldStop = true;
+        this.resume();
+    }
+
+    /**
+     * Hold execution before the next statement until resume()
+     */
+    pause() {
+        if (this.pauseGate) return;
+        this.pausedAt = Date.now();
+        this.pauseGate = new Promise(resolve => {
+            this.releasePause = resolve;
+        });
+    }
+
+    resume() {
+        if (!this.pauseGate) return;
+        // Time spent paused does not count against the execution timeout
+        if (this.limits.executionStartTime) {
+            this.limits.executionStartTime += Date.now() - this.pausedAt;
+        }
+        this.pauseGate = null;
+        this.pausedAt = null;
+        this.releasePause();
     }
 
     /**
@@ -102,7 +145,39 @@ export class Interpreter {
      */
     async visitStatement(stmt) {
         if (!stmt) return;
-        return await stmt.accept(this);
+        if (this.pauseGate) await this.pauseGate;
+        const debugging = this.debugger.active;
+        try {
+            if (debugging) await this.debugger.enter(stmt);
+            return await stmt.accept(this);
+        } catch (error) {
+            throw this.locateError(error, stmt);
+        } finally {
+            if (debugging) this.debugger.leave();
+        }
+    }
+
+    /**
+     * Give an error the file and line it happened at, the first time it
+     * passes a statement on its way out. Later statements it passes (the
+     * call site in the importing script) leave the location alone.
+     * @param {*} error - Thrown value
+     * @param {AST.Node|null} node - Innermost statement or expression running
+     * @returns {ScriptError}
+     */
+    locateError(error, node) {
+        if (!(error instanceof ScriptError)) {
+            error = new RuntimeError(error?.message || String(error));
+        }
+        if (!this.locatedErrors.has(error)) {
+            this.locatedErrors.add(error);
+            if (!error.line && node) {
+                error.line = node.line;
+                error.column = node.column;
+            }
+            error.file ??= this.currentFile;
+        }
+        return error;
     }
 
     /**
@@ -311,15 +386,80 @@ export class Interpreter {
     }
 
     async visitFunctionDefStatement(stmt) {
-        this.userFunctions.set(stmt.name, {
+        this.userFunctions.set(stmt.name, new ScriptFunction({
+            name: stmt.name,
             params: stmt.params,
             body: stmt.body,
-            closure: this.currentEnv
-        });
+            closure: this.currentEnv,
+            functions: this.userFunctions,
+            file: this.currentFile
+        }));
+    }
+
+    async visitImportStatement(stmt) {
+        const exports = await this.modules.load(stmt.path);
+        this.currentEnv.set(stmt.alias, exports);
+    }
+
+    async visitExportStatement(stmt) {
+        const declaration = stmt.declaration;
+        await this.visitStatement(declaration);
+
+        // A script run directly, not imported, has nothing to export into
+        if (!this.moduleExports) return;
+
+        if (declaration instanceof AST.FunctionDefStatement) {
+            this.moduleExports[declaration.name] = this.userFunctions.get(declaration.name);
+        } else {
+            this.moduleExports[declaration.varName] = this.currentEnv.get(declaration.varName);
+        }
+    }
+
+    /**
+     * Run the top level of an imported module. It gets a scope and a set
+     * of def functions of its own, so it neither sees nor clobbers the
+     * importing script's variables and functions.
+     * @param {AST.Statement[]} statements - Parsed module
+     * @param {string} file - Module path
+     * @returns {Promise<Object>} Name -> value of everything it exports
+     */
+    async runModule(statements, file) {
+        const previous = {
+            env: this.currentEnv,
+            functions: this.userFunctions,
+            file: this.currentFile,
+            exports: this.moduleExports,
+            controlFlow: this.controlFlow,
+            returnValue: this.returnValue
+        };
+        const exports = {};
+
+        this.currentEnv = new Environment();
+        this.userFunctions = new Map();
+        this.currentFile = file;
+        this.moduleExports = exports;
+        this.controlFlow = ControlFlow.NONE;
+
+        try {
+            for (const stmt of statements) {
+                if (this.shouldStop) break;
+                this.limits.checkTimeout();
+                await this.visitStatement(stmt);
+                if (this.controlFlow !== ControlFlow.NONE) break;
+            }
+            return exports;
+        } finally {
+            this.currentEnv = previous.env;
+            this.userFunctions = previous.functions;
+            this.currentFile = previous.file;
+            this.moduleExports = previous.exports;
+            this.controlFlow = previous.controlFlow;
+            this.returnValue = previous.returnValue;
+        }
     }
 
     async visitCallStatement(stmt) {
-        await this.callFunction(stmt.funcName, stmt.args);
+        await this.callFunction(stmt.funcName, stmt.args, stmt.callee);
     }
 
     async visitTryCatchStatement(stmt) {
@@ -358,7 +498,7 @@ export class Interpreter {
             return;
         }
 
-        const handlerCount = this.eventHandlers.size;
+        const handlerCount = this.eventHandlers.size + this.fileWatchers.size;
         if (!this.limits.checkEventHandlerCount(handlerCount)) {
             throw new RuntimeError(
                 `Maximum event handlers (${this.limits.get('MAX_EVENT_HANDLERS')}) exceeded`,
@@ -395,6 +535,51 @@ export class Interpreter {
         this.eventHandlers.set(stmt.eventName, handler);
     }
 
+    async visitFileWatchStatement(stmt) {
+        const FileSystem = this.context.FileSystemManager;
+        if (!FileSystem || typeof FileSystem.watch !== 'function') {
+            console.warn('[Interpreter] FileSystemManager.watch not available for file watch handlers');
+            return;
+        }
+
+        const path = this.resolvePath(await this.visitExpression(stmt.path));
+        const key = `${path.toLowerCase()}|${stmt.recursive}`;
+
+        // Re-running the statement replaces the earlier handler for the same path
+        if (this.fileWatchers.has(key)) {
+            this.fileWatchers.get(key)();
+            this.fileWatchers.delete(key);
+        }
+
+        const handlerCount = this.eventHandlers.size + this.fileWatchers.size;
+        if (!this.limits.checkEventHandlerCount(handlerCount)) {
+            throw new RuntimeError(
+                `Maximum event handlers (${this.limits.get('MAX_EVENT_HANDLERS')}) exceeded`,
+                { line: stmt.line, column: stmt.column }
+            );
+        }
+
+        const handler = async (change) => {
+            const handlerEnv = this.currentEnv.extend();
+            handlerEnv.set('event', change);
+
+            const previousEnv = this.currentEnv;
+            this.currentEnv = handlerEnv;
+
+            try {
+                for (const s of stmt.body) {
+                    await this.visitStatement(s);
+                }
+            } catch (error) {
+                this.onError(error.message);
+            } finally {
+                this.currentEnv = previousEnv;
+            }
+        };
+
+        this.fileWatchers.set(key, FileSystem.watch(path, { recursive: stmt.recursive }, handler));
+    }
+
     async visitEmitStatement(stmt) {
         const EventBus = this.context.EventBus;
         if (!EventBus) {
@@ -465,6 +650,17 @@ export class Interpreter {
         await CommandBus.execute('window:maximize', { windowId: target });
     }
 
+    /**
+     * Resolve a file path from a script against the working directory
+     * @param {*} path - Path value
+     * @returns {string} Normalized path ("C:/Docs/a.txt")
+     */
+    resolvePath(path) {
+        return this.cwd
+            ? Path.resolve(this.cwd, String(path)).join('/')
+            : Path.normalize(String(path));
+    }
+
     async visitWriteStatement(stmt) {
         const FileSystem = this.context.FileSystemManager;
         if (!FileSystem) {
@@ -472,7 +668,7 @@ export class Interpreter {
         }
 
         const content = await this.visitExpression(stmt.content);
-        const path = await this.visitExpression(stmt.path);
+        const path = this.resolvePath(await this.visitExpression(stmt.path));
         FileSystem.writeFile(path, this.stringify(content));
     }
 
@@ -482,7 +678,7 @@ export class Interpreter {
             throw new RuntimeError('FileSystemManager not available', { line: stmt.line });
         }
 
-        const path = await this.visitExpression(stmt.path);
+        const path = this.resolvePath(await this.visitExpression(stmt.path));
         const content = FileSystem.readFile(path);
         this.currentEnv.set(stmt.varName, content);
     }
@@ -491,7 +687,7 @@ export class Interpreter {
         const FileSystem = this.context.FileSystemManager;
         if (!FileSystem) return;
 
-        const path = await this.visitExpression(stmt.path);
+        const path = this.resolvePath(await this.visitExpression(stmt.path));
         FileSystem.mkdir(path);
     }
 
@@ -499,7 +695,7 @@ export class Interpreter {
         const FileSystem = this.context.FileSystemManager;
         if (!FileSystem) return;
 
-        const path = await this.visitExpression(stmt.path);
+        const path = this.resolvePath(await this.visitExpression(stmt.path));
         FileSystem.delete(path);
     }
 
@@ -675,6 +871,10 @@ export class Interpreter {
     async visitVariableExpression(expr) {
         const value = this.currentEnv.get(expr.name);
         if (value === undefined && !this.currentEnv.has(expr.name)) {
+            // A function from def, passed as a value ($double); variables win
+            if (this.userFunctions.has(expr.name)) {
+                return this.userFunctions.get(expr.name);
+            }
             // Check if it might be a string interpolation context
             return undefined;
         }
@@ -736,7 +936,18 @@ export class Interpreter {
     }
 
     async visitCallExpression(expr) {
-        return await this.callFunction(expr.funcName, expr.args);
+        return await this.callFunction(expr.funcName, expr.args, expr.callee);
+    }
+
+    async visitLambdaExpression(expr) {
+        return new ScriptFunction({
+            params: expr.params,
+            body: expr.body,
+            expression: expr.expression,
+            closure: this.currentEnv,
+            functions: this.userFunctions,
+            file: this.currentFile
+        });
     }
 
     async visitArrayExpression(expr) {
@@ -788,28 +999,52 @@ export class Interpreter {
     // ==================== HELPER METHODS ====================
 
     /**
-     * Call a function (builtin or user-defined)
+     * Call a function: a builtin, a def function, or a function value in
+     * a variable (call $fn, or call fn when $fn holds a lambda)
+     * @param {string} name - Function name, or variable name for call $fn
+     * @param {AST.Expression[]} argExprs - Arguments
+     * @param {AST.Expression|null} [callee] - The $fn of call $fn
      */
-    async callFunction(name, argExprs) {
+    async callFunction(name, argExprs, callee = null) {
+        const fn = callee ? await this.visitExpression(callee) : null;
+        if (callee && !isScriptFunction(fn)) {
+            throw new RuntimeError(`'$${name}' is not a function`, {
+                ...callee.getLocation(),
+                hint: `Store a function in it first, e.g. set $${name} = ($x) => $x * 2`
+            });
+        }
+
         // Evaluate arguments
         const args = [];
         for (const argExpr of argExprs) {
             args.push(await this.visitExpression(argExpr));
         }
 
+        if (fn) {
+            return await this.callValue(fn, args);
+        }
+
         // Check builtins first
         if (this.builtins.has(name)) {
             const builtin = this.builtins.get(name);
             try {
                 return await builtin(...args);
             } catch (error) {
+                // Errors in callbacks (map, filter...) already say where they happened
+                if (error instanceof ScriptError) throw error;
                 throw new RuntimeError(`Error in function '${name}': ${error.message}`);
             }
         }
 
         // Check user-defined functions
         if (this.userFunctions.has(name)) {
-            return await this.callUserFunction(name, args);
+            return await this.callValue(this.userFunctions.get(name), args);
+        }
+
+        // A function value stored in a variable
+        const value = this.currentEnv.get(name);
+        if (isScriptFunction(value)) {
+            return await this.callValue(value, args);
         }
 
         throw new RuntimeError(`Unknown function: '${name}'`, {
@@ -818,39 +1053,58 @@ export class Interpreter {
     }
 
     /**
-     * Call user-defined function
+     * Call a function value with arguments already evaluated. Builtins that
+     * take callbacks (map, filter, reduce...) call back through here, so
+     * every callback counts against the recursion depth and the timeout.
+     * @param {ScriptFunction} func - From def or a lambda
+     * @param {Array} args - Argument values; missing ones are undefined
+     * @returns {Promise<*>} What the function returns
      */
-    async callUserFunction(name, args) {
-        const func = this.userFunctions.get(name);
-
-        // Check recursion depth
-        this.callStack.push(name);
-        if (!this.limits.checkRecursionDepth(this.callStack.length)) {
-            throw new RecursionError(
-                this.limits.get('MAX_RECURSION_DEPTH'),
-                name,
-                { callStack: [...this.callStack] }
-            );
+    async callValue(func, args = []) {
+        if (!isScriptFunction(func)) {
+            throw new RuntimeError(`Expected a function, got ${func === null ? 'null' : typeof func}`);
         }
+        this.limits.checkTimeout();
 
-        // Create function scope
+        // Create function scope, with the parameters bound
         const funcEnv = func.closure.extend();
-
-        // Bind parameters
         for (let i = 0; i < func.params.length; i++) {
             funcEnv.set(func.params[i], args[i]);
         }
 
-        // Execute function body
+        // Check recursion depth; the error belongs to the call site
+        if (!this.limits.checkRecursionDepth(this.callStack.length + 1)) {
+            throw new RecursionError(
+                this.limits.get('MAX_RECURSION_DEPTH'),
+                func.displayName,
+                { callStack: [...this.callStack, func.displayName] }
+            );
+        }
+
+        // Execute function body, with the def functions and file it was written in
         const previousEnv = this.currentEnv;
         const previousControlFlow = this.controlFlow;
         const previousReturnValue = this.returnValue;
+        const previousFunctions = this.userFunctions;
+        const previousFile = this.currentFile;
 
+        this.callStack.push(func.displayName);
         this.currentEnv = funcEnv;
         this.controlFlow = ControlFlow.NONE;
         this.returnValue = undefined;
+        this.userFunctions = func.functions || this.userFunctions;
+        this.currentFile = func.file;
 
         try {
+            // ($x) => expression
+            if (func.expression) {
+                try {
+                    return await this.visitExpression(func.expression);
+                } catch (error) {
+                    throw this.locateError(error, func.expression);
+                }
+            }
+
             for (const stmt of func.body) {
                 await this.visitStatement(stmt);
                 if (this.controlFlow === ControlFlow.RETURN) {
@@ -863,6 +1117,8 @@ export class Interpreter {
             this.currentEnv = previousEnv;
             this.controlFlow = previousControlFlow;
             this.returnValue = previousReturnValue;
+            this.userFunctions = previousFunctions;
+            this.currentFile = previousFile;
         }
     }
 
@@ -885,6 +1141,7 @@ export class Interpreter {
         if (value === null) return 'null';
         if (value === undefined) return 'undefined';
         if (typeof value === 'string') return value;
+        if (isScriptFunction(value)) return value.toString();
         if (Array.isArray(value)) return JSON.stringify(value);
         if (typeof value === 'object') return JSON.stringify(value);
         return String(value);
@@ -916,6 +1173,10 @@ export class Interpreter {
             }
         }
         this.eventHandlers.clear();
+        for (const unwatch of this.fileWatchers.values()) {
+            unwatch();
+        }
+        this.fileWatchers.clear();
         this.userFunctions.clear();
         this.globalEnv.clear();
     }
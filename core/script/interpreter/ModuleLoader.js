@@ -0,0 +1,116 @@
+/**
+ * ModuleLoader - Finds, runs and caches the .retro files a script imports
+ *
+ * import "strings" as str looks for strings.retro next to the importing
+ * file, then in each folder of the search path (C:/Scripts/lib, then
+ * C:/Windows/System32/retro). A module runs once per script run, in a
+ * scope of its own; what it exports with export def / export set becomes
+ * an object bound to the import name:
+ *
+ *   import "strings" as str
+ *   set $title = call str.capitalize "hello"
+ *
+ * Importing a module that is still being loaded (a imports b imports a)
+ * is an error rather than an endless loop.
+ */
+
+import { Lexer } from '../lexer/Lexer.js';
+import { Parser } from '../parser/Parser.js';
+import { ScriptError, RuntimeError } from '../errors/ScriptError.js';
+import * as Path from '../../fs/Path.js';
+
+/**
+ * Folders searched, in order, for imports that are not found relative to
+ * the importing file
+ */
+export const MODULE_SEARCH_PATH = Object.freeze(['C:/Scripts/lib', 'C:/Windows/System32/retro']);
+
+export class ModuleLoader {
+    /**
+     * @param {Interpreter} interpreter - Runs the modules and owns the file system context
+     */
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.cache = new Map();
+        this.loading = [];
+    }
+
+    /**
+     * Forget loaded modules; called at the start of every script run so
+     * edits to a module are picked up by the next run
+     */
+    reset() {
+        this.cache.clear();
+        this.loading = [];
+    }
+
+    /**
+     * Find the file an import names
+     * @param {string} name - As written: "C:/lib/x.retro", "x", "../x.retro"
+     * @param {string|null} fromDir - Folder of the importing file, if known
+     * @returns {string|null} Full path of an existing file
+     */
+    resolve(name, fromDir) {
+        const FileSystem = this.interpreter.context.FileSystemManager;
+        const fileName = Path.extname(name) ? name : `${name}.retro`;
+
+        const candidates = Path.isAbsolute(fileName)
+            ? [Path.normalize(fileName)]
+            : [fromDir, ...MODULE_SEARCH_PATH]
+                .filter(Boolean)
+                .map(dir => Path.resolve(dir, fileName).join('/'));
+
+        return candidates.find(path => FileSystem.getNode(path)?.type === 'file') || null;
+    }
+
+    /**
+     * Load a module, running it the first time it is imported in this run
+     * @param {string} name - Path as written in the import statement
+     * @returns {Promise<Object>} The module's exports
+     */
+    async load(name) {
+        const interpreter = this.interpreter;
+        if (!interpreter.context.FileSystemManager) {
+            throw new RuntimeError('FileSystemManager not available');
+        }
+
+        const fromDir = interpreter.currentFile ? Path.dirname(interpreter.currentFile) : interpreter.cwd;
+        const path = this.resolve(name, fromDir);
+        if (!path) {
+            throw new RuntimeError(`Module not found: '${name}'`, {
+                hint: `Looked next to the script and in ${MODULE_SEARCH_PATH.join(', ')}`
+            });
+        }
+
+        const key = path.toLowerCase();
+        if (this.loading.includes(key)) {
+            const cycle = [...this.loading.slice(this.loading.indexOf(key)), key];
+            throw new RuntimeError(`Import cycle: ${cycle.map(p => Path.basename(p)).join(' -> ')}`, {
+                hint: 'Move what both modules need into a third module that imports neither'
+            });
+        }
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        this.loading.push(key);
+        try {
+            const source = interpreter.context.FileSystemManager.readFile(path);
+            let statements;
+            try {
+                statements = new Parser(new Lexer(String(source ?? '')).tokenize()).parse();
+            } catch (error) {
+                if (error instanceof ScriptError) error.file = path;
+                throw error;
+            }
+
+            const exports = await interpreter.runModule(statements, path);
+            this.cache.set(key, exports);
+            return exports;
+        } finally {
+            this.loading.pop();
+        }
+    }
+}
+
+export default ModuleLoader;
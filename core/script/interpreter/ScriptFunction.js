@@ -0,0 +1,67 @@
+/**
+ * ScriptFunction - A RetroScript function as a value
+ *
+ * Functions defined with def and lambdas (($x) => $x * 2) are values: they
+ * can be stored in variables, passed to other functions and returned from
+ * them. Each keeps the Environment it was created in, so it still sees the
+ * variables of that scope when it is called later (a closure).
+ *
+ * Builtins receive ScriptFunctions as arguments and call them back with
+ * interpreter.callValue(fn, args).
+ *
+ * A function also remembers the file it was written in and the def
+ * functions next to it, so a function exported from a module still calls
+ * the module's own helpers, and its errors name the module's file.
+ */
+
+export class ScriptFunction {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.name - Name from def, null for a lambda
+     * @param {string[]} options.params - Parameter names (without $)
+     * @param {AST.Statement[]|null} options.body - Statements of a block body
+     * @param {AST.Expression|null} [options.expression] - Body of ($x) => expression
+     * @param {Environment} options.closure - Scope the function was created in
+     * @param {Map<string, ScriptFunction>|null} [options.functions] - def functions of its file
+     * @param {string|null} [options.file] - Module file it was written in
+     */
+    constructor({ name = null, params, body = null, expression = null, closure, functions = null, file = null }) {
+        this.name = name;
+        this.params = params;
+        this.body = body;
+        this.expression = expression;
+        this.closure = closure;
+        this.functions = functions;
+        this.file = file;
+    }
+
+    /**
+     * Name for call stacks and error messages
+     * @returns {string}
+     */
+    get displayName() {
+        return this.name || '<lambda>';
+    }
+
+    toString() {
+        return `<function ${this.displayName}>`;
+    }
+
+    /**
+     * Functions inside arrays and objects print by name, not by scope
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Check whether a value is a callable RetroScript function
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isScriptFunction(value) {
+    return value instanceof ScriptFunction;
+}
+
+export default ScriptFunction;
@@ -74,7 +74,11 @@ export class Lexer {
 
             // Two-character operators
             case '=':
-                this.addToken(this.match('=') ? TokenType.EQ : TokenType.ASSIGN);
+                if (this.match('=')) {
+                    this.addToken(TokenType.EQ);
+                } else {
+                    this.addToken(this.match('>') ? TokenType.ARROW : TokenType.ASSIGN);
+                }
                 break;
             case '!':
                 this.addToken(this.match('=') ? TokenType.NEQ : TokenType.NOT);
@@ -265,6 +269,7 @@ export class Lexer {
                 case 'n': return '\n';
                 case 't': return '\t';
                 case 'r': return '\r';
+                case 'e': return '\x1b'; // Starts an ANSI sequence: "\e[31m"
                 case '"': return '"';
                 case "'": return "'";
                 case '\\': return '\\';
@@ -30,6 +30,10 @@ export const TokenType = {
     CALL: 'CALL',
     RETURN: 'RETURN',
 
+    // Keywords - Modules
+    IMPORT: 'IMPORT',
+    EXPORT: 'EXPORT',
+
     // Keywords - Error Handling
     TRY: 'TRY',
     CATCH: 'CATCH',
@@ -98,6 +102,7 @@ export const TokenType = {
 
     // Operators - Assignment
     ASSIGN: 'ASSIGN',       // =
+    ARROW: 'ARROW',         // => (lambda)
 
     // Operators - Logical
     AND: 'AND',             // &&
@@ -151,6 +156,10 @@ export const KEYWORDS = {
     'call': TokenType.CALL,
     'return': TokenType.RETURN,
 
+    // Modules
+    'import': TokenType.IMPORT,
+    'export': TokenType.EXPORT,
+
     // Error Handling
     'try': TokenType.TRY,
     'catch': TokenType.CATCH,
@@ -261,7 +270,7 @@ export class Token {
             TokenType.SLASH, TokenType.PERCENT,
             TokenType.EQ, TokenType.NEQ,
             TokenType.LT, TokenType.GT, TokenType.LTE, TokenType.GTE,
-            TokenType.ASSIGN,
+            TokenType.ASSIGN, TokenType.ARROW,
             TokenType.AND, TokenType.OR, TokenType.NOT
         );
     }
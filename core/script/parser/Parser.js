@@ -98,6 +98,10 @@ export class Parser {
                 return this.parseFunctionDef();
             case TokenType.CALL:
                 return this.parseCallStatement();
+            case TokenType.IMPORT:
+                return this.parseImportStatement();
+            case TokenType.EXPORT:
+                return this.parseExportStatement();
             case TokenType.TRY:
                 return this.parseTryCatch();
             case TokenType.ON:
@@ -482,18 +486,59 @@ export class Parser {
     }
 
     /**
-     * Parse call statement: call funcName arg1 arg2
+     * Parse import statement: import "path" as name
+     * Without "as", the module is named after its file (strings.retro -> strings)
+     */
+    parseImportStatement() {
+        const location = this.getLocation();
+        this.advance(); // consume 'import'
+
+        if (!this.check(TokenType.STRING)) {
+            throw this.error('Expected a file path in quotes after "import"');
+        }
+        const path = this.advance().value;
+
+        let alias;
+        if (this.check(TokenType.IDENTIFIER) && this.peek().value.toLowerCase() === 'as') {
+            this.advance();
+            if (!this.check(TokenType.IDENTIFIER) && !this.check(TokenType.VARIABLE)) {
+                throw this.error('Expected a name after "as"');
+            }
+            alias = this.advance().value;
+        } else {
+            alias = path.split(/[\\/]/).pop().replace(/\.[^.]*$/, '').replace(/[^A-Za-z0-9_]/g, '_');
+        }
+
+        return new AST.ImportStatement(path, alias, location);
+    }
+
+    /**
+     * Parse export statement: export def name(...) { ... } or export set $name = value
+     */
+    parseExportStatement() {
+        const location = this.getLocation();
+        this.advance(); // consume 'export'
+
+        let declaration;
+        if (this.check(TokenType.DEF) || this.check(TokenType.FUNC) || this.check(TokenType.FUNCTION)) {
+            declaration = this.parseFunctionDef();
+        } else if (this.check(TokenType.SET)) {
+            declaration = this.parseSetStatement();
+        } else {
+            throw this.error('Expected "def" or "set" after "export"');
+        }
+
+        return new AST.ExportStatement(declaration, location);
+    }
+
+    /**
+     * Parse call statement: call funcName arg1 arg2, or call $fn arg1 arg2
      */
     parseCallStatement() {
         const location = this.getLocation();
         this.advance(); // consume 'call'
 
-        // Expect function name (can be identifier or keyword like toJSON, fromJSON)
-        const token = this.peek();
-        if (token.type !== TokenType.IDENTIFIER && !token.isKeyword()) {
-            throw this.error('Expected function name after "call"');
-        }
-        const funcName = this.advance().value;
+        const { funcName, callee } = this.parseCallee();
 
         // Parse arguments
         const args = [];
@@ -501,7 +546,31 @@ export class Parser {
             args.push(this.parseExpression());
         }
 
-        return new AST.CallStatement(funcName, args, location);
+        return new AST.CallStatement(funcName, args, location, callee);
+    }
+
+    /**
+     * Parse what follows 'call': a function name (an identifier, or a
+     * keyword like toJSON), a function of an imported module (str.upper),
+     * or a variable holding a function value
+     * @returns {{funcName: string, callee: AST.Expression|null}}
+     */
+    parseCallee() {
+        const token = this.peek();
+        if (token.type === TokenType.VARIABLE) {
+            this.advance();
+            const location = { line: token.line, column: token.column };
+            return { funcName: token.value, callee: new AST.VariableExpression(token.value, location) };
+        }
+        if (token.type !== TokenType.IDENTIFIER && !token.isKeyword()) {
+            throw this.error('Expected function name after "call"');
+        }
+        let funcName = this.advance().value;
+        while (this.check(TokenType.DOT) && this.checkNext(TokenType.IDENTIFIER)) {
+            this.advance();
+            funcName += `.${this.advance().value}`;
+        }
+        return { funcName, callee: null };
     }
 
     /**
@@ -533,11 +602,27 @@ export class Parser {
 
     /**
      * Parse on statement: on eventName { ... }
+     * or a file watch: on file change "C:/Docs" [recursive] { ... }
      */
     parseOnStatement() {
         const location = this.getLocation();
         this.advance(); // consume 'on'
 
+        if (this.isFileChangeClause()) {
+            this.advance(); // consume 'file'
+            this.advance(); // consume 'change'
+
+            const path = this.parseExpression();
+            let recursive = false;
+            if (this.check(TokenType.IDENTIFIER) && this.peek().value.toLowerCase() === 'recursive') {
+                this.advance();
+                recursive = true;
+            }
+
+            const body = this.parseBlock();
+            return new AST.FileWatchStatement(path, recursive, body, location);
+        }
+
         // Parse event name (may include colons like "app:launch")
         const eventName = this.parseEventName();
 
@@ -547,6 +632,18 @@ export class Parser {
         return new AST.OnStatement(eventName, body, location);
     }
 
+    /**
+     * Check for the "file change" words that start a file watch handler
+     * @returns {boolean}
+     */
+    isFileChangeClause() {
+        const next = this.tokens[this.current + 1];
+        return this.check(TokenType.IDENTIFIER) &&
+               this.peek().value.toLowerCase() === 'file' &&
+               next?.type === TokenType.IDENTIFIER &&
+               next.value.toLowerCase() === 'change';
+    }
+
     /**
      * Parse event name which may be namespaced like "app:launch"
      * Collects IDENTIFIER:IDENTIFIER:... sequences
@@ -1101,12 +1198,7 @@ export class Parser {
 
         // Check for 'call' keyword
         if (this.match(TokenType.CALL)) {
-            // Function name can be identifier or keyword (like toJSON, fromJSON)
-            const token = this.peek();
-            if (token.type !== TokenType.IDENTIFIER && !token.isKeyword()) {
-                throw this.error('Expected function name after "call"');
-            }
-            const funcName = this.advance().value;
+            const { funcName, callee } = this.parseCallee();
 
             // Parse arguments until end of call context.
             // Use parseExpression() for each arg so unary operators (-5, !val) work.
@@ -1117,7 +1209,7 @@ export class Parser {
                 args.push(this.parseExpression());
             }
 
-            return new AST.CallExpression(funcName, args, location);
+            return new AST.CallExpression(funcName, args, location, callee);
         }
 
         return this.parsePrimaryExpression();
@@ -1159,6 +1251,11 @@ export class Parser {
             return new AST.LiteralExpression(null, location);
         }
 
+        // Lambda: $x => ..., ($a, $b) => ...
+        if (this.isLambdaAhead()) {
+            return this.parseLambda(location);
+        }
+
         // Variable
         if (this.match(TokenType.VARIABLE)) {
             return new AST.VariableExpression(this.previous().value, location);
@@ -1189,6 +1286,50 @@ export class Parser {
         throw this.error(`Unexpected token: ${this.peek().type}`);
     }
 
+    /**
+     * Check whether a lambda starts here: $x => or ($a, $b) =>
+     * Looks ahead without consuming, so (1 + 2) still parses as grouping.
+     */
+    isLambdaAhead() {
+        if (this.check(TokenType.VARIABLE)) {
+            return this.checkNext(TokenType.ARROW);
+        }
+        if (!this.check(TokenType.LPAREN)) return false;
+
+        let i = this.current + 1;
+        if (this.tokens[i]?.type !== TokenType.RPAREN) {
+            while (this.tokens[i]?.type === TokenType.VARIABLE) {
+                i++;
+                if (this.tokens[i]?.type !== TokenType.COMMA) break;
+                i++;
+            }
+        }
+        return this.tokens[i]?.type === TokenType.RPAREN && this.tokens[i + 1]?.type === TokenType.ARROW;
+    }
+
+    /**
+     * Parse lambda: ($a, $b) => expression, $x => expression, or
+     * ($x) => { statements }
+     */
+    parseLambda(location) {
+        const params = [];
+        if (this.match(TokenType.LPAREN)) {
+            while (this.check(TokenType.VARIABLE)) {
+                params.push(this.advance().value);
+                if (!this.match(TokenType.COMMA)) break;
+            }
+            this.expect(TokenType.RPAREN, 'Expected ")" after lambda parameters');
+        } else {
+            params.push(this.advance().value);
+        }
+        this.expect(TokenType.ARROW, 'Expected "=>" after lambda parameters');
+
+        if (this.check(TokenType.LBRACE)) {
+            return new AST.LambdaExpression(params, this.parseBlock(), null, location);
+        }
+        return new AST.LambdaExpression(params, null, this.parseExpression(), location);
+    }
+
     /**
      * Parse array literal: [1, 2, 3]
      */
@@ -0,0 +1,427 @@
+/**
+ * Ansi - VT100/ANSI escape sequences in Terminal output
+ *
+ * Everything the Terminal shows goes through an AnsiScreen, which keeps the
+ * last SCREEN_ROWS rows as characters with a cursor, so output can color
+ * itself and redraw rows already shown. It understands:
+ *   ESC[...m        SGR: 0 reset, 1 bold, 4 underline, 7 inverse (22, 24, 27 undo),
+ *                   30-37 / 90-97 foreground, 40-47 / 100-107 background,
+ *                   38;5;n / 48;5;n (256 colors), 38;2;r;g;b / 48;2;r;g;b, 39 / 49 default
+ *   ESC[nA ESC[nB   cursor up / down         ESC[nC ESC[nD   right / left
+ *   ESC[nE ESC[nF   next / previous line     ESC[nG          column n
+ *   ESC[r;cH        row r, column c (also ESC[r;cf; rows and columns count from 1)
+ *   ESC[nJ          clear to the end of the screen (0), to its start (1), all of it (2)
+ *   ESC[nK          clear to the end of the line (0), to its start (1), all of it (2)
+ *   ESC[s ESC[u     save / restore the cursor (also ESC 7, ESC 8)
+ * and the control characters \r, \b and \t. Other sequences are dropped.
+ *
+ * Row 1 is the oldest of the last SCREEN_ROWS rows, the top of a 25-line DOS
+ * screen; rows that scroll above it stay visible but can no longer be drawn
+ * on. ESC[2J clears the whole Terminal, as CLS does. Attributes set with SGR
+ * last until ESC[0m, as on a real console.
+ *
+ * Usage:
+ *   const screen = new AnsiScreen();
+ *   screen.write(outputElement, '\x1b[1;33mWARNING\x1b[0m Disk almost full\n');
+ *   screen.write(outputElement, '\x1b[1A\x1b[2K[#####     ] 50%\n');  // redraw the row above
+ */
+
+const SCREEN_ROWS = 25;
+const TAB_WIDTH = 8;
+const FOREGROUND = '#c0c0c0';
+const BACKGROUND = '#000000';
+
+// Console colors in ANSI order (black, red, green, yellow, blue, magenta,
+// cyan, white), then their bright versions
+const PALETTE = Object.freeze([
+    '#000000', '#800000', '#008000', '#808000', '#000080', '#800080', '#008080', '#c0c0c0',
+    '#808080', '#ff0000', '#00ff00', '#ffff00', '#0000ff', '#ff00ff', '#00ffff', '#ffffff'
+]);
+
+const PLAIN = Object.freeze({ fg: null, bg: null, bold: false, underline: false, inverse: false });
+
+// A CSI sequence, another ESC sequence, or a control character
+const TOKEN_PATTERN = /\x1b\[([0-9;?]*)([@-~])|\x1b([\s\S]?)|([\x00-\x1a\x1c-\x1f])/g;
+
+export class AnsiScreen {
+    constructor() {
+        this.rows = [];        // { chars, pens, element }, oldest first
+        this.row = 0;          // Cursor; row may be rows.length, the row not started yet
+        this.column = 0;
+        this.saved = null;     // Cursor saved by ESC[s
+        this.attributes = PLAIN;
+        this.container = null;
+    }
+
+    /**
+     * Write text at the cursor
+     * @param {HTMLElement|null} container - Element the rows are shown in
+     * @param {string} text - May contain escape sequences; \n starts the next row
+     * @param {string} [color] - Color of text without an SGR color (none inherits)
+     */
+    write(container, text, color = FOREGROUND) {
+        this.container = container;
+        const base = isCssColor(color) ? color : null;
+        const source = String(text);
+        const changed = new Set();
+        let pen = penFor(this.attributes, base);
+        let last = 0;
+
+        for (const match of source.matchAll(TOKEN_PATTERN)) {
+            this.put(source.slice(last, match.index), pen, changed);
+            last = match.index + match[0].length;
+
+            const [, params, command, escape, control] = match;
+            if (control !== undefined) {
+                this.control(control);
+            } else if (command !== undefined) {
+                this.csi(params, command, changed);
+            } else {
+                this.escape(escape);
+            }
+            pen = penFor(this.attributes, base);
+        }
+        this.put(source.slice(last), pen, changed);
+
+        for (const row of changed) renderRow(row);
+    }
+
+    /**
+     * Empty the screen and put the cursor at the top; attributes stay
+     * @param {HTMLElement|null} [container]
+     */
+    clear(container = this.container) {
+        if (container) container.replaceChildren();
+        this.rows = [];
+        this.row = 0;
+        this.column = 0;
+        this.saved = null;
+    }
+
+    /**
+     * Stop drawing on the rows shown so far: output continues on a new row
+     * below them. For HTML output, whose height in rows is unknown.
+     */
+    release() {
+        this.rows = [];
+        this.row = 0;
+        this.column = 0;
+        this.saved = null;
+    }
+
+    /**
+     * Put the cursor at the start of a new row below everything drawn
+     */
+    moveToEnd() {
+        this.row = this.rows.length;
+        this.column = 0;
+    }
+
+    /**
+     * The row under the cursor, created (with any rows above it) if needed
+     * @private
+     */
+    currentRow() {
+        while (this.rows.length <= this.row) {
+            const element = document.createElement('div');
+            if (this.container) this.container.appendChild(element);
+            this.rows.push({ chars: [], pens: [], element });
+        }
+
+        const scrolled = this.rows.length - SCREEN_ROWS;
+        if (scrolled > 0) {
+            this.rows.splice(0, scrolled);
+            this.row -= scrolled;
+            if (this.saved) this.saved.row = Math.max(0, this.saved.row - scrolled);
+        }
+        return this.rows[this.row];
+    }
+
+    /**
+     * @private
+     */
+    put(text, pen, changed) {
+        if (!text) return;
+        const row = this.currentRow();
+        for (const char of text) {
+            while (row.chars.length < this.column) {
+                row.chars.push(' ');
+                row.pens.push('');
+            }
+            row.chars[this.column] = char;
+            row.pens[this.column] = pen;
+            this.column++;
+        }
+        changed.add(row);
+    }
+
+    /**
+     * @private
+     */
+    control(char) {
+        switch (char) {
+            case '\n':
+                this.currentRow();
+                this.row++;
+                this.column = 0;
+                break;
+            case '\r':
+                this.column = 0;
+                break;
+            case '\b':
+                this.column = Math.max(0, this.column - 1);
+                break;
+            case '\t':
+                this.column = (Math.floor(this.column / TAB_WIDTH) + 1) * TAB_WIDTH;
+                break;
+            default:
+                break; // BEL and the rest do nothing
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(char) {
+        if (char === '7') this.saveCursor();
+        else if (char === '8') this.restoreCursor();
+        else if (char === 'c') {
+            this.attributes = PLAIN;
+            this.clear();
+        }
+    }
+
+    /**
+     * @private
+     */
+    csi(params, command, changed) {
+        // Private modes (ESC[?25l and the like) have nothing to draw
+        if (params.startsWith('?')) return;
+
+        const values = params.split(';').map(value => parseInt(value, 10));
+        const count = (index) => values[index] > 0 ? values[index] : 1;
+
+        switch (command) {
+            case 'A':
+                this.row = Math.max(0, this.row - count(0));
+                break;
+            case 'B':
+                this.row = Math.max(this.row, Math.min(SCREEN_ROWS - 1, this.row + count(0)));
+                break;
+            case 'C':
+                this.column += count(0);
+                break;
+            case 'D':
+                this.column = Math.max(0, this.column - count(0));
+                break;
+            case 'E':
+                this.row = Math.max(this.row, Math.min(SCREEN_ROWS - 1, this.row + count(0)));
+                this.column = 0;
+                break;
+            case 'F':
+                this.row = Math.max(0, this.row - count(0));
+                this.column = 0;
+                break;
+            case 'G':
+                this.column = count(0) - 1;
+                break;
+            case 'H':
+            case 'f':
+                this.row = Math.min(SCREEN_ROWS, count(0)) - 1;
+                this.column = count(1) - 1;
+                break;
+            case 'J':
+                this.eraseScreen(values[0] || 0, changed);
+                break;
+            case 'K':
+                this.eraseLine(values[0] || 0, changed);
+                break;
+            case 'm':
+                this.attributes = applySgr(this.attributes, values);
+                break;
+            case 's':
+                this.saveCursor();
+                break;
+            case 'u':
+                this.restoreCursor();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    eraseLine(mode, changed) {
+        const row = this.rows[this.row];
+        if (!row) return;
+
+        if (mode === 0) {
+            row.chars.length = Math.min(row.chars.length, this.column);
+            row.pens.length = row.chars.length;
+        } else if (mode === 1) {
+            for (let i = 0; i <= this.column && i < row.chars.length; i++) {
+                row.chars[i] = ' ';
+                row.pens[i] = '';
+            }
+        } else {
+            row.chars = [];
+            row.pens = [];
+        }
+        changed.add(row);
+    }
+
+    /**
+     * @private
+     */
+    eraseScreen(mode, changed) {
+        if (mode >= 2) {
+            this.clear();
+            return;
+        }
+
+        const others = mode === 0 ? this.rows.slice(this.row + 1) : this.rows.slice(0, this.row);
+        for (const row of others) {
+            row.chars = [];
+            row.pens = [];
+            changed.add(row);
+        }
+        this.eraseLine(mode, changed);
+    }
+
+    /**
+     * @private
+     */
+    saveCursor() {
+        this.saved = { row: this.row, column: this.column };
+    }
+
+    /**
+     * @private
+     */
+    restoreCursor() {
+        if (!this.saved) return;
+        this.row = this.saved.row;
+        this.column = this.saved.column;
+    }
+}
+
+/**
+ * Remove escape sequences, leaving the text they decorate
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripAnsi(text) {
+    return String(text).replace(/\x1b\[[0-9;?]*[@-~]|\x1b[\s\S]?/g, '');
+}
+
+/**
+ * Attributes after an SGR sequence
+ * @private
+ */
+function applySgr(attributes, codes) {
+    const next = { ...attributes };
+    for (let i = 0; i < codes.length; i++) {
+        const code = Number.isFinite(codes[i]) ? codes[i] : 0;
+
+        if (code === 0) Object.assign(next, PLAIN);
+        else if (code === 1) next.bold = true;
+        else if (code === 22) next.bold = false;
+        else if (code === 4) next.underline = true;
+        else if (code === 24) next.underline = false;
+        else if (code === 7) next.inverse = true;
+        else if (code === 27) next.inverse = false;
+        else if (code >= 30 && code <= 37) next.fg = code - 30;
+        else if (code >= 90 && code <= 97) next.fg = code - 90 + 8;
+        else if (code === 39) next.fg = null;
+        else if (code >= 40 && code <= 47) next.bg = code - 40;
+        else if (code >= 100 && code <= 107) next.bg = code - 100 + 8;
+        else if (code === 49) next.bg = null;
+        else if (code === 38 || code === 48) {
+            const key = code === 38 ? 'fg' : 'bg';
+            if (codes[i + 1] === 5) {
+                next[key] = Math.max(0, Math.min(255, codes[i + 2] || 0));
+                i += 2;
+            } else if (codes[i + 1] === 2) {
+                next[key] = rgb(codes[i + 2], codes[i + 3], codes[i + 4]);
+                i += 4;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * The inline style of text drawn with the given attributes
+ * @private
+ */
+function penFor(attributes, base) {
+    let fg = attributes.fg === null ? base : colorOf(attributes.fg, attributes.bold);
+    let bg = attributes.bg === null ? null : colorOf(attributes.bg, false);
+    if (attributes.inverse) [fg, bg] = [bg || BACKGROUND, fg || FOREGROUND];
+
+    const styles = [];
+    if (fg) styles.push(`color:${fg}`);
+    if (bg) styles.push(`background:${bg}`);
+    if (attributes.bold) styles.push('font-weight:bold');
+    if (attributes.underline) styles.push('text-decoration:underline');
+    return styles.join(';');
+}
+
+/**
+ * CSS color of a palette index (bold brightens the first 8, as DOS did)
+ * or of an rgb() color
+ * @private
+ */
+function colorOf(color, bold) {
+    if (typeof color === 'string') return color;
+    if (color < 16) return PALETTE[bold && color < 8 ? color + 8 : color];
+    if (color < 232) {
+        const level = (value) => value === 0 ? 0 : 55 + value * 40;
+        const index = color - 16;
+        return rgb(level(Math.floor(index / 36)), level(Math.floor(index / 6) % 6), level(index % 6));
+    }
+    const gray = 8 + (color - 232) * 10;
+    return rgb(gray, gray, gray);
+}
+
+/**
+ * @private
+ */
+function rgb(...values) {
+    return '#' + values.map(value => Math.max(0, Math.min(255, value | 0)).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Colors given by callers end up in a style attribute, so only plain color
+ * values are used
+ * @private
+ */
+function isCssColor(color) {
+    return typeof color === 'string' && /^[#\w(),.%\s-]+$/.test(color);
+}
+
+/**
+ * Show a row: runs of characters with the same pen become one span
+ * @private
+ */
+function renderRow(row) {
+    let html = '';
+    for (let i = 0; i < row.chars.length;) {
+        const pen = row.pens[i];
+        let text = '';
+        while (i < row.chars.length && row.pens[i] === pen) text += row.chars[i++];
+        html += pen ? `<span style="${pen}">${escapeHtml(text)}</span>` : escapeHtml(text);
+    }
+    row.element.innerHTML = html;
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export default AnsiScreen;
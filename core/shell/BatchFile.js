@@ -0,0 +1,222 @@
+/**
+ * BatchFile - Runs .bat files in the Terminal
+ *
+ * Each line is expanded and then run like a typed command line, so every
+ * Terminal command, pipe and redirection works in a batch file. On top of
+ * that, BatchFile provides:
+ *   - :labels and GOTO label (GOTO :EOF ends the file)
+ *   - %0-%9 and %* arguments, moved along by SHIFT; %~1 is %1 without
+ *     its surrounding quotes
+ *   - %VAR% expansion (%% for a literal %, so FOR uses %%f)
+ *   - @ and ECHO OFF to hide lines, REM and :: comments
+ *   - SETLOCAL / ENDLOCAL, CALL of other batch files and EXIT /B
+ * IF, FOR and PAUSE are ordinary Terminal commands, so they work at the
+ * prompt too; their conditions see the exit code of the previous line as
+ * ERRORLEVEL.
+ *
+ * The Terminal is the shell: BatchFile uses its runCommandLine(), print(),
+ * getVariable(), envVars, currentPath, lastExitCode and activeProcess, and
+ * sets shell.batch to the file that is running.
+ *
+ * Usage:
+ *   const batch = new BatchFile(terminal, ['C:', 'build.bat'], content, ['release']);
+ *   const exitCode = await batch.run();
+ */
+
+// Pause between lines; also keeps a runaway GOTO loop from freezing the page
+const LINE_DELAY = 50;
+
+export class BatchFile {
+    /**
+     * @param {Object} shell - The Terminal running the file
+     * @param {string[]} filePath - Path of the batch file
+     * @param {string} content - Its text
+     * @param {string[]} [args] - Arguments (%1-%9), with their quotes
+     */
+    constructor(shell, filePath, content, args = []) {
+        this.shell = shell;
+        this.filePath = filePath;
+        this.lines = String(content).split(/\r?\n/);
+        this.labels = findLabels(this.lines);
+        this.args = [filePath[filePath.length - 1], ...args];
+        this.allArgs = [...args];
+        this.pc = 0;
+        this.echo = true;
+        this.ended = false;
+        this.jumped = false;
+        this.parent = null;
+        this.pending = null;
+        this.locals = [];
+    }
+
+    /**
+     * Run the file to the end (or to GOTO :EOF, EXIT /B or Ctrl+C)
+     * @returns {Promise<number>} ERRORLEVEL when the file ends
+     */
+    async run() {
+        this.parent = this.shell.batch;
+        this.shell.batch = this;
+
+        try {
+            while (!this.ended && this.pc < this.lines.length) {
+                this.runLine(this.lines[this.pc++]);
+
+                // A CALLed batch file runs to its end before the next line
+                if (this.pending) {
+                    const child = this.pending;
+                    this.pending = null;
+                    await child.run();
+                }
+
+                await this.waitForShell();
+            }
+        } finally {
+            while (this.locals.length > 0) this.endLocal();
+            this.shell.batch = this.parent;
+        }
+
+        return this.shell.lastExitCode;
+    }
+
+    /**
+     * Run one line of the file
+     * @param {string} raw - The line as written
+     */
+    runLine(raw) {
+        let line = raw.trim();
+        if (!line || line.startsWith(':') || /^@?rem(\s|$)/i.test(line)) return;
+
+        const quiet = line.startsWith('@');
+        if (quiet) line = line.slice(1).trim();
+
+        line = this.expand(line);
+        if (this.echo && !quiet) this.shell.print(line, '#808080');
+
+        this.jumped = false;
+        this.shell.runCommandLine(line);
+    }
+
+    /**
+     * Expand %0-%9, %~0-%~9, %*, %VAR% and %% in a line
+     * Undefined variables expand to nothing, as in a real batch file.
+     * @param {string} line
+     * @returns {string}
+     */
+    expand(line) {
+        return line.replace(/%(?:(%)|(\*)|(~)?([0-9])|([^%\s]+)%)/g, (match, percent, all, tilde, arg, name) => {
+            if (percent) return '%';
+            if (all) return this.allArgs.join(' ');
+            if (arg !== undefined) {
+                const value = this.args[Number(arg)] ?? '';
+                return tilde ? unquote(value) : value;
+            }
+            return this.shell.getVariable(name) ?? '';
+        });
+    }
+
+    /**
+     * Continue at a label
+     * @param {string} label - With or without the leading ":"
+     * @returns {boolean} False if there is no such label (the file then ends)
+     */
+    goto(label) {
+        const name = String(label).replace(/^:/, '').toLowerCase();
+        if (name === 'eof' && !(name in this.labels)) {
+            this.end();
+            return true;
+        }
+        if (!(name in this.labels)) {
+            this.end();
+            return false;
+        }
+        this.pc = this.labels[name] + 1;
+        this.jumped = true;
+        return true;
+    }
+
+    /**
+     * SHIFT: %1 becomes %0, %2 becomes %1, and so on
+     */
+    shift() {
+        this.args.shift();
+    }
+
+    /**
+     * SETLOCAL: changes to variables and the current directory are undone
+     * by the matching ENDLOCAL, or when the file ends
+     */
+    setLocal() {
+        this.locals.push({
+            envVars: { ...this.shell.envVars },
+            currentPath: [...this.shell.currentPath]
+        });
+    }
+
+    endLocal() {
+        const saved = this.locals.pop();
+        if (!saved) return;
+        this.shell.envVars = saved.envVars;
+        this.shell.currentPath = saved.currentPath;
+        this.shell.updatePrompt();
+    }
+
+    /**
+     * Run another batch file before continuing with the next line
+     * @param {BatchFile} child
+     */
+    call(child) {
+        this.pending = child;
+    }
+
+    /**
+     * Stop after the current line (EXIT /B, GOTO :EOF)
+     */
+    end() {
+        this.ended = true;
+        this.jumped = true;
+    }
+
+    /**
+     * Stop this file and every file that CALLed it (Ctrl+C)
+     */
+    stop() {
+        this.end();
+        this.parent?.stop();
+    }
+
+    /**
+     * Wait for the delay between lines, and for a command that keeps running
+     * (PAUSE, MORE, PING...) to finish
+     * @private
+     */
+    async waitForShell() {
+        do {
+            await new Promise(resolve => setTimeout(resolve, LINE_DELAY));
+        } while (this.shell.activeProcess && !this.ended);
+    }
+}
+
+/**
+ * Map every :label (lower-cased) to its line; the first of a name wins
+ * @private
+ */
+function findLabels(lines) {
+    const labels = {};
+    lines.forEach((line, index) => {
+        const match = line.trim().match(/^:([^:\s]\S*)/);
+        if (match && !(match[1].toLowerCase() in labels)) {
+            labels[match[1].toLowerCase()] = index;
+        }
+    });
+    return labels;
+}
+
+/**
+ * An argument without the quotes around it ("my file.txt" -> my file.txt)
+ * @private
+ */
+function unquote(value) {
+    return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+export default BatchFile;
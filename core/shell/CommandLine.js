@@ -0,0 +1,174 @@
+/**
+ * CommandLine - Splitting Terminal command lines into pipeline stages,
+ * redirections and a trailing & for background jobs
+ *
+ * Operators inside double quotes or parentheses are plain text, so
+ *   echo "a | b" | find "|"
+ * is two commands, not four, and in
+ *   if exist a.txt (type a.txt > b.txt) else (echo none)
+ * the redirection belongs to the command run by IF. A "(" that no ")"
+ * closes is plain text too: "echo (hi > out.txt" still writes out.txt.
+ *
+ * Usage:
+ *   splitPipeline('dir /b | sort | more')  // ['dir /b', 'sort', 'more']
+ *   parseRedirections('sort < names.txt > sorted.txt 2>NUL')
+ *   // { command: 'sort', redirects: [
+ *   //     { fd: 0, mode: 'read', target: 'names.txt' },
+ *   //     { fd: 1, mode: 'write', target: 'sorted.txt' },
+ *   //     { fd: 2, mode: 'write', target: 'NUL' } ] }
+ *   parseBackground('ping example.com &')  // { command: 'ping example.com', background: true }
+ */
+
+// <, >, >> with an optional handle (2>, 1>>) and an optional duplication (2>&1)
+const REDIRECT_PATTERN = /^([12])?(>>|>|<)(?:&([12]))?/;
+
+/**
+ * Split a command line on unquoted "|" into pipeline stages
+ * @param {string} line
+ * @returns {string[]} Trimmed stages; an empty stage ("dir |") stays as ''
+ */
+export function splitPipeline(line) {
+    const text = String(line);
+    const groups = closedGroups(text);
+    const stages = [];
+    let current = '';
+    let inQuotes = false;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes) depth = nextDepth(depth, char, groups.has(i));
+        if (char === '|' && !inQuotes && depth === 0) {
+            stages.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    stages.push(current.trim());
+    return stages;
+}
+
+/**
+ * Take the redirections out of one pipeline stage
+ * A handle number only counts at the start of a word: "2>err.txt" redirects
+ * stderr, "echo 12>a" writes "12" to a.
+ * @param {string} stage
+ * @returns {{command: string, redirects: Array<{fd: number, mode: string, target?: string, duplicate?: number}>}}
+ *   mode is 'read' (<), 'write' (>) or 'append' (>>); duplicate is set for 2>&1
+ * @throws {Error} When an operator has no file name
+ */
+export function parseRedirections(stage) {
+    const text = String(stage);
+    const groups = closedGroups(text);
+    const redirects = [];
+    let command = '';
+    let inQuotes = false;
+    let depth = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const match = inQuotes || depth > 0 ? null : REDIRECT_PATTERN.exec(text.slice(i));
+        const atWordStart = i === 0 || /\s/.test(text[i - 1]);
+
+        if (!match || (match[1] && !atWordStart)) {
+            if (char === '"') inQuotes = !inQuotes;
+            if (!inQuotes) depth = nextDepth(depth, char, groups.has(i));
+            command += char;
+            i++;
+            continue;
+        }
+
+        const [operator, handle, symbol, duplicate] = match;
+        const fd = symbol === '<' ? 0 : Number(handle || 1);
+        i += operator.length;
+
+        if (duplicate) {
+            redirects.push({ fd, mode: 'write', duplicate: Number(duplicate) });
+            continue;
+        }
+
+        const { target, end } = readWord(text, i);
+        if (!target) throw new Error('The syntax of the command is incorrect.');
+        redirects.push({ fd, mode: symbol === '<' ? 'read' : symbol === '>>' ? 'append' : 'write', target });
+        i = end;
+    }
+
+    return { command: command.trim(), redirects };
+}
+
+/**
+ * Take a trailing "&" (run as a background job) off a command line
+ * ">&" and "&&" at the end are not it.
+ * @param {string} line
+ * @returns {{command: string, background: boolean}}
+ */
+export function parseBackground(line) {
+    const text = String(line).trim();
+    if (!text.endsWith('&') || /(?:&&|>&)$/.test(text)) {
+        return { command: text, background: false };
+    }
+    const command = text.slice(0, -1).trim();
+    return { command, background: command.length > 0 };
+}
+
+/**
+ * Check whether a redirection target is the NUL device
+ * @param {string} target
+ * @returns {boolean}
+ */
+export function isNullDevice(target) {
+    return /^nul:?$/i.test(String(target).trim());
+}
+
+/**
+ * Track parenthesis nesting; a stray ")" (as in "echo :)") does not go below 0
+ * @private
+ */
+function nextDepth(depth, char, opensGroup) {
+    if (char === '(' && opensGroup) return depth + 1;
+    if (char === ')') return Math.max(0, depth - 1);
+    return depth;
+}
+
+/**
+ * Positions of the unquoted "(" that a later ")" closes
+ * @private
+ */
+function closedGroups(text) {
+    const open = [];
+    const closed = new Set();
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') inQuotes = !inQuotes;
+        if (inQuotes) continue;
+        if (text[i] === '(') open.push(i);
+        if (text[i] === ')' && open.length > 0) closed.add(open.pop());
+    }
+    return closed;
+}
+
+/**
+ * Read the file name after a redirection operator
+ * @private
+ */
+function readWord(text, start) {
+    let i = start;
+    while (i < text.length && /\s/.test(text[i])) i++;
+
+    let target = '';
+    let inQuotes = false;
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (/\s/.test(char) || char === '<' || char === '>')) {
+            break;
+        } else {
+            target += char;
+        }
+    }
+    return { target, end: i };
+}
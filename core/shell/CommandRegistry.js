@@ -0,0 +1,188 @@
+/**
+ * CommandRegistry - Terminal commands contributed by plugins, apps and
+ * RetroScript files
+ *
+ * A registered command runs exactly like a built-in one: it receives its
+ * arguments and a CommandIO (see Streams.js), so it can read piped input,
+ * write output and errors, and be piped into any other command. HELP lists
+ * every registered command, HELP name and name /? show its help, and Tab
+ * completes its name and, through complete(), its arguments.
+ *
+ * Commands come from:
+ *   - plugins: the commands array of the plugin (PluginLoader)
+ *   - apps: the commands array of the app's config (AppRegistry)
+ *   - providers: sources that find commands when asked, such as the
+ *     RetroScript files in C:\Windows\Commands (ScriptCommands.js)
+ *
+ * Usage:
+ *   CommandRegistry.register('rev', {
+ *       description: 'Reverses each line of its input.',
+ *       usage: 'REV [text]',
+ *       help: 'Without text, reverses the lines piped in (DIR /B | REV).',
+ *       complete: (args) => ['--all'],
+ *       run: (args, io) => io.stdin.readLines().map(l => [...l].reverse().join('')).join('\n')
+ *   }, 'my-plugin');
+ *
+ *   C:\>dir /b | rev
+ *
+ * run(args, io, terminal) may write to io.stdout / io.stderr itself or
+ * return a string, which is written to stdout. Set io.exitCode, or call
+ * io.fail(message), to report an error. A command that keeps running
+ * returns a Promise: the Terminal then runs the command line as a job and
+ * the rest of the pipeline waits for it. Such a command may provide
+ * pause(), resume() and stop(), which Ctrl+Z, FG / BG and Ctrl+C call.
+ *
+ * complete(args, terminal) gets the arguments typed so far (the last one
+ * possibly partial) and returns the candidates for the last one; without
+ * it, or when no candidate matches, Tab completes file names.
+ */
+
+const COMMAND_HOOKS = ['complete', 'pause', 'resume', 'stop'];
+
+class CommandRegistryClass {
+    constructor() {
+        // Map of lower-case name -> { name, description, usage, help, run, source, ...hooks }
+        this.commands = new Map();
+
+        // Sources asked for commands that are not registered: { get(name), list() }
+        this.providers = [];
+    }
+
+    /**
+     * Register a command
+     * @param {string} name - Command name, matched case-insensitively
+     * @param {Object|Function} command - { run, description, usage, help, complete, pause, resume, stop } or just run
+     * @param {string} [source='system'] - Who registered it (plugin or app id)
+     */
+    register(name, command, source = 'system') {
+        const key = String(name || '').trim().toLowerCase();
+        if (!key || /\s/.test(key)) {
+            throw new Error(`Invalid command name: "${name}"`);
+        }
+
+        const definition = typeof command === 'function' ? { run: command } : { ...command };
+        if (typeof definition.run !== 'function') {
+            throw new Error(`Command "${key}" has no run function`);
+        }
+
+        if (this.commands.has(key)) {
+            console.warn(`[CommandRegistry] Command "${key}" from ${this.commands.get(key).source} replaced by ${source}`);
+        }
+
+        this.commands.set(key, createCommand(key, definition, source));
+    }
+
+    /**
+     * Register a list of commands, each with its name; one that cannot be
+     * registered is skipped with a warning
+     * @param {Object[]} commands - [{ name, run, ... }]
+     * @param {string} source - Plugin or app id
+     */
+    registerAll(commands, source) {
+        if (!Array.isArray(commands)) return;
+        for (const command of commands) {
+            try {
+                this.register(command?.name, command, source);
+            } catch (e) {
+                console.warn(`[CommandRegistry] ${source}: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Register the commands in an app's config
+     * @param {AppBase} app - App instance
+     */
+    registerApp(app) {
+        this.registerAll(app.commands, app.pluginId || app.id);
+    }
+
+    /**
+     * Remove every command registered by a source
+     * @param {string} source
+     */
+    unregister(source) {
+        for (const [key, command] of this.commands) {
+            if (command.source === source) this.commands.delete(key);
+        }
+    }
+
+    /**
+     * Add a source of commands that are looked up when needed rather than
+     * registered. Registered commands win over provided ones.
+     * @param {Object} provider - { get(name) -> definition|null, list() -> definitions }
+     */
+    addProvider(provider) {
+        if (!this.providers.includes(provider)) this.providers.push(provider);
+    }
+
+    /**
+     * Look up a command
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(name) {
+        const key = String(name || '').toLowerCase();
+        if (this.commands.has(key)) return this.commands.get(key);
+
+        for (const provider of this.providers) {
+            const command = provider.get(key);
+            if (command) return command;
+        }
+        return null;
+    }
+
+    /**
+     * All registered and provided commands, sorted by name
+     * @returns {Object[]}
+     */
+    list() {
+        const commands = new Map();
+        for (const provider of this.providers) {
+            for (const command of provider.list()) {
+                if (!commands.has(command.name)) commands.set(command.name, command);
+            }
+        }
+        for (const [key, command] of this.commands) commands.set(key, command);
+        return [...commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Help for a command, as shown by HELP name and name /?
+     * @param {Object} command - From get()
+     * @returns {string}
+     */
+    formatHelp(command) {
+        const parts = [command.description || `${command.name.toUpperCase()} (${command.source})`];
+        if (command.usage) parts.push(command.usage);
+        if (command.help) parts.push(command.help);
+        return parts.join('\n\n');
+    }
+}
+
+/**
+ * The stored form of a command definition
+ * @param {string} name - Lower-case name
+ * @param {Object} definition
+ * @param {string} source
+ * @returns {Object}
+ */
+export function createCommand(name, definition, source) {
+    const command = {
+        name,
+        description: definition.description || '',
+        usage: definition.usage || '',
+        help: definition.help || '',
+        run: definition.run,
+        source
+    };
+    for (const hook of COMMAND_HOOKS) {
+        if (typeof definition[hook] === 'function') command[hook] = definition[hook];
+    }
+    return command;
+}
+
+const CommandRegistry = new CommandRegistryClass();
+
+export { CommandRegistry };
+export default CommandRegistry;
@@ -0,0 +1,843 @@
+/**
+ * Editor - The full-screen text editor EDIT runs in the Terminal
+ *
+ * Laid out like MS-DOS EDIT: a menu bar (File, Edit, Search), the file in
+ * a blue window, and a status line with the cursor position. The editor
+ * keeps the text and draws 80x25 frames with ANSI colors; the Terminal
+ * shows them through an AnsiScreen and passes it the keys.
+ *
+ * Keys:
+ *   arrows, Home, End, PgUp, PgDn, Ctrl+Home, Ctrl+End, Ctrl+arrows
+ *                          move the cursor (holding Shift selects)
+ *   Ctrl+X, Ctrl+C, Ctrl+V cut, copy, paste (also Shift+Del, Ctrl+Ins, Shift+Ins)
+ *   Ctrl+A                 select all
+ *   Ctrl+S                 save
+ *   Ctrl+F, F3, Ctrl+H     find, find again, change (find and replace)
+ *   Alt+F, Alt+E, Alt+S    open a menu (also F10); then arrows, Enter,
+ *                          the highlighted letter, or Esc
+ *   Alt+X                  exit
+ * Dialogs take Enter and Esc, and the letter of each choice.
+ *
+ * Usage:
+ *   const editor = new TextEditor({ path, resolvePath: (name) => terminal.resolvePath(name) });
+ *   editor.onExit = () => job.finish();
+ *   editor.handleKey(event);   // a keydown event
+ *   editor.render();           // the 25 rows of the screen
+ */
+
+import FileSystemManager from '../FileSystemManager.js';
+
+const COLUMNS = 80;
+const ROWS = 25;
+const TEXT_TOP = 2;                 // Rows 0 and 1 are the menu bar and the window title
+const TEXT_HEIGHT = ROWS - 4;       // Then the bottom border and the status line
+const TEXT_WIDTH = COLUMNS - 2;
+const TAB_SIZE = 8;
+
+const STYLE = Object.freeze({
+    MENU: '\x1b[0;30;47m',
+    MENU_KEY: '\x1b[0;97;47m',
+    MENU_SELECTED: '\x1b[0;37;40m',
+    MENU_SELECTED_KEY: '\x1b[0;97;40m',
+    TEXT: '\x1b[0;37;44m',
+    BORDER: '\x1b[0;97;44m',
+    SELECTION: '\x1b[0;34;47m',
+    CURSOR: '\x1b[0;30;107m',
+    STATUS: '\x1b[0;97;46m',
+    STATUS_POSITION: '\x1b[0;30;46m',
+    DIALOG: '\x1b[0;30;47m',
+    FIELD: '\x1b[0;97;40m'
+});
+
+// key is the highlighted letter; a null item is a separator
+const MENUS = Object.freeze([
+    {
+        title: 'File', key: 'f', items: [
+            { label: 'New', key: 'n', action: 'new' },
+            { label: 'Open...', key: 'o', action: 'open' },
+            { label: 'Save', key: 's', action: 'save', shortcut: 'Ctrl+S' },
+            { label: 'Save As...', key: 'a', action: 'saveAs' },
+            null,
+            { label: 'Exit', key: 'x', action: 'exit', shortcut: 'Alt+X' }
+        ]
+    },
+    {
+        title: 'Edit', key: 'e', items: [
+            { label: 'Cut', key: 't', action: 'cut', shortcut: 'Ctrl+X' },
+            { label: 'Copy', key: 'c', action: 'copy', shortcut: 'Ctrl+C' },
+            { label: 'Paste', key: 'p', action: 'paste', shortcut: 'Ctrl+V' },
+            { label: 'Clear', key: 'e', action: 'clear', shortcut: 'Del' },
+            null,
+            { label: 'Select All', key: 'a', action: 'selectAll', shortcut: 'Ctrl+A' }
+        ]
+    },
+    {
+        title: 'Search', key: 's', items: [
+            { label: 'Find...', key: 'f', action: 'find', shortcut: 'Ctrl+F' },
+            { label: 'Repeat Last Find', key: 'r', action: 'findNext', shortcut: 'F3' },
+            { label: 'Change...', key: 'c', action: 'change', shortcut: 'Ctrl+H' }
+        ]
+    }
+]);
+
+// Shared by every editor, as one clipboard would be in DOS
+let clipboard = '';
+
+export class TextEditor {
+    /**
+     * @param {Object} options
+     * @param {string[]|null} [options.path] - File to edit; a missing file is created on save
+     * @param {Function} options.resolvePath - (name typed in a dialog) => path
+     * @throws {Error} When the file cannot be read
+     */
+    constructor({ path = null, resolvePath }) {
+        this.resolvePath = resolvePath;
+        this.onExit = null;
+        this.lastFind = '';
+        this.menu = null;     // { index, item } of the open menu
+        this.dialog = null;   // See openInput(), ask() and tell()
+        this.notice = '';     // Shown on the status line until the next key
+        this.load(path);
+    }
+
+    get name() {
+        return this.path ? this.path[this.path.length - 1] : 'Untitled';
+    }
+
+    /**
+     * Handle a keydown event
+     * @param {KeyboardEvent} event
+     */
+    handleKey(event) {
+        this.notice = '';
+        if (this.dialog) this.dialogKey(event);
+        else if (this.menu) this.menuKey(event);
+        else this.editKey(event);
+    }
+
+    /**
+     * The screen, one string of ANSI-colored text per row
+     * @returns {string[]}
+     */
+    render() {
+        const grid = Array.from({ length: ROWS }, () => Array.from({ length: COLUMNS }, () => ({ char: ' ', style: STYLE.TEXT })));
+
+        this.drawMenuBar(grid);
+        this.drawWindow(grid);
+        this.drawStatus(grid);
+        if (this.menu) this.drawMenu(grid);
+        if (this.dialog) this.drawDialog(grid);
+
+        return grid.map(row => {
+            let text = '';
+            let style = null;
+            for (const cell of row) {
+                if (cell.style !== style) text += style = cell.style;
+                text += cell.char;
+            }
+            return text;
+        });
+    }
+
+    // === FILES ===
+
+    /**
+     * @private
+     */
+    load(path) {
+        let content = '';
+        if (path && FileSystemManager.exists(path)) content = FileSystemManager.readFile(path);
+
+        this.path = path;
+        this.crlf = content.includes('\r\n');
+        this.lines = content.split(/\r?\n/).map(expandTabs);
+        this.row = 0;
+        this.col = 0;
+        this.top = 0;
+        this.left = 0;
+        this.anchor = null;
+        this.modified = false;
+    }
+
+    /**
+     * Save, asking for a name if the file has none, then go on
+     * @private
+     */
+    save(then) {
+        if (!this.path) {
+            this.saveAs(then);
+            return;
+        }
+        try {
+            FileSystemManager.writeFile(this.path, this.lines.join(this.crlf ? '\r\n' : '\n'));
+            this.modified = false;
+            this.notice = `Saved ${this.name}`;
+            then?.();
+        } catch (e) {
+            this.tell('Error', e.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    saveAs(then) {
+        this.openInput('Save As', 'File Name:', this.path ? this.name : '', (name) => {
+            if (!name) return;
+            this.path = this.resolvePath(name);
+            this.save(then);
+        });
+    }
+
+    /**
+     * @private
+     */
+    open() {
+        this.openInput('Open', 'File Name:', '', (name) => {
+            if (!name) return;
+            const path = this.resolvePath(name);
+            const node = FileSystemManager.getNode(path);
+            if (!node) return this.tell('Open', 'File not found.');
+            if (node.type !== 'file') return this.tell('Open', 'Path not found.');
+            try {
+                this.load(path);
+            } catch (e) {
+                this.tell('Error', e.message);
+            }
+        });
+    }
+
+    /**
+     * Run next once unsaved changes are saved or dropped (Esc cancels)
+     * @private
+     */
+    keepChanges(next) {
+        if (!this.modified) {
+            next();
+            return;
+        }
+        this.ask('EDIT', `Save the changes to ${this.name}?`, {
+            y: () => this.save(next),
+            n: next
+        }, '(Y)es  (N)o  Esc=Cancel');
+    }
+
+    // === COMMANDS ===
+
+    /**
+     * Run a menu command
+     * @private
+     */
+    run(action) {
+        switch (action) {
+            case 'new':
+                this.keepChanges(() => this.load(null));
+                break;
+            case 'open':
+                this.keepChanges(() => this.open());
+                break;
+            case 'save':
+                this.save();
+                break;
+            case 'saveAs':
+                this.saveAs();
+                break;
+            case 'exit':
+                this.keepChanges(() => this.onExit?.());
+                break;
+            case 'cut':
+                if (this.selection()) {
+                    clipboard = this.selectedText();
+                    this.deleteSelection();
+                }
+                break;
+            case 'copy':
+                if (this.selection()) clipboard = this.selectedText();
+                break;
+            case 'paste':
+                if (clipboard) this.insert(clipboard);
+                break;
+            case 'clear':
+                this.deleteSelection();
+                break;
+            case 'selectAll':
+                this.anchor = { row: 0, col: 0 };
+                this.moveTo(this.lines.length - 1, this.lines[this.lines.length - 1].length);
+                break;
+            case 'find':
+                this.openInput('Find', 'Find What:', this.selectedText() || this.lastFind, (text) => {
+                    if (!text) return;
+                    this.lastFind = text;
+                    this.findNext();
+                });
+                break;
+            case 'findNext':
+                if (this.lastFind) this.findNext();
+                else this.run('find');
+                break;
+            case 'change':
+                this.openInput('Change', 'Find What:', this.selectedText() || this.lastFind, (text) => {
+                    if (!text) return;
+                    this.lastFind = text;
+                    this.openInput('Change', 'Change To:', '', (replacement) => this.change(text, replacement));
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Select the next match of the last search, wrapping at the end
+     * @private
+     */
+    findNext() {
+        const match = this.search(this.lastFind, this.row, this.col, true);
+        if (!match) {
+            this.tell('Find', 'Match not found.');
+            return;
+        }
+        this.select(match);
+    }
+
+    /**
+     * Change matches from the top of the file, asking about each one
+     * @private
+     */
+    change(text, replacement) {
+        let count = 0;
+        let position = { row: 0, col: 0 };
+
+        const replace = (match) => {
+            const line = this.lines[match.row];
+            this.lines[match.row] = line.slice(0, match.col) + replacement + line.slice(match.col + text.length);
+            this.modified = true;
+            count++;
+            position = { row: match.row, col: match.col + replacement.length };
+            this.anchor = null;
+            this.moveTo(position.row, position.col);
+        };
+        const done = () => this.tell('Change', count ? `${count} change${count === 1 ? '' : 's'} made.` : 'Match not found.');
+
+        const next = () => {
+            const match = this.search(text, position.row, position.col, false);
+            if (!match) return done();
+
+            this.select(match);
+            this.ask('Change', 'Change this occurrence?', {
+                y: () => { replace(match); next(); },
+                n: () => { position = { row: match.row, col: match.col + text.length }; next(); },
+                a: () => {
+                    replace(match);
+                    for (let found; (found = this.search(text, position.row, position.col, false));) replace(found);
+                    done();
+                }
+            }, '(Y)es  (N)o  (A)ll  Esc=Cancel');
+        };
+        next();
+    }
+
+    /**
+     * Find text (case-insensitive) from a position on
+     * @private
+     * @returns {{row: number, col: number, length: number}|null}
+     */
+    search(text, fromRow, fromCol, wrap) {
+        const query = text.toLowerCase();
+        const count = this.lines.length;
+        for (let i = 0; i <= count; i++) {
+            if (!wrap && fromRow + i >= count) break;
+            const row = (fromRow + i) % count;
+            const line = this.lines[row].toLowerCase();
+            // The first line is searched after the cursor, and again before it once wrapped
+            const col = i === 0 ? line.indexOf(query, fromCol) : line.indexOf(query);
+            if (col >= 0 && !(i === count && col >= fromCol)) return { row, col, length: text.length };
+        }
+        return null;
+    }
+
+    // === EDITING ===
+
+    /**
+     * @private
+     */
+    editKey(event) {
+        const { key, shiftKey, altKey } = event;
+        const ctrlKey = event.ctrlKey || event.metaKey;
+        const letter = letterOf(event);
+
+        if (key === 'F10') return this.openMenu(0);
+        if (key === 'F3') return this.run('findNext');
+        if (altKey) {
+            if (letter === 'x') return this.run('exit');
+            const index = MENUS.findIndex(menu => menu.key === letter);
+            if (index >= 0) this.openMenu(index);
+            return;
+        }
+
+        if (ctrlKey && !['Home', 'End', 'ArrowLeft', 'ArrowRight', 'Insert'].includes(key)) {
+            const shortcuts = { s: 'save', f: 'find', h: 'change', x: 'cut', c: 'copy', v: 'paste', a: 'selectAll' };
+            if (shortcuts[letter]) this.run(shortcuts[letter]);
+            return;
+        }
+        if (shiftKey && key === 'Delete') return this.run('cut');
+        if (ctrlKey && key === 'Insert') return this.run('copy');
+        if (shiftKey && key === 'Insert') return this.run('paste');
+
+        if (this.moveKey(key, ctrlKey, shiftKey)) return;
+
+        switch (key) {
+            case 'Enter':
+                this.insert('\n');
+                break;
+            case 'Tab':
+                this.insert(' '.repeat(TAB_SIZE - (this.col % TAB_SIZE)));
+                break;
+            case 'Backspace':
+                if (!this.deleteSelection()) this.deleteRange(this.positionBefore(), { row: this.row, col: this.col });
+                break;
+            case 'Delete':
+                if (!this.deleteSelection()) this.deleteRange({ row: this.row, col: this.col }, this.positionAfter());
+                break;
+            default:
+                if (key.length === 1) this.insert(key);
+                break;
+        }
+    }
+
+    /**
+     * Cursor keys; with Shift they select
+     * @private
+     * @returns {boolean} Whether the key moves the cursor
+     */
+    moveKey(key, ctrlKey, shiftKey) {
+        const line = this.lines[this.row];
+        let target;
+        switch (key) {
+            case 'ArrowUp': target = { row: this.row - 1, col: this.col }; break;
+            case 'ArrowDown': target = { row: this.row + 1, col: this.col }; break;
+            case 'ArrowLeft': target = ctrlKey ? this.wordBefore() : this.positionBefore(); break;
+            case 'ArrowRight': target = ctrlKey ? this.wordAfter() : this.positionAfter(); break;
+            case 'Home': target = ctrlKey ? { row: 0, col: 0 } : { row: this.row, col: 0 }; break;
+            case 'End': target = ctrlKey ? { row: this.lines.length - 1, col: Infinity } : { row: this.row, col: line.length }; break;
+            case 'PageUp': target = { row: this.row - TEXT_HEIGHT, col: this.col }; break;
+            case 'PageDown': target = { row: this.row + TEXT_HEIGHT, col: this.col }; break;
+            default: return false;
+        }
+
+        if (shiftKey) this.anchor ||= { row: this.row, col: this.col };
+        else this.anchor = null;
+        this.moveTo(target.row, target.col);
+        return true;
+    }
+
+    /**
+     * Insert text at the cursor, in place of the selection
+     * @private
+     */
+    insert(text) {
+        this.deleteSelection();
+        const line = this.lines[this.row];
+        const pieces = expandTabs(text).split(/\r?\n/);
+        const before = line.slice(0, this.col);
+        const after = line.slice(this.col);
+
+        const last = pieces.length - 1;
+        const inserted = pieces.map((piece, i) => (i === 0 ? before : '') + piece + (i === last ? after : ''));
+        this.lines.splice(this.row, 1, ...inserted);
+        this.modified = true;
+        this.moveTo(this.row + last, (last === 0 ? before.length : 0) + pieces[last].length);
+    }
+
+    /**
+     * @private
+     */
+    deleteRange(start, end) {
+        if (start.row === end.row && start.col === end.col) return;
+        const head = this.lines[start.row].slice(0, start.col);
+        const tail = this.lines[end.row].slice(end.col);
+        this.lines.splice(start.row, end.row - start.row + 1, head + tail);
+        this.modified = true;
+        this.moveTo(start.row, start.col);
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether there was a selection
+     */
+    deleteSelection() {
+        const range = this.selection();
+        this.anchor = null;
+        if (!range) return false;
+        this.deleteRange(range.start, range.end);
+        return true;
+    }
+
+    // === CURSOR AND SELECTION ===
+
+    /**
+     * Move the cursor, keeping it in the text and on the screen
+     * @private
+     */
+    moveTo(row, col) {
+        this.row = Math.max(0, Math.min(row, this.lines.length - 1));
+        this.col = Math.max(0, Math.min(col, this.lines[this.row].length));
+
+        if (this.row < this.top) this.top = this.row;
+        if (this.row >= this.top + TEXT_HEIGHT) this.top = this.row - TEXT_HEIGHT + 1;
+        if (this.col < this.left) this.left = this.col;
+        if (this.col >= this.left + TEXT_WIDTH) this.left = this.col - TEXT_WIDTH + 1;
+    }
+
+    /**
+     * Select a search match, leaving the cursor at its end
+     * @private
+     */
+    select(match) {
+        this.anchor = { row: match.row, col: match.col };
+        this.moveTo(match.row, match.col + match.length);
+    }
+
+    /**
+     * The selection, start first
+     * @private
+     * @returns {{start: Object, end: Object}|null}
+     */
+    selection() {
+        if (!this.anchor) return null;
+        const cursor = { row: this.row, col: this.col };
+        const order = compare(this.anchor, cursor);
+        if (order === 0) return null;
+        return order < 0 ? { start: this.anchor, end: cursor } : { start: cursor, end: this.anchor };
+    }
+
+    /**
+     * @private
+     */
+    selectedText() {
+        const range = this.selection();
+        if (!range) return '';
+        const { start, end } = range;
+        if (start.row === end.row) return this.lines[start.row].slice(start.col, end.col);
+        return [
+            this.lines[start.row].slice(start.col),
+            ...this.lines.slice(start.row + 1, end.row),
+            this.lines[end.row].slice(0, end.col)
+        ].join('\n');
+    }
+
+    /**
+     * @private
+     */
+    positionBefore() {
+        if (this.col > 0) return { row: this.row, col: this.col - 1 };
+        if (this.row > 0) return { row: this.row - 1, col: this.lines[this.row - 1].length };
+        return { row: 0, col: 0 };
+    }
+
+    /**
+     * @private
+     */
+    positionAfter() {
+        if (this.col < this.lines[this.row].length) return { row: this.row, col: this.col + 1 };
+        if (this.row < this.lines.length - 1) return { row: this.row + 1, col: 0 };
+        return { row: this.row, col: this.col };
+    }
+
+    /**
+     * @private
+     */
+    wordBefore() {
+        const line = this.lines[this.row];
+        if (this.col === 0) return this.positionBefore();
+        let col = this.col;
+        while (col > 0 && /\s/.test(line[col - 1])) col--;
+        while (col > 0 && !/\s/.test(line[col - 1])) col--;
+        return { row: this.row, col };
+    }
+
+    /**
+     * @private
+     */
+    wordAfter() {
+        const line = this.lines[this.row];
+        if (this.col >= line.length) return this.positionAfter();
+        let col = this.col;
+        while (col < line.length && !/\s/.test(line[col])) col++;
+        while (col < line.length && /\s/.test(line[col])) col++;
+        return { row: this.row, col };
+    }
+
+    // === MENUS AND DIALOGS ===
+
+    /**
+     * @private
+     */
+    openMenu(index) {
+        this.menu = { index, item: 0 };
+    }
+
+    /**
+     * @private
+     */
+    menuKey(event) {
+        const { key, altKey } = event;
+        const menu = MENUS[this.menu.index];
+        const letter = letterOf(event);
+        const step = (direction) => {
+            let item = this.menu.item;
+            do {
+                item = (item + direction + menu.items.length) % menu.items.length;
+            } while (!menu.items[item]);
+            this.menu.item = item;
+        };
+        const choose = (item) => {
+            this.menu = null;
+            this.run(item.action);
+        };
+
+        if (key === 'Escape' || key === 'F10') {
+            this.menu = null;
+        } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            this.openMenu((this.menu.index + (key === 'ArrowLeft' ? -1 : 1) + MENUS.length) % MENUS.length);
+        } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            step(key === 'ArrowUp' ? -1 : 1);
+        } else if (key === 'Enter') {
+            choose(menu.items[this.menu.item]);
+        } else if (altKey) {
+            const index = MENUS.findIndex(other => other.key === letter);
+            if (index >= 0) this.openMenu(index);
+        } else {
+            const item = menu.items.find(candidate => candidate?.key === letter);
+            if (item) choose(item);
+        }
+    }
+
+    /**
+     * Ask for a line of text
+     * @private
+     */
+    openInput(title, label, value, onSubmit) {
+        this.dialog = { type: 'input', title, label, value, onSubmit };
+    }
+
+    /**
+     * Ask a question answered by a letter; Esc cancels
+     * @private
+     */
+    ask(title, message, choices, hint) {
+        this.dialog = { type: 'ask', title, message, choices, hint };
+    }
+
+    /**
+     * Show a message until Enter or Esc
+     * @private
+     */
+    tell(title, message) {
+        this.dialog = { type: 'tell', title, message };
+    }
+
+    /**
+     * @private
+     */
+    dialogKey(event) {
+        const dialog = this.dialog;
+        const { key } = event;
+
+        if (dialog.type === 'input') {
+            if (key === 'Enter') {
+                this.dialog = null;
+                dialog.onSubmit(dialog.value.trim());
+            } else if (key === 'Escape') {
+                this.dialog = null;
+            } else if (key === 'Backspace') {
+                dialog.value = dialog.value.slice(0, -1);
+            } else if (key.length === 1 && !event.ctrlKey && !event.altKey) {
+                dialog.value += key;
+            }
+        } else if (dialog.type === 'ask') {
+            const choice = dialog.choices[letterOf(event)];
+            if (key === 'Escape') {
+                this.dialog = null;
+            } else if (choice) {
+                this.dialog = null;
+                choice();
+            }
+        } else if (key === 'Enter' || key === 'Escape' || key === ' ') {
+            this.dialog = null;
+        }
+    }
+
+    // === DRAWING ===
+
+    /**
+     * @private
+     */
+    drawMenuBar(grid) {
+        paint(grid, 0, 0, ' '.repeat(COLUMNS), STYLE.MENU);
+        MENUS.forEach((menu, index) => {
+            const open = this.menu?.index === index;
+            paintLabel(grid, 0, menuColumn(index), ` ${menu.title} `, menu.key, open ? STYLE.MENU_SELECTED : STYLE.MENU, open ? STYLE.MENU_SELECTED_KEY : STYLE.MENU_KEY);
+        });
+    }
+
+    /**
+     * @private
+     */
+    drawWindow(grid) {
+        const title = ` ${this.name}${this.modified ? ' *' : ''} `.slice(0, TEXT_WIDTH - 2);
+        const left = Math.floor((TEXT_WIDTH - title.length) / 2);
+        paint(grid, 1, 0, `┌${'─'.repeat(left)}${title}${'─'.repeat(TEXT_WIDTH - left - title.length)}┐`, STYLE.BORDER);
+        paint(grid, 1, 1 + left, title, STYLE.MENU);
+        paint(grid, TEXT_TOP + TEXT_HEIGHT, 0, `└${'─'.repeat(TEXT_WIDTH)}┘`, STYLE.BORDER);
+
+        const range = this.selection();
+        const showCursor = !this.menu && !this.dialog;
+        for (let y = 0; y < TEXT_HEIGHT; y++) {
+            const row = this.top + y;
+            const line = this.lines[row];
+            paint(grid, TEXT_TOP + y, 0, '│', STYLE.BORDER);
+            paint(grid, TEXT_TOP + y, COLUMNS - 1, '│', STYLE.BORDER);
+            if (line === undefined) continue;
+
+            for (let x = 0; x < TEXT_WIDTH; x++) {
+                const col = this.left + x;
+                const position = { row, col };
+                let style = STYLE.TEXT;
+                if (range && compare(range.start, position) <= 0 && compare(position, range.end) < 0 && col < line.length) style = STYLE.SELECTION;
+                if (showCursor && row === this.row && col === this.col) style = STYLE.CURSOR;
+                grid[TEXT_TOP + y][1 + x] = { char: line[col] ?? ' ', style };
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    drawStatus(grid) {
+        const position = `Line:${this.row + 1}  Col:${this.col + 1}`;
+        const help = this.notice || 'MS-DOS Editor  <F10=Menu>  Alt+X=Exit';
+        paint(grid, ROWS - 1, 0, ` ${help}`.padEnd(COLUMNS), STYLE.STATUS);
+        paint(grid, ROWS - 1, COLUMNS - position.length - 3, `│ ${position} `, STYLE.STATUS_POSITION);
+    }
+
+    /**
+     * @private
+     */
+    drawMenu(grid) {
+        const menu = MENUS[this.menu.index];
+        const labelWidth = Math.max(...menu.items.filter(Boolean).map(item => item.label.length));
+        const shortcutWidth = Math.max(...menu.items.filter(Boolean).map(item => (item.shortcut || '').length));
+        const width = labelWidth + shortcutWidth + 6;
+        const col = Math.min(menuColumn(this.menu.index) - 1, COLUMNS - width);
+
+        paint(grid, 1, col, `┌${'─'.repeat(width - 2)}┐`, STYLE.MENU);
+        menu.items.forEach((item, i) => {
+            const row = 2 + i;
+            if (!item) {
+                paint(grid, row, col, `├${'─'.repeat(width - 2)}┤`, STYLE.MENU);
+                return;
+            }
+            const selected = i === this.menu.item;
+            const text = ` ${item.label.padEnd(labelWidth + 2)}${(item.shortcut || '').padStart(shortcutWidth)} `;
+            paint(grid, row, col, '│', STYLE.MENU);
+            paintLabel(grid, row, col + 1, text, item.key, selected ? STYLE.MENU_SELECTED : STYLE.MENU, selected ? STYLE.MENU_SELECTED_KEY : STYLE.MENU_KEY);
+            paint(grid, row, col + width - 1, '│', STYLE.MENU);
+        });
+        paint(grid, 2 + menu.items.length, col, `└${'─'.repeat(width - 2)}┘`, STYLE.MENU);
+    }
+
+    /**
+     * @private
+     */
+    drawDialog(grid) {
+        const dialog = this.dialog;
+        const width = 60;
+        const col = Math.floor((COLUMNS - width) / 2);
+        const top = 8;
+        const inner = width - 4;
+        const hint = dialog.type === 'input' ? 'Enter=OK  Esc=Cancel' : dialog.type === 'ask' ? dialog.hint : 'Enter=OK';
+        const title = ` ${dialog.title} `;
+        const left = Math.floor((width - 2 - title.length) / 2);
+
+        const lines = [`┌${'─'.repeat(left)}${title}${'─'.repeat(width - 2 - left - title.length)}┐`];
+        const body = dialog.type === 'input' ? [dialog.label, '', ''] : [dialog.message, ''];
+        for (const text of [...body, hint]) lines.push(`│ ${fit(text, inner)} │`);
+        lines.push(`└${'─'.repeat(width - 2)}┘`);
+        lines.forEach((line, i) => paint(grid, top + i, col, line, STYLE.DIALOG));
+
+        if (dialog.type === 'input') {
+            // The end of a long value stays in view, followed by the cursor
+            const value = `${dialog.value}_`.slice(-inner);
+            paint(grid, top + 2, col + 2, fit(value, inner), STYLE.FIELD);
+        }
+    }
+}
+
+/**
+ * Order two positions
+ * @private
+ */
+function compare(a, b) {
+    return a.row - b.row || a.col - b.col;
+}
+
+/**
+ * Where a menu's title is on the menu bar
+ * @private
+ */
+function menuColumn(index) {
+    return MENUS.slice(0, index).reduce((col, menu) => col + menu.title.length + 3, 2);
+}
+
+/**
+ * Tabs become spaces up to the next tab stop
+ * @private
+ */
+function expandTabs(text) {
+    return text.split('\n').map(line => {
+        let expanded = '';
+        for (const char of line) {
+            expanded += char === '\t' ? ' '.repeat(TAB_SIZE - (expanded.length % TAB_SIZE)) : char;
+        }
+        return expanded;
+    }).join('\n');
+}
+
+/**
+ * The letter of a key, also when Alt changes what it types
+ * @private
+ */
+function letterOf(event) {
+    if (/^Key[A-Z]$/.test(event.code || '')) return event.code.slice(3).toLowerCase();
+    return String(event.key).toLowerCase();
+}
+
+/**
+ * Pad or cut text to a width
+ * @private
+ */
+function fit(text, width) {
+    return String(text).slice(0, width).padEnd(width);
+}
+
+/**
+ * @private
+ */
+function paint(grid, row, col, text, style) {
+    [...text].forEach((char, i) => {
+        if (grid[row] && col + i >= 0 && col + i < COLUMNS) grid[row][col + i] = { char, style };
+    });
+}
+
+/**
+ * Paint a menu label with its key letter highlighted
+ * @private
+ */
+function paintLabel(grid, row, col, text, key, style, keyStyle) {
+    paint(grid, row, col, text, style);
+    const index = text.toLowerCase().indexOf(key);
+    if (index >= 0) paint(grid, row, col + index, text[index], keyStyle);
+}
+
+export default TextEditor;
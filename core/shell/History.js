@@ -0,0 +1,166 @@
+/**
+ * History - Command history of a Terminal session
+ *
+ * Every command typed at a prompt is added to the session's history and
+ * to the history file on the virtual disk (TERMINAL_HISTORY.FILE, one
+ * command per line, like a DOSKEY history), so a new session or a new
+ * Terminal window starts with the commands typed before. Sessions keep
+ * their own history from then on.
+ *
+ * Besides Up/Down navigation, a history can:
+ *   - recall by number or text: !5, !-2, !!, !dir (expand())
+ *   - search backwards for text, as Ctrl+R does (search())
+ *
+ * Usage:
+ *   const history = CommandHistory.load();
+ *   history.add('dir /b');
+ *   history.expand('!!');           // 'dir /b'
+ *   history.search('di');           // index of the latest entry containing "di"
+ */
+
+import FileSystemManager from '../FileSystemManager.js';
+import { TERMINAL_HISTORY } from '../Constants.js';
+
+export class CommandHistory {
+    /**
+     * @param {string[]} [entries] - Oldest first
+     */
+    constructor(entries = []) {
+        this.entries = entries.slice(-TERMINAL_HISTORY.LIMIT);
+        this.position = -1; // Up/Down: entries back from the newest, -1 = the line being typed
+    }
+
+    /**
+     * A history holding what the history file holds
+     * @returns {CommandHistory}
+     */
+    static load() {
+        return new CommandHistory(readHistoryFile());
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Add a command, unless it repeats the one before; it is also appended
+     * to the history file
+     * @param {string} line
+     */
+    add(line) {
+        const command = String(line).trim();
+        this.position = -1;
+        if (!command || command === this.entries[this.entries.length - 1]) return;
+
+        this.entries.push(command);
+        if (this.entries.length > TERMINAL_HISTORY.LIMIT) this.entries.shift();
+        appendToHistoryFile(command);
+    }
+
+    /**
+     * Forget every command, here and in the history file
+     */
+    clear() {
+        this.entries = [];
+        this.position = -1;
+        writeHistoryFile([]);
+    }
+
+    /**
+     * Entry by its number, as listed by HISTORY (1 is the oldest)
+     * @param {number} number
+     * @returns {string|null}
+     */
+    get(number) {
+        return this.entries[number - 1] ?? null;
+    }
+
+    /**
+     * Up (-1) or Down (1) from the current position
+     * @param {number} direction
+     * @returns {string} The entry, or '' back at the line being typed
+     */
+    navigate(direction) {
+        if (this.entries.length === 0) return '';
+        this.position = Math.max(-1, Math.min(this.position - direction, this.entries.length - 1));
+        return this.position === -1 ? '' : this.entries[this.entries.length - 1 - this.position];
+    }
+
+    /**
+     * Replace a leading history reference with the command it recalls:
+     *   !!      the last command        !-n     the nth command back
+     *   !n      command number n        !text   the last command starting with text
+     * Anything after the reference is kept ("!! /b" repeats with /b).
+     * @param {string} line
+     * @returns {string|null} The expanded line (unchanged without a reference),
+     *   or null when the referenced command does not exist
+     */
+    expand(line) {
+        const match = String(line).match(/^!(!|-?\d+|[^\s!]+)(.*)$/);
+        if (!match) return line;
+
+        const [, reference, rest] = match;
+        let command;
+        if (reference === '!') {
+            command = this.entries[this.entries.length - 1];
+        } else if (/^-\d+$/.test(reference)) {
+            command = this.entries[this.entries.length + Number(reference)];
+        } else if (/^\d+$/.test(reference)) {
+            command = this.get(Number(reference));
+        } else {
+            command = [...this.entries].reverse().find(entry => entry.toLowerCase().startsWith(reference.toLowerCase()));
+        }
+        return command === undefined || command === null ? null : command + rest;
+    }
+
+    /**
+     * Search backwards for an entry containing text (case-insensitive)
+     * @param {string} text
+     * @param {number} [before] - Search entries older than this index (default: all)
+     * @returns {number} Index of the entry, or -1
+     */
+    search(text, before = this.entries.length) {
+        const query = String(text).toLowerCase();
+        for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+            if (this.entries[i].toLowerCase().includes(query)) return i;
+        }
+        return -1;
+    }
+}
+
+/**
+ * Lines of the history file; none if it cannot be read
+ * @private
+ */
+function readHistoryFile() {
+    try {
+        if (!FileSystemManager.exists(TERMINAL_HISTORY.FILE)) return [];
+        return FileSystemManager.readFile(TERMINAL_HISTORY.FILE).split(/\r?\n/).filter(Boolean);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * @private
+ */
+function appendToHistoryFile(command) {
+    writeHistoryFile([...readHistoryFile(), command]);
+}
+
+/**
+ * Write the history file, keeping the last TERMINAL_HISTORY.LIMIT lines.
+ * History is a convenience, so a disk that cannot take it is ignored.
+ * @private
+ */
+function writeHistoryFile(entries) {
+    try {
+        const isNew = !FileSystemManager.exists(TERMINAL_HISTORY.FILE);
+        FileSystemManager.writeFile(TERMINAL_HISTORY.FILE, entries.slice(-TERMINAL_HISTORY.LIMIT).join('\n'));
+        if (isNew) FileSystemManager.setAttributes(TERMINAL_HISTORY.FILE, { hidden: true });
+    } catch (e) {
+        console.warn('[History] Could not save command history:', e.message);
+    }
+}
+
+export default CommandHistory;
@@ -0,0 +1,268 @@
+/**
+ * Jobs - Long-running Terminal commands and the table of running jobs
+ *
+ * PING, TRACERT, MATRIX and RetroScript runs are jobs. A job runs in the
+ * foreground, holding the prompt, or in the background (command &), where
+ * its output is buffered until the Terminal shows it tagged with the job
+ * number. Ctrl+Z stops the foreground job; fg, bg and kill %n move or end
+ * jobs. The table is shared, so Task Manager lists every running job.
+ *
+ * A job's timers (every()) only tick while it is running, so a stopped
+ * job really is stopped; work that is not timer-driven listens for the
+ * 'stop' and 'continue' events instead.
+ *
+ * Usage:
+ *   const job = JobTable.create({ command: 'ping example.com', owner: terminal, write, foreground: false });
+ *   job.every(600, () => job.print('Reply from example.com'));
+ *   job.on('end', () => cleanUp());
+ *   job.finish(0);
+ */
+
+import EventBus, { Events } from '../SemanticEventBus.js';
+
+export const JobState = Object.freeze({
+    RUNNING: 'Running',
+    STOPPED: 'Stopped',
+    DONE: 'Done',
+    TERMINATED: 'Terminated'
+});
+
+// Background output kept per job; older lines are dropped
+const OUTPUT_LIMIT = 1000;
+
+// Terminal jobs get PIDs above the ones windows get (Processes.js)
+const FIRST_PID = 4000;
+
+export class Job {
+    /**
+     * @param {Object} options
+     * @param {number} options.number - Job number in its Terminal (%1, %2...)
+     * @param {number} options.pid - Process id shown in Task Manager
+     * @param {string} options.command - Command line, as shown by JOBS
+     * @param {Object} options.owner - The Terminal running the job
+     * @param {Function} options.write - (text, color) => void for foreground output
+     * @param {boolean} [options.foreground=true] - false for command &
+     */
+    constructor({ number, pid, command, owner, write, foreground = true }) {
+        this.number = number;
+        this.pid = pid;
+        this.command = command;
+        this.name = command.trim().split(/\s+/)[0].toLowerCase();
+        this.owner = owner;
+        this.write = write;
+        this.state = JobState.RUNNING;
+        this.foreground = foreground;
+        this.exitCode = null;
+        this.output = [];
+        this.timers = new Set();
+        this.listeners = {};
+        this.started = Date.now();
+    }
+
+    get isActive() {
+        return this.state === JobState.RUNNING || this.state === JobState.STOPPED;
+    }
+
+    /**
+     * Listen for 'foreground', 'background', 'stop', 'continue', 'kill' or 'end'
+     * @param {string} event
+     * @param {Function} handler
+     */
+    on(event, handler) {
+        (this.listeners[event] ||= []).push(handler);
+    }
+
+    emit(event) {
+        for (const handler of this.listeners[event] || []) {
+            try {
+                handler(this);
+            } catch (e) {
+                console.error(`[Jobs] ${event} handler of ${this.command} failed:`, e);
+            }
+        }
+    }
+
+    /**
+     * Write output: straight to the screen in the foreground, to the
+     * buffer in the background
+     * @param {string} text
+     * @param {string} [color]
+     */
+    print(text, color) {
+        if (!this.isActive) return;
+        if (this.foreground) {
+            this.write(text, color);
+            return;
+        }
+        this.output.push({ text: String(text ?? ''), color });
+        if (this.output.length > OUTPUT_LIMIT) this.output.shift();
+    }
+
+    /**
+     * Take the buffered background output
+     * @returns {Array<{text: string, color: string}>}
+     */
+    takeOutput() {
+        const output = this.output;
+        this.output = [];
+        return output;
+    }
+
+    /**
+     * Run a function every few milliseconds while the job is running
+     * @param {number} ms
+     * @param {Function} tick
+     */
+    every(ms, tick) {
+        const timer = setInterval(() => {
+            if (this.state === JobState.RUNNING) tick();
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    /**
+     * Move the job to the foreground or the background
+     * @param {boolean} foreground
+     */
+    setForeground(foreground) {
+        if (this.foreground === foreground) return;
+        this.foreground = foreground;
+        this.emit(foreground ? 'foreground' : 'background');
+    }
+
+    /**
+     * Ctrl+Z: stop the job until fg or bg continues it
+     */
+    stop() {
+        if (this.state !== JobState.RUNNING) return;
+        this.state = JobState.STOPPED;
+        this.setForeground(false);
+        this.emit('stop');
+        JobTable.changed(this);
+    }
+
+    /**
+     * fg / bg: continue a stopped job
+     * @param {boolean} foreground
+     */
+    continue(foreground) {
+        if (!this.isActive) return;
+        this.setForeground(foreground);
+        if (this.state === JobState.STOPPED) {
+            this.state = JobState.RUNNING;
+            this.emit('continue');
+            JobTable.changed(this);
+        }
+    }
+
+    /**
+     * The job has ended by itself
+     * @param {number} [exitCode=0]
+     */
+    finish(exitCode = 0) {
+        this.end(JobState.DONE, exitCode);
+    }
+
+    /**
+     * End the job from outside (Ctrl+C, kill %n, Task Manager)
+     */
+    kill() {
+        if (!this.isActive) return;
+        this.emit('kill');
+        this.end(JobState.TERMINATED, 1);
+    }
+
+    end(state, exitCode) {
+        if (!this.isActive) return;
+        for (const timer of this.timers) clearInterval(timer);
+        this.timers.clear();
+        this.state = state;
+        this.exitCode = exitCode;
+        this.emit('end');
+        JobTable.ended(this);
+    }
+}
+
+class JobTableClass {
+    constructor() {
+        // pid -> Job, until the owning Terminal has reported the job's end
+        this.jobs = new Map();
+        this.nextPid = FIRST_PID;
+    }
+
+    /**
+     * Start a job; it gets the lowest job number free in its Terminal
+     * @param {Object} options - { command, owner, write, foreground }, see Job
+     * @returns {Job}
+     */
+    create({ command, owner, write, foreground = true }) {
+        const numbers = new Set(this.forOwner(owner).map(job => job.number));
+        let number = 1;
+        while (numbers.has(number)) number++;
+
+        const job = new Job({ number, pid: this.nextPid++, command, owner, write, foreground });
+        this.jobs.set(job.pid, job);
+        EventBus.emit(Events.TERMINAL_JOB_START, this.describe(job));
+        return job;
+    }
+
+    /**
+     * Jobs of one Terminal, by job number
+     * @param {Object} owner
+     * @returns {Job[]}
+     */
+    forOwner(owner) {
+        return [...this.jobs.values()]
+            .filter(job => job.owner === owner)
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Running and stopped jobs of every Terminal
+     * @returns {Job[]}
+     */
+    list() {
+        return [...this.jobs.values()].filter(job => job.isActive);
+    }
+
+    /**
+     * @param {number} pid
+     * @returns {Job|null}
+     */
+    get(pid) {
+        return this.jobs.get(Number(pid)) || null;
+    }
+
+    /**
+     * Forget an ended job once its Terminal has said so
+     * @param {Job} job
+     */
+    remove(job) {
+        this.jobs.delete(job.pid);
+    }
+
+    changed(job) {
+        EventBus.emit(Events.TERMINAL_JOB_STATE, this.describe(job));
+    }
+
+    ended(job) {
+        EventBus.emit(Events.TERMINAL_JOB_END, this.describe(job));
+    }
+
+    describe(job) {
+        return {
+            pid: job.pid,
+            number: job.number,
+            command: job.command,
+            state: job.state,
+            exitCode: job.exitCode ?? undefined,
+            windowId: job.owner?.windowId ?? undefined
+        };
+    }
+}
+
+const JobTable = new JobTableClass();
+
+export { JobTable };
+export default JobTable;
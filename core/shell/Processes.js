@@ -0,0 +1,152 @@
+/**
+ * Processes - The process list shared by Task Manager and TASKLIST
+ *
+ * Every open window is a process, named after its app (notepad.exe for
+ * notepad-2), with a PID that stays the same for as long as the window is
+ * open, so Task Manager, TASKLIST and TASKKILL agree on the numbers.
+ * Terminal jobs are processes too, with their job PIDs (Jobs.js), and a
+ * few system processes are always listed and cannot be ended.
+ *
+ * Usage:
+ *   ProcessTable.list();                 // [{ name, pid, mem, status, title, ... }]
+ *   ProcessTable.find('note*');          // processes whose image name matches
+ *   ProcessTable.end(ProcessTable.get(3001));
+ */
+
+import EventBus, { Events } from '../SemanticEventBus.js';
+import StateManager from '../StateManager.js';
+import WindowManager from '../WindowManager.js';
+import JobTable from './Jobs.js';
+import { matches } from '../fs/Glob.js';
+
+const SYSTEM_PROCESSES = Object.freeze([
+    { name: 'System', pid: 4, mem: 24 },
+    { name: 'smss.exe', pid: 156, mem: 160 },
+    { name: 'csrss.exe', pid: 184, mem: 1240 },
+    { name: 'winlogon.exe', pid: 208, mem: 2100 },
+    { name: 'services.exe', pid: 252, mem: 1800 },
+    { name: 'lsass.exe', pid: 264, mem: 1400 },
+    { name: 'explorer.exe', pid: 1024, mem: 8420 }
+]);
+
+// Windows get PIDs from here up, below the ones Terminal jobs get
+const FIRST_WINDOW_PID = 3000;
+
+class ProcessTableClass {
+    constructor() {
+        this.nextPid = FIRST_WINDOW_PID;
+        this.windowPids = new Map();
+
+        EventBus.on(Events.WINDOW_CLOSE, ({ id }) => this.windowPids.delete(id));
+    }
+
+    /**
+     * PID of a window, given the first time it is asked for
+     * @param {string} windowId
+     * @returns {number}
+     */
+    pidOf(windowId) {
+        if (!this.windowPids.has(windowId)) {
+            this.windowPids.set(windowId, this.nextPid++);
+        }
+        return this.windowPids.get(windowId);
+    }
+
+    /**
+     * Every process: system processes, then windows, then Terminal jobs
+     * @returns {Object[]} { name, pid, mem (K), status, title, isSystem, windowId?, jobPid? }
+     */
+    list() {
+        const system = SYSTEM_PROCESSES.map(proc => ({
+            ...proc, status: 'Running', title: 'N/A', isSystem: true
+        }));
+
+        const windows = (StateManager.getState('windows') || []).map(win => ({
+            name: imageName(win.id),
+            pid: this.pidOf(win.id),
+            mem: windowMemory(win.id),
+            status: win.minimized ? 'Minimized' : 'Running',
+            title: displayTitle(win),
+            isSystem: false,
+            windowId: win.id
+        }));
+
+        const jobs = JobTable.list().map(job => ({
+            name: `${job.name}.exe`,
+            pid: job.pid,
+            mem: 300 + (job.pid % 7) * 40,
+            status: job.state,
+            title: job.command,
+            isSystem: false,
+            jobPid: job.pid
+        }));
+
+        return [...system, ...windows, ...jobs];
+    }
+
+    /**
+     * @param {number|string} pid
+     * @returns {Object|null}
+     */
+    get(pid) {
+        return this.list().find(proc => proc.pid === Number(pid)) || null;
+    }
+
+    /**
+     * Processes by image name, with or without .exe; wildcards allowed
+     * @param {string} pattern
+     * @returns {Object[]}
+     */
+    find(pattern) {
+        return this.list().filter(proc => matches(proc.name, pattern) || matches(proc.name, `${pattern}.exe`));
+    }
+
+    /**
+     * End a process: a window is closed, a job is killed
+     * @param {Object} proc - From list()
+     * @returns {boolean} false for a system process, which cannot be ended
+     */
+    end(proc) {
+        if (!proc || proc.isSystem) return false;
+        if (proc.jobPid) JobTable.get(proc.jobPid)?.kill();
+        if (proc.windowId) WindowManager.close(proc.windowId);
+        return true;
+    }
+}
+
+/**
+ * Image name of a window: its app id plus .exe (notepad-2 is notepad.exe)
+ * @private
+ */
+function imageName(windowId) {
+    return `${String(windowId).replace(/-\d+$/, '')}.exe`;
+}
+
+/**
+ * Window title without the icon in front of it
+ * @private
+ */
+function displayTitle(win) {
+    const title = win.title || win.id;
+    return title.replace(/^[\p{Emoji}\s]+/u, '').trim() || title;
+}
+
+/**
+ * A stable memory figure for a window, from a hash of its id, so the
+ * number does not jump about between refreshes
+ * @private
+ */
+function windowMemory(windowId) {
+    let hash = 0;
+    for (let i = 0; i < windowId.length; i++) {
+        hash = ((hash << 5) - hash) + windowId.charCodeAt(i);
+        hash = hash & hash;
+    }
+    // Between 500K and 6000K
+    return 500 + Math.abs(hash % 5500);
+}
+
+const ProcessTable = new ProcessTableClass();
+
+export { ProcessTable };
+export default ProcessTable;
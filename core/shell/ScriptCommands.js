@@ -0,0 +1,124 @@
+/**
+ * ScriptCommands - Terminal commands written in RetroScript
+ *
+ * Every .retro file in C:\Windows\Commands is a command named after the
+ * file, so C:\Windows\Commands\upper.retro is UPPER. The script gets
+ *   $args  - the arguments, as an array
+ *   $stdin - the text piped or redirected in ('' when there is none)
+ *   $piped - whether there was any
+ * and everything it prints is the command's output, so it can be piped and
+ * redirected like any other command. A script error goes to stderr and
+ * sets exit code 1.
+ *
+ * The # comments at the top of the file are its help: the first one is the
+ * description HELP lists, a "Usage:" line gives the syntax, and the others
+ * are shown by HELP name and name /?.
+ *
+ * The folder is read whenever a command is looked up, so a script saved
+ * there is a command straight away. ScriptCommands is a CommandRegistry
+ * provider:
+ *   CommandRegistry.addProvider(ScriptCommands);
+ */
+
+import FileSystemManager from '../FileSystemManager.js';
+import ScriptEngine from '../script/ScriptEngine.js';
+import { PATHS } from '../Constants.js';
+import { createCommand } from './CommandRegistry.js';
+
+const SOURCE = 'C:\\Windows\\Commands';
+
+export const ScriptCommands = {
+    /**
+     * The command of a script in the folder
+     * @param {string} name - Command name (without .retro)
+     * @returns {Object|null}
+     */
+    get(name) {
+        if (!/^[^\\/:*?"<>|.]+$/.test(name)) return null;
+        const filePath = [...PATHS.COMMANDS, `${name}.retro`];
+        const node = FileSystemManager.getNode(filePath);
+        return node?.type === 'file' ? scriptCommand(name.toLowerCase(), filePath, node.content) : null;
+    },
+
+    /**
+     * The commands of every script in the folder
+     * @returns {Object[]}
+     */
+    list() {
+        let items;
+        try {
+            items = FileSystemManager.listDirectory([...PATHS.COMMANDS]);
+        } catch (e) {
+            return [];
+        }
+        return items
+            .filter(item => item.type === 'file' && /\.retro$/i.test(item.name))
+            .map(item => this.get(item.name.slice(0, -'.retro'.length)))
+            .filter(Boolean);
+    }
+};
+
+/**
+ * Build the command definition of one script
+ * @private
+ */
+function scriptCommand(name, filePath, source) {
+    return createCommand(name, {
+        ...readHeader(source),
+        run: (args, io, terminal) => runScript(filePath, args, io, terminal),
+        pause: () => ScriptEngine.pause(),
+        resume: () => ScriptEngine.resume(),
+        stop: () => ScriptEngine.stop()
+    }, SOURCE);
+}
+
+/**
+ * Read description, usage and help from the leading # comments
+ * @private
+ */
+function readHeader(source) {
+    const comments = [];
+    for (const line of String(source).split(/\r?\n/)) {
+        const match = line.match(/^\s*#\s?(.*)$/);
+        if (!match) break;
+        comments.push(match[1]);
+    }
+
+    const usageIndex = comments.findIndex(line => /^usage:/i.test(line.trim()));
+    const usage = usageIndex >= 0 ? comments[usageIndex].trim().replace(/^usage:\s*/i, '') : '';
+    const rest = comments.filter((line, i) => i !== usageIndex);
+    return {
+        description: (rest.shift() || '').trim(),
+        usage,
+        help: rest.join('\n').trim()
+    };
+}
+
+/**
+ * Run a command script against the command's streams
+ * @private
+ */
+async function runScript(filePath, args, io, terminal) {
+    const result = await ScriptEngine.run(FileSystemManager.readFile(filePath), {
+        cwd: terminal?.currentPath,
+        file: filePath,
+        variables: {
+            args: [...args],
+            stdin: io.stdin.read(),
+            piped: io.stdin.isPiped
+        },
+        onOutput: (message) => io.stdout.write(message)
+    });
+
+    if (!result.success) {
+        const error = result.error;
+        const message = typeof error === 'object' ? error.message : error;
+        const location = error?.line ? ` at line ${error.line}` : '';
+        // An error inside an imported module names the module
+        const fileName = error?.file ? error.file.split('/').pop() : filePath[filePath.length - 1];
+        io.fail(`${fileName}${location}: ${message}`);
+    }
+    return null;
+}
+
+export default ScriptCommands;
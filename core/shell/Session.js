@@ -0,0 +1,53 @@
+/**
+ * Session - One tab of a Terminal window
+ *
+ * Each session has its own current directory, environment variables,
+ * command history, ERRORLEVEL and screen. The Terminal shows one session
+ * at a time, and its currentPath, envVars and lastExitCode are those of
+ * the session shown. Jobs, aliases and batch files belong to the window.
+ *
+ * Usage:
+ *   const session = new TerminalSession({ number: 2, currentPath: ['C:'], envVars });
+ *   session.history.add('dir');
+ */
+
+import AnsiScreen from './Ansi.js';
+import CommandHistory from './History.js';
+import { ExitCode } from './Streams.js';
+
+export class TerminalSession {
+    /**
+     * @param {Object} options
+     * @param {number} options.number - Tab number, shown on the tab and used by TAB n
+     * @param {string[]} options.currentPath - Starting directory
+     * @param {Object} options.envVars - Starting environment (copied)
+     */
+    constructor({ number, currentPath, envVars }) {
+        this.number = number;
+        this.currentPath = [...currentPath];
+        this.envVars = { ...envVars };
+        this.history = CommandHistory.load();
+        this.lastExitCode = ExitCode.SUCCESS;
+        this.screen = new AnsiScreen();
+        this.output = null; // Output nodes, kept while another session is shown
+        this.input = '';    // Half-typed command, kept likewise
+    }
+
+    /**
+     * The current directory as DOS writes it (C:\\ at the root)
+     * @returns {string}
+     */
+    get location() {
+        return this.currentPath.length === 1 ? `${this.currentPath[0]}\\` : this.currentPath.join('\\');
+    }
+
+    /**
+     * Tab caption: the current folder, or the drive at its root
+     * @returns {string}
+     */
+    get title() {
+        return this.currentPath.length === 1 ? this.location : this.currentPath[this.currentPath.length - 1];
+    }
+}
+
+export default TerminalSession;
@@ -0,0 +1,144 @@
+/**
+ * Streams - stdin, stdout and stderr for Terminal commands
+ *
+ * Every command in a command line runs against a CommandIO: it reads its
+ * input from io.stdin, writes to io.stdout / io.stderr and leaves an exit
+ * code in io.exitCode. The Terminal connects the streams of a pipeline
+ * (dir | grep txt | wc), so any command can feed any other.
+ *
+ * Usage:
+ *   const io = new CommandIO({ stdin: new InputStream('a\nb') });
+ *   io.stdout.write(io.stdin.readLines().reverse().join('\n'));
+ *   io.stdout.toString();          // 'b\na'
+ *   io.fail('Access denied.');     // to stderr, exitCode = 1
+ */
+
+/**
+ * Exit codes used by the built-in commands (ERRORLEVEL in batch files)
+ */
+export const ExitCode = Object.freeze({
+    SUCCESS: 0,
+    FAILURE: 1,
+    NOT_FOUND: 9009
+});
+
+/**
+ * Input of a command: the output of the previous pipeline stage, or
+ * nothing when the command was typed on its own
+ */
+export class InputStream {
+    /**
+     * @param {string|null} text - Piped text, or null for no input
+     */
+    constructor(text = null) {
+        this.text = text === null || text === undefined ? null : String(text);
+    }
+
+    /**
+     * Whether anything was piped in. Commands that take a file or stdin
+     * (grep, sort, more...) read stdin only when this is true.
+     * @returns {boolean}
+     */
+    get isPiped() {
+        return this.text !== null;
+    }
+
+    /**
+     * Read the whole input
+     * @returns {string} The text, or '' without input
+     */
+    read() {
+        return this.text ?? '';
+    }
+
+    /**
+     * Read the input as lines, without the empty line after a final newline
+     * @returns {string[]}
+     */
+    readLines() {
+        const lines = this.read().replace(/\r\n/g, '\n').split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+}
+
+/**
+ * Output of a command. Each write is one line (or block of lines), the
+ * way Terminal.print() shows it. Writes are kept so the next pipeline
+ * stage can read them; a sink additionally shows them as they happen.
+ */
+export class OutputStream {
+    /**
+     * @param {Function|null} sink - (text, color) => void, called on every write
+     */
+    constructor(sink = null) {
+        this.sink = sink;
+        this.chunks = [];
+    }
+
+    /**
+     * Write a line or block of text
+     * @param {string} text
+     * @param {string} [color] - Display color, used only by the screen
+     */
+    write(text, color) {
+        const chunk = String(text ?? '');
+        this.chunks.push(chunk);
+        if (this.sink) this.sink(chunk, color);
+    }
+
+    /**
+     * Whether writes are shown as they happen (the screen) rather than
+     * only collected for the next command. MORE pages only on the screen.
+     * @returns {boolean}
+     */
+    get isInteractive() {
+        return this.sink !== null;
+    }
+
+    /**
+     * Whether anything was written
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.chunks.length === 0;
+    }
+
+    /**
+     * Everything written so far, one write per line
+     * @returns {string}
+     */
+    toString() {
+        return this.chunks.join('\n');
+    }
+}
+
+/**
+ * The streams and exit code of one running command
+ */
+export class CommandIO {
+    /**
+     * @param {Object} [streams]
+     * @param {InputStream} [streams.stdin] - Defaults to no input
+     * @param {OutputStream} [streams.stdout] - Defaults to a buffer
+     * @param {OutputStream} [streams.stderr] - Defaults to a buffer
+     */
+    constructor({ stdin, stdout, stderr } = {}) {
+        this.stdin = stdin || new InputStream();
+        this.stdout = stdout || new OutputStream();
+        this.stderr = stderr || new OutputStream();
+        this.exitCode = ExitCode.SUCCESS;
+    }
+
+    /**
+     * Report an error: write it to stderr and set the exit code
+     * @param {string} message
+     * @param {number} [code=ExitCode.FAILURE]
+     * @returns {null} So commands can `return io.fail(...)`
+     */
+    fail(message, code = ExitCode.FAILURE) {
+        this.stderr.write(message);
+        this.exitCode = code;
+        return null;
+    }
+}
@@ -1,7 +1,8 @@
 /**
  * SystemDialogs - Windows 95 style system dialogs
  * Run Dialog, Shutdown Dialog, About Dialog, Welcome Tips
- * Alert, Confirm, Prompt, File Open/Save dialogs
+ * Alert, Confirm, Prompt, File Open/Save dialogs, File Properties
+ * Host computer file picking and downloads
  *
  * Now extends FeatureBase for integration with FeatureRegistry
  */
@@ -12,7 +13,10 @@ import StateManager from '../core/StateManager.js';
 import WindowManager from '../core/WindowManager.js';
 import AppRegistry from '../apps/AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import FileAssociations from '../core/FileAssociations.js';
 import { PATHS } from '../core/Constants.js';
+import * as Path from '../core/fs/Path.js';
+import { diffLines, diffStats } from '../core/fs/Diff.js';
 
 // Feature metadata
 const FEATURE_METADATA = {
@@ -60,6 +64,23 @@ class SystemDialogs extends FeatureBase {
         this.promptResolver = null;
         this.fileDialogResolver = null;
         this.currentFilePath = [...PATHS.DOCUMENTS];
+
+        // Properties dialog tabs ({ id, label, render, mount, apply }), General first
+        this.propertyTabs = [];
+        this.propertiesPath = null;
+        this.registerPropertyTab({
+            id: 'general',
+            label: 'General',
+            render: (path, info) => this.renderGeneralTab(path, info),
+            apply: (path, pane) => this.applyGeneralTab(path, pane)
+        });
+        this.registerPropertyTab({
+            id: 'versions',
+            label: 'Previous Versions',
+            showFor: (path, info) => info.type === 'file',
+            render: (path) => this.renderVersionsTab(path),
+            mount: (path, pane) => this.mountVersionsTab(path, pane)
+        });
     }
 
     /**
@@ -106,7 +127,7 @@ class SystemDialogs extends FeatureBase {
     cleanup() {
         // Remove dialog containers
         ['runDialog', 'shutdownDialog', 'aboutDialog', 'welcomeDialog',
-         'alertDialog', 'confirmDialog', 'promptDialog', 'fileDialog'].forEach(id => {
+         'alertDialog', 'confirmDialog', 'promptDialog', 'fileDialog', 'propertiesDialog'].forEach(id => {
             const el = document.getElementById(id);
             if (el) el.remove();
         });
@@ -409,6 +430,32 @@ class SystemDialogs extends FeatureBase {
         `;
         document.body.appendChild(fileDialog);
 
+        // Properties Dialog (tabs are filled in by showProperties)
+        const propertiesDialog = document.createElement('div');
+        propertiesDialog.id = 'propertiesDialog';
+        propertiesDialog.className = 'system-dialog-overlay';
+        propertiesDialog.innerHTML = `
+            <div class="system-dialog properties-dialog">
+                <div class="dialog-titlebar">
+                    <span class="dialog-title-icon">📋</span>
+                    <span id="propertiesTitle">Properties</span>
+                    <button class="dialog-close-btn">×</button>
+                </div>
+                <div class="dialog-body">
+                    <div class="tab-container">
+                        <div class="tab-buttons" id="propertiesTabButtons"></div>
+                        <div class="tab-content" id="propertiesTabContent"></div>
+                    </div>
+                </div>
+                <div class="dialog-buttons">
+                    <button class="btn btn-primary" id="propertiesOkBtn">OK</button>
+                    <button class="btn" id="propertiesCancelBtn">Cancel</button>
+                    <button class="btn" id="propertiesApplyBtn">Apply</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(propertiesDialog);
+
         // Attach event handlers
         this.attachEventHandlers();
     }
@@ -539,6 +586,21 @@ class SystemDialogs extends FeatureBase {
             if (e.key === 'Enter') this.resolveFileDialog();
             if (e.key === 'Escape') this.cancelFileDialog();
         });
+
+        // Properties Dialog handlers
+        const propertiesDialog = document.getElementById('propertiesDialog');
+        const propertiesTabButtons = document.getElementById('propertiesTabButtons');
+
+        document.getElementById('propertiesOkBtn')?.addEventListener('click', async () => {
+            if (await this.applyProperties()) this.hideProperties();
+        });
+        document.getElementById('propertiesCancelBtn')?.addEventListener('click', () => this.hideProperties());
+        document.getElementById('propertiesApplyBtn')?.addEventListener('click', () => this.applyProperties());
+        propertiesDialog?.querySelector('.dialog-close-btn')?.addEventListener('click', () => this.hideProperties());
+        propertiesTabButtons?.addEventListener('click', (e) => {
+            const tabBtn = e.target.closest('.tab-btn');
+            if (tabBtn) this.selectPropertiesTab(tabBtn.dataset.tab);
+        });
     }
 
     /**
@@ -951,6 +1013,21 @@ class SystemDialogs extends FeatureBase {
         return this.showConfirm({ message, title });
     }
 
+    /**
+     * Ask before deleting a file or folder, warning when the delete is final
+     * (Shift+Delete, or items the Recycle Bin does not take)
+     * @param {string} name - Name shown in the message
+     * @param {string|string[]} path - Path of the item
+     * @param {boolean} permanent - Skip the Recycle Bin
+     * @returns {Promise<boolean>}
+     */
+    confirmDelete(name, path, permanent = false) {
+        if (permanent || !FileSystemManager.canRecycle(path)) {
+            return this.confirm(`Are you sure you want to permanently delete "${name}"?\n\nThis cannot be undone.`, 'Confirm Delete');
+        }
+        return this.confirm(`Are you sure you want to send "${name}" to the Recycle Bin?`, 'Confirm Delete');
+    }
+
     // ==================== PROMPT DIALOG ====================
 
     /**
@@ -1110,7 +1187,9 @@ class SystemDialogs extends FeatureBase {
         }
 
         try {
-            const items = FileSystemManager.listDirectory(this.currentFilePath);
+            const items = FileSystemManager.listDirectory(this.currentFilePath, true, {
+                includeHidden: this.getConfig('showHiddenFiles', false)
+            });
             const filter = filetypeSelect?.value || '*';
 
             // Sort: directories first, then files
@@ -1181,14 +1260,7 @@ class SystemDialogs extends FeatureBase {
      */
     getFileIcon(item) {
         if (item.type === 'directory') return '📁';
-        switch (item.extension) {
-            case 'txt': case 'md': case 'log': return '📝';
-            case 'png': case 'jpg': case 'bmp': case 'gif': return '🖼️';
-            case 'exe': return '⚙️';
-            case 'lnk': return '🔗';
-            case 'mp3': case 'wav': return '🎵';
-            default: return '📄';
-        }
+        return FileAssociations.getIcon(item.extension);
     }
 
     /**
@@ -1218,7 +1290,7 @@ class SystemDialogs extends FeatureBase {
      * Navigate to a specific path
      */
     fileDialogNavigateTo(pathStr) {
-        this.currentFilePath = pathStr.split('\\');
+        this.currentFilePath = FileSystemManager.parsePath(pathStr);
         this.updateFileDialogBrowser();
     }
 
@@ -1249,15 +1321,27 @@ class SystemDialogs extends FeatureBase {
             return;
         }
 
+        // The name may be a relative or absolute path ("..\\notes.txt", "C:/Docs")
+        const fullPath = FileSystemManager.parsePath(Path.resolve(this.currentFilePath, filename));
+        const node = FileSystemManager.getNode(fullPath);
+
+        // Typing a folder name opens that folder, like Windows does
+        if (node && node.type !== 'file') {
+            this.currentFilePath = fullPath;
+            if (filenameInput) filenameInput.value = '';
+            this.updateFileDialogBrowser();
+            return;
+        }
+
         const dialog = document.getElementById('fileDialog');
         if (dialog) {
             dialog.classList.remove('active');
         }
 
         const result = {
-            path: [...this.currentFilePath],
-            filename: filename,
-            fullPath: [...this.currentFilePath, filename]
+            path: fullPath.slice(0, -1),
+            filename: fullPath[fullPath.length - 1],
+            fullPath
         };
 
         // Emit response event if this was a request
@@ -1308,6 +1392,289 @@ class SystemDialogs extends FeatureBase {
             this.fileDialogResolver = null;
         }
     }
+
+    // ==================== HOST FILES ====================
+
+    /**
+     * Let the user pick a file from the host computer
+     * @param {Object} options - { accept } e.g. '.zip,application/zip'
+     * @returns {Promise<File|null>} Chosen file, or null if cancelled
+     */
+    pickHostFile(options = {}) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            if (options.accept) input.accept = options.accept;
+            input.addEventListener('change', () => resolve(input.files[0] || null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+
+    /**
+     * Save data to the host computer as a download
+     * @param {Blob|ArrayBuffer|ArrayBufferView|string} data - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - Used when data is not already a Blob
+     */
+    downloadFile(data, filename, mimeType = 'application/octet-stream') {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ==================== PROPERTIES DIALOG ====================
+
+    /**
+     * Add a tab to the file Properties dialog
+     * @param {Object} tab - { id, label, render(path, info) => html, mount?(path, pane), apply?(path, pane), showFor?(path, info) }
+     *   mount runs once the tab's HTML is in the page, for tabs with buttons of their own
+     */
+    registerPropertyTab(tab) {
+        this.propertyTabs = this.propertyTabs.filter(t => t.id !== tab.id);
+        this.propertyTabs.push(tab);
+    }
+
+    /**
+     * Show the Properties dialog for a file or folder
+     * @param {string|string[]} path - Item path
+     */
+    showProperties(path) {
+        const dialog = document.getElementById('propertiesDialog');
+        const buttons = document.getElementById('propertiesTabButtons');
+        const content = document.getElementById('propertiesTabContent');
+        if (!dialog || !buttons || !content) return;
+
+        let info;
+        try {
+            info = FileSystemManager.getInfo(path);
+        } catch (e) {
+            this.alert(`Error reading properties: ${e.message}`, 'Properties', 'error');
+            return;
+        }
+
+        this.propertiesPath = FileSystemManager.parsePath(path);
+        const tabs = this.propertyTabs.filter(tab => !tab.showFor || tab.showFor(this.propertiesPath, info));
+
+        const titleEl = document.getElementById('propertiesTitle');
+        if (titleEl) titleEl.textContent = `${info.name} Properties`;
+
+        buttons.innerHTML = tabs.map(tab =>
+            `<button class="tab-btn" data-tab="${tab.id}">${tab.label}</button>`
+        ).join('');
+        content.innerHTML = tabs.map(tab =>
+            `<div class="tab-pane" data-tab="${tab.id}">${tab.render(this.propertiesPath, info)}</div>`
+        ).join('');
+        for (const tab of tabs) {
+            const pane = content.querySelector(`.tab-pane[data-tab="${tab.id}"]`);
+            if (tab.mount && pane) tab.mount(this.propertiesPath, pane);
+        }
+
+        this.selectPropertiesTab(tabs[0]?.id);
+        dialog.classList.add('active');
+        EventBus.emit(Events.SOUND_PLAY, { type: 'notify' });
+    }
+
+    /**
+     * Switch the visible Properties tab
+     * @param {string} tabId - Tab id
+     */
+    selectPropertiesTab(tabId) {
+        document.querySelectorAll('#propertiesDialog .tab-btn, #propertiesDialog .tab-pane').forEach(el => {
+            el.classList.toggle('active', el.dataset.tab === tabId);
+        });
+    }
+
+    /**
+     * Let every tab save its changes
+     * @returns {Promise<boolean>} False if a tab failed
+     */
+    async applyProperties() {
+        if (!this.propertiesPath) return false;
+
+        for (const tab of this.propertyTabs) {
+            const pane = document.querySelector(`#propertiesTabContent .tab-pane[data-tab="${tab.id}"]`);
+            if (!pane || !tab.apply) continue;
+            try {
+                tab.apply(this.propertiesPath, pane);
+            } catch (e) {
+                await this.alert(e.message, 'Properties', 'error');
+                return false;
+            }
+        }
+
+        EventBus.emit('filesystem:changed');
+        return true;
+    }
+
+    /**
+     * Close the Properties dialog
+     */
+    hideProperties() {
+        const dialog = document.getElementById('propertiesDialog');
+        if (dialog) {
+            dialog.classList.remove('active');
+        }
+        this.propertiesPath = null;
+    }
+
+    /**
+     * Render the General tab: basic info and attribute checkboxes
+     */
+    renderGeneralTab(path, info) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const attributes = info.attributes || {};
+        const isDrive = info.type === 'drive';
+        const type = isDrive ? 'Local Disk'
+            : info.type === 'directory' ? 'File Folder'
+            : info.extension ? `${info.extension.toUpperCase()} File` : 'File';
+        const rows = [
+            ['Type', type],
+            ['Location', path.slice(0, -1).join('\\') || 'My Computer']
+        ];
+
+        if (info.type === 'file') {
+            rows.push(['Size', `${FileSystemManager.formatSize(info.size || 0)} (${(info.size || 0).toLocaleString()} bytes)`]);
+        }
+        if (info.created) rows.push(['Created', new Date(info.created).toLocaleString()]);
+        if (info.modified) rows.push(['Modified', new Date(info.modified).toLocaleString()]);
+
+        const checkbox = (flag, label) => `
+            <label class="properties-attribute">
+                <input type="checkbox" data-attribute="${flag}" ${attributes[flag] ? 'checked' : ''}> ${label}
+            </label>`;
+
+        return `
+            <div class="properties-header">
+                <span class="properties-icon">${this.getFileIcon(info)}</span>
+                <span class="properties-name">${escape(info.name)}</span>
+            </div>
+            <table class="properties-table">
+                ${rows.map(([label, value]) => `<tr><td>${label}:</td><td>${escape(value)}</td></tr>`).join('')}
+            </table>
+            ${isDrive ? '' : `
+            <fieldset class="properties-attributes">
+                <legend>Attributes</legend>
+                ${checkbox('readOnly', 'Read-only')}
+                ${checkbox('hidden', 'Hidden')}
+                ${checkbox('archive', 'Archive')}
+                ${checkbox('system', 'System')}
+            </fieldset>`}
+        `;
+    }
+
+    /**
+     * Render the Previous Versions tab: saved copies of the file, newest first
+     */
+    renderVersionsTab(path) {
+        const versions = FileSystemManager.getVersions(path);
+        const limit = FileSystemManager.getVersionLimit(path);
+
+        if (limit === 0 && versions.length === 0) {
+            return '<p class="properties-versions-note">Previous versions are not kept for this type of file.</p>';
+        }
+        if (versions.length === 0) {
+            return `<p class="properties-versions-note">There are no previous versions of this file yet. A copy is kept each time the file is saved (up to ${limit}).</p>`;
+        }
+
+        return `
+            <p class="properties-versions-note">Copies kept each time the file was saved (up to ${limit}):</p>
+            <table class="properties-versions">
+                <tr><th>Saved</th><th>Size</th></tr>
+                ${versions.map((version, i) => `
+                    <tr class="properties-version${i === 0 ? ' selected' : ''}" data-version="${version.id}">
+                        <td>${new Date(version.modified || version.saved).toLocaleString()}</td>
+                        <td>${FileSystemManager.formatSize(version.size || 0)}</td>
+                    </tr>`).join('')}
+            </table>
+            <div class="properties-versions-buttons">
+                <button class="btn" data-action="view">View</button>
+                <button class="btn" data-action="compare">Compare</button>
+                <button class="btn" data-action="restore">Restore</button>
+            </div>
+            <pre class="properties-versions-preview"></pre>
+        `;
+    }
+
+    /**
+     * Wire up the Previous Versions tab: pick a version, then view it,
+     * compare it with the current file or restore it
+     */
+    mountVersionsTab(path, pane) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const preview = pane.querySelector('.properties-versions-preview');
+
+        const selectedId = () => Number(pane.querySelector('.properties-version.selected')?.dataset.version);
+
+        pane.querySelectorAll('.properties-version').forEach(row => {
+            row.addEventListener('click', () => {
+                pane.querySelectorAll('.properties-version').forEach(r => r.classList.toggle('selected', r === row));
+            });
+        });
+
+        pane.querySelectorAll('.properties-versions-buttons button').forEach(button => {
+            button.addEventListener('click', () => {
+                try {
+                    const version = FileSystemManager.readVersion(path, selectedId());
+
+                    if (button.dataset.action === 'view') {
+                        preview.innerHTML = version.binary
+                            ? `Binary content (${version.size.toLocaleString()} bytes)`
+                            : escape(version.content);
+                    } else if (button.dataset.action === 'compare') {
+                        if (version.binary || FileSystemManager.isBinaryFile(path)) {
+                            preview.textContent = 'Binary files cannot be compared.';
+                            return;
+                        }
+                        const diff = diffLines(version.content, FileSystemManager.readFile(path));
+                        const { added, removed } = diffStats(diff);
+                        const marks = { same: ' ', added: '+', removed: '-' };
+                        preview.innerHTML = added === 0 && removed === 0
+                            ? 'This version is the same as the current file.'
+                            : `${added} line(s) added, ${removed} removed since this version\n` + diff.map(line =>
+                                `<span class="diff-${line.type}">${marks[line.type]} ${escape(line.text)}</span>`
+                            ).join('\n');
+                    } else if (button.dataset.action === 'restore') {
+                        FileSystemManager.restoreVersion(path, version.id);
+                        // The replaced content is now the newest version, so restoring can be undone
+                        pane.innerHTML = this.renderVersionsTab(path);
+                        this.mountVersionsTab(path, pane);
+                        const status = pane.querySelector('.properties-versions-preview');
+                        if (status) {
+                            status.textContent = `Restored the version from ${new Date(version.modified || version.saved).toLocaleString()}.`;
+                        }
+                        EventBus.emit('filesystem:changed');
+                    }
+                } catch (e) {
+                    this.alert(e.message, 'Previous Versions', 'error');
+                }
+            });
+        });
+    }
+
+    /**
+     * Save attribute checkboxes from the General tab
+     */
+    applyGeneralTab(path, pane) {
+        const boxes = pane.querySelectorAll('input[data-attribute]');
+        if (boxes.length === 0) return;
+
+        const current = FileSystemManager.getAttributes(path);
+        const changes = {};
+        boxes.forEach(box => {
+            if (current[box.dataset.attribute] !== box.checked) {
+                changes[box.dataset.attribute] = box.checked;
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            FileSystemManager.setAttributes(path, changes);
+        }
+    }
 }
 
 // Create and export singleton instance
@@ -12,8 +12,11 @@ import StateManager from './core/StateManager.js';
 import EventBus, { Events } from './core/EventBus.js';
 import WindowManager from './core/WindowManager.js';
 import FileSystemManager from './core/FileSystemManager.js';
+import TabSync from './core/TabSync.js';
 import CommandBus from './core/CommandBus.js';
 import ScriptEngine from './core/script/ScriptEngine.js';
+import CommandRegistry from './core/shell/CommandRegistry.js';
+import ScriptCommands from './core/shell/ScriptCommands.js';
 
 // === UI RENDERERS ===
 import TaskbarRenderer from './ui/TaskbarRenderer.js';
@@ -50,6 +53,12 @@ const BOOT_TIPS = [
     'Almost ready...'
 ];
 
+// Display Properties settings applied by applyDisplaySettings()
+const DISPLAY_SETTING_KEYS = [
+    'desktopBg', 'desktopWallpaper', 'colorScheme', 'screensaverType', 'energySaving',
+    'windowAnimations', 'menuShadows', 'smoothScrolling', 'iconSize'
+];
+
 /**
  * Boot sequence - animates the loading screen
  */
@@ -150,12 +159,17 @@ async function initializeOS(onProgress = () => {}) {
     console.log('[IlluminatOS!] Phase 1: Core Systems');
     onProgress(15, 'Loading core systems...');
     await initComponent('StorageManager', () => StorageManager.initialize());
+    await initComponent('FileSystemManager', () => FileSystemManager.initialize());
     await initComponent('StateManager', () => StateManager.initialize());
+    await initComponent('TabSync', () => TabSync.initialize());
     await initComponent('WindowManager', () => WindowManager.initialize());
 
     // Initialize scripting infrastructure
     await initComponent('CommandBus', () => CommandBus.initialize());
-    await initComponent('ScriptEngine', () => ScriptEngine.initialize());
+    // Scripts read, write and import files through the file system
+    await initComponent('ScriptEngine', () => ScriptEngine.initialize({ FileSystemManager }));
+    // RetroScript files in C:\Windows\Commands become Terminal commands
+    await initComponent('ScriptCommands', () => CommandRegistry.addProvider(ScriptCommands));
 
     // === Phase 1.5: Sync Filesystem with Apps and Desktop ===
     console.log('[IlluminatOS!] Phase 1.5: Filesystem Sync');
@@ -297,11 +311,36 @@ function applySettings() {
         crtOverlay.style.display = crtEnabled ? 'block' : 'none';
     }
 
+    applyDisplaySettings();
+
+    // Subscribe to CRT setting changes
+    StateManager.subscribe('settings.crtEffect', (enabled) => {
+        const overlay = document.getElementById('crtOverlay');
+        if (overlay) {
+            overlay.style.display = enabled ? 'block' : 'none';
+        }
+    });
+
+    // Display Properties changed in another tab
+    EventBus.on(Events.SETTING_CHANGED, ({ key, remote }) => {
+        if (!remote || !DISPLAY_SETTING_KEYS.includes(key)) return;
+        applyDisplaySettings();
+        if (key === 'screensaverType') {
+            EventBus.emit('screensaver:update-type', { type: StorageManager.get('screensaverType') || 'toasters' });
+        }
+    });
+}
+
+/**
+ * Apply the Display Properties settings
+ * Safe to call again: classes and styles from earlier calls are replaced.
+ */
+function applyDisplaySettings() {
     // Apply desktop background color if saved
     const savedBg = StorageManager.get('desktopBg');
     const desktop = document.getElementById('desktop');
-    if (savedBg && desktop) {
-        desktop.style.backgroundColor = savedBg;
+    if (desktop) {
+        desktop.style.backgroundColor = savedBg || '';
     }
 
     // Apply wallpaper pattern (default: space)
@@ -338,13 +377,14 @@ function applySettings() {
             `
         };
         const pattern = WALLPAPER_PATTERNS[savedWallpaper];
-        if (pattern) {
-            desktop.style.backgroundImage = pattern;
-        }
+        desktop.style.backgroundImage = pattern || 'none';
     }
 
     // Apply color scheme (default: slate)
     const colorScheme = StorageManager.get('colorScheme') ?? 'slate';
+    const schemeClasses = [...document.body.classList].filter(className => className.startsWith('scheme-'));
+    document.body.classList.remove(...schemeClasses);
+    ['--win95-gray', '--win95-blue', '--accent-color'].forEach(name => document.documentElement.style.removeProperty(name));
     if (colorScheme && colorScheme !== 'win95') {
         const COLOR_SCHEMES = {
             highcontrast: { window: '#000000', titlebar: '#800080' },
@@ -370,35 +410,20 @@ function applySettings() {
     const energySaving = StorageManager.get('energySaving');
 
     // Apply animation setting (default is enabled)
-    if (windowAnimations === false) {
-        document.body.classList.add('no-animations');
-    }
+    document.body.classList.toggle('no-animations', windowAnimations === false);
 
     // Apply shadows setting (default is enabled)
-    if (menuShadows === false) {
-        document.body.classList.add('no-shadows');
-    }
+    document.body.classList.toggle('no-shadows', menuShadows === false);
 
     // Apply smooth scrolling setting (default is enabled)
-    if (smoothScrolling === false) {
-        document.body.classList.add('no-smooth-scroll');
-    }
+    document.body.classList.toggle('no-smooth-scroll', smoothScrolling === false);
 
     // Apply icon size
+    document.body.classList.remove('icon-size-small', 'icon-size-medium', 'icon-size-large');
     document.body.classList.add(`icon-size-${iconSize}`);
 
     // Apply energy saving mode
-    if (energySaving) {
-        document.body.classList.add('energy-saving');
-    }
-
-    // Subscribe to CRT setting changes
-    StateManager.subscribe('settings.crtEffect', (enabled) => {
-        const overlay = document.getElementById('crtOverlay');
-        if (overlay) {
-            overlay.style.display = enabled ? 'block' : 'none';
-        }
-    });
+    document.body.classList.toggle('energy-saving', !!energySaving);
 }
 
 /**
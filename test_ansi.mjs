@@ -0,0 +1,136 @@
+/**
+ * Test harness for ANSI escape sequences in Terminal output (core/shell/Ansi.js)
+ * Writes to an AnsiScreen without a container and checks its rows
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: AnsiScreen, stripAnsi } = await import('./core/shell/Ansi.js');
+
+/** A new screen with text written to it */
+function draw(...texts) {
+    const screen = new AnsiScreen();
+    for (const text of texts) screen.write(null, text);
+    return screen;
+}
+
+/** The characters on each row */
+const lines = (screen) => screen.rows.map(row => row.chars.join(''));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('SGR colors the text after it until reset', async () => {
+    const screen = draw('\x1b[1;31mERR\x1b[0m ok');
+    const [row] = screen.rows;
+    assert(lines(screen).join() === 'ERR ok', `text ${lines(screen).join()}`);
+    assert(row.pens[0] === 'color:#ff0000;font-weight:bold', `bold red pen ${row.pens[0]}`);
+    assert(row.pens[4] === 'color:#c0c0c0', `reset pen ${row.pens[4]}`);
+    assert(row.element.innerHTML === '<span style="color:#ff0000;font-weight:bold">ERR</span><span style="color:#c0c0c0"> ok</span>',
+        `html ${row.element.innerHTML}`);
+});
+
+test('attributes last across writes, as on a console', async () => {
+    const screen = draw('\x1b[44m', 'a', '\x1b[7mb');
+    const [row] = screen.rows;
+    assert(row.pens[0] === 'color:#c0c0c0;background:#000080', `blue background ${row.pens[0]}`);
+    assert(row.pens[1] === 'color:#000080;background:#c0c0c0', `inverse ${row.pens[1]}`);
+});
+
+test('256 and true colors', async () => {
+    const [row] = draw('\x1b[38;5;196mA\x1b[38;2;1;2;3mB\x1b[38;5;244mC').rows;
+    assert(row.pens.join('|') === 'color:#ff0000|color:#010203|color:#808080', `pens ${row.pens.join('|')}`);
+});
+
+test('a carriage return redraws the row, as progress bars do', async () => {
+    const screen = draw('[#   ] 25%', '\r[####] 100%');
+    assert(lines(screen).join() === '[####] 100%', `row ${lines(screen).join()}`);
+});
+
+test('cursor up and clear line redraw the row above', async () => {
+    const screen = draw('first\nworking...\n', '\x1b[1A\x1b[2Kdone\n', 'last');
+    assert(lines(screen).join('|') === 'first|done|last', `rows ${lines(screen).join('|')}`);
+});
+
+test('ESC[r;cH positions the cursor, padding with spaces', async () => {
+    const screen = draw('\x1b[3;5Hx\x1b[1;1Hy');
+    assert(lines(screen).join('|') === 'y||    x', `rows ${lines(screen).join('|')}`);
+});
+
+test('save and restore the cursor, and clear to the end of the line', async () => {
+    const screen = draw('name: \x1b[s??????', '\x1b[u\x1b[KBob');
+    assert(lines(screen).join() === 'name: Bob', `row ${lines(screen).join()}`);
+});
+
+test('ESC[2J clears the screen and ESC[J clears below the cursor', async () => {
+    assert(lines(draw('old\nrows\x1b[2Jnew')).join('|') === 'new', 'ESC[2J left rows');
+    const screen = draw('one\ntwo\nthree', '\x1b[2;2H\x1b[J');
+    assert(lines(screen).join('|') === 'one|t|', `rows ${lines(screen).join('|')}`);
+});
+
+test('tabs stop every 8 columns and backspace moves back', async () => {
+    assert(lines(draw('a\tb')).join() === 'a       b', 'tab');
+    assert(lines(draw('abc\b\bX')).join() === 'aXc', 'backspace');
+});
+
+test('only the last 25 rows can be drawn on', async () => {
+    const screen = draw(Array.from({ length: 30 }, (_, i) => `row ${i + 1}`).join('\n'), '\x1b[1;1HX');
+    assert(screen.rows.length === 25, `${screen.rows.length} rows`);
+    assert(lines(screen)[0] === 'Xow 6', `top row ${lines(screen)[0]}`);
+});
+
+test('text is escaped and colors given by callers must be plain', async () => {
+    const screen = new AnsiScreen();
+    screen.write(null, '<b>&', 'red;" onclick="x');
+    assert(screen.rows[0].pens[0] === '', `pen ${screen.rows[0].pens[0]}`);
+    assert(screen.rows[0].element.innerHTML === '&lt;b&gt;&amp;', `html ${screen.rows[0].element.innerHTML}`);
+});
+
+test('stripAnsi leaves the text', async () => {
+    assert(stripAnsi('\x1b[1;32mOK\x1b[0m \x1b[2K\x1b7done\x1b8') === 'OK done', 'escape sequences left');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  ANSI Escape Sequence Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
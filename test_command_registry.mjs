@@ -0,0 +1,164 @@
+/**
+ * Test harness for commands added to the Terminal (core/shell/CommandRegistry.js)
+ * Registers commands and command scripts and runs them on a Terminal
+ * without a window
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: Terminal } = await import('./apps/Terminal.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: CommandRegistry } = await import('./core/shell/CommandRegistry.js');
+const { default: ScriptCommands } = await import('./core/shell/ScriptCommands.js');
+const { PATHS } = await import('./core/Constants.js');
+
+const SOURCE = 'registry-test';
+const SCRIPT = [...PATHS.COMMANDS, 'regtest_upper.retro'];
+
+CommandRegistry.addProvider(ScriptCommands);
+
+const terminal = new Terminal();
+terminal.getElement = () => null;
+terminal.resetSessions();
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a registered command is found by any case of its name', async () => {
+    CommandRegistry.register('RegTest-Echo', (args) => args.join('+'), SOURCE);
+    const command = CommandRegistry.get('REGTEST-ECHO');
+    assert(command?.name === 'regtest-echo', `found ${command?.name}`);
+    assert(command.source === SOURCE, `source ${command.source}`);
+    assert(CommandRegistry.list().some(item => item.name === 'regtest-echo'), 'not listed');
+});
+
+test('a name with spaces or a definition without run is refused', async () => {
+    let errors = 0;
+    for (const [name, definition] of [['two words', () => ''], ['', () => ''], ['regtest-norun', {}]]) {
+        try {
+            CommandRegistry.register(name, definition, SOURCE);
+        } catch (e) {
+            errors++;
+        }
+    }
+    assert(errors === 3, `${errors} refused`);
+    CommandRegistry.registerAll([{ name: 'bad name', run: () => '' }, { name: 'regtest-ok', run: () => 'ok' }], SOURCE);
+    assert(CommandRegistry.get('regtest-ok') && !CommandRegistry.get('bad name'), 'registerAll did not skip the bad command');
+});
+
+test('a registered command reads piped input and can be piped on', async () => {
+    CommandRegistry.register('regtest-rev', {
+        run: (args, io) => io.stdin.readLines().map(line => [...line].reverse().join('')).join('\n')
+    }, SOURCE);
+    const { stdout, exitCode } = terminal.runCaptured('echo abc | regtest-rev | regtest-rev | regtest-rev');
+    assert(exitCode === 0, `exit code ${exitCode}`);
+    assert(stdout.trim() === 'cba', `output ${stdout}`);
+});
+
+test('io.fail() gives the command line its exit code', async () => {
+    CommandRegistry.register('regtest-fail', (args, io) => io.fail('regtest went wrong', 4), SOURCE);
+    const { stderr, exitCode } = terminal.runCaptured('regtest-fail');
+    assert(exitCode === 4, `exit code ${exitCode}`);
+    assert(stderr.includes('regtest went wrong'), `stderr ${stderr}`);
+});
+
+test('HELP name and name /? show the help', async () => {
+    CommandRegistry.register('regtest-help', {
+        description: 'Does nothing.',
+        usage: 'REGTEST-HELP [x]',
+        help: 'Really nothing.',
+        run: () => ''
+    }, SOURCE);
+    const expected = 'Does nothing.\n\nREGTEST-HELP [x]\n\nReally nothing.';
+    assert(terminal.runCaptured('regtest-help /?').stdout.trim() === expected, 'wrong /? help');
+    assert(terminal.runCaptured('help regtest-help').stdout.trim() === expected, 'wrong HELP name');
+});
+
+test('unregister removes every command of a source', async () => {
+    CommandRegistry.register('regtest-other', () => '', 'someone-else');
+    CommandRegistry.unregister(SOURCE);
+    assert(!CommandRegistry.list().some(item => item.source === SOURCE), 'commands left');
+    assert(CommandRegistry.get('regtest-other'), 'other source removed');
+    CommandRegistry.unregister('someone-else');
+});
+
+test('a script in C:\\Windows\\Commands is a command with help from its comments', async () => {
+    FileSystemManager.writeFile(SCRIPT, [
+        '# Upper-cases its input.',
+        '# Usage: REGTEST_UPPER [text]',
+        '# Without text, upper-cases what is piped in.',
+        'set $text = call join $args " "',
+        'if $piped then {',
+        '    set $text = $stdin',
+        '}',
+        'set $text = call upper $text',
+        'print $text'
+    ].join('\n'), 'retro');
+
+    const command = CommandRegistry.get('regtest_upper');
+    assert(command?.description === 'Upper-cases its input.', `description ${command?.description}`);
+    assert(command.usage === 'REGTEST_UPPER [text]', `usage ${command.usage}`);
+    assert(command.help === 'Without text, upper-cases what is piped in.', `help ${command.help}`);
+
+    terminal.runCommandLine('echo quiet | regtest_upper > regtest.txt');
+    while (terminal.foregroundJob) await tick(10);
+    const output = FileSystemManager.readFile([...terminal.currentPath, 'regtest.txt']);
+    FileSystemManager.deleteFile([...terminal.currentPath, 'regtest.txt'], { permanent: true });
+    assert(output.trim() === 'QUIET', `output ${output}`);
+});
+
+test('a registered command wins over a script of the same name', async () => {
+    CommandRegistry.register('regtest_upper', () => 'registered', SOURCE);
+    assert(terminal.runCaptured('regtest_upper').stdout.trim() === 'registered', 'script ran');
+    CommandRegistry.unregister(SOURCE);
+    assert(CommandRegistry.get('regtest_upper')?.source === 'C:\\Windows\\Commands', 'script not found again');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Command Registry Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+CommandRegistry.unregister(SOURCE);
+if (FileSystemManager.exists(SCRIPT)) FileSystemManager.deleteFile(SCRIPT, { permanent: true });
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
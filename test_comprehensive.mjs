@@ -15,15 +15,32 @@ const { default: ScriptEngine } = await import('./core/script/ScriptEngine.js');
 const files = {};
 const dirs = new Set(['C:', 'C:/Users', 'C:/Users/User', 'C:/Windows']);
 
+// Minimal watch(): reports writes inside a watched folder
+const watchers = new Set();
+const notify = (type, path) => {
+    for (const watcher of watchers) {
+        if (path.startsWith(watcher.path + '/')) watcher.callback({ type, path });
+    }
+};
+
 ScriptEngine.initialize({
     EventBus: null,
     CommandBus: null,
     FileSystemManager: {
         readFile: (path) => files[path] ?? null,
-        writeFile: (path, content) => { files[path] = String(content); },
+        writeFile: (path, content) => {
+            const type = files.hasOwnProperty(path) ? 'modified' : 'created';
+            files[path] = String(content);
+            notify(type, path);
+        },
         mkdir: (path) => { dirs.add(path); },
         delete: (path) => { delete files[path]; dirs.delete(path); },
-        exists: (path) => files.hasOwnProperty(path) || dirs.has(path)
+        exists: (path) => files.hasOwnProperty(path) || dirs.has(path),
+        watch: (path, options, callback) => {
+            const watcher = { path, callback };
+            watchers.add(watcher);
+            return () => watchers.delete(watcher);
+        }
     }
 });
 
@@ -0,0 +1,129 @@
+/**
+ * Test harness for the RetroScript debugger
+ * Runs scripts through ScriptEngine.run() with the debug option and
+ * checks where they stop and what the paused state shows
+ */
+
+const { default: ScriptEngine } = await import('./core/script/ScriptEngine.js');
+
+ScriptEngine.initialize({ EventBus: null, CommandBus: null });
+
+const SCRIPT = [
+    'set $total = 0',                           // 1
+    'def add($a, $b) {',                        // 2
+    '    set $s = $a + $b',                     // 3
+    '    return $s',                            // 4
+    '}',                                        // 5
+    'foreach $n in [1, 2, 3] {',                // 6
+    '    set $total = call add $total $n',      // 7
+    '}',                                        // 8
+    'print $total'                              // 9
+].join('\n');
+
+/**
+ * Run a script under the debugger
+ * @param {string} source
+ * @param {Object} debugOptions - Debug options without onPause
+ * @param {Object} [options]
+ * @param {string[]} [options.actions] - Debugger call at each stop (default continue)
+ * @param {number} [options.holdMs] - How long each stop lasts before the action
+ * @param {number} [options.timeout] - Script timeout
+ * @returns {Promise<{result: Object, pauses: Object[], output: string[]}>}
+ */
+async function debug(source, debugOptions, { actions = [], holdMs = 0, timeout } = {}) {
+    const pauses = [];
+    const output = [];
+    const result = await ScriptEngine.run(source, {
+        timeout,
+        onOutput: (message) => output.push(String(message)),
+        debug: {
+            ...debugOptions,
+            onPause: (state) => {
+                const action = actions[pauses.length] || 'continue';
+                pauses.push(state);
+                setTimeout(() => ScriptEngine.debugger[action](), holdMs);
+            }
+        }
+    });
+    return { result, pauses, output };
+}
+
+const frames = (state) => state.callStack.map(frame => `${frame.name}:${frame.line}`).join(' < ');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('stops at a breakpoint inside a function', async () => {
+    const { result, pauses, output } = await debug(SCRIPT, { breakpoints: [3] });
+    assert(result.success, `script failed: ${result.error?.message}`);
+    assert(pauses.length === 3, `stopped ${pauses.length} times`);
+    assert(pauses.every(state => state.reason === 'breakpoint' && state.line === 3), 'wrong stop');
+    assert(frames(pauses[0]) === 'add:3 < <script>:7', `call stack ${frames(pauses[0])}`);
+    assert(pauses[1].scopes[0].name === 'Local' && pauses[1].scopes[0].variables.b === 2, 'wrong local scope');
+    assert(output.join() === '6', `output ${output.join()}`);
+});
+
+test('a conditional breakpoint stops only when its condition is true', async () => {
+    const { pauses } = await debug(SCRIPT, { breakpoints: new Map([[7, '$n == 3']]) });
+    assert(pauses.length === 1, `stopped ${pauses.length} times`);
+    assert(pauses[0].line === 7 && pauses[0].condition === '$n == 3', `stopped at line ${pauses[0].line}`);
+    assert(pauses[0].scopes[0].variables.n === 3, 'wrong $n');
+});
+
+test('watches are evaluated at every stop', async () => {
+    const { pauses } = await debug(SCRIPT, {
+        breakpoints: [7],
+        watches: ['$total', 'call add $total 100', '(']
+    });
+    const values = pauses.map(state => state.watches[0].value);
+    assert(values.join() === '0,1,3', `$total ${values.join()}`);
+    assert(pauses[2].watches[1].value === 103, `call add gave ${pauses[2].watches[1].value}`);
+    assert(pauses[0].watches[2].error, 'no error for a watch that does not parse');
+});
+
+test('step over stays in the same function', async () => {
+    const { pauses } = await debug(SCRIPT, { stopOnEntry: true }, { actions: Array(10).fill('stepOver') });
+    const lines = pauses.map(state => state.line);
+    assert(lines.join() === '1,2,6,7,7,7,9', `stopped at ${lines.join()}`);
+    assert(pauses.every(state => state.callStack.length === 1), 'stopped inside a call');
+});
+
+test('step into goes into a call and step out comes back', async () => {
+    const { pauses } = await debug(SCRIPT, { breakpoints: [7] }, { actions: ['stepInto', 'stepOut', 'continue'] });
+    assert(frames(pauses[1]) === 'add:3 < <script>:7', `step into stopped at ${frames(pauses[1])}`);
+    assert(frames(pauses[2]) === '<script>:7', `step out stopped at ${frames(pauses[2])}`);
+    assert(pauses[2].scopes[0].variables.n === 2, 'step out did not finish the call');
+});
+
+test('time stopped does not count toward the timeout', async () => {
+    const source = 'set $first = 1\nset $second = 2\nprint $second';
+    const { result, pauses, output } = await debug(source, { breakpoints: [2] }, { holdMs: 600, timeout: 300 });
+    assert(pauses.length === 1, `stopped ${pauses.length} times`);
+    assert(result.success, `script failed: ${result.error?.message}`);
+    assert(output.join() === '2', `output ${output.join()}`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  RetroScript Debugger Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,136 @@
+/**
+ * Test harness for disk images (core/fs/DiskImage.js)
+ * Parses JSON images and mounts them on the removable drives
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { parseDiskImage } = await import('./core/fs/DiskImage.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/DiskImageTest';
+
+const GAMES = {
+    label: 'games disk',
+    readOnly: true,
+    files: {
+        'README.TXT': 'Insert disk 2 to continue...',
+        'LEVELS': { 'level1.txt': '####' }
+    }
+};
+
+if (!FileSystemManager.exists(DIR)) FileSystemManager.createDirectory(DIR);
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+const rejects = async (promise, text) => {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.message.includes(text), error.message);
+        return;
+    }
+    throw new Error('no error');
+};
+
+test('a JSON image becomes folders and text files', async () => {
+    const image = await parseDiskImage(GAMES);
+    assert(image.format === 'json' && image.readOnly, `format ${image.format}, readOnly ${image.readOnly}`);
+    assert(image.label === 'GAMES DISK', `label ${image.label}`);
+    assert(image.children['README.TXT'].content === 'Insert disk 2 to continue...', 'wrong file');
+    assert(image.children.LEVELS.type === 'directory', 'no folder');
+    assert(image.children.LEVELS.children['level1.txt'].extension === 'txt', 'wrong extension');
+});
+
+test('without a wrapper the object is the file map, labelled after the image file', async () => {
+    const image = await parseDiskImage('{"a.txt": "alpha"}', { name: 'my-utilities.json' });
+    assert(image.children['a.txt'].content === 'alpha', 'wrong file');
+    assert(image.label === 'MY-UTILITIE', `label ${image.label}`);
+    assert(!image.readOnly, 'read-only');
+});
+
+test('text that is neither JSON nor ZIP is refused', async () => {
+    await rejects(parseDiskImage('hello'), 'Unrecognized disk image');
+    await rejects(parseDiskImage('[1, 2]'), 'Unrecognized disk image');
+});
+
+test('names that are not plain file names are refused', async () => {
+    await rejects(parseDiskImage('{"files": {"__proto__": {"evil.txt": "x"}}}'), 'Invalid name');
+    await rejects(parseDiskImage({ files: { '..': 'x' } }), 'Invalid name');
+    await rejects(parseDiskImage({ files: { 'a/b.txt': 'x' } }), 'Invalid name');
+});
+
+test('mounting an image fills the drive and ejecting empties it', async () => {
+    FileSystemManager.writeFile(`${DIR}/games.json`, JSON.stringify(GAMES));
+    const media = await FileSystemManager.mountImage('A:', `${DIR}/games.json`);
+    assert(media.drive === 'A:' && media.label === 'GAMES DISK', `media ${JSON.stringify(media)}`);
+    assert(FileSystemManager.readFile('A:/LEVELS/level1.txt') === '####', 'file not on the drive');
+
+    FileSystemManager.ejectDrive('A:');
+    assert(!FileSystemManager.exists('A:/README.TXT'), 'file left on the drive');
+    assert(FileSystemManager.getMedia('A:') === null, 'still mounted');
+});
+
+test('a read-only image refuses writes', async () => {
+    FileSystemManager.writeFile(`${DIR}/games.json`, JSON.stringify(GAMES));
+    await FileSystemManager.mountImage('A:', `${DIR}/games.json`);
+    try {
+        let refused = false;
+        try {
+            FileSystemManager.writeFile('A:/new.txt', 'x');
+        } catch (error) {
+            refused = true;
+        }
+        assert(refused, 'write allowed');
+        assert(!FileSystemManager.exists('A:/new.txt'), 'file written');
+    } finally {
+        FileSystemManager.ejectDrive('A:');
+    }
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Disk Image Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
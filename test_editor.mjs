@@ -0,0 +1,175 @@
+/**
+ * Test harness for the EDIT text editor (core/shell/Editor.js)
+ * Drives an editor with key events and checks its text, the files it
+ * saves and the screen it draws
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: TextEditor } = await import('./core/shell/Editor.js');
+const { stripAnsi } = await import('./core/shell/Ansi.js');
+
+const DIR = 'C:/Users/User/Documents/EditorTest';
+
+/** An editor on a file in DIR holding content */
+function open(name, content) {
+    if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+    FileSystemManager.createDirectory(DIR);
+    if (content !== undefined) FileSystemManager.writeFile(`${DIR}/${name}`, content);
+    return new TextEditor({
+        path: FileSystemManager.parsePath(`${DIR}/${name}`),
+        resolvePath: (typed) => FileSystemManager.parsePath(`${DIR}/${typed}`)
+    });
+}
+
+/**
+ * Press keys: a string is typed key by key, an object is one keydown event
+ * ({ key: 'x', ctrlKey: true })
+ */
+function press(editor, ...keys) {
+    for (const key of keys) {
+        if (typeof key === 'string') {
+            for (const char of key) editor.handleKey({ key: char });
+        } else {
+            editor.handleKey(key);
+        }
+    }
+}
+
+const ctrl = (letter) => ({ key: letter, code: `Key${letter.toUpperCase()}`, ctrlKey: true });
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('typing, Enter and Backspace edit the text', async () => {
+    const editor = open('new.txt');
+    press(editor, 'helo', { key: 'Backspace' }, 'lo', { key: 'Enter' }, 'world');
+    assert(editor.lines.join('|') === 'hello|world', `lines ${editor.lines.join('|')}`);
+    assert(editor.row === 1 && editor.col === 5, `cursor ${editor.row}:${editor.col}`);
+    assert(editor.modified, 'not modified');
+});
+
+test('Shift+arrows select, and cut and paste move the selection', async () => {
+    const editor = open('cut.txt', 'one two three');
+    press(editor, { key: 'End' });
+    for (let i = 0; i < 6; i++) press(editor, { key: 'ArrowLeft', shiftKey: true });
+    press(editor, ctrl('x'));
+    assert(editor.lines.join() === 'one two', `after cut ${editor.lines.join()}`);
+    press(editor, { key: 'Home' }, ctrl('v'));
+    assert(editor.lines.join() === ' threeone two', `after paste ${editor.lines.join()}`);
+});
+
+test('Ctrl+F finds case-insensitively and F3 finds again, wrapping round', async () => {
+    const editor = open('find.txt', 'Apple\nbanana\napple pie');
+    press(editor, ctrl('f'), 'APPLE', { key: 'Enter' });
+    assert(editor.row === 0 && editor.col === 5, `first match ends at ${editor.row}:${editor.col}`);
+    press(editor, { key: 'F3' });
+    assert(editor.row === 2 && editor.col === 5, `next match ends at ${editor.row}:${editor.col}`);
+    press(editor, { key: 'F3' });
+    assert(editor.row === 0 && editor.col === 5, `wrapped match ends at ${editor.row}:${editor.col}`);
+
+    // The dialog starts with the selected match
+    press(editor, ctrl('f'));
+    assert(editor.dialog?.value === 'Apple', `dialog value ${editor.dialog?.value}`);
+    for (let i = 0; i < 5; i++) press(editor, { key: 'Backspace' });
+    press(editor, 'cherry', { key: 'Enter' });
+    assert(editor.dialog?.message === 'Match not found.', 'no message for a missing match');
+});
+
+test('Change replaces one match or all of them', async () => {
+    const editor = open('change.txt', 'cat cat\ncat');
+    press(editor, ctrl('h'), 'cat', { key: 'Enter' }, 'dog', { key: 'Enter' }, 'n', 'y', 'a');
+    assert(editor.lines.join('|') === 'cat dog|dog', `lines ${editor.lines.join('|')}`);
+    assert(editor.dialog?.message === '2 changes made.', `message ${editor.dialog?.message}`);
+});
+
+test('Ctrl+S saves with the file\'s own line endings', async () => {
+    const editor = open('crlf.bat', '@echo off\r\necho hi');
+    press(editor, { key: 'End', ctrlKey: true }, '!', ctrl('s'));
+    assert(FileSystemManager.readFile(`${DIR}/crlf.bat`) === '@echo off\r\necho hi!', 'wrong content saved');
+    assert(!editor.modified, 'still modified');
+});
+
+test('a new file is saved under the name typed', async () => {
+    const editor = new TextEditor({ path: null, resolvePath: (typed) => FileSystemManager.parsePath(`${DIR}/${typed}`) });
+    press(editor, 'text', ctrl('s'), 'named.txt', { key: 'Enter' });
+    assert(FileSystemManager.readFile(`${DIR}/named.txt`) === 'text', 'not saved');
+    assert(editor.name === 'named.txt', `name ${editor.name}`);
+});
+
+test('exit asks about unsaved changes, and Esc stays', async () => {
+    const editor = open('exit.txt', 'keep');
+    let exited = 0;
+    editor.onExit = () => exited++;
+    press(editor, 'x', { key: 'x', code: 'KeyX', altKey: true }, { key: 'Escape' });
+    assert(exited === 0 && !editor.dialog, 'left on Esc');
+    press(editor, { key: 'x', code: 'KeyX', altKey: true }, 'n');
+    assert(exited === 1, 'did not leave on No');
+    assert(FileSystemManager.readFile(`${DIR}/exit.txt`) === 'keep', 'saved on No');
+});
+
+test('menus open with Alt and run the highlighted letter', async () => {
+    const editor = open('menu.txt', 'abc');
+    press(editor, { key: 'e', code: 'KeyE', altKey: true });
+    assert(editor.menu?.index === 1, 'Edit menu not open');
+    press(editor, { key: 'Escape' }, { key: 'F10' }, 'a');
+    assert(editor.dialog?.title === 'Save As', `dialog ${editor.dialog?.title}`);
+});
+
+test('the screen is 25 rows of 80 columns with the file name in the title', async () => {
+    const editor = open('screen.txt', 'hello');
+    press(editor, '!');
+    const rows = editor.render().map(stripAnsi);
+    assert(rows.length === 25, `${rows.length} rows`);
+    assert(rows.every(row => row.length === 80), 'a row is not 80 columns');
+    assert(rows[0].includes('File') && rows[0].includes('Search'), `menu bar ${rows[0]}`);
+    assert(rows[1].includes(' screen.txt * '), `title ${rows[1]}`);
+    assert(rows[2].startsWith('│!hello'), `first line ${rows[2]}`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Text Editor Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,143 @@
+/**
+ * Test harness for the file type registry (core/FileAssociations.js)
+ * Registers test programs for made-up extensions and checks which one
+ * opens a file
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: FileAssociations } = await import('./core/FileAssociations.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/FileTypeTest';
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+FileSystemManager.createDirectory(DIR);
+FileSystemManager.writeFile(`${DIR}/doc.fatest`, 'hello');
+FileSystemManager.writeFileBinary(`${DIR}/blob.faunknown`, new Uint8Array([1, 2, 3]), { mimeType: 'application/x-fatest' });
+
+// Opens recorded as "program:verb:file"
+const opened = [];
+const program = (id) => ({
+    name: id,
+    open: (parts, node, options) => opened.push(`${id}:${options.verb}:${parts[parts.length - 1]}`)
+});
+
+FileAssociations.registerProgram('fa-viewer', program('fa-viewer'), 'fa-test');
+FileAssociations.registerProgram('fa-editor', program('fa-editor'), 'fa-test-2');
+FileAssociations.register('.fatest', {
+    program: 'fa-viewer',
+    verbs: ['open', 'print'],
+    description: 'Test Document',
+    icon: '🧪',
+    mimeTypes: ['application/x-fatest']
+}, 'fa-test');
+FileAssociations.register('FATEST', { program: 'fa-editor', verbs: ['open', 'edit'] }, 'fa-test-2');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a type combines its registrations, the first one for each verb winning', async () => {
+    const type = FileAssociations.getType('FaTest');
+    assert(type.description === 'Test Document' && type.icon === '🧪', `type ${JSON.stringify(type)}`);
+    assert(type.verbs.open === 'fa-viewer' && type.verbs.edit === 'fa-editor', `verbs ${JSON.stringify(type.verbs)}`);
+    assert(type.defaultVerb === 'open', `default ${type.defaultVerb}`);
+});
+
+test('getVerbs lists the default verb first, in menu order after it', async () => {
+    const verbs = FileAssociations.getVerbs(`${DIR}/doc.fatest`).map(entry => `${entry.verb}:${entry.program.id}`);
+    assert(verbs.join() === 'open:fa-viewer,edit:fa-editor,print:fa-viewer', `verbs ${verbs.join()}`);
+});
+
+test('open uses the default verb, or the one asked for', async () => {
+    opened.length = 0;
+    assert(FileAssociations.open(`${DIR}/doc.fatest`), 'not opened');
+    FileAssociations.open(`${DIR}/doc.fatest`, { verb: 'edit' });
+    assert(opened.join() === 'fa-viewer:open:doc.fatest,fa-editor:edit:doc.fatest', `opened ${opened.join()}`);
+});
+
+test('a file with an unknown extension is matched by its MIME type', async () => {
+    assert(FileAssociations.getTypeForFile(`${DIR}/blob.faunknown`)?.extension === 'fatest', 'no type');
+    assert(FileAssociations.getProgram(`${DIR}/blob.faunknown`)?.id === 'fa-viewer', 'no program');
+});
+
+test('user changes win over registrations until the type is reset', async () => {
+    FileAssociations.setProgram('fatest', 'open', 'fa-editor');
+    FileAssociations.setDefaultVerb('fatest', 'edit');
+    FileAssociations.setTypeInfo('fatest', { description: 'Mine' });
+    let type = FileAssociations.getType('fatest');
+    assert(type.custom && type.verbs.open === 'fa-editor', `verbs ${JSON.stringify(type.verbs)}`);
+    assert(type.defaultVerb === 'edit' && type.description === 'Mine', `type ${JSON.stringify(type)}`);
+
+    FileAssociations.resetType('fatest');
+    type = FileAssociations.getType('fatest');
+    assert(!type.custom && type.verbs.open === 'fa-viewer' && type.defaultVerb === 'open', `type ${JSON.stringify(type)}`);
+});
+
+test('an unknown program cannot be chosen', async () => {
+    let message = '';
+    try {
+        FileAssociations.setProgram('fatest', 'open', 'no-such-program');
+    } catch (error) {
+        message = error.message;
+    }
+    assert(message.includes('Unknown program'), `error: ${message}`);
+});
+
+test('unregister removes what a source added', async () => {
+    FileAssociations.unregister('fa-test');
+    const type = FileAssociations.getType('fatest');
+    assert(type.verbs.open === 'fa-editor' && !type.verbs.print, `verbs ${JSON.stringify(type.verbs)}`);
+    assert(FileAssociations.getPrograms().other.every(entry => entry.id !== 'fa-viewer'), 'program left');
+
+    FileAssociations.unregister('fa-test-2');
+    assert(FileAssociations.getType('fatest') === null, 'type left');
+    assert(!FileAssociations.open(`${DIR}/doc.fatest`, { chooser: false }), 'opened without a program');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  File Type Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
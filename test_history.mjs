@@ -0,0 +1,143 @@
+/**
+ * Test harness for Terminal command history and sessions
+ * (core/shell/History.js, core/shell/Session.js)
+ * Checks recall, search and the history file, and runs commands in two
+ * sessions of a Terminal without a window
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: Terminal } = await import('./apps/Terminal.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: CommandHistory } = await import('./core/shell/History.js');
+const { TERMINAL_HISTORY } = await import('./core/Constants.js');
+
+const DIR = 'C:/Users/User/Documents/HistoryTest';
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('add skips blank lines and repeats, and writes the hidden history file', async () => {
+    const history = new CommandHistory();
+    history.clear();
+    for (const line of ['dir', 'dir', '  ', 'cd ..', 'dir']) history.add(line);
+    assert(history.entries.join() === 'dir,cd ..,dir', `entries ${history.entries.join()}`);
+    assert(FileSystemManager.readFile(TERMINAL_HISTORY.FILE) === 'dir\ncd ..\ndir', 'history file not written');
+    assert(FileSystemManager.getAttributes(TERMINAL_HISTORY.FILE).hidden, 'history file not hidden');
+    assert(CommandHistory.load().entries.join() === 'dir,cd ..,dir', 'not loaded back');
+});
+
+test('Up and Down walk the history and come back to the typed line', async () => {
+    const history = new CommandHistory(['one', 'two', 'three']);
+    const walked = [-1, -1, -1, -1, 1, 1, 1].map(direction => history.navigate(direction));
+    assert(walked.join() === 'three,two,one,one,two,three,', `walked ${walked.join()}`);
+});
+
+test('!!, !n, !-n and !text recall commands', async () => {
+    const history = new CommandHistory(['dir /w', 'type a.txt', 'echo hi']);
+    assert(history.expand('!!') === 'echo hi', '!!');
+    assert(history.expand('!1 /b') === 'dir /w /b', '!1 with more');
+    assert(history.expand('!-2') === 'type a.txt', '!-2');
+    assert(history.expand('!TY') === 'type a.txt', '!text');
+    assert(history.expand('!9') === null && history.expand('!zzz') === null, 'missing command recalled');
+    assert(history.expand('echo !!') === 'echo !!', 'reference not at the start expanded');
+});
+
+test('search finds older and older entries, ignoring case', async () => {
+    const history = new CommandHistory(['copy a b', 'dir', 'COPY c d', 'cls']);
+    const first = history.search('copy');
+    const second = history.search('copy', first);
+    assert(first === 2 && second === 0, `found ${first}, ${second}`);
+    assert(history.search('copy', second) === -1, 'found past the oldest');
+});
+
+test('the history keeps only the last TERMINAL_HISTORY.LIMIT commands', async () => {
+    const many = Array.from({ length: TERMINAL_HISTORY.LIMIT + 5 }, (_, i) => `echo ${i}`);
+    const history = new CommandHistory(many);
+    assert(history.length === TERMINAL_HISTORY.LIMIT, `length ${history.length}`);
+    assert(history.get(1) === 'echo 5', `oldest ${history.get(1)}`);
+});
+
+test('each session keeps its own directory, variables and history', async () => {
+    if (!FileSystemManager.exists(DIR)) FileSystemManager.createDirectory(DIR);
+    const terminal = new Terminal();
+    terminal.getElement = () => null;
+    terminal.resetSessions();
+    const first = terminal.session;
+
+    terminal.executeCommand(`cd ${DIR.replace(/\//g, '\\')}`);
+    terminal.executeCommand('set WHERE=first');
+    terminal.executeCommand('tab new');
+    await tick();
+    const second = terminal.session;
+    assert(second !== first && terminal.sessions.length === 2, 'no new session');
+
+    terminal.executeCommand('set WHERE=second');
+    terminal.executeCommand('tab 1');
+    await tick();
+    assert(terminal.session === first, 'not back on the first tab');
+    assert(first.currentPath.join('/') === DIR, `first in ${first.currentPath.join('/')}`);
+    assert(second.currentPath.join('/') !== DIR, 'second followed the cd');
+    assert(first.envVars.WHERE === 'first' && second.envVars.WHERE === 'second', 'variables shared');
+    // The second session started with the history so far, then went its own way
+    assert(second.history.entries.includes('set WHERE=first'), 'earlier commands not in the second history');
+    assert(!first.history.entries.includes('set WHERE=second'), 'second session command in the first history');
+});
+
+test('history -c clears the session and the history file', async () => {
+    const terminal = new Terminal();
+    terminal.getElement = () => null;
+    terminal.resetSessions();
+    terminal.executeCommand('echo remember');
+    terminal.executeCommand('history -c');
+    assert(terminal.session.history.length === 0, 'history kept');
+    assert(CommandHistory.load().length === 0, 'history file kept');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Terminal History Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
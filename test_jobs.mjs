@@ -0,0 +1,118 @@
+/**
+ * Test harness for Terminal jobs (core/shell/Jobs.js)
+ * Drives jobs through the table as the Terminal and Task Manager do
+ */
+
+const { default: EventBus, Events } = await import('./core/SemanticEventBus.js');
+const { default: JobTable, JobState } = await import('./core/shell/Jobs.js');
+const { parseBackground } = await import('./core/shell/CommandLine.js');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** A job for a pretend Terminal, with its foreground output collected */
+function start(owner, command, foreground = true) {
+    const written = [];
+    const job = JobTable.create({ command, owner, write: (text) => written.push(text), foreground });
+    return { job, written };
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a trailing & asks for a background job', async () => {
+    assert(JSON.stringify(parseBackground('ping example.com &')) === '{"command":"ping example.com","background":true}', 'not background');
+    assert(!parseBackground('echo a && echo b').background, '&& taken for &');
+    assert(!parseBackground('dir 2>&').background, '>& taken for &');
+    assert(!parseBackground('&').background, 'empty command');
+});
+
+test('each Terminal numbers its jobs from 1, reusing freed numbers', async () => {
+    const owner = {};
+    const first = start(owner, 'ping a').job;
+    const second = start(owner, 'ping b').job;
+    const other = start({}, 'ping c').job;
+    assert(first.number === 1 && second.number === 2 && other.number === 1, 'wrong numbers');
+    assert(second.pid > first.pid, 'pids not increasing');
+
+    first.finish();
+    JobTable.remove(first);
+    assert(start(owner, 'ping d').job.number === 1, 'number 1 not reused');
+    for (const job of JobTable.forOwner(owner)) job.kill();
+    other.kill();
+});
+
+test('foreground output is written, background output is buffered', async () => {
+    const { job, written } = start({}, 'ping a');
+    job.print('one');
+    job.setForeground(false);
+    job.print('two');
+    assert(written.join() === 'one', `written ${written.join()}`);
+    assert(job.takeOutput().map(line => line.text).join() === 'two', 'not buffered');
+    assert(job.takeOutput().length === 0, 'buffer not emptied');
+    job.kill();
+});
+
+test('a stopped job does not tick until it continues', async () => {
+    const { job } = start({}, 'ping a');
+    let ticks = 0;
+    job.every(5, () => ticks++);
+    job.stop();
+    assert(job.state === JobState.STOPPED && !job.foreground, 'not stopped in the background');
+    await tick(30);
+    assert(ticks === 0, `${ticks} ticks while stopped`);
+    job.continue(true);
+    await tick(30);
+    assert(ticks > 0 && job.foreground, 'did not continue in the foreground');
+    job.finish();
+});
+
+test('ending a job stops its timers and reports how it ended', async () => {
+    const ended = [];
+    const stopListening = EventBus.on(Events.TERMINAL_JOB_END, (info) => ended.push(`${info.command}:${info.state}:${info.exitCode}`));
+    const done = start({}, 'ping done').job;
+    const killed = start({}, 'ping killed').job;
+    let killHandled = false;
+    killed.on('kill', () => { killHandled = true; });
+    let ticks = 0;
+    killed.every(5, () => ticks++);
+
+    done.finish(3);
+    killed.kill();
+    await tick(20);
+    stopListening();
+    assert(ended.join() === 'ping done:Done:3,ping killed:Terminated:1', `ended ${ended.join()}`);
+    assert(killHandled && ticks === 0, 'kill not handled');
+    assert(!JobTable.list().includes(killed), 'ended job still listed');
+});
+
+test('print after the end is ignored', async () => {
+    const { job, written } = start({}, 'ping a');
+    job.finish();
+    job.print('late');
+    assert(written.length === 0, 'printed after the end');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Terminal Job Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
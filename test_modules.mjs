@@ -0,0 +1,164 @@
+/**
+ * Test harness for RetroScript modules (import / export)
+ * Writes modules to the virtual file system and imports them from scripts
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: ScriptEngine } = await import('./core/script/ScriptEngine.js');
+
+ScriptEngine.initialize({ EventBus: null, CommandBus: null, FileSystemManager });
+
+const APP = 'C:/ModuleTest/app';
+const LIB = 'C:/Scripts/lib';
+
+const modules = {
+    [`${APP}/util.retro`]: 'export def twice($x) {\n    return $x * 2\n}\n',
+    [`${LIB}/modtest_strings.retro`]: 'export def shout($s) {\n    return call upper $s\n}\n',
+    [`${LIB}/modtest_where.retro`]: 'export set $WHERE = "lib"\n',
+    [`${APP}/modtest_where.retro`]: 'export set $WHERE = "app"\n',
+    [`${APP}/a.retro`]: 'import "b" as b\n',
+    [`${APP}/b.retro`]: 'import "a" as a\n',
+    [`${APP}/scoped.retro`]: [
+        'set $who = "module"',
+        'def helper() {',
+        '    return $who',
+        '}',
+        'export def whoAmI() {',
+        '    return call helper',
+        '}',
+        ''
+    ].join('\n'),
+    [`${APP}/bad.retro`]: 'export def ok() {\n    return 1\n}\nset $x = (\n'
+};
+
+for (const dir of ['C:/ModuleTest', APP, 'C:/Scripts', LIB]) {
+    if (!FileSystemManager.exists(dir)) FileSystemManager.createDirectory(dir);
+}
+for (const [path, content] of Object.entries(modules)) {
+    FileSystemManager.writeFile(path, content, 'retro');
+}
+
+/**
+ * Run a script as if it were C:/ModuleTest/app/main.retro, started from C:/
+ * @returns {Promise<{result: Object, output: string[]}>}
+ */
+async function run(source) {
+    const output = [];
+    const result = await ScriptEngine.run(source, {
+        file: `${APP}/main.retro`,
+        cwd: 'C:',
+        onOutput: (message) => output.push(String(message))
+    });
+    return { result, output };
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+const succeeded = (result) => assert(result.success, `script failed: ${result.error?.message || result.error}`);
+
+test('imports a module next to the importing script', async () => {
+    const { result, output } = await run('import "util"\nset $r = call util.twice 21\nprint $r');
+    succeeded(result);
+    assert(output.join() === '42', `output: ${output.join()}`);
+});
+
+test('imports a module from the search path', async () => {
+    const { result, output } = await run('import "modtest_strings" as s\nset $r = call s.shout "hi"\nprint $r');
+    succeeded(result);
+    assert(output.join() === 'HI', `output: ${output.join()}`);
+});
+
+test('a module next to the script wins over the search path', async () => {
+    const { result, output } = await run('import "modtest_where" as w\nprint $w.WHERE');
+    succeeded(result);
+    assert(output.join() === 'app', `output: ${output.join()}`);
+});
+
+test('an import cycle is an error naming the modules', async () => {
+    const { result } = await run('import "a"');
+    assert(!result.success, 'script succeeded');
+    assert(result.error.message === 'Import cycle: a.retro -> b.retro -> a.retro', result.error.message);
+});
+
+test('a missing module is an error', async () => {
+    const { result } = await run('import "nope"');
+    assert(!result.success, 'script succeeded');
+    assert(result.error.message === "Module not found: 'nope'", result.error.message);
+});
+
+test('a module has its own scope', async () => {
+    const { result, output } = await run([
+        'set $who = "script"',
+        'import "scoped"',
+        'set $r = call scoped.whoAmI',
+        'print $r',
+        'print $who',
+        'try {',
+        '    call helper',
+        '} catch $e {',
+        '    print hidden',
+        '}'
+    ].join('\n'));
+    succeeded(result);
+    assert(output.join() === 'module,script,hidden', `output: ${output.join()}`);
+});
+
+test('a syntax error in a module reports the module file', async () => {
+    const { result } = await run('import "bad"');
+    assert(!result.success, 'script succeeded');
+    assert(result.error.type === 'ParseError', `error type ${result.error.type}`);
+    assert(result.error.file === `${APP}/bad.retro`, `error file ${result.error.file}`);
+    assert(result.error.line === 4, `error line ${result.error.line}`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  RetroScript Module Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.deleteDirectory('C:/ModuleTest', true);
+for (const path of Object.keys(modules).filter(path => path.startsWith(LIB))) {
+    FileSystemManager.deleteFile(path, { permanent: true });
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,144 @@
+/**
+ * Test harness for the process list and TASKLIST / TASKKILL
+ * (core/shell/Processes.js)
+ * Opens pretend windows in StateManager and runs the commands on a
+ * Terminal without a window
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: Terminal } = await import('./apps/Terminal.js');
+const { default: StateManager } = await import('./core/StateManager.js');
+const { default: ProcessTable } = await import('./core/shell/Processes.js');
+const { default: JobTable } = await import('./core/shell/Jobs.js');
+
+// Windows exist for WindowManager.close() while they are in this map
+const windowElements = new Map();
+document.getElementById = (id) => windowElements.get(id) ?? null;
+
+function openWindow(id, title) {
+    windowElements.set(`window-${id}`, {
+        classList: { add() {} },
+        remove: () => windowElements.delete(`window-${id}`)
+    });
+    StateManager.addWindow({ id, title, minimized: false, maximized: false });
+}
+
+openWindow('notepad-1', '📝 Untitled - Notepad');
+openWindow('notepad-2', '📝 a.txt - Notepad');
+openWindow('calculator', '🧮 Calculator');
+
+const terminal = new Terminal();
+terminal.getElement = () => null;
+terminal.resetSessions();
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Image names in TASKLIST /FO CSV /NH output */
+const imageNames = (stdout) => stdout.trim().split('\n').filter(Boolean).map(line => line.split('","')[0].slice(1));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('every window is a process named after its app, with a PID that stays', async () => {
+    const notepads = ProcessTable.find('notepad');
+    assert(notepads.length === 2, `${notepads.length} notepads`);
+    assert(notepads[0].title === 'Untitled - Notepad', `title ${notepads[0].title}`);
+    assert(ProcessTable.get(notepads[1].pid)?.windowId === 'notepad-2', 'PID changed');
+    assert(ProcessTable.list().some(proc => proc.name === 'System' && proc.isSystem), 'no system processes');
+});
+
+test('a Terminal job is a process with its job PID', async () => {
+    const job = JobTable.create({ command: 'ping localhost', owner: {}, write: () => {}, foreground: false });
+    const proc = ProcessTable.get(job.pid);
+    assert(proc?.name === 'ping.exe' && proc.title === 'ping localhost', `process ${proc?.name}`);
+    ProcessTable.end(proc);
+    assert(!ProcessTable.get(job.pid), 'job not ended');
+});
+
+test('TASKLIST /FI filters by image name, PID and window title', async () => {
+    let { stdout } = terminal.runCaptured('tasklist /fo csv /nh /fi "imagename eq notepad*"');
+    assert(imageNames(stdout).join() === 'notepad.exe,notepad.exe', `imagename: ${imageNames(stdout).join()}`);
+
+    const [first] = ProcessTable.find('notepad');
+    ({ stdout } = terminal.runCaptured(`tasklist /fo csv /nh /fi "pid gt ${first.pid}"`));
+    assert(imageNames(stdout).join() === 'notepad.exe,calculator.exe', `pid gt: ${imageNames(stdout).join()}`);
+
+    ({ stdout } = terminal.runCaptured('tasklist /fo csv /nh /fi "windowtitle eq calc*" /fi "status eq running"'));
+    assert(imageNames(stdout).join() === 'calculator.exe', `windowtitle: ${imageNames(stdout).join()}`);
+});
+
+test('TASKLIST /V and /FO LIST show the status and window title', async () => {
+    let { stdout } = terminal.runCaptured('tasklist /v /fi "imagename eq calculator.exe"');
+    assert(/Window Title/.test(stdout) && /Running\s+Calculator/.test(stdout), stdout);
+    ({ stdout } = terminal.runCaptured('tasklist /fo list /fi "imagename eq calculator.exe"'));
+    assert(/^Image Name:\s+calculator\.exe$/m.test(stdout), stdout);
+});
+
+test('TASKLIST reports a filter it does not know and an empty result', async () => {
+    const bogus = terminal.runCaptured('tasklist /fi "bogus eq 1"');
+    assert(bogus.exitCode !== 0, 'unknown filter accepted');
+    const none = terminal.runCaptured('tasklist /fi "imagename eq nothing"');
+    assert(none.exitCode === 0 && none.stdout.includes('No tasks are running'), none.stdout);
+});
+
+test('TASKKILL will not end a system process or a missing PID', async () => {
+    const system = terminal.runCaptured('taskkill /pid 4');
+    assert(system.exitCode !== 0 && system.stderr.includes('critical system process'), system.stderr);
+    const missing = terminal.runCaptured('taskkill /pid 99999');
+    assert(missing.exitCode !== 0 && missing.stderr.includes('not found'), missing.stderr);
+});
+
+test('TASKKILL /IM closes every window of the app', async () => {
+    const { stdout, exitCode } = terminal.runCaptured('taskkill /im notepad');
+    assert(exitCode === 0, `exit code ${exitCode}`);
+    assert(stdout.trim().split('\n').length === 2, stdout);
+    await tick(250);
+    assert(ProcessTable.find('notepad').length === 0, 'notepad still running');
+    assert(ProcessTable.find('calculator').length === 1, 'calculator closed');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Process List Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,143 @@
+/**
+ * Test harness for the Recycle Bin (C:/RECYCLED)
+ * Deletes files and folders and checks what the bin keeps, restores
+ * and purges
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/RecycleTest';
+
+function setup() {
+    FileSystemManager.emptyRecycleBin();
+    if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true, { permanent: true });
+    FileSystemManager.createDirectory(DIR);
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a deleted file goes into the bin under a DOS style name', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'alpha');
+    const entry = FileSystemManager.deleteFile(`${DIR}/a.txt`);
+    assert(!FileSystemManager.exists(`${DIR}/a.txt`), 'file still there');
+    assert(entry.originalPath === `${DIR}/a.txt` && entry.name === 'a.txt', `entry ${JSON.stringify(entry)}`);
+    assert(/^C:\/RECYCLED\/DC\d+\.txt$/.test(entry.path), `stored as ${entry.path}`);
+    assert(FileSystemManager.getRecycledItems().length === 1, 'not listed');
+});
+
+test('restoring puts the file back with its content', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'alpha');
+    const entry = FileSystemManager.deleteFile(`${DIR}/a.txt`);
+    const restored = FileSystemManager.restoreRecycled(entry.id);
+    assert(restored === `${DIR}/a.txt`, `restored to ${restored}`);
+    assert(FileSystemManager.readFile(`${DIR}/a.txt`) === 'alpha', 'content lost');
+    assert(FileSystemManager.getRecycledItems().length === 0, 'still in the bin');
+});
+
+test('restoring recreates missing folders', async () => {
+    setup();
+    FileSystemManager.createDirectory(`${DIR}/deep`);
+    FileSystemManager.writeFile(`${DIR}/deep/b.txt`, 'beta');
+    const entry = FileSystemManager.deleteFile(`${DIR}/deep/b.txt`);
+    FileSystemManager.deleteDirectory(`${DIR}/deep`, false, { permanent: true });
+    FileSystemManager.restoreRecycled(entry.id);
+    assert(FileSystemManager.readFile(`${DIR}/deep/b.txt`) === 'beta', 'not restored');
+});
+
+test('restoring over an existing item is refused', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'old');
+    const entry = FileSystemManager.deleteFile(`${DIR}/a.txt`);
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'new');
+    let message = '';
+    try {
+        FileSystemManager.restoreRecycled(entry.id);
+    } catch (error) {
+        message = error.message;
+    }
+    assert(message.includes('already exists'), `error: ${message}`);
+    assert(FileSystemManager.readFile(`${DIR}/a.txt`) === 'new', 'file replaced');
+});
+
+test('a deleted folder goes into the bin with everything in it', async () => {
+    setup();
+    FileSystemManager.createDirectory(`${DIR}/folder`);
+    FileSystemManager.writeFile(`${DIR}/folder/c.txt`, 'sea');
+    const entry = FileSystemManager.deleteDirectory(`${DIR}/folder`, true);
+    assert(entry.type === 'directory' && entry.size === 3, `entry ${JSON.stringify(entry)}`);
+    FileSystemManager.restoreRecycled(entry.id);
+    assert(FileSystemManager.readFile(`${DIR}/folder/c.txt`) === 'sea', 'content lost');
+});
+
+test('permanent deletes and deletes on other drives skip the bin', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'alpha');
+    assert(FileSystemManager.deleteFile(`${DIR}/a.txt`, { permanent: true }) === null, 'recycled');
+    assert(!FileSystemManager.canRecycle('A:/file.txt'), 'A: recycles');
+    assert(FileSystemManager.getRecycledItems().length === 0, 'bin not empty');
+});
+
+test('deleteRecycled and emptyRecycleBin delete for good', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'alpha');
+    FileSystemManager.writeFile(`${DIR}/b.txt`, 'beta');
+    const first = FileSystemManager.deleteFile(`${DIR}/a.txt`);
+    FileSystemManager.deleteFile(`${DIR}/b.txt`);
+    FileSystemManager.deleteRecycled(first.id);
+    assert(FileSystemManager.getRecycledItems().map(item => item.name).join() === 'b.txt', 'wrong item deleted');
+    assert(FileSystemManager.emptyRecycleBin() === 1, 'wrong count');
+    assert(FileSystemManager.getRecycleBinSize() === 0, 'bin not empty');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Recycle Bin Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.emptyRecycleBin();
+FileSystemManager.deleteDirectory(DIR, true, { permanent: true });
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,133 @@
+/**
+ * Test harness for file search (core/SearchIndex.js, core/fs/SearchQuery.js)
+ * Parses queries and searches files written to the virtual file system
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { tokenize, parseQuery, matchesFilters } = await import('./core/fs/SearchQuery.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: SearchIndex } = await import('./core/SearchIndex.js');
+
+const DIR = 'C:/SearchTest';
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+FileSystemManager.createDirectory(DIR);
+FileSystemManager.createDirectory(`${DIR}/sub`);
+FileSystemManager.writeFile(`${DIR}/q1.txt`, 'The quarterly budget report is late.');
+FileSystemManager.writeFile(`${DIR}/q2.md`, 'Budget for the next quarterly meeting; the report follows.');
+FileSystemManager.writeFile(`${DIR}/sub/notes.txt`, 'Replies to the budget memo.');
+
+/** Names of the files a query finds in DIR */
+const find = (query, options = {}) => SearchIndex.search(query, { path: DIR, ...options }).map(result => result.name).sort().join();
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('tokenize splits text into lower-case words', async () => {
+    const terms = tokenize('Hello, WORLD_1 and 42!');
+    assert(terms.join() === 'hello,world_1,and,42', `terms ${terms.join()}`);
+});
+
+test('parseQuery reads words, prefixes, phrases and filters', async () => {
+    const parsed = parseQuery('Budget rep* "Quarterly  Budget" ext:txt,.MD size:<10KB');
+    assert(parsed.terms.join() === 'budget', `terms ${parsed.terms}`);
+    assert(parsed.prefixes.join() === 'rep', `prefixes ${parsed.prefixes}`);
+    assert(parsed.phrases.join() === 'quarterly budget', `phrases ${parsed.phrases}`);
+    assert(parsed.extensions.join() === 'txt,md', `extensions ${parsed.extensions}`);
+    assert(parsed.size[0].op === '<' && parsed.size[0].bytes === 10240, `size ${JSON.stringify(parsed.size)}`);
+});
+
+test('a date filter covers whole days', async () => {
+    const after = parseQuery('modified:>2024-01-31');
+    const item = (modified) => ({ type: 'file', modified });
+    assert(!matchesFilters(after, item(new Date(2024, 0, 31, 23, 0).toISOString())), 'same day matched');
+    assert(matchesFilters(after, item(new Date(2024, 1, 1, 0, 30).toISOString())), 'next day missed');
+    const on = parseQuery('modified:2024-01-31');
+    assert(matchesFilters(on, item(new Date(2024, 0, 31, 12, 0).toISOString())), 'the day itself missed');
+});
+
+test('a filter that cannot be read is an error', async () => {
+    let message = '';
+    try {
+        parseQuery('size:<lots');
+    } catch (error) {
+        message = error.message;
+    }
+    assert(message.includes('Invalid size'), `error: ${message}`);
+});
+
+test('every word must match, in the name or the text', async () => {
+    assert(find('budget report') === 'q1.txt,q2.md', `found ${find('budget report')}`);
+    assert(find('budget memo') === 'notes.txt', `found ${find('budget memo')}`);
+    assert(find('q2') === 'q2.md', `found ${find('q2')}`);
+});
+
+test('a phrase must appear as written', async () => {
+    assert(find('"quarterly budget"') === 'q1.txt', `found ${find('"quarterly budget"')}`);
+});
+
+test('a prefix matches every word starting with it', async () => {
+    assert(find('rep*') === 'notes.txt,q1.txt,q2.md', `found ${find('rep*')}`);
+});
+
+test('ext: and the search folder narrow the results', async () => {
+    assert(find('budget ext:md') === 'q2.md', `found ${find('budget ext:md')}`);
+    assert(find('budget', { recursive: false }) === 'q1.txt,q2.md', `found ${find('budget', { recursive: false })}`);
+});
+
+test('the index follows writes, renames and deletes', async () => {
+    FileSystemManager.writeFile(`${DIR}/q1.txt`, 'Nothing to see.');
+    assert(find('budget report') === 'q2.md', `after write ${find('budget report')}`);
+    FileSystemManager.renameItem(`${DIR}/q2.md`, 'plan.md');
+    assert(find('budget report') === 'plan.md', `after rename ${find('budget report')}`);
+    FileSystemManager.deleteFile(`${DIR}/plan.md`);
+    assert(find('budget report') === '', `after delete ${find('budget report')}`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  File Search Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
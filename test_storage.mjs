@@ -0,0 +1,198 @@
+/**
+ * Test harness for the IndexedDB storage backend
+ * Runs FileSystemManager on a small in-memory IndexedDB and checks which
+ * records each save writes
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.addEventListener ??= () => {};
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+// Just enough IndexedDB for IndexedDBBackend: stores are Maps keyed by path,
+// requests and transactions complete on a later tick
+const databases = new Map();
+const writes = [];
+
+function fakeDatabase() {
+    const stores = new Map();
+    return {
+        stores,
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore(name) {
+            stores.set(name, new Map());
+        },
+        transaction(name) {
+            const records = stores.get(name);
+            const tx = {
+                objectStore: () => ({
+                    getAll() {
+                        const request = { result: [...records.values()].map(record => structuredClone(record)) };
+                        setTimeout(() => request.onsuccess());
+                        return request;
+                    },
+                    put(record) {
+                        writes.push(`put ${record.path}`);
+                        records.set(record.path, structuredClone(record));
+                    },
+                    delete(path) {
+                        writes.push(`delete ${path}`);
+                        records.delete(path);
+                    },
+                    clear() {
+                        records.clear();
+                    }
+                })
+            };
+            setTimeout(() => tx.oncomplete?.());
+            return tx;
+        }
+    };
+}
+
+globalThis.indexedDB = {
+    open(name) {
+        const request = {};
+        setTimeout(() => {
+            const isNew = !databases.has(name);
+            if (isNew) databases.set(name, fakeDatabase());
+            request.result = databases.get(name);
+            if (isNew) request.onupgradeneeded();
+            request.onsuccess();
+        });
+        return request;
+    }
+};
+
+const { FS_STORAGE } = await import('./core/Constants.js');
+const { default: LocalStorageBackend } = await import('./core/fs/LocalStorageBackend.js');
+const { default: IndexedDBBackend } = await import('./core/fs/IndexedDBBackend.js');
+
+// A file system saved the old way, before FileSystemManager loads
+new LocalStorageBackend().save({
+    'C:': {
+        type: 'drive',
+        label: 'Local Disk',
+        children: {
+            'legacy.txt': { type: 'file', content: 'from localStorage', extension: 'txt', size: 17 }
+        }
+    }
+});
+
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/StorageTest';
+
+/** The records stored in IndexedDB, by path */
+const records = () => databases.get(FS_STORAGE.DB_NAME).stores.get(FS_STORAGE.STORE_NAME);
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a file system saved in localStorage moves into IndexedDB', async () => {
+    // initialize() reports the migration on the console
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await FileSystemManager.initialize();
+    } finally {
+        console.log = log;
+    }
+    assert(FileSystemManager.backend.name === 'indexedDB', `backend ${FileSystemManager.backend.name}`);
+    assert(new LocalStorageBackend().loadSync() === null, 'localStorage copy kept');
+    assert(records().get('C:/legacy.txt')?.node.content === 'from localStorage', 'file not migrated');
+    assert(records().get('C:/legacy.txt').parent === 'C:', 'wrong parent');
+    assert(FileSystemManager.readFile('C:/legacy.txt') === 'from localStorage', 'file not loaded');
+});
+
+test('changes are written behind, and only the changed records', async () => {
+    FileSystemManager.createDirectory(DIR);
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'one');
+    assert(!records().has(`${DIR}/a.txt`), 'written before the flush');
+
+    writes.length = 0;
+    await FileSystemManager.flush();
+    assert(writes.join() === `put ${DIR},put ${DIR}/a.txt`, `writes: ${writes.join()}`);
+
+    writes.length = 0;
+    FileSystemManager.writeFile(`${DIR}/a.txt`, 'two');
+    await FileSystemManager.flush();
+    assert(writes.join() === `put ${DIR}/a.txt`, `writes: ${writes.join()}`);
+    assert(records().get(`${DIR}/a.txt`).node.content === 'two', 'old content stored');
+});
+
+test('a renamed folder moves its records', async () => {
+    FileSystemManager.createDirectory(`${DIR}/old`);
+    FileSystemManager.writeFile(`${DIR}/old/b.txt`, 'bee');
+    await FileSystemManager.flush();
+
+    FileSystemManager.renameItem(`${DIR}/old`, 'new');
+    await FileSystemManager.flush();
+    assert(!records().has(`${DIR}/old`) && !records().has(`${DIR}/old/b.txt`), 'old records left');
+    assert(records().get(`${DIR}/new/b.txt`)?.node.content === 'bee', 'new records missing');
+
+    const reloaded = new IndexedDBBackend();
+    await reloaded.open();
+    const tree = await reloaded.load();
+    assert(tree['C:'].children.StorageTest.children.new.children['b.txt'].content === 'bee', 'not loaded back');
+});
+
+test('a file sent to a new Recycle Bin is stored with the bin folder', async () => {
+    FileSystemManager.deleteFile(`${DIR}/a.txt`);
+    await FileSystemManager.flush();
+    assert(!records().has(`${DIR}/a.txt`), 'deleted record left');
+    const bin = records().get('C:/RECYCLED');
+    assert(bin?.node.type === 'directory', 'bin folder not stored');
+    assert([...records().values()].some(record => record.parent === 'C:/RECYCLED'), 'recycled file not stored');
+});
+
+test('clear() waits for a write under way', async () => {
+    FileSystemManager.writeFile(`${DIR}/c.txt`, 'sea');
+    const flushing = FileSystemManager.flush();
+    await FileSystemManager.backend.clear();
+    await flushing;
+    assert(records().size === 0, `${records().size} records left`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  File System Storage Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,139 @@
+/**
+ * Test harness for cross-tab sync (core/TabSync.js)
+ * Feeds TabSync the messages another tab would send and records the
+ * ones this tab sends back
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.addEventListener ??= () => {};
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: EventBus, Events } = await import('./core/SemanticEventBus.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { default: TabSync } = await import('./core/TabSync.js');
+
+const DIR = 'C:/SyncTest';
+const OTHER_TAB = 'other-tab';
+
+// Messages this tab would broadcast
+const sent = [];
+TabSync.post = (message) => sent.push(message);
+TabSync.initialize();
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+FileSystemManager.createDirectory(DIR);
+
+/** A file node as another tab would send it */
+const fileNode = (content, modified) => ({
+    type: 'file', content, extension: 'txt', size: content.length, created: modified, modified
+});
+
+/** Deliver a file system change from the other tab */
+function receive(changeType, path, node, { oldPath, base = null } = {}) {
+    TabSync.receive({
+        type: 'fs:change',
+        tabId: OTHER_TAB,
+        change: { changeType, path, ...(oldPath && { oldPath }), itemType: 'file' },
+        node,
+        base
+    });
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('a change made here is sent with the node', async () => {
+    sent.length = 0;
+    FileSystemManager.writeFile(`${DIR}/local.txt`, 'mine');
+    const message = sent.find(m => m.type === 'fs:change');
+    assert(message, 'nothing sent');
+    assert(message.change.path === `${DIR}/local.txt` && message.change.changeType === 'created', JSON.stringify(message.change));
+    assert(message.node.content === 'mine', 'node missing');
+});
+
+test('a change from another tab is applied and not sent back', async () => {
+    sent.length = 0;
+    receive('created', `${DIR}/remote.txt`, fileNode('theirs', new Date().toISOString()));
+    assert(FileSystemManager.readFile(`${DIR}/remote.txt`) === 'theirs', 'not applied');
+    assert(!sent.some(m => m.type === 'fs:change'), 'sent back');
+});
+
+test('renames and deletes from another tab are applied', async () => {
+    const node = FileSystemManager.getNode(`${DIR}/remote.txt`);
+    receive('renamed', `${DIR}/moved.txt`, { ...node }, { oldPath: `${DIR}/remote.txt` });
+    assert(!FileSystemManager.exists(`${DIR}/remote.txt`), 'old name left');
+    assert(FileSystemManager.readFile(`${DIR}/moved.txt`) === 'theirs', 'not renamed');
+    receive('deleted', `${DIR}/moved.txt`, null);
+    assert(!FileSystemManager.exists(`${DIR}/moved.txt`), 'not deleted');
+});
+
+test('when both tabs save a file, the newer save wins and the loser keeps a copy', async () => {
+    FileSystemManager.writeFile(`${DIR}/both.txt`, 'mine');
+    const conflicts = [];
+    const stop = EventBus.on(Events.SYNC_CONFLICT, (conflict) => conflicts.push(conflict));
+    receive('modified', `${DIR}/both.txt`, fileNode('theirs', '2999-01-01T00:00:00.000Z'), { base: '2000-01-01T00:00:00.000Z' });
+    stop();
+    assert(FileSystemManager.readFile(`${DIR}/both.txt`) === 'theirs', 'newer save lost');
+    assert(FileSystemManager.readFile(`${DIR}/both (conflicted copy).txt`) === 'mine', 'no conflicted copy');
+    assert(conflicts.length === 1 && conflicts[0].kept === 'remote', JSON.stringify(conflicts));
+});
+
+test('an older save from another tab does not replace a newer one here', async () => {
+    FileSystemManager.writeFile(`${DIR}/kept.txt`, 'mine');
+    receive('modified', `${DIR}/kept.txt`, fileNode('theirs', '2000-01-02T00:00:00.000Z'), { base: '2000-01-01T00:00:00.000Z' });
+    assert(FileSystemManager.readFile(`${DIR}/kept.txt`) === 'mine', 'newer save replaced');
+});
+
+test('a change based on the version here is applied without a conflict', async () => {
+    FileSystemManager.writeFile(`${DIR}/plain.txt`, 'mine');
+    const base = FileSystemManager.getNode(`${DIR}/plain.txt`).modified;
+    receive('modified', `${DIR}/plain.txt`, fileNode('theirs', '2000-01-02T00:00:00.000Z'), { base });
+    assert(FileSystemManager.readFile(`${DIR}/plain.txt`) === 'theirs', 'not applied');
+    assert(!FileSystemManager.exists(`${DIR}/plain (conflicted copy).txt`), 'conflicted copy made');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Tab Sync Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,269 @@
+/**
+ * Test harness for the Terminal's file commands (REN, MOVE) and batch files
+ * Runs commands on a Terminal without a window and checks the file system
+ */
+
+// Browser globals the Terminal and FileSystemManager touch when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { default: Terminal } = await import('./apps/Terminal.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+const { OutputStream } = await import('./core/shell/Streams.js');
+
+const DIR = 'C:/Users/User/Documents/TerminalTest';
+
+const terminal = new Terminal();
+terminal.getElement = () => null;
+terminal.resetSessions();
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a command line in DIR, and wait for a batch file or command it starts to end
+ * @returns {Promise<{output: string, exitCode: number}>}
+ */
+async function run(line) {
+    terminal.currentPath = FileSystemManager.parsePath(DIR);
+    const result = terminal.runCommandLine(line);
+    while (terminal.batch || terminal.foregroundJob) await tick(10);
+    await tick();
+    return { output: terminal.lastOutput, exitCode: terminal.lastExitCode ?? result };
+}
+
+/** Names in DIR, as stored */
+function names() {
+    return FileSystemManager.listDirectory(DIR, false, { includeHidden: true }).map(item => item.name).sort();
+}
+
+function setup(files) {
+    if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+    FileSystemManager.createDirectory(DIR);
+    for (const [name, content] of Object.entries(files)) {
+        FileSystemManager.writeFile(`${DIR}/${name}`, content);
+    }
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('ren x.txt X.TXT changes only the case of the name', async () => {
+    setup({ 'x.txt': 'keep me' });
+    const { exitCode } = await run('ren x.txt X.TXT');
+    assert(exitCode === 0, `exit code ${exitCode}`);
+    assert(names().join() === 'X.TXT', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/X.TXT`) === 'keep me', 'content lost');
+});
+
+test('ren to a new name keeps the content', async () => {
+    setup({ 'a.txt': 'alpha' });
+    await run('ren a.txt b.txt');
+    assert(names().join() === 'b.txt', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/b.txt`) === 'alpha', 'content lost');
+});
+
+test('ren of a missing file fails', async () => {
+    setup({});
+    const { output, exitCode } = await run('ren nope.txt other.txt');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('cannot find the file'), output);
+});
+
+test('ren onto an existing name fails and keeps both files', async () => {
+    setup({ 'a.txt': 'alpha', 'b.txt': 'beta' });
+    const { output, exitCode } = await run('ren a.txt B.TXT');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('already exists'), output);
+    assert(names().join() === 'a.txt,b.txt', `files: ${names().join()}`);
+});
+
+test('ren of a read-only file is denied and creates nothing', async () => {
+    setup({ 'ro.txt': 'locked' });
+    FileSystemManager.setAttributes(`${DIR}/ro.txt`, { readOnly: true });
+    const { output, exitCode } = await run('ren ro.txt ro2.txt');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('Access denied'), output);
+    assert(names().join() === 'ro.txt', `files: ${names().join()}`);
+    assert(FileSystemManager.getAttributes(`${DIR}/ro.txt`).readOnly, 'attribute lost');
+    FileSystemManager.setAttributes(`${DIR}/ro.txt`, { readOnly: false });
+});
+
+test('ren keeps a binary file binary', async () => {
+    setup({});
+    const bytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    FileSystemManager.writeFileBinary(`${DIR}/pic.png`, bytes, { mimeType: 'image/png' });
+    await run('ren pic.png pic2.png');
+    assert(names().join() === 'pic2.png', `files: ${names().join()}`);
+    assert(FileSystemManager.isBinaryFile(`${DIR}/pic2.png`), 'no longer binary');
+    const copy = FileSystemManager.readFileBinary(`${DIR}/pic2.png`);
+    assert(copy.length === bytes.length && copy.every((byte, i) => byte === bytes[i]), 'bytes changed');
+});
+
+test('move m.txt M.TXT changes only the case of the name', async () => {
+    setup({ 'm.txt': 'keep me' });
+    const { output, exitCode } = await run('move m.txt M.TXT');
+    assert(exitCode === 0, `exit code ${exitCode}: ${output}`);
+    assert(output.includes('1 file(s) moved.'), output);
+    assert(names().join() === 'M.TXT', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/M.TXT`) === 'keep me', 'content lost');
+});
+
+test('move to a new name in the same directory renames', async () => {
+    setup({ 'a.txt': 'alpha' });
+    await run('move a.txt b.txt');
+    assert(names().join() === 'b.txt', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/b.txt`) === 'alpha', 'content lost');
+});
+
+test('move to a file in another directory moves and renames', async () => {
+    setup({ 'a.txt': 'alpha' });
+    FileSystemManager.createDirectory(`${DIR}/sub`);
+    await run('move a.txt sub\\b.txt');
+    assert(names().join() === 'sub', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/sub/b.txt`) === 'alpha', 'content lost');
+});
+
+test('move onto an existing file replaces it', async () => {
+    setup({ 'a.txt': 'alpha', 'b.txt': 'beta' });
+    await run('move a.txt b.txt');
+    assert(names().join() === 'b.txt', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/b.txt`) === 'alpha', 'not replaced');
+});
+
+test('move reports why it failed', async () => {
+    setup({ 'a.txt': 'alpha', 'b.txt': 'beta' });
+    FileSystemManager.setAttributes(`${DIR}/a.txt`, { readOnly: true });
+    const { output, exitCode } = await run('move a.txt b.txt');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('Access denied'), output);
+    assert(FileSystemManager.readFile(`${DIR}/b.txt`) === 'beta', 'destination replaced');
+    FileSystemManager.setAttributes(`${DIR}/a.txt`, { readOnly: false });
+});
+
+test('a batch file ends with the exit code of its EXIT /B', async () => {
+    setup({ 't.bat': '@echo off\r\nexit /b 3\r\necho not reached' });
+    terminal.currentPath = FileSystemManager.parsePath(DIR);
+    const exitCode = await terminal.runPipeline('t.bat', { stdout: new OutputStream(), stderr: new OutputStream() });
+    assert(exitCode === 3, `exit code ${exitCode}`);
+    assert(terminal.interpolateVariables('%ERRORLEVEL%') === '3', 'ERRORLEVEL not 3');
+});
+
+test('the rest of a pipeline waits for a batch file to end', async () => {
+    setup({ 'w.bat': '@echo off\r\necho written > out.txt' });
+    const { output, exitCode } = await run('w.bat | type out.txt');
+    assert(exitCode === 0, `exit code ${exitCode}: ${output}`);
+    assert(output.includes('written'), output);
+});
+
+test('echo over a binary file makes it a text file again', async () => {
+    setup({});
+    FileSystemManager.writeFileBinary(`${DIR}/data.bin`, new Uint8Array([0, 1, 2]), { mimeType: 'image/png' });
+    await run('echo plain > data.bin');
+    assert(!FileSystemManager.isBinaryFile(`${DIR}/data.bin`), 'still binary');
+    assert(FileSystemManager.getMimeType(`${DIR}/data.bin`) !== 'image/png', 'old MIME type kept');
+});
+
+test('an unclosed ( is plain text and the redirection still applies', async () => {
+    setup({});
+    await run('echo (hi > out.txt');
+    assert(names().join() === 'out.txt', `files: ${names().join()}`);
+    assert(FileSystemManager.readFile(`${DIR}/out.txt`).includes('(hi'), 'wrong content');
+});
+
+test('zip output can be redirected to a file', async () => {
+    setup({ 'a.txt': 'alpha' });
+    const { exitCode } = await run('zip out.zip a.txt > log.txt');
+    assert(exitCode === 0, `exit code ${exitCode}`);
+    assert(FileSystemManager.isBinaryFile(`${DIR}/out.zip`), 'no archive');
+    assert(FileSystemManager.readFile(`${DIR}/log.txt`).includes('Created'), 'nothing redirected');
+});
+
+test('unzip of a broken archive fails', async () => {
+    setup({ 'bad.zip': 'not a zip' });
+    const { output, exitCode } = await run('unzip bad.zip');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('UNZIP failed'), output);
+});
+
+test('mount output can be redirected to a file', async () => {
+    setup({ 'a.txt': 'alpha' });
+    await run('zip img.zip a.txt');
+    const { exitCode } = await run('mount a: img.zip > m.txt');
+    FileSystemManager.ejectDrive('A:');
+    assert(exitCode === 0, `exit code ${exitCode}`);
+    assert(FileSystemManager.readFile(`${DIR}/m.txt`).includes('mounted on A:'), 'nothing redirected');
+});
+
+test('mount of a broken image fails', async () => {
+    setup({ 'bad.zip': 'not a zip' });
+    const { output, exitCode } = await run('mount a: bad.zip');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output.includes('Cannot mount image'), output);
+});
+
+test('start of an unknown app fails', async () => {
+    setup({});
+    const { output, exitCode } = await run('start nosuchapp');
+    assert(exitCode !== 0, 'exit code 0');
+    assert(output, 'no error shown');
+});
+
+test('echo leaves ERRORLEVEL as the batch file set it', async () => {
+    setup({ 'two.bat': '@echo off\r\nexit /b 3' });
+    await run('two.bat');
+    await run('echo done');
+    assert(terminal.interpolateVariables('%ERRORLEVEL%') === '3', 'ERRORLEVEL reset');
+    const { output } = await run('if errorlevel 3 echo three');
+    assert(output.includes('three'), output);
+});
+
+test('%1 keeps its quotes and %~1 drops them', async () => {
+    setup({ 'q.bat': '@echo off\r\nif %1=="two words" echo > kept.txt\r\nif "%~1"=="two words" echo > dropped.txt' });
+    await run('q.bat "two words"');
+    assert(names().join() === 'dropped.txt,kept.txt,q.bat', `files: ${names().join()}`);
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  Terminal File Command Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
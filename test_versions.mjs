@@ -0,0 +1,139 @@
+/**
+ * Test harness for file version history
+ * Writes files repeatedly and checks the versions kept, the line diff
+ * between versions (core/fs/Diff.js) and restoring an old version
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { diffLines, diffStats } = await import('./core/fs/Diff.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/VersionTest';
+
+function setup() {
+    if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+    FileSystemManager.createDirectory(DIR);
+}
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('diffLines marks kept, removed and added lines', async () => {
+    const diff = diffLines('a\nb\nc', 'a\nc\nd');
+    const shown = diff.map(line => `${line.type[0]}${line.text}`).join();
+    assert(shown === 'sa,rb,sc,ad', `diff ${shown}`);
+    const stats = diffStats(diff);
+    assert(stats.added === 1 && stats.removed === 1, `stats ${JSON.stringify(stats)}`);
+});
+
+test('each write keeps the previous content as a version, newest first', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/notes.txt`, 'one');
+    FileSystemManager.writeFile(`${DIR}/notes.txt`, 'two');
+    FileSystemManager.writeFile(`${DIR}/notes.txt`, 'three');
+    const versions = FileSystemManager.getVersions(`${DIR}/notes.txt`);
+    assert(versions.length === 2, `${versions.length} versions`);
+    assert(FileSystemManager.readVersion(`${DIR}/notes.txt`, versions[0].id).content === 'two', 'newest not first');
+    assert(FileSystemManager.readVersion(`${DIR}/notes.txt`, versions[1].id).content === 'one', 'oldest lost');
+});
+
+test('writing the same content again keeps no version', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/same.txt`, 'same');
+    FileSystemManager.writeFile(`${DIR}/same.txt`, 'same');
+    assert(FileSystemManager.getVersions(`${DIR}/same.txt`).length === 0, 'version kept');
+});
+
+test('the oldest versions are dropped at the limit', async () => {
+    setup();
+    FileSystemManager.setVersionLimit('.vtest', 2);
+    try {
+        for (const content of ['1', '2', '3', '4']) {
+            FileSystemManager.writeFile(`${DIR}/a.vtest`, content);
+        }
+        const kept = FileSystemManager.getVersions(`${DIR}/a.vtest`)
+            .map(version => FileSystemManager.readVersion(`${DIR}/a.vtest`, version.id).content);
+        assert(kept.join() === '3,2', `kept ${kept.join()}`);
+    } finally {
+        FileSystemManager.setVersionLimit('.vtest', null);
+    }
+});
+
+test('restoring a version writes it back and keeps the replaced content', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/r.txt`, 'first\nline');
+    FileSystemManager.writeFile(`${DIR}/r.txt`, 'second\nline');
+    const [version] = FileSystemManager.getVersions(`${DIR}/r.txt`);
+    FileSystemManager.restoreVersion(`${DIR}/r.txt`, version.id);
+    assert(FileSystemManager.readFile(`${DIR}/r.txt`) === 'first\nline', 'not restored');
+    const [replaced] = FileSystemManager.getVersions(`${DIR}/r.txt`);
+    assert(FileSystemManager.readVersion(`${DIR}/r.txt`, replaced.id).content === 'second\nline', 'replaced content lost');
+});
+
+test('clearVersions drops the history', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/c.txt`, 'one');
+    FileSystemManager.writeFile(`${DIR}/c.txt`, 'two');
+    assert(FileSystemManager.clearVersions(`${DIR}/c.txt`) === 1, 'wrong count');
+    assert(FileSystemManager.getVersions(`${DIR}/c.txt`).length === 0, 'versions left');
+});
+
+test('an unknown version is an error', async () => {
+    setup();
+    FileSystemManager.writeFile(`${DIR}/u.txt`, 'one');
+    let refused = false;
+    try {
+        FileSystemManager.readVersion(`${DIR}/u.txt`, 99);
+    } catch (error) {
+        refused = error.message.includes('Version 99 not found');
+    }
+    assert(refused, 'no error');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  File Version Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
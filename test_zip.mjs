@@ -0,0 +1,148 @@
+/**
+ * Test harness for ZIP archives (core/fs/Zip.js)
+ * Round-trips archives through writeZip/readZip and the file system's
+ * createZip, extractZip and openArchive
+ */
+
+// Browser globals FileSystemManager touches when loaded
+globalThis.localStorage ??= (() => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+})();
+globalThis.window ??= globalThis;
+globalThis.document ??= {
+    addEventListener() {},
+    querySelector() { return null; },
+    getElementById() { return null; },
+    createElement() { return {}; },
+    body: {}
+};
+console.warn = () => {};
+
+const { readZip, writeZip, isZip, crc32 } = await import('./core/fs/Zip.js');
+const { parseDiskImage } = await import('./core/fs/DiskImage.js');
+const { default: FileSystemManager } = await import('./core/FileSystemManager.js');
+
+const DIR = 'C:/ZipTest';
+const BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+
+function setup() {
+    if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+    FileSystemManager.createDirectory(DIR);
+    FileSystemManager.createDirectory(`${DIR}/src`);
+    FileSystemManager.createDirectory(`${DIR}/src/docs`);
+    FileSystemManager.writeFile(`${DIR}/src/a.txt`, 'alpha '.repeat(100));
+    FileSystemManager.writeFile(`${DIR}/src/docs/b.txt`, 'beta');
+    FileSystemManager.writeFileBinary(`${DIR}/src/pic.png`, BYTES);
+}
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const assert = (condition, message) => {
+    if (!condition) throw new Error(message);
+};
+
+test('crc32 matches the standard check value', async () => {
+    const crc = crc32(new TextEncoder().encode('123456789'));
+    assert(crc === 0xcbf43926, `crc ${crc.toString(16)}`);
+});
+
+test('an archive reads back with the same names, folders and bytes', async () => {
+    const archive = await writeZip([
+        { name: 'docs/' },
+        { name: 'docs/a.txt', data: 'alpha '.repeat(100) },
+        { name: 'pic.png', data: BYTES }
+    ]);
+    assert(isZip(archive), 'not a ZIP');
+    const entries = await readZip(archive);
+    assert(entries.map(entry => entry.name).join() === 'docs,docs/a.txt,pic.png', `names ${entries.map(entry => entry.name)}`);
+    assert(entries[0].directory && !entries[1].directory, 'folder flags wrong');
+    assert(new TextDecoder().decode(entries[1].data) === 'alpha '.repeat(100), 'text changed');
+    assert(sameBytes(entries[2].data, BYTES), 'bytes changed');
+});
+
+test('bytes that are not an archive are refused', async () => {
+    assert(!isZip(new TextEncoder().encode('not a zip')), 'taken for a ZIP');
+    let refused = false;
+    try {
+        await readZip(new TextEncoder().encode('not a zip at all'));
+    } catch (error) {
+        refused = true;
+    }
+    assert(refused, 'read without an error');
+});
+
+test('a folder packed with createZip unpacks the same with extractZip', async () => {
+    setup();
+    const archive = await FileSystemManager.createZip([`${DIR}/src`]);
+    FileSystemManager.createDirectory(`${DIR}/out`);
+    const result = await FileSystemManager.extractZip(archive, `${DIR}/out`);
+    assert(result.files === 3 && result.skipped.length === 0, `result ${JSON.stringify(result)}`);
+    assert(FileSystemManager.readFile(`${DIR}/out/src/docs/b.txt`) === 'beta', 'text file lost');
+    assert(FileSystemManager.isBinaryFile(`${DIR}/out/src/pic.png`), 'binary file became text');
+    assert(sameBytes(FileSystemManager.readFileBinary(`${DIR}/out/src/pic.png`), BYTES), 'bytes changed');
+});
+
+test('extractZip skips existing files unless told to overwrite', async () => {
+    setup();
+    const archive = await FileSystemManager.createZip([`${DIR}/src/docs/b.txt`]);
+    FileSystemManager.writeFile(`${DIR}/b.txt`, 'mine');
+    const skipped = await FileSystemManager.extractZip(archive, DIR);
+    assert(skipped.skipped.length === 1 && FileSystemManager.readFile(`${DIR}/b.txt`) === 'mine', 'file replaced');
+    await FileSystemManager.extractZip(archive, DIR, { overwrite: true });
+    assert(FileSystemManager.readFile(`${DIR}/b.txt`) === 'beta', 'file not replaced');
+});
+
+test('an opened archive is browsed like a read-only folder', async () => {
+    setup();
+    FileSystemManager.writeFileBinary(`${DIR}/pack.zip`, await FileSystemManager.createZip([`${DIR}/src/docs`]));
+    await FileSystemManager.openArchive(`${DIR}/pack.zip`);
+    assert(FileSystemManager.readFile(`${DIR}/pack.zip/docs/b.txt`) === 'beta', 'cannot read inside');
+    let refused = false;
+    try {
+        FileSystemManager.writeFile(`${DIR}/pack.zip/docs/c.txt`, 'x');
+    } catch (error) {
+        refused = true;
+    }
+    assert(refused, 'write inside the archive allowed');
+});
+
+test('a ZIP disk image keeps binary entries binary', async () => {
+    const image = await parseDiskImage(await writeZip([{ name: 'a.txt', data: 'text' }, { name: 'pic.png', data: BYTES }]));
+    assert(image.format === 'zip', `format ${image.format}`);
+    assert(image.children['a.txt'].content === 'text', 'text entry lost');
+    assert(image.children['pic.png'].binary, 'binary entry became text');
+});
+
+console.log('═══════════════════════════════════════════════════════════');
+console.log('  ZIP Archive Tests');
+console.log('═══════════════════════════════════════════════════════════\n');
+
+let passed = 0;
+let failed = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log(`✓ PASS - ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ FAIL - ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+if (FileSystemManager.exists(DIR)) FileSystemManager.deleteDirectory(DIR, true);
+
+console.log(`\nPassed: ${passed}/${tests.length}`);
+console.log(`Failed: ${failed}/${tests.length}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -9,7 +9,8 @@ import AppRegistry from '../apps/AppRegistry.js';
 import WindowManager from '../core/WindowManager.js';
 import FileSystemManager from '../core/FileSystemManager.js';
 import SystemDialogs from '../features/SystemDialogs.js';
-import { PATHS } from '../core/Constants.js';
+import FileAssociations from '../core/FileAssociations.js';
+import { PATHS, REMOVABLE_DRIVES } from '../core/Constants.js';
 
 class ContextMenuRendererClass {
     constructor() {
@@ -98,7 +99,8 @@ class ContextMenuRendererClass {
                 return;
             }
             e.stopPropagation();
-            this.handleAction(item.dataset.action);
+            // Shift+click on Delete skips the Recycle Bin
+            this.handleAction(item.dataset.action, { permanent: e.shiftKey });
         }
     }
 
@@ -247,14 +249,12 @@ class ContextMenuRendererClass {
         // type: 'file' is for file system items (both files and folders from Desktop folder)
         if (icon.type === 'file') {
             console.log('[ContextMenu] Showing FILE context menu with Cut/Copy');
-            const extension = icon.extension || '';
-            const isTextFile = ['txt', 'md', 'log', 'retro', 'bat', 'js', 'css', 'html', 'json'].includes(extension);
-            const isImageFile = ['png', 'jpg', 'bmp'].includes(extension);
+            const openItems = icon.fileType === 'directory'
+                ? '<div class="context-item" data-action="open"><strong>Open</strong></div>'
+                : this.fileVerbItems(icon.filePath, 'open');
 
             return `
-                <div class="context-item" data-action="open"><strong>Open</strong></div>
-                ${isTextFile ? '<div class="context-item" data-action="edit-notepad">📝 Edit with Notepad</div>' : ''}
-                ${isImageFile ? '<div class="context-item" data-action="edit-paint">🎨 Edit with Paint</div>' : ''}
+                ${openItems}
                 <div class="context-divider"></div>
                 <div class="context-item" data-action="desktop-cut">✂️ Cut</div>
                 <div class="context-item" data-action="desktop-copy">📋 Copy</div>
@@ -285,6 +285,25 @@ class ContextMenuRendererClass {
         `;
     }
 
+    /**
+     * Menu items for a file: its default verb in bold, its other verbs
+     * (from FileAssociations), then Open With
+     * @param {string[]} path - File path
+     * @param {string} openAction - Action that opens the file with the default verb
+     * @returns {string} Menu HTML
+     */
+    fileVerbItems(path, openAction) {
+        const verbs = path ? FileAssociations.getVerbs(path) : [];
+        const defaultVerb = verbs.find(verb => verb.isDefault);
+
+        return [
+            `<div class="context-item" data-action="${openAction}"><strong>${defaultVerb?.label || 'Open'}</strong></div>`,
+            ...verbs.filter(verb => !verb.isDefault).map(({ verb, label, program }) =>
+                `<div class="context-item" data-action="verb:${verb}">${program.icon} ${label}</div>`),
+            '<div class="context-item" data-action="open-with">📂 Open With...</div>'
+        ].join('\n');
+    }
+
     taskbarMenu(context) {
         return `
             <div class="context-item" data-action="restore">Restore</div>
@@ -303,20 +322,14 @@ class ContextMenuRendererClass {
     explorerFileMenu(context) {
         const item = context.item || {};
         const extension = item.extension || '';
-        const isTextFile = ['txt', 'md', 'log', 'json', 'js', 'css', 'html', 'retro', 'bat'].includes(extension);
-        const isImageFile = ['png', 'jpg', 'jpeg', 'bmp', 'gif'].includes(extension);
-        const isAudioFile = ['mp3', 'wav', 'ogg'].includes(extension);
-        const isShortcut = extension === 'lnk';
 
         let editOptions = '';
-        if (isTextFile) {
-            editOptions = '<div class="context-item" data-action="explorer-edit-notepad">📝 Edit with Notepad</div>';
-        } else if (isImageFile) {
-            editOptions = '<div class="context-item" data-action="explorer-edit-paint">🎨 Edit with Paint</div>';
+        if (extension === 'zip') {
+            editOptions = '<div class="context-item" data-action="explorer-extract-zip">📦 Extract All...</div>';
         }
 
         return `
-            <div class="context-item" data-action="explorer-open"><strong>Open</strong></div>
+            ${this.fileVerbItems(item.path, 'explorer-open')}
             ${editOptions}
             <div class="context-divider"></div>
             <div class="context-item" data-action="explorer-cut">✂️ Cut</div>
@@ -336,6 +349,7 @@ class ContextMenuRendererClass {
         return `
             <div class="context-item" data-action="explorer-open"><strong>Open</strong></div>
             <div class="context-item" data-action="explorer-open-new">📂 Open in New Window</div>
+            <div class="context-item" data-action="explorer-export-zip">🗜️ Export as ZIP</div>
             <div class="context-divider"></div>
             <div class="context-item" data-action="explorer-cut">✂️ Cut</div>
             <div class="context-item" data-action="explorer-copy">📋 Copy</div>
@@ -351,9 +365,25 @@ class ContextMenuRendererClass {
      * Context menu for drives in MyComputer
      */
     explorerDriveMenu(context) {
+        const driveLetter = context.item?.driveLetter;
+        let diskOptions = '';
+
+        if (REMOVABLE_DRIVES[driveLetter]) {
+            const hasDisk = FileSystemManager.getMedia(driveLetter) !== null ||
+                FileSystemManager.listDirectory([driveLetter], false, { includeHidden: true }).length > 0;
+            diskOptions = `
+                <div class="context-divider"></div>
+                <div class="context-item" data-action="explorer-mount-host">💿 Mount Image...</div>
+                <div class="context-item" data-action="explorer-mount-file">📂 Mount Image from Disk...</div>
+                <div class="context-item ${hasDisk ? '' : 'disabled'}" data-action="explorer-eject">⏏️ Eject</div>
+            `;
+        }
+
         return `
             <div class="context-item" data-action="explorer-open"><strong>Open</strong></div>
             <div class="context-item" data-action="explorer-open-new">📂 Open in New Window</div>
+            <div class="context-item" data-action="explorer-export-zip">🗜️ Export as ZIP</div>
+            ${diskOptions}
             <div class="context-divider"></div>
             <div class="context-item" data-action="explorer-properties">📄 Properties</div>
         `;
@@ -394,6 +424,7 @@ class ContextMenuRendererClass {
             </div>
             <div class="context-divider"></div>
             <div class="context-item ${pasteClass}" data-action="explorer-paste">📋 Paste${hasPaste ? ` (${fileItems.length} item${fileItems.length > 1 ? 's' : ''})` : ''}</div>
+            <div class="context-item" data-action="explorer-import-zip">📥 Import ZIP...</div>
             <div class="context-divider"></div>
             <div class="context-item" data-action="explorer-refresh">🔄 Refresh</div>
             <div class="context-divider"></div>
@@ -401,7 +432,7 @@ class ContextMenuRendererClass {
         `;
     }
 
-    handleAction(action) {
+    handleAction(action, options = {}) {
         console.log('[ContextMenu] handleAction() called with action:', action);
         const context = this.currentContext;
         console.log('[ContextMenu] Current context:', context);
@@ -409,6 +440,13 @@ class ContextMenuRendererClass {
 
         const desktopPath = [...PATHS.DESKTOP];
 
+        // Verbs of the file's type ("verb:edit", "verb:print"...)
+        if (action.startsWith('verb:')) {
+            const filePath = context?.icon?.filePath || context?.item?.path;
+            if (filePath) FileAssociations.open(filePath, { verb: action.slice('verb:'.length) });
+            return;
+        }
+
         switch (action) {
             case 'arrange':
                 EventBus.emit('desktop:arrange');
@@ -443,16 +481,11 @@ class ContextMenuRendererClass {
                     }
                 }
                 break;
-            case 'edit-notepad':
-                if (context?.icon?.filePath) {
-                    AppRegistry.launch('notepad', { filePath: context.icon.filePath });
-                }
-                break;
-            case 'edit-paint':
-                if (context?.icon?.filePath) {
-                    AppRegistry.launch('paint', { filePath: context.icon.filePath });
-                }
+            case 'open-with': {
+                const filePath = context?.icon?.filePath || context?.item?.path;
+                if (filePath) FileAssociations.openWith(filePath);
                 break;
+            }
             case 'rename':
                 if (context?.icon?.type === 'file') {
                     this.renameFileIcon(context.icon);
@@ -462,7 +495,7 @@ class ContextMenuRendererClass {
                 if (context?.icon) {
                     // If it's a file from the filesystem, delete it
                     if (context.icon.type === 'file' && context.icon.filePath) {
-                        this.deleteFileIcon(context.icon);
+                        this.deleteFileIcon(context.icon, options.permanent);
                     } else {
                         StateManager.recycleIcon(context.icon.id);
                     }
@@ -501,16 +534,6 @@ class ContextMenuRendererClass {
             case 'explorer-open-new':
                 this.handleExplorerOpenNew(context);
                 break;
-            case 'explorer-edit-notepad':
-                if (context?.item?.path) {
-                    AppRegistry.launch('notepad', { filePath: context.item.path });
-                }
-                break;
-            case 'explorer-edit-paint':
-                if (context?.item?.path) {
-                    AppRegistry.launch('paint', { filePath: context.item.path });
-                }
-                break;
             case 'explorer-cut':
                 this.handleExplorerCut(context);
                 break;
@@ -521,7 +544,7 @@ class ContextMenuRendererClass {
                 this.handleExplorerPaste(context);
                 break;
             case 'explorer-delete':
-                this.handleExplorerDelete(context);
+                this.handleExplorerDelete(context, options.permanent);
                 break;
             case 'explorer-rename':
                 this.handleExplorerRename(context);
@@ -547,6 +570,24 @@ class ContextMenuRendererClass {
             case 'explorer-properties':
                 this.handleExplorerProperties(context);
                 break;
+            case 'explorer-mount-host':
+                this.handleExplorerMountHost(context);
+                break;
+            case 'explorer-mount-file':
+                this.handleExplorerMountFile(context);
+                break;
+            case 'explorer-eject':
+                this.handleExplorerEject(context);
+                break;
+            case 'explorer-export-zip':
+                this.handleExplorerExportZip(context);
+                break;
+            case 'explorer-extract-zip':
+                this.handleExplorerExtractZip(context);
+                break;
+            case 'explorer-import-zip':
+                this.handleExplorerImportZip(context);
+                break;
         }
     }
 
@@ -564,21 +605,10 @@ class ContextMenuRendererClass {
         } else if (item.type === 'system-folder' && item.appId) {
             AppRegistry.launch(item.appId);
         } else if (item.type === 'file' && item.path) {
-            // Open file with appropriate app
-            const ext = item.extension || '';
-            if (['txt', 'md', 'log', 'json', 'js', 'css', 'html', 'retro', 'bat'].includes(ext)) {
-                AppRegistry.launch('notepad', { filePath: item.path });
-            } else if (['png', 'jpg', 'jpeg', 'bmp', 'gif'].includes(ext)) {
-                AppRegistry.launch('paint', { filePath: item.path });
-            } else if (['mp3', 'wav', 'ogg'].includes(ext)) {
-                AppRegistry.launch('mediaplayer', { filePath: item.path });
-            } else if (ext === 'lnk') {
-                // Handle shortcut
-                this.openShortcut(item.path);
-            } else {
-                // Default to notepad for unknown types
-                AppRegistry.launch('notepad', { filePath: item.path });
-            }
+            // Open file with the program associated with its type (ZIP files browse in place)
+            FileAssociations.open(item.path, {
+                browse: (path) => EventBus.emit('mycomputer:navigate', { path })
+            });
         } else if (item.type === 'shortcut' && item.shortcutData) {
             if (item.shortcutData.type === 'link') {
                 AppRegistry.launch('browser', { url: item.shortcutData.target });
@@ -739,53 +769,19 @@ class ContextMenuRendererClass {
         }
     }
 
-    async handleExplorerDelete(context) {
+    async handleExplorerDelete(context, permanent = false) {
         const item = context?.item;
         if (!item?.path) return;
 
-        const confirmed = await SystemDialogs.confirm(
-            `Are you sure you want to send "${item.name}" to the Recycle Bin?`,
-            'Confirm Delete'
-        );
+        const confirmed = await SystemDialogs.confirmDelete(item.name, item.path, permanent);
         if (!confirmed) return;
 
         try {
-            // Store item info for potential restore
-            let content = '';
-            if (item.type === 'file') {
-                try {
-                    content = FileSystemManager.readFile(item.path);
-                } catch (e) {
-                    // File might not be readable
-                }
-            }
-
-            // Add to recycle bin
-            const recycledItem = {
-                id: `recycled_${Date.now()}`,
-                label: item.name,
-                emoji: item.icon || '📄',
-                type: 'recycled_file',
-                originalPath: item.path,
-                fileType: item.type,
-                extension: item.extension || '',
-                content: content,
-                deletedAt: Date.now()
-            };
-
-            const recycledItems = StateManager.getState('recycledItems') || [];
-            recycledItems.push(recycledItem);
-            StateManager.setState('recycledItems', recycledItems, true);
-
-            // Delete from filesystem
+            // FileSystemManager moves the item into the Recycle Bin unless permanent
             if (item.type === 'directory') {
-                try {
-                    FileSystemManager.deleteDirectory(item.path, true);
-                } catch (e) {
-                    console.error('Error deleting directory:', e);
-                }
+                FileSystemManager.deleteDirectory(item.path, true, { permanent });
             } else {
-                FileSystemManager.deleteFile(item.path);
+                FileSystemManager.deleteFile(item.path, { permanent });
             }
 
             EventBus.emit('filesystem:changed');
@@ -816,6 +812,11 @@ class ContextMenuRendererClass {
         const item = context?.item;
         let message = '';
 
+        if (item?.path && FileSystemManager.exists(item.path)) {
+            SystemDialogs.showProperties(item.path);
+            return;
+        }
+
         if (item?.path) {
             try {
                 const info = FileSystemManager.getInfo(item.path);
@@ -852,6 +853,129 @@ class ContextMenuRendererClass {
         await SystemDialogs.alert(message, 'Properties', 'info');
     }
 
+    /**
+     * Mount a JSON/ZIP disk image picked from the host computer
+     */
+    async handleExplorerMountHost(context) {
+        const driveLetter = context?.item?.driveLetter;
+        if (!driveLetter) return;
+
+        const file = await SystemDialogs.pickHostFile({ accept: '.json,.zip,application/json,application/zip' });
+        if (file) this.mountImage(driveLetter, file);
+    }
+
+    /**
+     * Mount a JSON/ZIP disk image stored in the virtual file system
+     */
+    async handleExplorerMountFile(context) {
+        const driveLetter = context?.item?.driveLetter;
+        if (!driveLetter) return;
+
+        const result = await SystemDialogs.showFileOpen({
+            title: `Mount Image in ${driveLetter}`,
+            initialPath: [...PATHS.DOCUMENTS]
+        });
+        if (result?.fullPath) {
+            this.mountImage(driveLetter, result.fullPath);
+        }
+    }
+
+    /**
+     * Mount an image and report failures to the user
+     * @param {string} driveLetter - Drive to mount on
+     * @param {File|string[]} image - Host file or virtual file path
+     */
+    async mountImage(driveLetter, image) {
+        try {
+            const media = await FileSystemManager.mountImage(driveLetter, image);
+            EventBus.emit(Events.SOUND_PLAY, { type: 'open' });
+            EventBus.emit('mycomputer:navigate', { path: [media.drive] });
+        } catch (e) {
+            await SystemDialogs.alert(`Cannot mount image: ${e.message}`, 'Mount Error', 'error');
+        }
+    }
+
+    async handleExplorerEject(context) {
+        const driveLetter = context?.item?.driveLetter;
+        if (!driveLetter) return;
+
+        try {
+            FileSystemManager.ejectDrive(driveLetter);
+        } catch (e) {
+            await SystemDialogs.alert(e.message, 'Eject', 'error');
+        }
+    }
+
+    /**
+     * Download a folder or drive as a .zip file
+     */
+    async handleExplorerExportZip(context) {
+        const item = context?.item;
+        const path = item?.path || (item?.driveLetter ? [item.driveLetter] : null);
+        if (!path) return;
+
+        try {
+            const bytes = await FileSystemManager.createZip([path]);
+            const filename = item.type === 'drive' ? `${item.driveLetter.charAt(0)}-drive.zip` : `${item.name}.zip`;
+            SystemDialogs.downloadFile(bytes, filename, 'application/zip');
+        } catch (e) {
+            await SystemDialogs.alert(`Error exporting: ${e.message}`, 'Export as ZIP', 'error');
+        }
+    }
+
+    /**
+     * Extract a .zip file into a folder named after it, next to the file
+     */
+    async handleExplorerExtractZip(context) {
+        const item = context?.item;
+        if (!item?.path) return;
+
+        const folder = [...item.path.slice(0, -1), item.name.replace(/\.zip$/i, '')];
+        try {
+            if (!FileSystemManager.exists(folder)) {
+                FileSystemManager.createDirectory(folder);
+            }
+            const result = await FileSystemManager.extractZip(item.path, folder);
+            await this.reportExtraction(result);
+            EventBus.emit('mycomputer:navigate', { path: FileSystemManager.parsePath(folder) });
+        } catch (e) {
+            await SystemDialogs.alert(`Error extracting: ${e.message}`, 'Extract All', 'error');
+        }
+    }
+
+    /**
+     * Unpack a .zip file from the host computer into the current folder
+     */
+    async handleExplorerImportZip(context) {
+        if (!context?.currentPath?.length) return;
+
+        const file = await SystemDialogs.pickHostFile({ accept: '.zip,application/zip' });
+        if (!file) return;
+
+        try {
+            const result = await FileSystemManager.extractZip(file, context.currentPath);
+            await this.reportExtraction(result);
+        } catch (e) {
+            await SystemDialogs.alert(`Error importing ${file.name}: ${e.message}`, 'Import ZIP', 'error');
+        }
+    }
+
+    /**
+     * Tell the user about files an extraction left alone
+     * @param {object} result - extractZip() result
+     */
+    async reportExtraction(result) {
+        if (result.skipped.length === 0) return;
+
+        const listed = result.skipped.slice(0, 10).join('\n');
+        const more = result.skipped.length > 10 ? `\n...and ${result.skipped.length - 10} more` : '';
+        await SystemDialogs.alert(
+            `${result.files} file(s) extracted. These already existed and were not replaced:\n\n${listed}${more}`,
+            'Extract',
+            'warning'
+        );
+    }
+
     // ===== DESKTOP CLIPBOARD HANDLERS =====
 
     /**
@@ -1069,6 +1193,7 @@ class ContextMenuRendererClass {
             created: now,
             modified: now,
             // Copy special file metadata
+            ...(sourceNode.binary && { binary: true }),
             ...(sourceNode.mimeType && { mimeType: sourceNode.mimeType }),
             ...(sourceNode.isShortcut && { isShortcut: sourceNode.isShortcut }),
             ...(sourceNode.shortcutTarget && { shortcutTarget: sourceNode.shortcutTarget }),
@@ -1078,6 +1203,7 @@ class ContextMenuRendererClass {
         };
 
         FileSystemManager.saveFileSystem();
+        FileSystemManager.notifyWatchers('created', destPath, { itemType: 'file' });
     }
 
     // Helper: Copy a directory recursively
@@ -1101,22 +1227,6 @@ class ContextMenuRendererClass {
         }
     }
 
-    // Helper: Open a .lnk shortcut file
-    openShortcut(filePath) {
-        try {
-            const node = FileSystemManager.getNode(filePath);
-            if (node && node.shortcutTarget) {
-                if (node.shortcutType === 'link') {
-                    AppRegistry.launch('browser', { url: node.shortcutTarget });
-                } else {
-                    AppRegistry.launch(node.shortcutTarget);
-                }
-            }
-        } catch (e) {
-            console.error('Error opening shortcut:', e);
-        }
-    }
-
     async createNewFolder(basePath) {
         const name = await SystemDialogs.prompt('Enter folder name:', 'New Folder', 'New Folder');
         if (!name) return;
@@ -1150,72 +1260,22 @@ class ContextMenuRendererClass {
     }
 
     openFileIcon(icon) {
-        const { filePath, extension, fileType } = icon;
-
-        if (fileType === 'directory') {
-            AppRegistry.launch('mycomputer', { initialPath: filePath });
-        } else if (['txt', 'md', 'log', 'retro', 'bat', 'js', 'css', 'html', 'json'].includes(extension)) {
-            AppRegistry.launch('notepad', { filePath });
-        } else if (['png', 'jpg', 'bmp'].includes(extension)) {
-            AppRegistry.launch('paint', { filePath });
-        } else {
-            // Default to notepad for unknown text-like files
-            AppRegistry.launch('notepad', { filePath });
-        }
+        // Folders open in My Computer, files in the program for their type
+        FileAssociations.open(icon.filePath);
     }
 
-    async deleteFileIcon(icon) {
+    async deleteFileIcon(icon, permanent = false) {
         const { filePath, fileType } = icon;
 
-        const confirmed = await SystemDialogs.confirm(`Are you sure you want to send "${icon.label}" to the Recycle Bin?`, 'Confirm Delete');
+        const confirmed = await SystemDialogs.confirmDelete(icon.label, filePath, permanent);
         if (!confirmed) return;
 
         try {
-            // Read file content before deleting (for potential restore)
-            let content = '';
-            let extension = icon.extension || '';
-
-            if (fileType !== 'directory') {
-                try {
-                    content = FileSystemManager.readFile(filePath);
-                    const info = FileSystemManager.getInfo(filePath);
-                    extension = info.extension || extension;
-                } catch (e) {
-                    // File might not exist or be readable
-                }
-            }
-
-            // Add to recycled items with file info for restore
-            const recycledItem = {
-                id: `recycled_file_${Date.now()}`,
-                label: icon.label,
-                emoji: icon.emoji || '📄',
-                type: 'recycled_file',
-                originalPath: filePath,
-                fileType: fileType,
-                extension: extension,
-                content: content,
-                deletedAt: Date.now()
-            };
-
-            const recycledItems = StateManager.getState('recycledItems') || [];
-            recycledItems.push(recycledItem);
-            StateManager.setState('recycledItems', recycledItems, true);
-
-            // Delete from filesystem
+            // FileSystemManager moves the item into the Recycle Bin unless permanent
             if (fileType === 'directory') {
-                // Try normal delete first, then recursive if needed
-                try {
-                    FileSystemManager.deleteDirectory(filePath);
-                } catch (e) {
-                    if (e.message.includes('not empty')) {
-                        FileSystemManager.deleteDirectory(filePath, true);
-                    } else {
-                        throw e;
-                    }
-                }
+                FileSystemManager.deleteDirectory(filePath, true, { permanent });
             } else {
-                FileSystemManager.deleteFile(filePath);
+                FileSystemManager.deleteFile(filePath, { permanent });
             }
 
             // Remove from file positions if tracked
@@ -1251,8 +1311,8 @@ class ContextMenuRendererClass {
             // Write to new location
             FileSystemManager.writeFile(newFilePath, content, info.extension);
 
-            // Delete old file
-            FileSystemManager.deleteFile(filePath);
+            // Delete old file (a rename is not a delete, so skip the Recycle Bin)
+            FileSystemManager.deleteFile(filePath, { permanent: true });
 
             EventBus.emit('desktop:refresh');
         } catch (e) {
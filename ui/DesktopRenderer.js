@@ -7,6 +7,7 @@ import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import AppRegistry from '../apps/AppRegistry.js';
 import FileSystemManager from '../core/FileSystemManager.js';
+import FileAssociations from '../core/FileAssociations.js';
 import { PATHS, DESKTOP } from '../core/Constants.js';
 
 class DesktopRendererClass {
@@ -44,10 +45,11 @@ class DesktopRendererClass {
         // Listen for render requests
         EventBus.on('desktop:render', () => this.render());
 
-        // Listen for file system changes
-        EventBus.on('filesystem:changed', () => this.render());
-        EventBus.on('filesystem:file:changed', () => this.render());
-        EventBus.on('filesystem:directory:changed', () => this.render());
+        // Re-render when the Desktop folder changes, or when a refresh is requested
+        FileSystemManager.watch(PATHS.DESKTOP, () => this.scheduleRender());
+        EventBus.on('filesystem:changed', () => this.scheduleRender());
+        EventBus.on('filesystem:file:changed', () => this.scheduleRender());
+        EventBus.on('filesystem:directory:changed', () => this.scheduleRender());
 
         // Listen for clipboard cut state changes
         EventBus.on('clipboard:cut-state', ({ cutPaths }) => {
@@ -70,6 +72,19 @@ class DesktopRendererClass {
         console.log('[DesktopRenderer] Initialized');
     }
 
+    /**
+     * Render once after the current batch of changes
+     * (a paste or recursive delete reports many changes in a row)
+     */
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        setTimeout(() => {
+            this.renderPending = false;
+            this.render();
+        }, 0);
+    }
+
     /**
      * Render all desktop icons
      */
@@ -328,25 +343,12 @@ class DesktopRendererClass {
     }
 
     /**
-     * Open a file in the appropriate application
+     * Open a file in the program associated with its type
+     * Folders open in My Computer; unknown types show the Open With dialog.
      * @param {Object} icon - File icon data
      */
     openFile(icon) {
-        const { filePath, extension, fileType } = icon;
-
-        if (fileType === 'directory') {
-            // Open directory in My Computer
-            AppRegistry.launch('mycomputer', { initialPath: filePath });
-        } else {
-            // Open file based on extension
-            if (extension === 'txt' || extension === 'md' || extension === 'log') {
-                AppRegistry.launch('notepad', { filePath });
-            } else if (extension === 'png' || extension === 'jpg' || extension === 'bmp') {
-                AppRegistry.launch('paint', { filePath });
-            } else {
-                console.log('No app registered for file type:', extension);
-            }
-        }
+        FileAssociations.open(icon.filePath);
     }
 
     /**
@@ -535,19 +537,23 @@ class DesktopRendererClass {
     handleRestoreFileDrop(e, dataString) {
         try {
             const data = JSON.parse(dataString);
-            const { index, originalPath, content, fileType, extension, label } = data;
+            const { index, recycleId, originalPath, content, fileType, extension, label } = data;
 
-            // Restore the file to its original location
-            if (fileType === 'directory') {
-                FileSystemManager.createDirectory(originalPath);
+            if (recycleId !== undefined) {
+                // Item kept in C:/RECYCLED: put it back where it was deleted from
+                FileSystemManager.restoreRecycled(recycleId);
             } else {
-                FileSystemManager.writeFile(originalPath, content || '', extension || 'txt');
-            }
+                // Older entries stored the content in state
+                if (fileType === 'directory') {
+                    FileSystemManager.createDirectory(originalPath);
+                } else {
+                    FileSystemManager.writeFile(originalPath, content || '', extension || 'txt');
+                }
 
-            // Remove from recycle bin
-            const recycledItems = StateManager.getState('recycledItems') || [];
-            const newRecycledItems = recycledItems.filter((_, i) => i !== index);
-            StateManager.setState('recycledItems', newRecycledItems, true);
+                const recycledItems = StateManager.getState('recycledItems') || [];
+                const newRecycledItems = recycledItems.filter((_, i) => i !== index);
+                StateManager.setState('recycledItems', newRecycledItems, true);
+            }
 
             // Emit events
             EventBus.emit('filesystem:changed');
@@ -654,51 +660,10 @@ class DesktopRendererClass {
         const { filePath, fileType, label } = fileIcon;
 
         try {
-            // Read file content before deleting (for potential restore)
-            let content = '';
-            let extension = fileIcon.extension || '';
-
-            if (fileType !== 'directory') {
-                try {
-                    content = FileSystemManager.readFile(filePath);
-                    const info = FileSystemManager.getInfo(filePath);
-                    extension = info.extension || extension;
-                } catch (e) {
-                    // File might not exist or be readable
-                }
-            }
-
-            // Add to recycled items with file info for restore
-            const recycledItem = {
-                id: `recycled_file_${Date.now()}`,
-                label: label,
-                emoji: this.getFileEmoji({ type: fileType, extension }),
-                type: 'recycled_file',
-                originalPath: filePath,
-                fileType: fileType,
-                extension: extension,
-                content: content,
-                deletedAt: Date.now()
-            };
-
-            const recycledItems = StateManager.getState('recycledItems') || [];
-            recycledItems.push(recycledItem);
-            StateManager.setState('recycledItems', recycledItems, true);
-
-            // Delete from filesystem
-            if (fileType === 'directory') {
-                try {
-                    FileSystemManager.deleteDirectory(filePath, true);
-                } catch (e) {
-                    console.error('Failed to delete directory:', e);
-                }
-            } else {
-                try {
-                    FileSystemManager.deleteFile(filePath);
-                } catch (e) {
-                    console.error('Failed to delete file:', e);
-                }
-            }
+            // FileSystemManager keeps the deleted item in the Recycle Bin
+            const entry = fileType === 'directory'
+                ? FileSystemManager.deleteDirectory(filePath, true)
+                : FileSystemManager.deleteFile(filePath);
 
             // Remove from file positions if tracked
             const filePositions = StateManager.getState('filePositions') || {};
@@ -709,7 +674,7 @@ class DesktopRendererClass {
             }
 
             EventBus.emit(Events.SOUND_PLAY, { type: 'recycle' });
-            this.showDropFeedback(`"${label}" moved to Recycle Bin`, 'success');
+            this.showDropFeedback(entry ? `"${label}" moved to Recycle Bin` : `"${label}" deleted`, 'success');
 
         } catch (err) {
             console.error('Failed to recycle file:', err);
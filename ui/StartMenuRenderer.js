@@ -1,11 +1,18 @@
 /**
  * StartMenuRenderer - Renders and manages the Windows 95 style Start Menu
  * Updated to dynamically load apps by category with proper event cleanup
+ * The search box at the top looks files up in the search index as you type.
  */
 
 import EventBus, { Events } from '../core/EventBus.js';
 import StateManager from '../core/StateManager.js';
 import AppRegistry from '../apps/AppRegistry.js';
+import SearchIndex from '../core/SearchIndex.js';
+import FileSystemManager from '../core/FileSystemManager.js';
+import FileAssociations from '../core/FileAssociations.js';
+
+// Results shown in the menu; Find Files shows the rest
+const MAX_SEARCH_RESULTS = 8;
 
 class StartMenuRendererClass {
     constructor() {
@@ -18,6 +25,8 @@ class StartMenuRendererClass {
         this.boundHandleOutsideClick = this.handleOutsideClick.bind(this);
         this.boundHandleStartClick = this.handleStartClick.bind(this);
         this.boundHandleMenuClick = this.handleMenuClick.bind(this);
+        this.boundHandleSearchInput = this.handleSearchInput.bind(this);
+        this.boundHandleSearchKey = this.handleSearchKey.bind(this);
     }
 
     initialize() {
@@ -34,8 +43,10 @@ class StartMenuRendererClass {
         // Start button click - using bound handler
         this.startButton.addEventListener('click', this.boundHandleStartClick);
 
-        // Event delegation for menu items
+        // Event delegation for menu items and the search box
         this.element.addEventListener('click', this.boundHandleMenuClick);
+        this.element.addEventListener('input', this.boundHandleSearchInput);
+        this.element.addEventListener('keydown', this.boundHandleSearchKey);
 
         EventBus.on(Events.START_MENU_TOGGLE, (data) => {
             if (data && data.open !== undefined && data.open !== this.isOpen) {
@@ -78,8 +89,13 @@ class StartMenuRendererClass {
     handleMenuClick(e) {
         const appItem = e.target.closest('[data-app]');
         const linkItem = e.target.closest('[data-link]');
+        const fileItem = e.target.closest('[data-file]');
 
-        if (appItem) {
+        if (fileItem) {
+            e.stopPropagation();
+            this.openSearchResult(fileItem.dataset.file, fileItem.dataset.type);
+            this.close();
+        } else if (appItem) {
             e.stopPropagation();
             AppRegistry.launch(appItem.dataset.app);
             this.close();
@@ -104,6 +120,8 @@ class StartMenuRendererClass {
 
         if (this.element) {
             this.element.removeEventListener('click', this.boundHandleMenuClick);
+            this.element.removeEventListener('input', this.boundHandleSearchInput);
+            this.element.removeEventListener('keydown', this.boundHandleSearchKey);
         }
 
         this.initialized = false;
@@ -116,6 +134,7 @@ class StartMenuRendererClass {
         this.isOpen = true;
         this.element.classList.add('active');
         this.startButton.classList.add('active');
+        this.element.querySelector('.start-menu-search input')?.focus();
         EventBus.emit(Events.SOUND_PLAY, { type: 'click' });
     }
 
@@ -123,6 +142,107 @@ class StartMenuRendererClass {
         this.isOpen = false;
         this.element.classList.remove('active');
         this.startButton.classList.remove('active');
+        this.clearSearch();
+    }
+
+    /**
+     * Search as the user types; results replace the menu items
+     */
+    handleSearchInput(e) {
+        if (!e.target.matches('.start-menu-search input')) return;
+
+        const query = e.target.value.trim();
+        const items = this.element.querySelector('.start-menu-items');
+        const results = this.element.querySelector('.start-menu-results');
+        if (!items || !results) return;
+
+        items.hidden = query.length > 0;
+        results.hidden = query.length === 0;
+        if (query) {
+            results.innerHTML = this.renderSearchResults(query);
+        }
+    }
+
+    /**
+     * Enter opens the first result, Escape clears the box (or closes the menu)
+     */
+    handleSearchKey(e) {
+        if (!e.target.matches('.start-menu-search input')) return;
+
+        if (e.key === 'Enter') {
+            const first = this.element.querySelector('.start-menu-results [data-file]');
+            if (first) {
+                this.openSearchResult(first.dataset.file, first.dataset.type);
+                this.close();
+            }
+        } else if (e.key === 'Escape') {
+            if (e.target.value) this.clearSearch();
+            else this.close();
+        }
+    }
+
+    /**
+     * Empty the search box and bring the menu items back
+     */
+    clearSearch() {
+        const input = this.element?.querySelector('.start-menu-search input');
+        if (!input) return;
+
+        input.value = '';
+        this.element.querySelector('.start-menu-items').hidden = false;
+        this.element.querySelector('.start-menu-results').hidden = true;
+    }
+
+    /**
+     * Render the best matches for a query
+     * The last word matches as a prefix, so results appear while it is still being typed.
+     * @param {string} query - Search box text
+     * @returns {string} HTML
+     */
+    renderSearchResults(query) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const lastWord = query.split(/\s+/).pop();
+        const typed = /[\p{L}\p{N}_]$/u.test(query) && !lastWord.includes(':') ? `${query}*` : query;
+
+        let matches;
+        try {
+            matches = SearchIndex.search(typed, { limit: MAX_SEARCH_RESULTS });
+        } catch (e) {
+            return `<div class="start-menu-search-message">${escape(e.message)}</div>`;
+        }
+
+        if (matches.length === 0) {
+            return '<div class="start-menu-search-message">No files found</div>';
+        }
+
+        return matches.map(match => `
+            <div class="start-menu-item start-menu-result" data-file="${escape(match.path)}" data-type="${match.type}" title="${escape(match.path)}">
+                <span class="start-menu-icon">${match.type === 'directory' ? '📁' : '📄'}</span>
+                <span class="start-menu-result-text">
+                    <span>${escape(match.name)}</span>
+                    <span class="start-menu-result-detail">${escape(match.snippet || match.folder)}</span>
+                </span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open a search result: folders in My Computer, files in the program for
+     * their type (or their folder when no program handles the type)
+     * @param {string} path - Result path
+     * @param {string} type - 'file' or 'directory'
+     */
+    openSearchResult(path, type) {
+        const parts = FileSystemManager.parsePath(path);
+
+        if (type === 'directory') {
+            AppRegistry.launch('mycomputer', { initialPath: parts });
+            return;
+        }
+
+        if (!FileAssociations.open(parts, { chooser: false })) {
+            AppRegistry.launch('mycomputer', { initialPath: parts.slice(0, -1) });
+        }
     }
 
     render() {
@@ -136,6 +256,10 @@ class StartMenuRendererClass {
                 <span class="sidebar-text">IlluminatOS!</span>
             </div>
             <div class="start-menu-content">
+                <div class="start-menu-search">
+                    <input type="text" placeholder="Search files..." aria-label="Search files" autocomplete="off">
+                </div>
+                <div class="start-menu-results" hidden></div>
                 <div class="start-menu-items">
                     ${this.renderProgramsSection()}
                     ${this.renderDocumentsSection()}